@@ -0,0 +1,83 @@
+/**
+ * Express app - routes and middleware, without listening (server.js starts it;
+ * the integration tests boot it in-process)
+ */
+require('dotenv').config();
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+
+// Import routes
+const employeeRoutes = require('./routes/employees');
+const faceRoutes = require('./routes/face');
+const attendanceRoutes = require('./routes/attendance');
+const settingsRoutes = require('./routes/settings');
+const locationRoutes = require('./routes/location');
+const branchRoutes = require('./routes/branches');
+const livenessRoutes = require('./routes/liveness');
+const authRoutes = require('./routes/auth');
+const { authenticate } = require('./middleware/auth');
+
+const app = express();
+
+// Middleware
+app.use(cors());
+app.use(express.json({ limit: '50mb' }));
+app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+
+// Static files for uploads
+app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+
+// API Routes
+// Routers that expose public endpoints (employee ID verification, face verification,
+// liveness checks used before an employee has a login) apply `authenticate` themselves.
+app.use('/api/auth', authRoutes);
+app.use('/api/employees', employeeRoutes);
+app.use('/api/face', faceRoutes);
+app.use('/api/attendance', authenticate, attendanceRoutes);
+app.use('/api/settings', authenticate, settingsRoutes);
+app.use('/api/location', authenticate, locationRoutes);
+app.use('/api/requests', authenticate, require('./routes/requests'));
+app.use('/api/branches', authenticate, branchRoutes);
+app.use('/api/liveness', livenessRoutes);
+app.use('/api/salary', authenticate, require('./routes/salary'));
+app.use('/api/chat', authenticate, require('./routes/chat'));
+app.use('/api/otp', authenticate, require('./routes/otp'));
+app.use('/api/shifts', authenticate, require('./routes/shifts'));
+app.use('/api/holidays', authenticate, require('./routes/holidays'));
+app.use('/api/leave', authenticate, require('./routes/leave'));
+app.use('/api/jobs', authenticate, require('./routes/jobs'));
+app.use('/api/field', authenticate, require('./routes/field'));
+
+// Health check
+app.get('/api/health', (req, res) => {
+    res.json({ status: 'OK', message: 'SRM Sweets API is running' });
+});
+
+// 404 handler for undefined routes
+app.use((req, res, next) => {
+    res.status(404).json({
+        success: false,
+        message: `Route ${req.method} ${req.url} not found`,
+    });
+});
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+    console.error('Error:', err);
+
+    // Handle specific error types
+    if (err.name === 'ValidationError') {
+        return res.status(400).json({
+            success: false,
+            message: err.message,
+        });
+    }
+
+    res.status(err.status || 500).json({
+        success: false,
+        message: err.message || 'Internal server error',
+    });
+});
+
+module.exports = app;
@@ -0,0 +1,154 @@
+/**
+ * Re-key attendance sessions and location pings to their business date
+ * Records written before timezone support carry the UTC date of their timestamp; this
+ * moves each one to the date of its check-in (or ping) time in the employee's branch
+ * timezone and rebuilds the daily summaries of the employees and dates it touched.
+ * Dry run by default: prints what would change. --from/--to select records by their
+ * stored date.
+ *
+ *   node backfill_business_dates.js [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--apply]
+ */
+require('dotenv').config();
+const { UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient } = require('./storage');
+const { TABLES } = require('./storage/schema');
+const { scanAll } = require('./utils/dynamoQuery');
+const Employee = require('./models/Employee');
+const Branch = require('./models/Branch');
+const Attendance = require('./models/Attendance');
+const { refreshEmployeeSummaries } = require('./controllers/dailySummaryController');
+const { resolveTimezone, getBusinessDate } = require('./utils/timezone');
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const parseArgs = (argv) => {
+    const options = { apply: argv.includes('--apply') };
+    ['from', 'to'].forEach(name => {
+        const index = argv.indexOf(`--${name}`);
+        if (index === -1) return;
+        const value = argv[index + 1];
+        if (!DATE_REGEX.test(value || '')) throw new Error(`--${name} needs a date (YYYY-MM-DD)`);
+        options[name] = value;
+    });
+    return options;
+};
+
+/**
+ * Scan a table, optionally only items whose stored date is in a range
+ */
+const scanByDate = (tableName, { from, to }) => {
+    const conditions = [];
+    const values = {};
+    if (from) {
+        conditions.push('#date >= :from');
+        values[':from'] = from;
+    }
+    if (to) {
+        conditions.push('#date <= :to');
+        values[':to'] = to;
+    }
+
+    return scanAll({
+        TableName: tableName,
+        ...(conditions.length > 0 ? {
+            FilterExpression: conditions.join(' AND '),
+            ExpressionAttributeNames: { '#date': 'date' },
+            ExpressionAttributeValues: values,
+        } : {}),
+    });
+};
+
+/**
+ * Records whose stored date is not the business date of their timestamp
+ * @returns {Array} { record, date, timeZone }
+ */
+const findMisdated = (records, timestampOf, timeZoneOf) => records
+    .filter(record => timestampOf(record))
+    .map(record => {
+        const timeZone = timeZoneOf(record.employeeId);
+        return { record, date: getBusinessDate(timestampOf(record), timeZone), timeZone };
+    })
+    .filter(({ record, date }) => record.date !== date);
+
+/**
+ * Find (and with apply, fix) misdated attendance sessions and location pings
+ * @param {Object} options - { from, to, apply }
+ * @returns {Object} { attendance: [{ attendanceId, employeeId, from, to }], pings: [{ pingId, employeeId, from, to }], applied }
+ */
+const backfillBusinessDates = async ({ from = null, to = null, apply = false } = {}) => {
+    const [employees, branches] = await Promise.all([Employee.getAllEmployees(), Branch.getAllBranches()]);
+    const branchMap = {};
+    branches.forEach(b => { branchMap[b.branchId] = b; });
+    const employeeBranch = {};
+    employees.forEach(e => { employeeBranch[e.employeeId] = branchMap[e.branchId] || null; });
+    const timeZoneOf = (employeeId) => resolveTimezone(employeeBranch[employeeId]);
+
+    const [sessions, pings] = await Promise.all([
+        scanByDate(TABLES.attendance.tableName, { from, to }),
+        scanByDate(TABLES.locationPings.tableName, { from, to }),
+    ]);
+    const misdatedSessions = findMisdated(sessions, r => r.checkInTime, timeZoneOf);
+    const misdatedPings = findMisdated(pings, p => p.timestamp, timeZoneOf);
+
+    if (apply) {
+        for (const { record, date, timeZone } of misdatedSessions) {
+            await Attendance.updateAttendance(record.attendanceId, { date, timezone: timeZone });
+        }
+
+        for (const { record, date } of misdatedPings) {
+            await docClient.send(new UpdateCommand({
+                TableName: TABLES.locationPings.tableName,
+                Key: { pingId: record.pingId },
+                UpdateExpression: 'SET #date = :date',
+                ExpressionAttributeNames: { '#date': 'date' },
+                ExpressionAttributeValues: { ':date': date },
+            }));
+        }
+
+        // Summaries of both the old and the new date change
+        const touched = {};
+        misdatedSessions.forEach(({ record, date }) => {
+            touched[record.employeeId] = [...(touched[record.employeeId] || []), record.date, date];
+        });
+        for (const [employeeId, dates] of Object.entries(touched)) {
+            dates.sort();
+            await refreshEmployeeSummaries(employeeId, dates[0], dates[dates.length - 1], 'BACKFILL');
+        }
+    }
+
+    return {
+        attendance: misdatedSessions.map(({ record, date }) => ({
+            attendanceId: record.attendanceId,
+            employeeId: record.employeeId,
+            from: record.date,
+            to: date,
+        })),
+        pings: misdatedPings.map(({ record, date }) => ({
+            pingId: record.pingId,
+            employeeId: record.employeeId,
+            from: record.date,
+            to: date,
+        })),
+        applied: apply,
+    };
+};
+
+const main = async () => {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        console.log(`Checking business dates${options.apply ? '' : ' (dry run, pass --apply to write)'}...`);
+
+        const result = await backfillBusinessDates(options);
+        result.attendance.forEach(s => console.log(`Attendance ${s.attendanceId} (${s.employeeId}): ${s.from} -> ${s.to}`));
+        console.log(`${result.attendance.length} attendance session(s) and ${result.pings.length} location ping(s) ${options.apply ? 're-keyed' : 'to re-key'}.`);
+    } catch (error) {
+        console.error('Error backfilling business dates:', error);
+        process.exitCode = 1;
+    }
+};
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { backfillBusinessDates };
@@ -3,9 +3,10 @@ const { DynamoDBDocumentClient } = require('@aws-sdk/lib-dynamodb');
 const { RekognitionClient } = require('@aws-sdk/client-rekognition');
 const { S3Client } = require('@aws-sdk/client-s3');
 
-// DynamoDB Client
+// DynamoDB Client (DYNAMODB_ENDPOINT points it at DynamoDB Local, e.g. http://localhost:8000)
 const dynamoClient = new DynamoDBClient({
     region: process.env.AWS_REGION,
+    ...(process.env.DYNAMODB_ENDPOINT ? { endpoint: process.env.DYNAMODB_ENDPOINT } : {}),
     credentials: {
         accessKeyId: process.env.AWS_ACCESS_KEY_ID,
         secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
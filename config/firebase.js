@@ -38,6 +38,12 @@ try {
         }
     } else {
         console.error('CRITICAL: Failed to initialize Firebase Admin. No credentials found in Env Vars or Local File.');
+
+        // Without credentials chat only works against the Firestore emulator (FIRESTORE_EMULATOR_HOST),
+        // but the rest of the API can still start (e.g. offline with STORAGE_BACKEND=memory)
+        if (!admin.apps.length) {
+            admin.initializeApp({ projectId: process.env.FIREBASE_PROJECT_ID || 'srm-local' });
+        }
     }
 
 } catch (error) {
@@ -0,0 +1,84 @@
+const AdvanceLedger = require('../models/AdvanceLedger');
+const Employee = require('../models/Employee');
+const { ADVANCE_ENTRY_TYPES, ACCOUNT_STATUS } = require('../utils/advanceLedger');
+
+// Recoveries HR can record outside payroll
+const RECOVERY_ACTIONS = {
+    settle: { entryType: ADVANCE_ENTRY_TYPES.SETTLEMENT, note: 'Early settlement' },
+    'write-off': { entryType: ADVANCE_ENTRY_TYPES.WRITE_OFF, note: 'Written off' },
+};
+
+/**
+ * Get an employee's advances with outstanding balance, repayment plan and history
+ */
+async function getEmployeeAdvances(req, res) {
+    try {
+        const { employeeId } = req.params;
+
+        const employee = await Employee.getEmployeeById(employeeId);
+        if (!employee) {
+            return res.status(404).json({ success: false, message: 'Employee not found' });
+        }
+
+        const advances = await AdvanceLedger.getAdvances(employeeId);
+        const totalOutstanding = Math.round(advances.reduce((sum, a) => sum + a.outstanding, 0) * 100) / 100;
+
+        res.json({
+            success: true,
+            employeeId,
+            totalOutstanding,
+            activeCount: advances.filter(a => a.status === ACCOUNT_STATUS.ACTIVE).length,
+            advances,
+        });
+    } catch (error) {
+        console.error('Error fetching advances:', error);
+        res.status(500).json({ success: false, message: 'Error fetching advances' });
+    }
+}
+
+/**
+ * Settle an advance early or write it off
+ * Body: { amount?, note? } - amount defaults to the full outstanding balance
+ */
+async function recoverAdvance(req, res) {
+    try {
+        const { employeeId, requestId, action } = req.params;
+        const recovery = RECOVERY_ACTIONS[action];
+        if (!recovery) {
+            return res.status(400).json({ success: false, message: 'Invalid action' });
+        }
+
+        const advance = await AdvanceLedger.getAdvance(employeeId, requestId);
+        if (!advance) {
+            return res.status(404).json({ success: false, message: 'Advance not found' });
+        }
+
+        if (advance.outstanding <= 0) {
+            return res.status(400).json({ success: false, message: `Advance is already ${advance.status}` });
+        }
+
+        const amount = req.body.amount !== undefined ? parseFloat(req.body.amount) : advance.outstanding;
+        if (!(amount > 0) || amount > advance.outstanding) {
+            return res.status(400).json({ success: false, message: `amount must be between 0 and the outstanding ${advance.outstanding}` });
+        }
+
+        await AdvanceLedger.createRecovery({
+            employeeId,
+            requestId,
+            entryType: recovery.entryType,
+            amount: Math.round(amount * 100) / 100,
+            note: req.body.note || recovery.note,
+            createdBy: req.user.employeeId,
+        });
+
+        res.json({ success: true, advance: await AdvanceLedger.getAdvance(employeeId, requestId) });
+    } catch (error) {
+        console.error('Error recording advance recovery:', error);
+        res.status(500).json({ success: false, message: 'Error recording advance recovery' });
+    }
+}
+
+module.exports = {
+    getEmployeeAdvances,
+    recoverAdvance,
+};
@@ -0,0 +1,204 @@
+const Request = require('../models/Request');
+const Employee = require('../models/Employee');
+const Delegation = require('../models/Delegation');
+const { getApprovalChains } = require('../models/Settings');
+const { ROLES, MANAGER_ROLES, hasRole, getEnvSuperAdmin } = require('../middleware/auth');
+const { selectChainSteps, buildApprovalChain, getCurrentStep, canActOnStep } = require('../utils/approvalChain');
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Approvers whose approvals HR can delegate on their behalf
+const ON_BEHALF_DELEGATOR_ROLES = [ROLES.BRANCH_MANAGER, ROLES.HR];
+
+/**
+ * An approver by ID: an employee, or the env-configured super admin (who has no employee record)
+ */
+async function findApprover(employeeId) {
+    return getEnvSuperAdmin(employeeId) || Employee.getEmployeeById(employeeId);
+}
+
+/**
+ * Identities a user can approve as: themselves, plus everyone who has delegated to them today
+ * @returns {Array} [{ employeeId, role, branchId, delegatedFrom }]
+ */
+async function getApprovers(user) {
+    const approvers = [{ employeeId: user.employeeId, role: user.role, branchId: user.branchId, delegatedFrom: null }];
+
+    for (const delegation of await Delegation.getActiveDelegationsTo(user.employeeId)) {
+        const delegator = await findApprover(delegation.delegatorId);
+        if (!delegator) continue;
+        approvers.push({
+            employeeId: user.employeeId, // The delegate still cannot decide their own request
+            role: delegator.role,
+            branchId: delegator.branchId || null,
+            delegatedFrom: delegator.employeeId,
+        });
+    }
+
+    return approvers;
+}
+
+/**
+ * A request's approval chain (requests raised before chains existed get one from the current config)
+ */
+function getRequestChain(request, chains) {
+    return request.approvalChain || buildApprovalChain(selectChainSteps(chains, request));
+}
+
+/**
+ * Requests waiting for the current user's decision (directly or through a delegation):
+ * pending requests, and approved requests with a pending cancellation (pendingAction CANCELLATION)
+ * GET /api/requests/pending-approval
+ */
+async function getPendingApprovals(req, res) {
+    try {
+        const [pendingRequests, approvedRequests, employees, { chains }, approvers] = await Promise.all([
+            Request.getAllRequests('PENDING'),
+            Request.getAllRequests('APPROVED'),
+            Employee.getAllEmployees(),
+            getApprovalChains(),
+            getApprovers(req.user),
+        ]);
+
+        const employeeMap = {};
+        employees.forEach(e => { employeeMap[e.employeeId] = e; });
+
+        const candidates = [
+            ...pendingRequests.map(request => ({ request, pendingAction: 'APPROVAL', chain: getRequestChain(request, chains) })),
+            ...approvedRequests
+                .filter(request => request.cancellation && request.cancellation.status === 'PENDING')
+                .map(request => ({ request, pendingAction: 'CANCELLATION', chain: request.cancellation.approvalChain })),
+        ];
+
+        const pending = [];
+        candidates.forEach(({ request, pendingAction, chain }) => {
+            const employee = employeeMap[request.employeeId];
+            if (!employee) return;
+
+            const currentStep = getCurrentStep(chain);
+            const approver = approvers.find(a => canActOnStep(a, currentStep, employee));
+            if (!approver) return;
+
+            pending.push({
+                ...request,
+                approvalChain: pendingAction === 'APPROVAL' ? chain : request.approvalChain,
+                employeeName: employee.name,
+                department: employee.department,
+                branch: employee.branchId,
+                pendingAction,
+                currentStep,
+                actingFor: approver.delegatedFrom,
+            });
+        });
+
+        res.json({ success: true, total: pending.length, requests: pending });
+    } catch (error) {
+        console.error('Error fetching pending approvals:', error);
+        res.status(500).json({ success: false, message: 'Error fetching pending approvals' });
+    }
+}
+
+/**
+ * List delegations: HR sees all, others the ones they gave or received
+ * GET /api/requests/delegations
+ */
+async function getDelegations(req, res) {
+    try {
+        const delegations = await Delegation.getAllDelegations();
+        const visible = hasRole(req.user, [ROLES.HR])
+            ? delegations
+            : delegations.filter(d => d.delegatorId === req.user.employeeId || d.delegateId === req.user.employeeId);
+
+        res.json({ success: true, delegations: visible });
+    } catch (error) {
+        console.error('Error fetching delegations:', error);
+        res.status(500).json({ success: false, message: 'Error fetching delegations' });
+    }
+}
+
+/**
+ * Delegate approvals for a date range (e.g. while on leave)
+ * POST /api/requests/delegations { delegateId, fromDate, toDate, reason, delegatorId? (HR only, for branch managers and HR) }
+ */
+async function createDelegation(req, res) {
+    try {
+        const { delegateId, fromDate, toDate, reason } = req.body;
+        const delegatorId = req.body.delegatorId || req.user.employeeId;
+
+        if (delegatorId !== req.user.employeeId && !hasRole(req.user, [ROLES.HR])) {
+            return res.status(403).json({ success: false, message: 'You can only delegate your own approvals' });
+        }
+
+        if (!delegateId || !DATE_REGEX.test(fromDate || '') || !DATE_REGEX.test(toDate || '') || toDate < fromDate) {
+            return res.status(400).json({ success: false, message: 'delegateId and a valid fromDate..toDate (YYYY-MM-DD) are required' });
+        }
+
+        if (delegateId === delegatorId || delegateId === req.user.employeeId) {
+            return res.status(400).json({ success: false, message: 'Cannot delegate to yourself' });
+        }
+
+        const [delegator, delegate] = await Promise.all([
+            findApprover(delegatorId),
+            findApprover(delegateId),
+        ]);
+
+        if (!delegator || !MANAGER_ROLES.includes(delegator.role)) {
+            return res.status(400).json({ success: false, message: 'Only approvers (branch managers, HR, owner) can delegate approvals' });
+        }
+
+        // HR may set up cover for an absent branch manager or HR colleague, never for the owner
+        if (delegatorId !== req.user.employeeId && !ON_BEHALF_DELEGATOR_ROLES.includes(delegator.role)) {
+            return res.status(403).json({ success: false, message: 'Only the owner can delegate owner approvals' });
+        }
+
+        if (!delegate || delegate.status !== 'active') {
+            return res.status(400).json({ success: false, message: 'Delegate must be an active employee' });
+        }
+
+        const delegation = await Delegation.createDelegation({
+            delegatorId,
+            delegateId,
+            fromDate,
+            toDate,
+            reason,
+            createdBy: req.user.employeeId,
+        });
+
+        res.status(201).json({ success: true, delegation });
+    } catch (error) {
+        console.error('Error creating delegation:', error);
+        res.status(500).json({ success: false, message: 'Error creating delegation' });
+    }
+}
+
+/**
+ * Revoke a delegation (the delegator or HR)
+ * DELETE /api/requests/delegations/:delegationId
+ */
+async function revokeDelegation(req, res) {
+    try {
+        const delegation = await Delegation.getDelegationById(req.params.delegationId);
+        if (!delegation) {
+            return res.status(404).json({ success: false, message: 'Delegation not found' });
+        }
+
+        if (delegation.delegatorId !== req.user.employeeId && !hasRole(req.user, [ROLES.HR])) {
+            return res.status(403).json({ success: false, message: 'You can only revoke your own delegations' });
+        }
+
+        const revoked = await Delegation.revokeDelegation(delegation.delegationId, req.user.employeeId);
+        res.json({ success: true, delegation: revoked });
+    } catch (error) {
+        console.error('Error revoking delegation:', error);
+        res.status(500).json({ success: false, message: 'Error revoking delegation' });
+    }
+}
+
+module.exports = {
+    getApprovers,
+    getRequestChain,
+    getPendingApprovals,
+    getDelegations,
+    createDelegation,
+    revokeDelegation,
+};
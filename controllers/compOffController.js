@@ -0,0 +1,124 @@
+const CompOff = require('../models/CompOff');
+const Employee = require('../models/Employee');
+const Request = require('../models/Request');
+const Branch = require('../models/Branch');
+const LeaveLedger = require('../models/LeaveLedger');
+const { getCompOffSettings } = require('../models/Settings');
+const { getEmployeeDays } = require('./payrollController');
+const { addDays, buildCredit, allocateCredits, summariseCredits } = require('../utils/compOff');
+const { getBusinessDate } = require('../utils/timezone');
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Write credits for week offs and holidays worked within the validity window that
+ * have not been credited yet. Credits are earned once the day is over.
+ * @returns {Array} All credits of the employee
+ */
+async function syncCredits(employee) {
+    const { rules } = await getCompOffSettings();
+    const credits = await CompOff.getCreditsByEmployee(employee.employeeId);
+    if (!rules.enabled) return credits;
+
+    const today = getBusinessDate(new Date(), await Branch.getBranchTimezone(employee.branchId));
+    const fromDate = addDays(today, -rules.validityDays);
+    const credited = new Set(credits.map(c => c.workedDate));
+
+    // Months overlapping the window, oldest first
+    const months = [];
+    const cursor = new Date(`${fromDate.slice(0, 7)}-01T00:00:00Z`);
+    while (cursor.toISOString().slice(0, 7) <= today.slice(0, 7)) {
+        months.push({ month: cursor.getUTCMonth() + 1, year: cursor.getUTCFullYear() });
+        cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    }
+
+    for (const { month, year } of months) {
+        const days = await getEmployeeDays(employee, month, year);
+        for (const day of days) {
+            if (day.date < fromDate || day.date >= today || !(day.compOffDays > 0) || credited.has(day.date)) continue;
+            credits.push(await CompOff.putCredit(buildCredit(employee.employeeId, day.date, day.overtime, day.compOffDays, rules)));
+        }
+    }
+
+    return credits;
+}
+
+/**
+ * Comp-off days a COMP_OFF request uses (week offs and holidays in its range are not used)
+ */
+async function getCompOffDays(employee, request) {
+    const daysByYear = await LeaveLedger.getChargedDaysByYear(employee, request);
+    return Object.values(daysByYear).reduce((sum, days) => sum + days, 0);
+}
+
+/**
+ * Comp-off summary for an employee: available, expired and used credits
+ * excludeRequestId leaves a pending request (the one being edited) out of the pending days.
+ */
+async function getCompOffSummary(employee, asOfDate = getBusinessDate(), excludeRequestId = null) {
+    const credits = await syncCredits(employee);
+
+    let pendingDays = 0;
+    for (const r of (await Request.getRequestsByEmployee(employee.employeeId))
+        .filter(r => r.type === 'COMP_OFF' && r.status === 'PENDING' && r.requestId !== excludeRequestId)) {
+        pendingDays += await getCompOffDays(employee, r);
+    }
+
+    return { credits, summary: summariseCredits(credits, asOfDate, pendingDays) };
+}
+
+/**
+ * Check a COMP_OFF request against the employee's credits
+ * @returns {string|null} Error message, or null when the request can be raised
+ */
+async function validateCompOffRequest(employee, data, excludeRequestId = null) {
+    const { credits, summary } = await getCompOffSummary(employee, undefined, excludeRequestId);
+    const requestedDays = await getCompOffDays(employee, { data });
+    if (requestedDays === 0) {
+        return 'The selected dates are all week offs or holidays';
+    }
+
+    if (requestedDays > summary.availableAfterPending) {
+        return `Insufficient comp-off credits: ${summary.availableAfterPending} day(s) available, ${requestedDays} requested`;
+    }
+
+    if (!allocateCredits(credits, requestedDays, data.fromDate)) {
+        return `Comp-off credits do not cover ${data.fromDate}: credits can only be used after the day worked and before they expire`;
+    }
+
+    return null;
+}
+
+/**
+ * Get an employee's comp-off credits
+ * GET /api/leave/comp-off/:employeeId?asOf=YYYY-MM-DD
+ */
+async function getEmployeeCompOffs(req, res) {
+    try {
+        const { employeeId } = req.params;
+        const { asOf } = req.query;
+
+        if (asOf && !DATE_REGEX.test(asOf)) {
+            return res.status(400).json({ success: false, message: 'asOf must be YYYY-MM-DD' });
+        }
+
+        const employee = await Employee.getEmployeeById(employeeId);
+        if (!employee) {
+            return res.status(404).json({ success: false, message: 'Employee not found' });
+        }
+
+        const { summary } = await getCompOffSummary(employee, asOf || undefined);
+        res.json({ success: true, employeeId, ...summary });
+    } catch (error) {
+        console.error('Error fetching comp-off credits:', error);
+        res.status(500).json({ success: false, message: 'Error fetching comp-off credits' });
+    }
+}
+
+module.exports = {
+    syncCredits,
+    getCompOffSummary,
+    getCompOffDays,
+    validateCompOffRequest,
+    getEmployeeCompOffs,
+};
@@ -0,0 +1,220 @@
+const Employee = require('../models/Employee');
+const DailySummary = require('../models/DailySummary');
+const { loadAttendanceContext, buildEmployeeDays, loadDailySummaries } = require('./payrollController');
+const { buildDailySummary, addToStats } = require('../utils/dailySummary');
+const { listDates } = require('../utils/leavePolicy');
+const { getBusinessDate, addDays } = require('../utils/timezone');
+const { ROLES } = require('../middleware/auth');
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Longest range read or rebuilt in one call (about a quarter)
+const MAX_RANGE_DAYS = 92;
+
+/**
+ * Evaluate and store the summaries of employees for a date range (days up to today)
+ * @returns {Array} Stored summaries
+ */
+async function writeSummaries(employees, startDate, endDate, source) {
+    if (employees.length === 0) return [];
+
+    const ctx = await loadAttendanceContext(startDate, endDate, employees.length === 1 ? employees[0].employeeId : null);
+    const summaries = [];
+    employees.forEach(employee => {
+        buildEmployeeDays(ctx, employee).forEach(day => {
+            if (!day.projected) summaries.push(buildDailySummary(employee, day, source));
+        });
+    });
+
+    return DailySummary.putSummaries(summaries);
+}
+
+/**
+ * Clip a range to today; null when it lies entirely in the future.
+ * Branches east of the organization's timezone may already be a day ahead, so one
+ * extra day is let through - buildEmployeeDays skips each employee's own future days.
+ */
+function clipToToday(startDate, endDate) {
+    const today = addDays(getBusinessDate(), 1);
+    if (startDate > today) return null;
+    return { startDate, endDate: endDate > today ? today : endDate };
+}
+
+/**
+ * Rewrite an employee's summaries after their attendance or requests changed.
+ * Never throws: the change itself already succeeded, and missing rows are
+ * rebuilt on the next read or by POST /api/attendance/summaries/rebuild.
+ */
+async function refreshEmployeeSummaries(employeeId, startDate, endDate = startDate, source = 'UPDATE') {
+    try {
+        const range = clipToToday(startDate, endDate);
+        if (!range) return;
+
+        const employee = await Employee.getEmployeeById(employeeId);
+        if (!employee) return;
+
+        await writeSummaries([employee], range.startDate, range.endDate, source);
+    } catch (error) {
+        console.error(`Error refreshing daily summaries of ${employeeId}:`, error);
+    }
+}
+
+/**
+ * Rewrite the summaries of all active employees (optionally of one branch) after
+ * a calendar, shift or branch change. Never throws (see refreshEmployeeSummaries).
+ */
+async function refreshAllSummaries(startDate, endDate = startDate, source = 'UPDATE', branchId = null) {
+    try {
+        const range = clipToToday(startDate, endDate);
+        if (!range) return;
+
+        const employees = (await Employee.getAllEmployees())
+            .filter(e => e.status === 'active' && (!branchId || e.branchId === branchId));
+
+        await writeSummaries(employees, range.startDate, range.endDate, source);
+    } catch (error) {
+        console.error('Error refreshing daily summaries:', error);
+    }
+}
+
+/**
+ * The days of the payroll months still open: the previous month and this one, up to today
+ */
+function getRecentRange() {
+    const today = getBusinessDate();
+    const [year, month] = today.split('-').map(Number);
+    const startDate = new Date(Date.UTC(year, month - 2, 1)).toISOString().split('T')[0];
+    return { startDate, endDate: addDays(today, 1) };
+}
+
+/**
+ * Rewrite the summaries of the payroll months still open after a settings, shift or
+ * branch calendar change
+ */
+async function refreshRecentSummaries(source = 'SETTINGS', branchId = null) {
+    const { startDate, endDate } = getRecentRange();
+    await refreshAllSummaries(startDate, endDate, source, branchId);
+}
+
+/**
+ * Rewrite one employee's summaries of the payroll months still open after their
+ * calendar changed (weekly off, branch, joining date or status)
+ */
+async function refreshRecentEmployeeSummaries(employeeId, source = 'EMPLOYEE') {
+    const { startDate, endDate } = getRecentRange();
+    await refreshEmployeeSummaries(employeeId, startDate, endDate, source);
+}
+
+/**
+ * Validate a startDate/endDate pair from a request
+ * @returns {string|null} Error message
+ */
+function validateRange(startDate, endDate) {
+    if (!DATE_REGEX.test(startDate || '') || !DATE_REGEX.test(endDate || '')) {
+        return 'startDate and endDate (YYYY-MM-DD) are required';
+    }
+    if (endDate < startDate) {
+        return 'endDate cannot be before startDate';
+    }
+    if (listDates(startDate, endDate).length > MAX_RANGE_DAYS) {
+        return `Date range cannot exceed ${MAX_RANGE_DAYS} days`;
+    }
+    return null;
+}
+
+/**
+ * Daily summaries for dashboards, with totals over the rows
+ * GET /api/attendance/summaries?startDate=&endDate=[&branchId=][&employeeId=]
+ */
+async function getSummaries(req, res) {
+    try {
+        const { startDate, endDate, employeeId } = req.query;
+        // Branch managers can only read their own branch
+        const branchId = req.user.role === ROLES.BRANCH_MANAGER ? req.user.branchId : req.query.branchId;
+
+        const rangeError = validateRange(startDate, endDate);
+        if (rangeError) {
+            return res.status(400).json({ success: false, message: rangeError });
+        }
+
+        const employees = (await Employee.getAllEmployees())
+            .filter(e => (!branchId || e.branchId === branchId) && (!employeeId || e.employeeId === employeeId));
+
+        const summaries = await loadDailySummaries(employees, startDate, endDate);
+
+        const rows = [];
+        employees.forEach(e => rows.push(...Object.values(summaries[e.employeeId])));
+        rows.sort((a, b) => a.date.localeCompare(b.date) || a.employeeId.localeCompare(b.employeeId));
+
+        const totals = rows.reduce(addToStats, {
+            present: 0,
+            absent: 0,
+            lateIn: 0,
+            earlyOut: 0,
+            halfDay: 0,
+            weekOff: 0,
+            weekOffWorked: 0,
+            holiday: 0,
+            holidayWorked: 0,
+            leave: 0,
+            permission: 0,
+            regularized: 0,
+            systemClosed: 0,
+        });
+
+        res.json({ success: true, startDate, endDate, total: rows.length, totals, summaries: rows });
+    } catch (error) {
+        console.error('Error fetching daily summaries:', error);
+        res.status(500).json({ success: false, message: 'Error fetching daily summaries' });
+    }
+}
+
+/**
+ * Rebuild stored summaries from attendance (e.g. after a data fix outside the API)
+ * POST /api/attendance/summaries/rebuild { startDate, endDate, branchId?, employeeId? }
+ */
+async function rebuildSummaries(req, res) {
+    try {
+        const { startDate, endDate, branchId, employeeId } = req.body;
+
+        const rangeError = validateRange(startDate, endDate);
+        if (rangeError) {
+            return res.status(400).json({ success: false, message: rangeError });
+        }
+
+        const range = clipToToday(startDate, endDate);
+        if (!range) {
+            return res.status(400).json({ success: false, message: 'Cannot build summaries for future dates' });
+        }
+
+        const employees = (await Employee.getAllEmployees())
+            .filter(e => (!branchId || e.branchId === branchId) && (!employeeId || e.employeeId === employeeId));
+        if (employeeId && employees.length === 0) {
+            return res.status(404).json({ success: false, message: 'Employee not found' });
+        }
+
+        const summaries = await writeSummaries(employees, range.startDate, range.endDate, 'REBUILD');
+
+        res.json({
+            success: true,
+            message: `Rebuilt ${summaries.length} daily summaries`,
+            startDate: range.startDate,
+            endDate: range.endDate,
+            employees: employees.length,
+            summaries: summaries.length,
+        });
+    } catch (error) {
+        console.error('Error rebuilding daily summaries:', error);
+        res.status(500).json({ success: false, message: 'Error rebuilding daily summaries' });
+    }
+}
+
+module.exports = {
+    writeSummaries,
+    refreshEmployeeSummaries,
+    refreshAllSummaries,
+    refreshRecentSummaries,
+    refreshRecentEmployeeSummaries,
+    getSummaries,
+    rebuildSummaries,
+};
@@ -0,0 +1,69 @@
+const JobRun = require('../models/JobRun');
+const { getJobSchedules } = require('../models/Settings');
+const { getJob, runJob } = require('../jobs/scheduler');
+const { getZonedDateTime } = require('../utils/timezone');
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * List job runs (newest first)
+ * GET /api/jobs/runs?jobName=&date=
+ */
+async function getJobRuns(req, res) {
+    try {
+        const { jobName, date } = req.query;
+        const runs = await JobRun.getRuns({ jobName, date });
+        res.json({ success: true, runs });
+    } catch (error) {
+        console.error('Error fetching job runs:', error);
+        res.status(500).json({ success: false, message: 'Error fetching job runs' });
+    }
+}
+
+/**
+ * Run a job now (re-runs a date that already ran; also the trigger for external crons)
+ * POST /api/jobs/:jobName/run { date?, branchId? }
+ * date defaults to each branch's current local date.
+ */
+async function triggerJob(req, res) {
+    try {
+        const job = getJob(req.params.jobName);
+        if (!job) {
+            return res.status(404).json({ success: false, message: 'Job not found' });
+        }
+
+        const { date, branchId } = req.body;
+        if (date && !DATE_REGEX.test(date)) {
+            return res.status(400).json({ success: false, message: 'date must be YYYY-MM-DD' });
+        }
+
+        const scopes = (await job.getScopes()).filter(scope => !branchId || scope.branchId === branchId);
+        if (scopes.length === 0) {
+            return res.status(404).json({ success: false, message: 'Branch not found or inactive' });
+        }
+
+        const { schedules } = await getJobSchedules();
+        const schedule = schedules[job.scheduleKey];
+
+        const runs = [];
+        for (const scope of scopes) {
+            runs.push(await runJob(job, {
+                scope,
+                date: date || getZonedDateTime(new Date(), scope.timezone).date,
+                schedule,
+                force: true,
+                triggeredBy: req.user.employeeId,
+            }));
+        }
+
+        res.json({ success: true, runs });
+    } catch (error) {
+        console.error('Error running job:', error);
+        res.status(500).json({ success: false, message: 'Error running job' });
+    }
+}
+
+module.exports = {
+    getJobRuns,
+    triggerJob,
+};
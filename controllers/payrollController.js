@@ -0,0 +1,880 @@
+const PayrollRun = require('../models/PayrollRun');
+const Salary = require('../models/Salary');
+const Employee = require('../models/Employee');
+const Attendance = require('../models/Attendance');
+const Request = require('../models/Request');
+const Branch = require('../models/Branch');
+const Shift = require('../models/Shift');
+const ShiftAssignment = require('../models/ShiftAssignment');
+const Holiday = require('../models/Holiday');
+const SalaryStructure = require('../models/SalaryStructure');
+const AdvanceLedger = require('../models/AdvanceLedger');
+const DailySummary = require('../models/DailySummary');
+const { getAttendanceSettings, getWeeklyOffSettings, getLeavePolicy, getStatutorySettings, getBankFormats, getOvertimeSettings, getCompOffSettings } = require('../models/Settings');
+const { calculateDailyStatus } = require('../utils/attendanceCalculator');
+const { resolveShift, settingsToShift, getShiftWindow } = require('../utils/shiftUtils');
+const { resolveWeeklyOff, findHoliday } = require('../utils/calendar');
+const { LEAVE_REQUEST_TYPES, requestCoversDate, listDates } = require('../utils/leavePolicy');
+const { getMonthRange, calculatePayslip } = require('../utils/payrollCalculator');
+const { getInstallmentsDue } = require('../utils/advanceLedger');
+const { resolveOvertimeRules, getOvertimeDayType, calculateOvertime, getPayableOvertimeMinutes } = require('../utils/overtime');
+const { getCompOffDays } = require('../utils/compOff');
+const { resolveTimezone, getBusinessDate, getBusinessMonth } = require('../utils/timezone');
+const { buildDailySummary, summaryToDay } = require('../utils/dailySummary');
+const { renderPayslipPdf, getPayPeriodLabel, formatAmount } = require('../utils/payslipPdf');
+const { sendPayslipEmail } = require('../utils/emailService');
+const { splitDisbursement, renderBankFile, renderCashSheet, buildReconciliation } = require('../utils/bankFile');
+const { ROLES, MANAGER_ROLES, hasRole, canAccessEmployee } = require('../middleware/auth');
+
+const { RUN_STATUS } = PayrollRun;
+
+// Allowed run status changes: review a draft, send a review back, lock a reviewed run
+const RUN_TRANSITIONS = {
+    review: { from: RUN_STATUS.DRAFT, to: RUN_STATUS.REVIEWED, by: 'reviewedBy', at: 'reviewedAt' },
+    reopen: { from: RUN_STATUS.REVIEWED, to: RUN_STATUS.DRAFT, by: 'reopenedBy', at: 'reopenedAt' },
+    lock: { from: RUN_STATUS.REVIEWED, to: RUN_STATUS.LOCKED, by: 'lockedBy', at: 'lockedAt' },
+};
+
+/**
+ * Load everything needed to evaluate attendance days (see buildEmployeeDays) for a date range
+ * @param {string} employeeId - Only load this employee's sessions and requests (null = everyone's)
+ */
+async function loadAttendanceContext(startDate, endDate, employeeId = null) {
+    const [settings, shifts, shiftAssignments, weeklyOffSettings, branches, holidays, attendanceRecords, approvedRequests, overtimeConfig, compOffSettings] = await Promise.all([
+        getAttendanceSettings(),
+        Shift.getAllShifts(),
+        ShiftAssignment.getAllAssignments(),
+        getWeeklyOffSettings(),
+        Branch.getAllBranches(),
+        Holiday.getHolidaysByDateRange(startDate, endDate),
+        employeeId
+            ? Attendance.getEmployeeAttendanceByDateRange(employeeId, startDate, endDate)
+            : Attendance.getAttendanceByDateRange(startDate, endDate),
+        employeeId
+            ? Request.getApprovedRequestsByEmployee(employeeId, startDate, endDate)
+            : Request.getApprovedRequestsByDateRange(startDate, endDate),
+        getOvertimeSettings(),
+        getCompOffSettings(),
+    ]);
+
+    const branchMap = {};
+    branches.forEach(b => { branchMap[b.branchId] = b; });
+
+    return {
+        dates: listDates(startDate, endDate),
+        now: new Date(),
+        settings,
+        shifts,
+        shiftAssignments,
+        weeklyOffSettings,
+        branchMap,
+        holidays,
+        attendanceRecords,
+        approvedRequests,
+        overtimeConfig,
+        compOffRules: compOffSettings.rules,
+    };
+}
+
+/**
+ * Load everything needed to pay a month (days come from the daily summaries, see loadDailySummaries)
+ * @param {string} employeeId - Only load this employee's advances and claims (null = everyone's)
+ */
+async function loadPayrollContext(month, year, employeeId = null) {
+    const { startDate, endDate } = getMonthRange(month, year);
+
+    const [branches, leavePolicy, structures, statutoryRules] = await Promise.all([
+        Branch.getAllBranches(),
+        getLeavePolicy(),
+        SalaryStructure.getAllStructures(),
+        getStatutorySettings(),
+    ]);
+
+    // Advances are deducted by installment from the advance ledger, not by this month's dates;
+    // travel claims fall within one month and are paid in its payroll
+    const [approvedRequests, ledgerEntries, monthRequests] = await Promise.all(employeeId
+        ? [
+            Request.getApprovedRequestsByEmployee(employeeId),
+            AdvanceLedger.getEntriesByEmployee(employeeId),
+            Request.getApprovedRequestsByEmployee(employeeId, startDate, endDate),
+        ]
+        : [
+            Request.getAllRequests('APPROVED'),
+            AdvanceLedger.getAllEntries(),
+            Request.getApprovedRequestsByDateRange(startDate, endDate),
+        ]);
+    const approvedAdvances = approvedRequests.filter(r => r.type === 'ADVANCE');
+    const advanceEntries = [...ledgerEntries, ...await AdvanceLedger.syncDisbursements(approvedAdvances, ledgerEntries)];
+    const travelClaims = monthRequests.filter(r => r.type === 'TRAVEL_CLAIM');
+
+    const branchMap = {};
+    branches.forEach(b => { branchMap[b.branchId] = b; });
+
+    return {
+        month,
+        year,
+        startDate,
+        endDate,
+        dates: listDates(startDate, endDate),
+        branchMap,
+        advanceEntries,
+        travelClaims,
+        leavePolicy,
+        structures,
+        statutoryRules,
+    };
+}
+
+/**
+ * Evaluate each day of the month for an employee with calculateDailyStatus
+ */
+function buildEmployeeDays(ctx, employee) {
+    const branch = ctx.branchMap[employee.branchId] || null;
+    const weeklyOff = resolveWeeklyOff({ employee, branch, defaultPattern: ctx.weeklyOffSettings.pattern });
+    const empRecords = ctx.attendanceRecords.filter(r => r.employeeId === employee.employeeId);
+    const empRequests = ctx.approvedRequests.filter(r => r.employeeId === employee.employeeId);
+    const timeZone = resolveTimezone(branch);
+    const today = getBusinessDate(ctx.now, timeZone);
+
+    return ctx.dates.map(date => {
+        if (date > today) {
+            return { date, status: [], projected: true };
+        }
+
+        const sessions = empRecords
+            .filter(r => r.date === date)
+            .sort((a, b) => new Date(a.checkInTime) - new Date(b.checkInTime));
+
+        let attendance = null;
+        if (sessions.length > 0) {
+            attendance = {
+                checkInTime: sessions[0].checkInTime,
+                checkOutTime: sessions[sessions.length - 1].checkOutTime || null,
+                regularized: sessions.some(r => r.regularized),
+                systemClosed: sessions.some(r => r.systemClosed),
+            };
+        }
+
+        const dayRequests = empRequests.filter(r => requestCoversDate(r, date));
+        const leave = dayRequests.find(r => LEAVE_REQUEST_TYPES.includes(r.type)) || null;
+        const permission = dayRequests.find(r => r.type === 'PERMISSION') || null;
+        const shift = resolveShift({ employee, date, shifts: ctx.shifts, assignments: ctx.shiftAssignments });
+
+        const statusResult = calculateDailyStatus({
+            employee,
+            attendance,
+            leave,
+            permission,
+            settings: ctx.settings,
+            shift,
+            holiday: findHoliday(ctx.holidays, employee, branch, date),
+            weeklyOff,
+            date,
+            timeZone,
+        });
+
+        // Overtime from the day's sessions; paid as approved on an OVERTIME request when rules require it
+        const window = getShiftWindow(shift || settingsToShift(ctx.settings));
+        const overtimeRules = resolveOvertimeRules(ctx.overtimeConfig, { branchId: employee.branchId, shiftId: shift && shift.shiftId });
+        const overtime = calculateOvertime({
+            sessions,
+            window,
+            dayType: getOvertimeDayType(statusResult.status),
+            rules: overtimeRules,
+        });
+        const overtimeRequest = dayRequests.find(r => r.type === 'OVERTIME') || null;
+
+        // A worked week off or holiday that earns comp-off is not paid again as overtime
+        const compOffDays = getCompOffDays(overtime, ctx.compOffRules);
+        const payOvertime = !(compOffDays > 0 && ctx.compOffRules.replacesOvertime);
+
+        return {
+            date,
+            status: statusResult.status,
+            remarks: statusResult.remarks,
+            color: statusResult.color,
+            shift: (shift || settingsToShift(ctx.settings)).name,
+            times: statusResult.times || null,
+            attendance,
+            sessionCount: sessions.length,
+            leave,
+            permission,
+            overtime,
+            overtimeRequestId: overtimeRequest ? overtimeRequest.requestId : null,
+            overtimeMinutes: payOvertime ? getPayableOvertimeMinutes(overtime, overtimeRules, overtimeRequest) : 0,
+            compOffDays,
+            overtimeMultiplier: overtime.multiplier,
+            scheduledMinutes: window.scheduledMinutes,
+        };
+    });
+}
+
+/**
+ * Stored daily summaries of employees for a date range; days that have none yet are
+ * evaluated (loading the attendance context only then). Those are only stored with
+ * options.store, which payroll runs pass; reads (GET handlers) never write.
+ * @returns {Object} summaries[employeeId][date] (no entry for future dates)
+ */
+async function loadDailySummaries(employees, startDate, endDate, { store = false } = {}) {
+    // "Today" is per employee, on their branch's clock
+    const now = new Date();
+    const branchMap = {};
+    (await Branch.getAllBranches()).forEach(b => { branchMap[b.branchId] = b; });
+    const dates = listDates(startDate, endDate);
+    const pastDates = (employee) => {
+        const today = getBusinessDate(now, resolveTimezone(branchMap[employee.branchId]));
+        return dates.filter(date => date <= today);
+    };
+
+    const summaries = {};
+    employees.forEach(e => { summaries[e.employeeId] = {}; });
+    const stored = employees.length === 1
+        ? await DailySummary.getEmployeeSummaries(employees[0].employeeId, startDate, endDate)
+        : await DailySummary.getSummariesByDateRange(startDate, endDate);
+    stored.forEach(s => {
+        if (summaries[s.employeeId]) summaries[s.employeeId][s.date] = s;
+    });
+
+    const incomplete = employees.filter(e => pastDates(e).some(date => !summaries[e.employeeId][date]));
+    if (incomplete.length === 0) return summaries;
+
+    const ctx = await loadAttendanceContext(startDate, endDate, incomplete.length === 1 ? incomplete[0].employeeId : null);
+    const missing = [];
+    incomplete.forEach(employee => {
+        buildEmployeeDays(ctx, employee).forEach(day => {
+            if (day.projected || summaries[employee.employeeId][day.date]) return;
+            const summary = buildDailySummary(employee, day, store ? 'PAYROLL' : 'ON_READ');
+            summaries[employee.employeeId][day.date] = summary;
+            missing.push(summary);
+        });
+    });
+
+    if (store) await DailySummary.putSummaries(missing);
+    return summaries;
+}
+
+/**
+ * Compute a payslip for one employee from a loaded context and their daily summaries
+ */
+function computePayslip(ctx, employee, summaries) {
+    const branch = ctx.branchMap[employee.branchId] || null;
+    const byDate = summaries[employee.employeeId] || {};
+
+    return calculatePayslip({
+        employee,
+        month: ctx.month,
+        year: ctx.year,
+        days: ctx.dates.map(date => (byDate[date] ? summaryToDay(byDate[date]) : { date, status: [], projected: true })),
+        advanceInstallments: getInstallmentsDue(
+            ctx.advanceEntries.filter(e => e.employeeId === employee.employeeId),
+            ctx.month,
+            ctx.year
+        ),
+        reimbursements: ctx.travelClaims
+            .filter(r => r.employeeId === employee.employeeId)
+            .map(r => ({
+                code: 'TRAVEL',
+                name: `Travel Allowance (${r.data.distanceKm} km)`,
+                amount: r.data.amount,
+                requestId: r.requestId,
+            })),
+        leaveTypes: ctx.leavePolicy.types,
+        structure: SalaryStructure.resolveStructure(employee, ctx.structures),
+        statutoryRules: ctx.statutoryRules,
+        state: branch ? branch.state : null,
+    });
+}
+
+/**
+ * Evaluate a month of days for one employee (attendance status, overtime, comp-off earned)
+ */
+async function getEmployeeDays(employee, month, year) {
+    const { startDate, endDate } = getMonthRange(month, year);
+    const ctx = await loadAttendanceContext(startDate, endDate, employee.employeeId);
+    return buildEmployeeDays(ctx, employee);
+}
+
+/**
+ * Overtime worked by an employee on one date (for raising an OVERTIME request)
+ * @returns {Object} { dayType, workedMinutes, rawMinutes, minutes, multiplier } (minutes after blocks and cap)
+ */
+async function getOvertimeForDate(employee, date) {
+    const [year, month] = date.split('-').map(Number);
+    const day = (await getEmployeeDays(employee, month, year)).find(d => d.date === date);
+    return day && day.overtime ? day.overtime : null;
+}
+
+/**
+ * Overtime per day for an employee for a month, with the status of any OVERTIME request
+ * GET /api/salary/overtime/:employeeId?month=&year=
+ */
+async function getOvertimeSummary(req, res) {
+    try {
+        const { employeeId } = req.params;
+        const current = getBusinessMonth();
+        const month = parseInt(req.query.month) || current.month;
+        const year = parseInt(req.query.year) || current.year;
+
+        const employee = await Employee.getEmployeeById(employeeId);
+        if (!employee) {
+            return res.status(404).json({ success: false, message: 'Employee not found' });
+        }
+
+        const { startDate, endDate } = getMonthRange(month, year);
+        const [ctx, requests] = await Promise.all([
+            loadAttendanceContext(startDate, endDate, employeeId),
+            Request.getRequestsByEmployee(employeeId),
+        ]);
+        const overtimeRequests = requests.filter(r => r.type === 'OVERTIME' && !Request.CLOSED_STATUSES.includes(r.status));
+
+        const days = buildEmployeeDays(ctx, employee)
+            .filter(d => d.overtime && d.overtime.rawMinutes > 0)
+            .map(d => {
+                const request = overtimeRequests.find(r => r.data && r.data.date === d.date) || null;
+                return {
+                    date: d.date,
+                    ...d.overtime,
+                    payableMinutes: d.overtimeMinutes,
+                    compOffDays: d.compOffDays,
+                    request: request
+                        ? { requestId: request.requestId, status: request.status, minutes: request.data.minutes, approvedMinutes: request.data.approvedMinutes }
+                        : null,
+                };
+            });
+
+        res.json({
+            success: true,
+            employeeId,
+            month,
+            year,
+            days,
+            totalMinutes: days.reduce((sum, d) => sum + d.minutes, 0),
+            totalPayableMinutes: days.reduce((sum, d) => sum + d.payableMinutes, 0),
+        });
+    } catch (error) {
+        console.error('Error fetching overtime:', error);
+        res.status(500).json({ success: false, message: 'Error fetching overtime' });
+    }
+}
+
+/**
+ * Compute a payslip for one employee without saving it (or anything else)
+ */
+async function calculateEmployeePayslip(employee, month, year) {
+    const ctx = await loadPayrollContext(month, year, employee.employeeId);
+    const summaries = await loadDailySummaries([employee], ctx.startDate, ctx.endDate);
+    return computePayslip(ctx, employee, summaries);
+}
+
+/**
+ * Compute payslips for every active employee (optionally of one branch) for a month
+ */
+async function computeMonthPayslips(month, year, branchId = null) {
+    const ctx = await loadPayrollContext(month, year);
+
+    let employees = (await Employee.getAllEmployees()).filter(e => e.status === 'active');
+    if (branchId) {
+        employees = employees.filter(e => e.branchId === branchId);
+    }
+
+    const summaries = await loadDailySummaries(employees, ctx.startDate, ctx.endDate, { store: true });
+    return employees.map(employee => computePayslip(ctx, employee, summaries));
+}
+
+/**
+ * Compute and save all payslips for a run, replacing any previous draft payslips
+ */
+async function computeRun(run) {
+    const computed = await computeMonthPayslips(run.month, run.year, run.branchId);
+
+    const payslips = [];
+    for (const payslip of computed) {
+        payslips.push(await Salary.savePayslip({
+            ...payslip,
+            runId: run.runId,
+            status: run.status,
+        }));
+    }
+
+    // Drop payslips of employees no longer in the run (left, moved branch)
+    const keep = new Set(payslips.map(p => p.salaryId));
+    const previous = await Salary.getPayslipsByRun(run.runId);
+    for (const old of previous.filter(p => !keep.has(p.salaryId))) {
+        await Salary.deleteSalary(old.salaryId);
+    }
+
+    const sum = (key) => Math.round(payslips.reduce((total, p) => total + p[key], 0) * 100) / 100;
+    const totals = {
+        employees: payslips.length,
+        grossPay: sum('grossPay'),
+        totalDeductions: sum('totalDeductions'),
+        totalReimbursements: sum('totalReimbursements'),
+        netPay: sum('netPay'),
+        totalEmployerContributions: sum('totalEmployerContributions'),
+        costToCompany: sum('costToCompany'),
+    };
+
+    const updatedRun = await PayrollRun.updateRun(run.runId, { totals, computedAt: new Date().toISOString() });
+    return { run: updatedRun, payslips };
+}
+
+/**
+ * Whether a payroll month has ended (on the branch's clock for a branch run)
+ * Payslips pay the days still to come as projected, so runs are only for months that are over.
+ */
+async function isPeriodOver(month, year, branchId = null) {
+    const current = getBusinessMonth(new Date(), await Branch.getBranchTimezone(branchId));
+    return year < current.year || (year === current.year && month < current.month);
+}
+
+/**
+ * Create a payroll run for a month that has ended (and optionally a branch) and compute draft payslips
+ */
+async function createRun(req, res) {
+    try {
+        const month = parseInt(req.body.month);
+        const year = parseInt(req.body.year);
+        const branchId = req.body.branchId || null;
+
+        if (!(month >= 1 && month <= 12) || !(year >= 2000)) {
+            return res.status(400).json({ success: false, message: 'Valid month (1-12) and year are required' });
+        }
+
+        if (branchId && !(await Branch.getBranchById(branchId))) {
+            return res.status(404).json({ success: false, message: 'Branch not found' });
+        }
+
+        if (!(await isPeriodOver(month, year, branchId))) {
+            return res.status(400).json({ success: false, message: 'Payroll can only be run once the month is over' });
+        }
+
+        // One run per employee per month: an all-branch run overlaps every branch run
+        const existing = await PayrollRun.getAllRuns(month, year);
+        const overlapping = existing.find(r => !r.branchId || !branchId || r.branchId === branchId);
+        if (overlapping) {
+            return res.status(409).json({ success: false, message: 'A payroll run already exists for this month', runId: overlapping.runId });
+        }
+
+        const run = await PayrollRun.createRun({ month, year, branchId, createdBy: req.user.employeeId });
+        const result = await computeRun(run);
+
+        res.status(201).json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error creating payroll run:', error);
+        res.status(500).json({ success: false, message: 'Error creating payroll run' });
+    }
+}
+
+/**
+ * List payroll runs (optional month/year filter)
+ */
+async function getRuns(req, res) {
+    try {
+        const { month, year } = req.query;
+        let runs = await PayrollRun.getAllRuns(month ? parseInt(month) : null, year ? parseInt(year) : null);
+
+        if (req.user.role === ROLES.BRANCH_MANAGER) {
+            runs = runs.filter(r => r.branchId === req.user.branchId);
+        }
+
+        res.json({ success: true, runs });
+    } catch (error) {
+        console.error('Error fetching payroll runs:', error);
+        res.status(500).json({ success: false, message: 'Error fetching payroll runs' });
+    }
+}
+
+/**
+ * Get a payroll run with its payslips
+ */
+async function getRun(req, res) {
+    try {
+        const run = await PayrollRun.getRunById(req.params.runId);
+        if (!run || (req.user.role === ROLES.BRANCH_MANAGER && run.branchId !== req.user.branchId)) {
+            return res.status(404).json({ success: false, message: 'Payroll run not found' });
+        }
+
+        const payslips = await Salary.getPayslipsByRun(run.runId);
+        res.json({ success: true, run, payslips });
+    } catch (error) {
+        console.error('Error fetching payroll run:', error);
+        res.status(500).json({ success: false, message: 'Error fetching payroll run' });
+    }
+}
+
+/**
+ * Recompute a draft run (after attendance or request corrections)
+ */
+async function recomputeRun(req, res) {
+    try {
+        const run = await PayrollRun.getRunById(req.params.runId);
+        if (!run) {
+            return res.status(404).json({ success: false, message: 'Payroll run not found' });
+        }
+
+        if (run.status !== RUN_STATUS.DRAFT) {
+            return res.status(400).json({ success: false, message: `Only DRAFT runs can be recomputed (run is ${run.status})` });
+        }
+
+        const result = await computeRun(run);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error recomputing payroll run:', error);
+        res.status(500).json({ success: false, message: 'Error recomputing payroll run' });
+    }
+}
+
+/**
+ * Advances whose installment on a payslip is more than is left on them, e.g. after a
+ * settlement or write-off made since the run was computed
+ * @returns {Array} "employeeId/requestId" of each
+ */
+async function findOverdrawnAdvances(payslips, month, year) {
+    const overdrawn = [];
+    for (const payslip of payslips) {
+        const installments = (payslip.advanceInstallments || []).filter(i => i.amount > 0);
+        if (installments.length === 0) continue;
+
+        const due = getInstallmentsDue(await AdvanceLedger.getEntriesByEmployee(payslip.employeeId), month, year);
+        installments.forEach(installment => {
+            const advance = due.find(d => d.requestId === installment.requestId);
+            if (installment.amount > (advance ? advance.outstanding : 0)) {
+                overdrawn.push(`${payslip.employeeId}/${installment.requestId}`);
+            }
+        });
+    }
+    return overdrawn;
+}
+
+/**
+ * Move a run through its lifecycle: review, reopen or lock
+ * Payslips carry the run status so employees only see locked ones
+ */
+async function transitionRun(req, res) {
+    try {
+        const transition = RUN_TRANSITIONS[req.params.action];
+        if (!transition) {
+            return res.status(400).json({ success: false, message: 'Invalid action' });
+        }
+
+        const run = await PayrollRun.getRunById(req.params.runId);
+        if (!run) {
+            return res.status(404).json({ success: false, message: 'Payroll run not found' });
+        }
+
+        if (run.status !== transition.from) {
+            return res.status(400).json({ success: false, message: `Cannot ${req.params.action} a ${run.status} run` });
+        }
+
+        if (transition.to !== RUN_STATUS.DRAFT && !(await isPeriodOver(run.month, run.year, run.branchId))) {
+            return res.status(400).json({ success: false, message: `Cannot ${req.params.action} a run before the month is over` });
+        }
+
+        const payslips = await Salary.getPayslipsByRun(run.runId);
+
+        if (transition.to === RUN_STATUS.LOCKED) {
+            const overdrawn = await findOverdrawnAdvances(payslips, run.month, run.year);
+            if (overdrawn.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    message: `Advance deductions exceed what is outstanding for ${overdrawn.join(', ')}; recompute the run before locking it`,
+                });
+            }
+        }
+
+        // The status changes first, so a run locked twice at once records its installments once
+        const updatedRun = await PayrollRun.updateRunStatus(run.runId, transition.from, transition.to, {
+            [transition.by]: req.user.employeeId,
+            [transition.at]: new Date().toISOString(),
+        });
+        if (!updatedRun) {
+            return res.status(409).json({ success: false, message: 'This run was changed by someone else in the meantime; reload it and try again' });
+        }
+
+        for (const payslip of payslips) {
+            await Salary.updateSalary(payslip.salaryId, { status: transition.to });
+        }
+
+        // Locking makes the advance deductions final
+        if (transition.to === RUN_STATUS.LOCKED) {
+            for (const payslip of payslips) {
+                for (const installment of (payslip.advanceInstallments || []).filter(i => i.amount > 0)) {
+                    await AdvanceLedger.recordInstallment({
+                        employeeId: payslip.employeeId,
+                        requestId: installment.requestId,
+                        month: run.month,
+                        year: run.year,
+                        amount: installment.amount,
+                        runId: run.runId,
+                        createdBy: req.user.employeeId,
+                    });
+                }
+            }
+        }
+
+        res.json({ success: true, run: updatedRun });
+    } catch (error) {
+        console.error('Error updating payroll run:', error);
+        res.status(500).json({ success: false, message: 'Error updating payroll run' });
+    }
+}
+
+/**
+ * Delete a draft run and its payslips
+ */
+async function deleteRun(req, res) {
+    try {
+        const run = await PayrollRun.getRunById(req.params.runId);
+        if (!run) {
+            return res.status(404).json({ success: false, message: 'Payroll run not found' });
+        }
+
+        if (run.status !== RUN_STATUS.DRAFT) {
+            return res.status(400).json({ success: false, message: 'Only DRAFT runs can be deleted' });
+        }
+
+        const payslips = await Salary.getPayslipsByRun(run.runId);
+        for (const payslip of payslips) {
+            await Salary.deleteSalary(payslip.salaryId);
+        }
+        await PayrollRun.deleteRun(run.runId);
+
+        res.json({ success: true, message: 'Payroll run deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting payroll run:', error);
+        res.status(500).json({ success: false, message: 'Error deleting payroll run' });
+    }
+}
+
+/**
+ * File name for a payslip PDF, e.g. payslip-EMP001-2026-03.pdf
+ */
+function payslipFilename(payslip) {
+    return `payslip-${payslip.employeeId}-${payslip.year}-${String(payslip.month).padStart(2, '0')}.pdf`;
+}
+
+/**
+ * Render a payslip as PDF
+ * Employees can only download their own payslips once the run is locked
+ */
+async function getPayslipPdf(req, res) {
+    try {
+        const payslip = await Salary.getSalaryById(req.params.salaryId);
+        const visible = payslip && payslip.recordType === 'PAYSLIP'
+            && (hasRole(req.user, MANAGER_ROLES) || payslip.status === RUN_STATUS.LOCKED);
+        if (!visible) {
+            return res.status(404).json({ success: false, message: 'Payslip not found' });
+        }
+
+        if (!(await canAccessEmployee(req.user, payslip.employeeId))) {
+            return res.status(403).json({ success: false, message: 'You do not have access to this payslip' });
+        }
+
+        const employee = (await Employee.getEmployeeById(payslip.employeeId)) || {};
+        const branch = payslip.branchId ? await Branch.getBranchById(payslip.branchId) : null;
+        const pdf = await renderPayslipPdf(payslip, employee, branch);
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `inline; filename="${payslipFilename(payslip)}"`,
+        });
+        res.send(pdf);
+    } catch (error) {
+        console.error('Error rendering payslip:', error);
+        res.status(500).json({ success: false, message: 'Error rendering payslip' });
+    }
+}
+
+/**
+ * Email every payslip in a locked run (or just the given employeeIds) to the employees
+ */
+async function emailRunPayslips(req, res) {
+    try {
+        const run = await PayrollRun.getRunById(req.params.runId);
+        if (!run) {
+            return res.status(404).json({ success: false, message: 'Payroll run not found' });
+        }
+
+        if (run.status !== RUN_STATUS.LOCKED) {
+            return res.status(400).json({ success: false, message: 'Payslips can only be emailed for LOCKED runs' });
+        }
+
+        const { employeeIds } = req.body;
+        let payslips = await Salary.getPayslipsByRun(run.runId);
+        if (Array.isArray(employeeIds) && employeeIds.length > 0) {
+            payslips = payslips.filter(p => employeeIds.includes(p.employeeId));
+        }
+
+        const results = [];
+        // One at a time to stay within SMTP rate limits
+        for (const payslip of payslips) {
+            const employee = await Employee.getEmployeeById(payslip.employeeId);
+            if (!employee || !employee.email) {
+                results.push({ employeeId: payslip.employeeId, status: 'SKIPPED', reason: 'No email on file' });
+                continue;
+            }
+
+            try {
+                const branch = payslip.branchId ? await Branch.getBranchById(payslip.branchId) : null;
+                const pdf = await renderPayslipPdf(payslip, employee, branch);
+                await sendPayslipEmail({
+                    email: employee.email,
+                    employeeName: employee.name,
+                    payPeriod: getPayPeriodLabel(payslip),
+                    netPay: formatAmount(payslip.netPay),
+                    pdf,
+                    filename: payslipFilename(payslip),
+                });
+                await Salary.updateSalary(payslip.salaryId, { emailedAt: new Date().toISOString() });
+                results.push({ employeeId: payslip.employeeId, status: 'SENT', email: employee.email });
+            } catch (e) {
+                results.push({ employeeId: payslip.employeeId, status: 'FAILED', reason: e.message });
+            }
+        }
+
+        res.json({
+            success: true,
+            sent: results.filter(r => r.status === 'SENT').length,
+            skipped: results.filter(r => r.status === 'SKIPPED').length,
+            failed: results.filter(r => r.status === 'FAILED').length,
+            results,
+        });
+    } catch (error) {
+        console.error('Error emailing payslips:', error);
+        res.status(500).json({ success: false, message: 'Error emailing payslips' });
+    }
+}
+
+/**
+ * Payslips of the locked runs covering a month (and optionally a branch)
+ * Either one all-branch run, or the per-branch runs of every branch with active employees.
+ * @returns {Object} { runs, payslips }, or { error } naming the branches that are not locked
+ */
+async function getLockedPayslips(month, year, branchId, employees) {
+    const runs = (await PayrollRun.getAllRuns(month, year)).filter(r => r.status === RUN_STATUS.LOCKED);
+
+    const allBranchRun = runs.find(r => !r.branchId);
+    if (allBranchRun) {
+        const payslips = await Salary.getPayslipsByRun(allBranchRun.runId);
+        return { runs: [allBranchRun], payslips: branchId ? payslips.filter(p => p.branchId === branchId) : payslips };
+    }
+
+    const branchIds = branchId
+        ? [branchId]
+        : [...new Set(employees.filter(e => e.status === 'active' && e.branchId).map(e => e.branchId))];
+    const branchRuns = branchIds.map(id => runs.find(r => r.branchId === id) || null);
+    const unlocked = branchIds.filter((id, i) => !branchRuns[i]);
+    if (unlocked.length > 0) {
+        return { error: `Lock the ${month}/${year} payroll run before exporting it. Not locked: ${unlocked.join(', ')}` };
+    }
+
+    const payslips = [];
+    for (const run of branchRuns) {
+        payslips.push(...(await Salary.getPayslipsByRun(run.runId)));
+    }
+    return { runs: branchRuns, payslips };
+}
+
+/**
+ * Bank disbursement for a month: bank transfer file, cash sheet and per-branch reconciliation
+ * Pays only what locked payroll runs hold (see getLockedPayslips).
+ * ?download=bank returns the bank file, ?download=cash the cash sheet; otherwise a JSON summary.
+ */
+async function getDisbursement(req, res) {
+    try {
+        const month = parseInt(req.query.month);
+        const year = parseInt(req.query.year);
+        const branchId = req.query.branchId || null;
+        const formatCode = req.query.format || 'NEFT_CSV';
+        const paymentDate = req.query.paymentDate || getBusinessDate();
+
+        if (!(month >= 1 && month <= 12) || !(year >= 2000)) {
+            return res.status(400).json({ success: false, message: 'Valid month (1-12) and year are required' });
+        }
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(paymentDate)) {
+            return res.status(400).json({ success: false, message: 'paymentDate must be YYYY-MM-DD' });
+        }
+
+        const { formats } = await getBankFormats();
+        const format = formats[formatCode];
+        if (!format) {
+            return res.status(400).json({ success: false, message: `Unknown bank format. Available: ${Object.keys(formats).join(', ')}` });
+        }
+
+        const [employees, branches] = await Promise.all([Employee.getAllEmployees(), Branch.getAllBranches()]);
+        const locked = await getLockedPayslips(month, year, branchId, employees);
+        if (locked.error) {
+            return res.status(400).json({ success: false, message: locked.error });
+        }
+        const { payslips } = locked;
+
+        const employeeMap = {};
+        employees.forEach(e => { employeeMap[e.employeeId] = e; });
+        const branchMap = {};
+        branches.forEach(b => { branchMap[b.branchId] = b; });
+
+        const period = getPayPeriodLabel({ month, year });
+        const { bankRows, cashRows, rejected } = splitDisbursement({
+            payslips,
+            employeeMap,
+            narration: `SALARY ${period.slice(0, 3).toUpperCase()} ${year}`,
+        });
+
+        const baseName = `salary-${year}-${String(month).padStart(2, '0')}${branchId ? `-${branchId}` : ''}`;
+        const bankFilename = `${baseName}-${formatCode}.${format.extension || (format.type === 'CSV' ? 'csv' : 'txt')}`;
+        const cashFilename = `${baseName}-cash.csv`;
+
+        if (req.query.download === 'bank') {
+            res.set({
+                'Content-Type': format.type === 'CSV' ? 'text/csv' : 'text/plain',
+                'Content-Disposition': `attachment; filename="${bankFilename}"`,
+            });
+            return res.send(renderBankFile(format, bankRows, paymentDate));
+        }
+
+        if (req.query.download === 'cash') {
+            res.set({
+                'Content-Type': 'text/csv',
+                'Content-Disposition': `attachment; filename="${cashFilename}"`,
+            });
+            return res.send(renderCashSheet(cashRows));
+        }
+
+        res.json({
+            success: true,
+            month,
+            year,
+            branchId,
+            source: { type: 'PAYROLL_RUN', runIds: locked.runs.map(r => r.runId) },
+            format: formatCode,
+            paymentDate,
+            bankFile: { filename: bankFilename, count: bankRows.length },
+            cashSheet: { filename: cashFilename, count: cashRows.length },
+            rejected,
+            reconciliation: buildReconciliation({ bankRows, cashRows, rejected, branchMap }),
+        });
+    } catch (error) {
+        console.error('Error preparing salary disbursement:', error);
+        res.status(500).json({ success: false, message: 'Error preparing salary disbursement' });
+    }
+}
+
+module.exports = {
+    loadAttendanceContext,
+    buildEmployeeDays,
+    loadDailySummaries,
+    calculateEmployeePayslip,
+    getEmployeeDays,
+    getOvertimeForDate,
+    getOvertimeSummary,
+    createRun,
+    getRuns,
+    getRun,
+    recomputeRun,
+    transitionRun,
+    deleteRun,
+    getPayslipPdf,
+    emailRunPayslips,
+    getDisbursement
+};
@@ -1,33 +1,337 @@
 const Request = require('../models/Request');
 const Employee = require('../models/Employee');
+const Attendance = require('../models/Attendance');
+const Branch = require('../models/Branch');
+const LeaveLedger = require('../models/LeaveLedger');
+const AdvanceLedger = require('../models/AdvanceLedger');
+const CompOff = require('../models/CompOff');
+const PayrollRun = require('../models/PayrollRun');
+const { getLeavePolicy, getApprovalChains } = require('../models/Settings');
+const { getOvertimeForDate } = require('./payrollController');
+const { validateCompOffRequest, getCompOffDays } = require('./compOffController');
+const { validateTravelClaimRequest } = require('./travelController');
+const { getApprovers, getRequestChain } = require('./approvalController');
+const { refreshEmployeeSummaries } = require('./dailySummaryController');
+const { ROLES, hasRole, canAccessEmployee } = require('../middleware/auth');
+const { normalizeLeaveData, getRequestDateRange } = require('../utils/leavePolicy');
+const { MAX_ADVANCE_INSTALLMENTS, buildRepaymentPlan } = require('../utils/advanceLedger');
+const { validateRegularization } = require('../utils/regularization');
+const { getBusinessDate, getBusinessMonth } = require('../utils/timezone');
+const { selectChainSteps, buildApprovalChain, getCurrentStep, canActOnStep, recordStepDecision } = require('../utils/approvalChain');
+
+// Allowed status changes: decisions are taken on PENDING requests,
+// and approved requests can still be cancelled (which reverses their side effects)
+const STATUS_TRANSITIONS = {
+    PENDING: ['APPROVED', 'REJECTED', 'CANCELLED'],
+    APPROVED: ['CANCELLED'],
+};
+
+// Approved requests an employee can ask to cancel before they start (the cancellation is approved like a request)
+const EMPLOYEE_CANCELLABLE_TYPES = ['LEAVE', 'COMP_OFF', 'PERMISSION'];
+
+// Every decision is written only if the request is unchanged since it was read (see Request.updateRequestStatus)
+const CHANGED_MEANWHILE = 'This request was changed by someone else in the meantime; reload it and try again';
+
+/**
+ * Check a LEAVE request against the leave policy and the employee's balance
+ * Only working days are charged (see LeaveLedger.getChargedDaysByYear), each against the
+ * balance of its own leave year; data.days is set to the days charged.
+ * @returns {Object} { data } or { error }
+ */
+async function validateLeaveRequest(employee, data = {}, excludeRequestId = null) {
+    const policy = await getLeavePolicy();
+    const leaveType = policy.types[data.leaveType];
+
+    if (!leaveType) {
+        return { error: `Invalid leave type. Allowed: ${Object.keys(policy.types).join(', ')}` };
+    }
+
+    const daysByYear = await LeaveLedger.getChargedDaysByYear(employee, { data });
+    const requestedDays = Object.values(daysByYear).reduce((sum, days) => sum + days, 0);
+    if (requestedDays === 0) {
+        return { error: 'The selected dates are all week offs or holidays' };
+    }
+
+    if (!leaveType.unlimited) { // LOP is never capped
+        const error = await checkLeaveBalance(employee, data, daysByYear, excludeRequestId, 'availableAfterPending');
+        if (error) {
+            return { error };
+        }
+    }
+
+    return { data: { ...data, days: requestedDays } };
+}
+
+/**
+ * Check leave days per year against the balance of each leave year
+ * @param {string} field - 'availableAfterPending' when raising, 'available' when approving
+ * @returns {string|null} Error message, or null when the balance covers the days
+ */
+async function checkLeaveBalance(employee, data, daysByYear, excludeRequestId, field) {
+    for (const [year, days] of Object.entries(daysByYear)) {
+        const asOfDate = data.fromDate.startsWith(year) ? data.fromDate : `${year}-01-01`;
+        const { balances } = await LeaveLedger.getBalances(employee, asOfDate, excludeRequestId);
+        const balance = balances.find(b => b.leaveType === data.leaveType);
+
+        if (days > balance[field]) {
+            return `Insufficient ${data.leaveType} balance for ${year}: ${balance[field]} day(s) available, ${days} requested`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Check an OVERTIME request against the overtime worked that day
+ * Minutes default to the overtime computed from the attendance sessions and cannot exceed it.
+ * @returns {Object} { data } or { error }
+ */
+async function validateOvertimeRequest(employee, data = {}, excludeRequestId = null) {
+    const today = getBusinessDate(new Date(), await Branch.getBranchTimezone(employee.branchId));
+    if (!data.date || !/^\d{4}-\d{2}-\d{2}$/.test(data.date) || data.date > today) {
+        return { error: 'A past or current date (YYYY-MM-DD) is required' };
+    }
+
+    const existing = (await Request.getRequestsByEmployee(employee.employeeId))
+        .find(r => r.type === 'OVERTIME' && r.requestId !== excludeRequestId && r.data && r.data.date === data.date
+            && !Request.CLOSED_STATUSES.includes(r.status));
+    if (existing) {
+        return { error: `Overtime for ${data.date} has already been requested` };
+    }
+
+    const overtime = await getOvertimeForDate(employee, data.date);
+    if (!overtime || overtime.minutes <= 0) {
+        return { error: `No overtime recorded on ${data.date}` };
+    }
+
+    const minutes = data.minutes !== undefined ? parseInt(data.minutes) : overtime.minutes;
+    if (!(minutes > 0 && minutes <= overtime.minutes)) {
+        return { error: `minutes must be between 1 and the ${overtime.minutes} minutes of overtime recorded` };
+    }
+
+    return {
+        data: {
+            ...data,
+            minutes,
+            computedMinutes: overtime.minutes,
+            dayType: overtime.dayType,
+            multiplier: overtime.multiplier,
+        },
+    };
+}
+
+/**
+ * Check a REGULARIZATION request against the attendance session it corrects
+ * @returns {Object} { data } or { error }
+ */
+async function validateRegularizationRequest(employee, data = {}, excludeRequestId = null) {
+    let record = null;
+    if (data.attendanceId) {
+        record = await Attendance.getAttendanceById(data.attendanceId);
+        if (!record || record.employeeId !== employee.employeeId) {
+            return { error: 'Attendance record not found' };
+        }
+    }
+
+    const timeZone = await Branch.getBranchTimezone(employee.branchId);
+    const result = validateRegularization(data, record, getBusinessDate(new Date(), timeZone), timeZone);
+    if (result.error) return result;
+
+    const pending = (await Request.getRequestsByEmployee(employee.employeeId))
+        .find(r => r.type === 'REGULARIZATION' && r.status === 'PENDING' && r.requestId !== excludeRequestId && r.data
+            && (record ? r.data.attendanceId === record.attendanceId : (!r.data.attendanceId && r.data.date === data.date)));
+    if (pending) {
+        return { error: 'A regularization for this attendance is already pending' };
+    }
+
+    return result;
+}
+
+/**
+ * Payroll months a request's dates fall in must not be locked when its approval is reversed,
+ * since the locked payslips already paid (or deducted) for it. A TRAVEL_CLAIM is paid in the
+ * payroll of its month, so it cannot be approved once that is locked either.
+ * @param {string} action - What is being done to the request, for the message
+ * @returns {string|null} Error message, or null when the request can be reversed
+ */
+async function checkPayrollNotLocked(employee, request, action = 'cancelled') {
+    if (request.type === 'ADVANCE') return null; // The advance ledger settles what is still outstanding
+
+    const range = getRequestDateRange(request);
+    if (!range) return null;
+
+    const months = new Set([range.startDate.slice(0, 7), range.endDate.slice(0, 7)]);
+    for (const period of months) {
+        const [year, month] = period.split('-').map(Number);
+        const runs = await PayrollRun.getAllRuns(month, year);
+        const locked = runs.find(r => r.status === PayrollRun.RUN_STATUS.LOCKED && (!r.branchId || r.branchId === employee.branchId));
+        if (locked) {
+            return `Payroll for ${period} is locked; this request can no longer be ${action}`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Apply the side effects of a request that was just approved: leave is debited, comp-off
+ * credits are consumed, the attendance session is corrected and the advance is disbursed
+ */
+async function applyApprovedRequest(employee, request, actorId, repaymentPlan) {
+    switch (request.type) {
+        case 'LEAVE':
+            return LeaveLedger.debitForRequest(employee, request, actorId);
+        case 'COMP_OFF':
+            return CompOff.consumeForRequest(request, await getCompOffDays(employee, request));
+        case 'REGULARIZATION':
+            return Attendance.regularizeAttendance(request, actorId, await Branch.getBranchTimezone(employee.branchId));
+        case 'ADVANCE':
+            return AdvanceLedger.disburseForRequest(request, repaymentPlan, actorId);
+        default:
+            return null;
+    }
+}
+
+/**
+ * Reverse the side effects of an approved request that is being cancelled:
+ * leave is credited back, comp-off credits are restored, the outstanding advance is
+ * closed, and a regularized attendance session gets its earlier times back.
+ * Overtime and permissions have no side effects beyond the daily summaries (see refreshRequestSummaries).
+ */
+async function reverseApprovedRequest(request, actorId) {
+    switch (request.type) {
+        case 'LEAVE':
+            return LeaveLedger.reverseForRequest(request, actorId);
+        case 'COMP_OFF':
+            return CompOff.restoreForRequest(request);
+        case 'ADVANCE':
+            return AdvanceLedger.cancelForRequest(request, actorId);
+        case 'REGULARIZATION':
+            return Attendance.revertRegularization(request);
+        default:
+            return null;
+    }
+}
+
+/**
+ * Rewrite the daily summaries of the days a request covers, after it was approved or its approval undone
+ */
+async function refreshRequestSummaries(request) {
+    const range = getRequestDateRange(request);
+    if (range) {
+        await refreshEmployeeSummaries(request.employeeId, range.startDate, range.endDate, 'REQUEST');
+    }
+}
+
+/**
+ * Validate and normalize a request's data for its type (on create and on edit)
+ * @param {string} excludeRequestId - Request being edited, left out of balance and duplicate checks
+ * @returns {Object} { data } or { error }
+ */
+async function prepareRequestData(employee, type, data, excludeRequestId = null) {
+    if (type === 'LEAVE') {
+        const normalized = normalizeLeaveData(data);
+        if (normalized.error) {
+            return { error: normalized.error };
+        }
+        const leave = await validateLeaveRequest(employee, normalized.data, excludeRequestId);
+        if (leave.error) {
+            return { error: leave.error };
+        }
+        data = leave.data;
+    }
+
+    if (type === 'COMP_OFF') {
+        const normalized = normalizeLeaveData({ ...data, leaveType: 'COMP_OFF' });
+        if (normalized.error) {
+            return { error: normalized.error };
+        }
+        data = normalized.data;
+
+        const compOffError = await validateCompOffRequest(employee, data, excludeRequestId);
+        if (compOffError) {
+            return { error: compOffError };
+        }
+        data = { ...data, days: await getCompOffDays(employee, { data }) };
+    }
+
+    if (type === 'REGULARIZATION') {
+        const regularization = await validateRegularizationRequest(employee, data, excludeRequestId);
+        if (regularization.error) {
+            return { error: regularization.error };
+        }
+        data = regularization.data;
+    }
+
+    if (type === 'OVERTIME') {
+        const overtime = await validateOvertimeRequest(employee, data, excludeRequestId);
+        if (overtime.error) {
+            return { error: overtime.error };
+        }
+        data = overtime.data;
+    }
+
+    if (type === 'TRAVEL_CLAIM') {
+        const claim = await validateTravelClaimRequest(employee, data, excludeRequestId);
+        if (claim.error) {
+            return { error: claim.error };
+        }
+        data = claim.data;
+    }
+
+    if (type === 'ADVANCE' && data && data.installments !== undefined) {
+        const installments = parseInt(data.installments);
+        if (!(installments >= 1 && installments <= MAX_ADVANCE_INSTALLMENTS)) {
+            return { error: `installments must be between 1 and ${MAX_ADVANCE_INSTALLMENTS}` };
+        }
+        data = { ...data, installments };
+    }
+
+    return { data };
+}
 
 /**
  * Create a new Request
  */
 async function createRequest(req, res) {
     try {
-        const { employeeId, type, data } = req.body;
+        const { type } = req.body;
+        let { data } = req.body;
+        const employeeId = req.body.employeeId || req.user.employeeId;
 
         if (!employeeId || !type) {
             return res.status(400).json({ success: false, message: 'Missing required fields' });
         }
 
         // Validate Request Type
-        const allowedTypes = ['ADVANCE', 'LEAVE', 'PERMISSION'];
+        const allowedTypes = ['ADVANCE', 'LEAVE', 'PERMISSION', 'OVERTIME', 'COMP_OFF', 'REGULARIZATION', 'TRAVEL_CLAIM'];
         if (!allowedTypes.includes(type)) {
             return res.status(400).json({ success: false, message: 'Invalid request type' });
         }
 
+        // Employees can only raise requests for themselves
+        if (!(await canAccessEmployee(req.user, employeeId))) {
+            return res.status(403).json({ success: false, message: 'You can only create requests for yourself' });
+        }
+
         // Check if employee exists
-        const employeeExists = await Employee.employeeExists(employeeId);
-        if (!employeeExists) {
+        const employee = await Employee.getEmployeeById(employeeId);
+        if (!employee) {
             return res.status(404).json({ success: false, message: 'Employee not found' });
         }
 
+        const prepared = await prepareRequestData(employee, type, data);
+        if (prepared.error) {
+            return res.status(400).json({ success: false, message: prepared.error });
+        }
+        data = prepared.data;
+
+        const { chains } = await getApprovalChains();
+
         const newRequest = await Request.createRequest({
             employeeId,
             type,
-            data
+            data,
+            approvalChain: buildApprovalChain(selectChainSteps(chains, { type, data })),
         });
 
         res.status(201).json({ success: true, request: newRequest });
@@ -74,7 +378,12 @@ async function getAllRequests(req, res) {
             }
         }));
 
-        res.json({ success: true, requests: requestsWithDetails });
+        // Branch managers only see requests from their own branch
+        const visibleRequests = req.user.role === ROLES.BRANCH_MANAGER
+            ? requestsWithDetails.filter(r => r.branch === req.user.branchId)
+            : requestsWithDetails;
+
+        res.json({ success: true, requests: visibleRequests });
     } catch (error) {
         console.error('Error fetching all requests:', error);
         res.status(500).json({ success: false, message: 'Error fetching requests' });
@@ -82,22 +391,167 @@ async function getAllRequests(req, res) {
 }
 
 /**
- * Update Request Status (Approve/Reject)
+ * Update Request Status (Approve/Reject/Cancel)
+ * APPROVED/REJECTED decide the current step of the request's approval chain (as the approver,
+ * or for a delegator through an active delegation) with an optional comment. A rejection ends
+ * the chain; an approval moves it to the next step, and the request is only approved (with the
+ * side effects below) once the last step approves. HR, or anyone on the chain, can cancel;
+ * cancelling an approved request reverses its side effects (see reverseApprovedRequest).
+ * Approved LEAVE is debited from the leave ledger, once the balance still covers it.
+ * Approving an ADVANCE records it in the advance ledger with a repayment plan: HR can pass
+ * installments, startMonth and startYear, defaulting to the employee's requested installments
+ * from the current payroll month.
+ * OVERTIME can be trimmed on approval by passing approvedMinutes.
+ * Approving a COMP_OFF consumes comp-off credits.
+ * Approving a REGULARIZATION corrects the attendance session.
+ * An approved TRAVEL_CLAIM is paid as a reimbursement in the payroll of its month.
  */
 async function updateRequestStatus(req, res) {
     try {
         const { requestId } = req.params;
-        const { status, hrId, rejectionReason } = req.body;
+        const { status, rejectionReason, comment, installments, startMonth, startYear, approvedMinutes } = req.body;
+        const hrId = req.user.employeeId; // Acting HR comes from the token, never the body
 
-        if (!requestId || !status || !hrId) {
+        if (!requestId || !status) {
             return res.status(400).json({ success: false, message: 'Missing required fields' });
         }
 
-        if (!['APPROVED', 'REJECTED'].includes(status)) {
+        if (!['APPROVED', 'REJECTED', 'CANCELLED'].includes(status)) {
             return res.status(400).json({ success: false, message: 'Invalid status' });
         }
 
-        const updatedRequest = await Request.updateRequestStatus(requestId, status, hrId, rejectionReason);
+        const existing = await Request.getRequestById(requestId);
+        if (!existing) {
+            return res.status(404).json({ success: false, message: 'Request not found' });
+        }
+
+        if (!(STATUS_TRANSITIONS[existing.status] || []).includes(status)) {
+            return res.status(400).json({ success: false, message: `Cannot change a ${existing.status} request to ${status}` });
+        }
+
+        const [employee, { chains }, approvers] = await Promise.all([
+            Employee.getEmployeeById(existing.employeeId),
+            getApprovalChains(),
+            getApprovers(req.user),
+        ]);
+        if (!employee) {
+            return res.status(404).json({ success: false, message: 'Employee not found' });
+        }
+
+        let chain = getRequestChain(existing, chains);
+        let approver = null;
+
+        if (status === 'CANCELLED') {
+            const canCancel = hasRole(req.user, [ROLES.HR])
+                || chain.steps.some(step => approvers.some(a => canActOnStep(a, step, employee)));
+            if (!canCancel) {
+                return res.status(403).json({ success: false, message: 'Insufficient permissions' });
+            }
+        } else {
+            const step = getCurrentStep(chain);
+            approver = approvers.find(a => canActOnStep(a, step, employee));
+            if (!approver) {
+                const message = existing.employeeId === req.user.employeeId
+                    ? 'You cannot decide your own request'
+                    : `Waiting for ${step.role} approval (step ${step.level} of ${chain.steps.length})`;
+                return res.status(403).json({ success: false, message });
+            }
+        }
+
+        if (status === 'CANCELLED' && existing.status === 'APPROVED') {
+            const lockedError = await checkPayrollNotLocked(employee, existing);
+            if (lockedError) {
+                return res.status(400).json({ success: false, message: lockedError });
+            }
+        }
+
+        if (status === 'APPROVED' && existing.type === 'TRAVEL_CLAIM') {
+            const lockedError = await checkPayrollNotLocked(employee, existing, 'approved');
+            if (lockedError) {
+                return res.status(400).json({ success: false, message: lockedError });
+            }
+        }
+
+        let trimmedMinutes = null;
+        if (existing.type === 'OVERTIME' && status === 'APPROVED' && approvedMinutes !== undefined) {
+            // An earlier step may already have trimmed the minutes; later steps can only trim further
+            const allowedMinutes = existing.data.approvedMinutes || existing.data.minutes;
+            trimmedMinutes = parseInt(approvedMinutes);
+            if (!(trimmedMinutes > 0 && trimmedMinutes <= allowedMinutes)) {
+                return res.status(400).json({ success: false, message: `approvedMinutes must be between 1 and the ${allowedMinutes} minutes requested` });
+            }
+        }
+
+        const data = trimmedMinutes !== null ? { ...existing.data, approvedMinutes: trimmedMinutes } : null;
+
+        if (approver) {
+            const decision = recordStepDecision(chain, {
+                status,
+                actedBy: hrId,
+                comment: comment || rejectionReason,
+                delegatedFrom: approver.delegatedFrom,
+            });
+            chain = decision.chain;
+
+            // Earlier steps only move the chain along; the request stays PENDING
+            if (!decision.complete) {
+                const updatedRequest = await Request.updateApprovalChain(existing, chain, data);
+                if (!updatedRequest) {
+                    return res.status(409).json({ success: false, message: CHANGED_MEANWHILE });
+                }
+                return res.json({ success: true, request: updatedRequest, nextStep: getCurrentStep(chain) });
+            }
+        }
+
+        let repaymentPlan = null;
+        if (existing.type === 'ADVANCE' && status === 'APPROVED') {
+            const current = getBusinessMonth();
+            const { plan, error } = buildRepaymentPlan({
+                amount: parseFloat(existing.data && existing.data.amount),
+                installments: installments !== undefined ? installments : ((existing.data && existing.data.installments) || 1),
+                startMonth: startMonth !== undefined ? startMonth : current.month,
+                startYear: startYear !== undefined ? startYear : current.year,
+            });
+            if (error) {
+                return res.status(400).json({ success: false, message: error });
+            }
+            repaymentPlan = plan;
+        }
+
+        // Another leave approved since this one was raised may have used up the balance
+        if (existing.type === 'LEAVE' && status === 'APPROVED') {
+            const leaveType = (await getLeavePolicy()).types[existing.data.leaveType];
+            if (leaveType && !leaveType.unlimited) {
+                const daysByYear = await LeaveLedger.getChargedDaysByYear(employee, existing);
+                const balanceError = await checkLeaveBalance(employee, existing.data, daysByYear, requestId, 'available');
+                if (balanceError) {
+                    return res.status(400).json({ success: false, message: balanceError });
+                }
+            }
+        }
+
+        // The status changes first, and only if nobody decided the request meanwhile, so the side
+        // effects below run once; if they fail (e.g. credits no longer cover it) it is put back
+        const updatedRequest = await Request.updateRequestStatus(existing, status, hrId, { rejectionReason, approvalChain: chain, data });
+        if (!updatedRequest) {
+            return res.status(409).json({ success: false, message: CHANGED_MEANWHILE });
+        }
+
+        try {
+            if (status === 'APPROVED') {
+                await applyApprovedRequest(employee, updatedRequest, hrId, repaymentPlan);
+            } else if (status === 'CANCELLED' && existing.status === 'APPROVED') {
+                await reverseApprovedRequest(existing, hrId);
+            }
+        } catch (error) {
+            await Request.revertRequest(updatedRequest, existing);
+            return res.status(400).json({ success: false, message: error.message });
+        }
+
+        if (status === 'APPROVED' || existing.status === 'APPROVED') {
+            await refreshRequestSummaries(updatedRequest);
+        }
+
         res.json({ success: true, request: updatedRequest });
     } catch (error) {
         console.error('Error updating request status:', error);
@@ -105,9 +559,260 @@ async function updateRequestStatus(req, res) {
     }
 }
 
+/**
+ * Get a single request, with its version history and any cancellation raised on it
+ * GET /api/requests/:requestId
+ */
+async function getRequest(req, res) {
+    try {
+        const request = await Request.getRequestById(req.params.requestId);
+        if (!request) {
+            return res.status(404).json({ success: false, message: 'Request not found' });
+        }
+
+        if (!(await canAccessEmployee(req.user, request.employeeId))) {
+            return res.status(403).json({ success: false, message: 'You do not have permission to access this request' });
+        }
+
+        res.json({ success: true, request });
+    } catch (error) {
+        console.error('Error fetching request:', error);
+        res.status(500).json({ success: false, message: 'Error fetching request' });
+    }
+}
+
+/**
+ * Edit a pending request (its owner only)
+ * The data is validated as on create; the previous data is kept in the version history
+ * and the approval chain starts again, since approvers decided on the old data.
+ * PUT /api/requests/:requestId { data }
+ */
+async function editRequest(req, res) {
+    try {
+        const { requestId } = req.params;
+        const existing = await Request.getRequestById(requestId);
+        if (!existing || existing.employeeId !== req.user.employeeId) {
+            return res.status(404).json({ success: false, message: 'Request not found' });
+        }
+
+        if (existing.status !== 'PENDING') {
+            return res.status(400).json({ success: false, message: `Only pending requests can be edited; this one is ${existing.status}` });
+        }
+
+        if (!req.body.data || typeof req.body.data !== 'object') {
+            return res.status(400).json({ success: false, message: 'data is required' });
+        }
+
+        const employee = await Employee.getEmployeeById(existing.employeeId);
+        if (!employee) {
+            return res.status(404).json({ success: false, message: 'Employee not found' });
+        }
+
+        const { data, error } = await prepareRequestData(employee, existing.type, req.body.data, requestId);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const { chains } = await getApprovalChains();
+        const approvalChain = buildApprovalChain(selectChainSteps(chains, { type: existing.type, data }));
+
+        const request = await Request.editRequest(existing, data, approvalChain, req.user.employeeId);
+        if (!request) {
+            return res.status(409).json({ success: false, message: 'This request was decided while you were editing it' });
+        }
+        res.json({ success: true, request });
+    } catch (error) {
+        console.error('Error editing request:', error);
+        res.status(500).json({ success: false, message: 'Error editing request' });
+    }
+}
+
+/**
+ * Withdraw a pending request, or a pending cancellation of an approved one (its owner only)
+ * POST /api/requests/:requestId/withdraw
+ */
+async function withdrawRequest(req, res) {
+    try {
+        const { requestId } = req.params;
+        const existing = await Request.getRequestById(requestId);
+        if (!existing || existing.employeeId !== req.user.employeeId) {
+            return res.status(404).json({ success: false, message: 'Request not found' });
+        }
+
+        let request = null;
+        if (existing.status === 'PENDING') {
+            request = await Request.updateRequestStatus(existing, 'WITHDRAWN', req.user.employeeId);
+        } else if (existing.status === 'APPROVED' && existing.cancellation && existing.cancellation.status === 'PENDING') {
+            request = await Request.updateCancellation(existing, {
+                ...existing.cancellation,
+                status: 'WITHDRAWN',
+                withdrawnAt: new Date().toISOString(),
+            });
+        } else {
+            return res.status(400).json({ success: false, message: `Only pending requests can be withdrawn; this one is ${existing.status}` });
+        }
+
+        if (!request) {
+            return res.status(409).json({ success: false, message: CHANGED_MEANWHILE });
+        }
+        res.json({ success: true, request });
+    } catch (error) {
+        console.error('Error withdrawing request:', error);
+        res.status(500).json({ success: false, message: 'Error withdrawing request' });
+    }
+}
+
+/**
+ * Ask to cancel an approved leave, comp-off or permission before it starts (its owner only)
+ * The cancellation goes through the request type's approval chain again; the request stays
+ * APPROVED until the last step approves the cancellation.
+ * POST /api/requests/:requestId/cancel { reason }
+ */
+async function cancelRequest(req, res) {
+    try {
+        const { requestId } = req.params;
+        const existing = await Request.getRequestById(requestId);
+        if (!existing || existing.employeeId !== req.user.employeeId) {
+            return res.status(404).json({ success: false, message: 'Request not found' });
+        }
+
+        if (existing.status === 'PENDING') {
+            return res.status(400).json({ success: false, message: 'Pending requests are withdrawn, not cancelled' });
+        }
+
+        if (existing.status !== 'APPROVED' || !EMPLOYEE_CANCELLABLE_TYPES.includes(existing.type)) {
+            return res.status(400).json({ success: false, message: `Only approved ${EMPLOYEE_CANCELLABLE_TYPES.join(', ')} requests can be cancelled` });
+        }
+
+        const range = getRequestDateRange(existing);
+        const today = getBusinessDate(new Date(), await Branch.getBranchTimezone(req.user.branchId));
+        if (!range || range.startDate <= today) {
+            return res.status(400).json({ success: false, message: 'Requests can only be cancelled before their start date' });
+        }
+
+        if (existing.cancellation && existing.cancellation.status === 'PENDING') {
+            return res.status(400).json({ success: false, message: 'A cancellation is already pending for this request' });
+        }
+
+        const { chains } = await getApprovalChains();
+        const request = await Request.updateCancellation(existing, {
+            status: 'PENDING',
+            reason: req.body.reason || null,
+            requestedBy: req.user.employeeId,
+            requestedAt: new Date().toISOString(),
+            approvalChain: buildApprovalChain(selectChainSteps(chains, existing)),
+        });
+        if (!request) {
+            return res.status(409).json({ success: false, message: CHANGED_MEANWHILE });
+        }
+
+        res.json({ success: true, request });
+    } catch (error) {
+        console.error('Error cancelling request:', error);
+        res.status(500).json({ success: false, message: 'Error cancelling request' });
+    }
+}
+
+/**
+ * Decide the current step of a pending cancellation
+ * Once the last step approves, the request is CANCELLED and its side effects are reversed.
+ * PUT /api/requests/:requestId/cancellation { status: 'APPROVED' | 'REJECTED', comment }
+ */
+async function decideCancellation(req, res) {
+    try {
+        const { requestId } = req.params;
+        const { status, comment } = req.body;
+        const actorId = req.user.employeeId;
+
+        if (!['APPROVED', 'REJECTED'].includes(status)) {
+            return res.status(400).json({ success: false, message: 'Invalid status' });
+        }
+
+        const existing = await Request.getRequestById(requestId);
+        if (!existing) {
+            return res.status(404).json({ success: false, message: 'Request not found' });
+        }
+
+        const { cancellation } = existing;
+        if (existing.status !== 'APPROVED' || !cancellation || cancellation.status !== 'PENDING') {
+            return res.status(400).json({ success: false, message: 'No pending cancellation for this request' });
+        }
+
+        const [employee, approvers] = await Promise.all([
+            Employee.getEmployeeById(existing.employeeId),
+            getApprovers(req.user),
+        ]);
+        if (!employee) {
+            return res.status(404).json({ success: false, message: 'Employee not found' });
+        }
+
+        const step = getCurrentStep(cancellation.approvalChain);
+        const approver = approvers.find(a => canActOnStep(a, step, employee));
+        if (!approver) {
+            const message = existing.employeeId === actorId
+                ? 'You cannot decide your own cancellation'
+                : `Waiting for ${step.role} approval (step ${step.level} of ${cancellation.approvalChain.steps.length})`;
+            return res.status(403).json({ success: false, message });
+        }
+
+        const decision = recordStepDecision(cancellation.approvalChain, {
+            status,
+            actedBy: actorId,
+            comment,
+            delegatedFrom: approver.delegatedFrom,
+        });
+
+        if (!decision.complete) {
+            const request = await Request.updateCancellation(existing, { ...cancellation, approvalChain: decision.chain });
+            if (!request) {
+                return res.status(409).json({ success: false, message: CHANGED_MEANWHILE });
+            }
+            return res.json({ success: true, request, nextStep: getCurrentStep(decision.chain) });
+        }
+
+        const decided = { ...cancellation, status, approvalChain: decision.chain, decidedAt: new Date().toISOString() };
+        if (status === 'REJECTED') {
+            const request = await Request.updateCancellation(existing, decided);
+            if (!request) {
+                return res.status(409).json({ success: false, message: CHANGED_MEANWHILE });
+            }
+            return res.json({ success: true, request });
+        }
+
+        const lockedError = await checkPayrollNotLocked(employee, existing);
+        if (lockedError) {
+            return res.status(400).json({ success: false, message: lockedError });
+        }
+
+        // As with decisions on the request itself, the status changes before the side effects are reversed
+        const request = await Request.updateRequestStatus(existing, 'CANCELLED', actorId, { cancellation: decided });
+        if (!request) {
+            return res.status(409).json({ success: false, message: CHANGED_MEANWHILE });
+        }
+
+        try {
+            await reverseApprovedRequest(existing, actorId);
+        } catch (error) {
+            await Request.revertRequest(request, existing);
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        await refreshRequestSummaries(existing);
+
+        res.json({ success: true, request });
+    } catch (error) {
+        console.error('Error deciding cancellation:', error);
+        res.status(500).json({ success: false, message: 'Error deciding cancellation' });
+    }
+}
+
 module.exports = {
     createRequest,
     getRequestsByEmployee,
     getAllRequests,
-    updateRequestStatus
+    updateRequestStatus,
+    getRequest,
+    editRequest,
+    withdrawRequest,
+    cancelRequest,
+    decideCancellation,
 };
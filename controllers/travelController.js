@@ -0,0 +1,157 @@
+const Employee = require('../models/Employee');
+const Attendance = require('../models/Attendance');
+const LocationPing = require('../models/LocationPing');
+const Request = require('../models/Request');
+const Branch = require('../models/Branch');
+const { getTravelAllowanceSettings, getLocationRiskSettings } = require('../models/Settings');
+const { computeTripDistance, calculateTravelAllowance } = require('../utils/tripDistance');
+const { isFieldWorker } = require('../utils/fieldVisits');
+const { listDates } = require('../utils/leavePolicy');
+const { getBusinessDate } = require('../utils/timezone');
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_RANGE_DAYS = 31;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Travel allowance and location risk rules, as computeTripDistance takes them
+ */
+async function loadTripRules() {
+    const [{ rules }, { rules: riskRules }] = await Promise.all([getTravelAllowanceSettings(), getLocationRiskSettings()]);
+    return { rules, riskRules };
+}
+
+/**
+ * Distance travelled on field duty on each date of a range, with the allowance it earns
+ * (dates without a field duty session are left out)
+ * @returns {Array} [{ date, sessions, distanceKm, claimableKm, amount, usedPings, jitterPings, spikePings, droppedPings, gaps }]
+ */
+async function getDailyDistances(employeeId, startDate, endDate, tripRules = null) {
+    const { rules, riskRules } = tripRules || await loadTripRules();
+
+    const days = [];
+    for (const date of listDates(startDate, endDate)) {
+        const sessions = (await Attendance.getEmployeeAttendanceForDate(employeeId, date)).filter(s => s.type === 'TRAVEL');
+        if (sessions.length === 0) continue;
+
+        const pings = await LocationPing.getPingsForDate(employeeId, date);
+        const { distanceMeters, ...trip } = computeTripDistance(pings, { sessions, rules, riskRules });
+        days.push({
+            date,
+            sessions: sessions.length,
+            ...trip,
+            ...calculateTravelAllowance(trip.distanceKm, rules),
+        });
+    }
+    return days;
+}
+
+/**
+ * Check a TRAVEL_CLAIM request and fill it in from the ping trail
+ * The claim covers finished days of one payroll month; distanceKm defaults to the
+ * claimable distance computed for those days and cannot exceed it.
+ * @returns {Object} { data } or { error }
+ */
+async function validateTravelClaimRequest(employee, data = {}, excludeRequestId = null) {
+    if (!isFieldWorker(employee)) {
+        return { error: 'Travel claims are for field employees' };
+    }
+
+    const { fromDate, toDate } = data;
+    if (!DATE_REGEX.test(fromDate || '') || !DATE_REGEX.test(toDate || '') || toDate < fromDate) {
+        return { error: 'fromDate and toDate (YYYY-MM-DD) are required' };
+    }
+    if (fromDate.slice(0, 7) !== toDate.slice(0, 7)) {
+        return { error: 'A travel claim must fall within one month' };
+    }
+    const today = getBusinessDate(new Date(), await Branch.getBranchTimezone(employee.branchId));
+    if (toDate >= today) {
+        return { error: 'Travel can only be claimed for days that are over' };
+    }
+
+    const overlapping = (await Request.getRequestsByEmployee(employee.employeeId))
+        .find(r => r.type === 'TRAVEL_CLAIM' && r.requestId !== excludeRequestId && !Request.CLOSED_STATUSES.includes(r.status)
+            && r.data && r.data.fromDate <= toDate && r.data.toDate >= fromDate);
+    if (overlapping) {
+        return { error: `Travel from ${overlapping.data.fromDate} to ${overlapping.data.toDate} has already been claimed` };
+    }
+
+    const tripRules = await loadTripRules();
+    const days = await getDailyDistances(employee.employeeId, fromDate, toDate, tripRules);
+    const computedKm = round2(days.reduce((sum, d) => sum + d.claimableKm, 0));
+    if (computedKm <= 0) {
+        return { error: `No field travel recorded from ${fromDate} to ${toDate}` };
+    }
+
+    const distanceKm = data.distanceKm !== undefined ? round2(parseFloat(data.distanceKm)) : computedKm;
+    if (!(distanceKm > 0 && distanceKm <= computedKm)) {
+        return { error: `distanceKm must be more than 0 and at most the ${computedKm} km recorded` };
+    }
+
+    return {
+        data: {
+            fromDate,
+            toDate,
+            days: days.map(d => ({ date: d.date, distanceKm: d.distanceKm, claimableKm: d.claimableKm })),
+            computedKm,
+            distanceKm,
+            ratePerKm: tripRules.rules.ratePerKm,
+            amount: round2(distanceKm * tripRules.rules.ratePerKm),
+            note: data.note || null,
+        },
+    };
+}
+
+/**
+ * Distance travelled per day and the allowance it earns
+ * GET /api/field/distance/:employeeId?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD
+ */
+async function getDistanceSummary(req, res) {
+    try {
+        const { employeeId } = req.params;
+        const { startDate, endDate } = req.query;
+
+        if (!DATE_REGEX.test(startDate || '') || !DATE_REGEX.test(endDate || '') || endDate < startDate) {
+            return res.status(400).json({ success: false, message: 'startDate and endDate (YYYY-MM-DD) are required' });
+        }
+        if (listDates(startDate, endDate).length > MAX_RANGE_DAYS) {
+            return res.status(400).json({ success: false, message: `The range can be at most ${MAX_RANGE_DAYS} days` });
+        }
+
+        const employee = await Employee.getEmployeeById(employeeId);
+        if (!employee) {
+            return res.status(404).json({ success: false, message: 'Employee not found' });
+        }
+
+        const tripRules = await loadTripRules();
+        const days = await getDailyDistances(employeeId, startDate, endDate, tripRules);
+        const total = (key) => round2(days.reduce((sum, d) => sum + d[key], 0));
+
+        res.json({
+            success: true,
+            employeeId,
+            startDate,
+            endDate,
+            ratePerKm: tripRules.rules.ratePerKm,
+            maxKmPerDay: tripRules.rules.maxKmPerDay,
+            days,
+            totals: {
+                days: days.length,
+                distanceKm: total('distanceKm'),
+                claimableKm: total('claimableKm'),
+                amount: total('amount'),
+            },
+        });
+    } catch (error) {
+        console.error('Error fetching travel distance:', error);
+        res.status(500).json({ success: false, message: 'Error fetching travel distance' });
+    }
+}
+
+module.exports = {
+    loadTripRules,
+    getDailyDistances,
+    validateTravelClaimRequest,
+    getDistanceSummary,
+};
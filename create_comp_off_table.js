@@ -0,0 +1,40 @@
+require('dotenv').config();
+const { CreateTableCommand } = require('@aws-sdk/client-dynamodb');
+const { dynamoClient } = require('./config/aws');
+
+const COMP_OFF_TABLE = process.env.DYNAMODB_COMP_OFF_TABLE || 'srm-comp-off-table';
+
+const createTable = async (tableName, keyName) => {
+    const command = new CreateTableCommand({
+        TableName: tableName,
+        KeySchema: [
+            { AttributeName: keyName, KeyType: 'HASH' }, // Partition key
+        ],
+        AttributeDefinitions: [
+            { AttributeName: keyName, AttributeType: 'S' },
+        ],
+        ProvisionedThroughput: {
+            ReadCapacityUnits: 5,
+            WriteCapacityUnits: 5,
+        },
+    });
+
+    try {
+        await dynamoClient.send(command);
+        console.log(`Created table: ${tableName}`);
+    } catch (error) {
+        if (error.name === 'ResourceInUseException') {
+            console.log(`Table ${tableName} already exists`);
+        } else {
+            console.error(`Error creating ${tableName}:`, error);
+        }
+    }
+};
+
+const main = async () => {
+    console.log('Creating Comp Off Table...');
+    await createTable(COMP_OFF_TABLE, 'creditId');
+    console.log('Done.');
+};
+
+main();
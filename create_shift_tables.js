@@ -0,0 +1,42 @@
+require('dotenv').config();
+const { CreateTableCommand } = require('@aws-sdk/client-dynamodb');
+const { dynamoClient } = require('./config/aws');
+
+const SHIFTS_TABLE = process.env.DYNAMODB_SHIFTS_TABLE || 'srm-shifts-table';
+const ASSIGNMENTS_TABLE = process.env.DYNAMODB_SHIFT_ASSIGNMENTS_TABLE || 'srm-shift-assignments-table';
+
+const createTable = async (tableName, keyName) => {
+    const command = new CreateTableCommand({
+        TableName: tableName,
+        KeySchema: [
+            { AttributeName: keyName, KeyType: 'HASH' }, // Partition key
+        ],
+        AttributeDefinitions: [
+            { AttributeName: keyName, AttributeType: 'S' },
+        ],
+        ProvisionedThroughput: {
+            ReadCapacityUnits: 5,
+            WriteCapacityUnits: 5,
+        },
+    });
+
+    try {
+        await dynamoClient.send(command);
+        console.log(`Created table: ${tableName}`);
+    } catch (error) {
+        if (error.name === 'ResourceInUseException') {
+            console.log(`Table ${tableName} already exists`);
+        } else {
+            console.error(`Error creating ${tableName}:`, error);
+        }
+    }
+};
+
+const main = async () => {
+    console.log('Creating Shift Tables...');
+    await createTable(SHIFTS_TABLE, 'shiftId');
+    await createTable(ASSIGNMENTS_TABLE, 'assignmentId');
+    console.log('Done.');
+};
+
+main();
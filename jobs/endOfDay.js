@@ -0,0 +1,128 @@
+/**
+ * End-of-day job, run per branch once its business day is over (see jobs/scheduler.js)
+ * 1. Closes sessions nobody checked out of, at their shift end, once they are
+ *    autoCloseAfterMinutes past it; the sessions are flagged systemClosed.
+ * 2. Writes a daily summary row for every active employee of the branch (people
+ *    who never showed up get their Absent row), and rewrites the rows of earlier
+ *    days whose sessions were just closed.
+ */
+
+const Attendance = require('../models/Attendance');
+const Employee = require('../models/Employee');
+const Branch = require('../models/Branch');
+const Shift = require('../models/Shift');
+const ShiftAssignment = require('../models/ShiftAssignment');
+const { getAttendanceSettings } = require('../models/Settings');
+const { writeSummaries } = require('../controllers/dailySummaryController');
+const { resolveShift, settingsToShift, getShiftWindow } = require('../utils/shiftUtils');
+const { resolveTimezone, zonedTimeToInstant } = require('../utils/timezone');
+
+const JOB_NAME = 'end-of-day';
+const SCHEDULE_KEY = 'endOfDay';
+
+// Scope for employees without an active branch, run in the organization timezone
+const UNASSIGNED_SCOPE = 'UNASSIGNED';
+
+/**
+ * One scope per active branch, plus one for employees outside them
+ */
+async function getScopes() {
+    const branches = await Branch.getActiveBranches();
+    const branchIds = branches.map(b => b.branchId);
+
+    return [
+        ...branches.map(b => ({ scopeId: b.branchId, branchId: b.branchId, timezone: resolveTimezone(b) })),
+        { scopeId: UNASSIGNED_SCOPE, branchId: null, excludeBranchIds: branchIds, timezone: resolveTimezone(null) },
+    ];
+}
+
+/**
+ * Whether an employee belongs to a scope
+ */
+function inScope(employee, scope) {
+    return scope.branchId
+        ? employee.branchId === scope.branchId
+        : !employee.branchId || !scope.excludeBranchIds.includes(employee.branchId);
+}
+
+/**
+ * Close the scope's open sessions (up to date) whose shift ended long enough ago
+ * @returns {Array} Closed sessions
+ */
+async function closeStaleSessions(employees, scope, date, schedule, now) {
+    const employeeMap = {};
+    employees.forEach(e => { employeeMap[e.employeeId] = e; });
+
+    const openSessions = (await Attendance.getAllOpenSessions())
+        .filter(r => employeeMap[r.employeeId] && r.date <= date);
+    if (openSessions.length === 0) return [];
+
+    const [settings, shifts, assignments] = await Promise.all([
+        getAttendanceSettings(),
+        Shift.getAllShifts(),
+        ShiftAssignment.getAllAssignments(),
+    ]);
+
+    const closed = [];
+    for (const record of openSessions) {
+        const employee = employeeMap[record.employeeId];
+        const shift = resolveShift({ employee, date: record.date, shifts, assignments });
+        const window = getShiftWindow(shift || settingsToShift(settings));
+        const shiftEnd = zonedTimeToInstant(record.date, window.endMinutes, scope.timezone);
+
+        if (now - shiftEnd < schedule.autoCloseAfterMinutes * 60 * 1000) continue;
+
+        // Someone who checked in after their shift ended is closed at check-in (no time credited)
+        const checkIn = new Date(record.checkInTime);
+        const closeAt = checkIn > shiftEnd ? checkIn : shiftEnd;
+
+        closed.push(await Attendance.systemCloseSession(record, closeAt.toISOString(), 'SHIFT_END'));
+    }
+
+    // Stop GPS tracking for employees left without an open session
+    const stillOpen = new Set(openSessions
+        .filter(r => !closed.some(c => c.attendanceId === r.attendanceId))
+        .map(r => r.employeeId));
+    for (const employeeId of new Set(closed.map(r => r.employeeId))) {
+        if (!stillOpen.has(employeeId) && employeeMap[employeeId].isTracking) {
+            await Employee.updateEmployee(employeeId, { isTracking: false });
+        }
+    }
+
+    return closed;
+}
+
+/**
+ * Run the job for a scope and business date
+ * @returns {Object} Result recorded on the job run
+ */
+async function run({ scope, date, schedule, now = new Date() }) {
+    const employees = (await Employee.getAllEmployees())
+        .filter(e => e.status === 'active' && inScope(e, scope));
+
+    const closed = await closeStaleSessions(employees, scope, date, schedule, now);
+
+    const summaries = await writeSummaries(employees, date, date, 'END_OF_DAY');
+
+    // Earlier days whose summaries change because a session was closed just now
+    const earlierDates = [...new Set(closed.map(r => r.date))].filter(d => d !== date);
+    for (const earlierDate of earlierDates) {
+        const affected = employees.filter(e => closed.some(r => r.employeeId === e.employeeId && r.date === earlierDate));
+        await writeSummaries(affected, earlierDate, earlierDate, 'END_OF_DAY');
+    }
+
+    return {
+        employees: employees.length,
+        closedSessions: closed.length,
+        summaries: summaries.length,
+        absent: summaries.filter(s => s.status.includes('Absent')).length,
+        updatedEarlierDates: earlierDates,
+    };
+}
+
+module.exports = {
+    name: JOB_NAME,
+    scheduleKey: SCHEDULE_KEY,
+    getScopes,
+    run,
+};
@@ -0,0 +1,112 @@
+/**
+ * In-process job scheduler
+ * Every minute, each enabled job is run for each of its scopes (branches) whose
+ * local time has passed the job's runAt (Settings 'jobs-config'), once per business
+ * date. The previous date is retried too, so a day missed during downtime is caught up.
+ * Runs are claimed in the job runs table, so several server instances (or a restart)
+ * never run the same day twice.
+ *
+ * Serverless deployments don't keep timers alive between requests: set
+ * ENABLE_SCHEDULER=false there and call POST /api/jobs/:jobName/run from a cron instead.
+ */
+
+const JobRun = require('../models/JobRun');
+const { getJobSchedules } = require('../models/Settings');
+const { getDueDates } = require('../utils/jobSchedule');
+const { getZonedDateTime, addDays } = require('../utils/timezone');
+const endOfDay = require('./endOfDay');
+
+const JOBS = [endOfDay];
+
+const TICK_INTERVAL_MS = 60 * 1000;
+
+let timer = null;
+let ticking = false;
+
+// Runs this process already claimed or found done, so they aren't re-claimed every minute
+const settledRuns = new Set();
+
+/**
+ * Find a job by name
+ */
+function getJob(name) {
+    return JOBS.find(job => job.name === name) || null;
+}
+
+/**
+ * Claim and run a job for one scope and date
+ * @returns {Object|null} The finished run, or null when it was already claimed
+ */
+async function runJob(job, { scope, date, schedule, force = false, triggeredBy = null }) {
+    const run = await JobRun.claimRun(job.name, scope.scopeId, date, { force, triggeredBy });
+    if (!run) return null;
+
+    try {
+        const result = await job.run({ scope, date, schedule });
+        console.log(`[Scheduler] ${job.name} for ${scope.scopeId} on ${date} done`);
+        return JobRun.finishRun(run, { result });
+    } catch (error) {
+        console.error(`[Scheduler] ${job.name} for ${scope.scopeId} on ${date} failed:`, error);
+        return JobRun.finishRun(run, { error });
+    }
+}
+
+/**
+ * Run everything that is due
+ */
+async function tick(now = new Date()) {
+    if (ticking) return; // The previous tick is still working
+    ticking = true;
+
+    try {
+        const { schedules } = await getJobSchedules();
+
+        for (const job of JOBS) {
+            const schedule = schedules[job.scheduleKey];
+            if (!schedule || !schedule.enabled) continue;
+
+            for (const scope of await job.getScopes()) {
+                const local = getZonedDateTime(now, scope.timezone);
+
+                for (const date of getDueDates(schedule, local, addDays(local.date, -1))) {
+                    const key = `${job.name}#${scope.scopeId}#${date}`;
+                    if (settledRuns.has(key)) continue;
+
+                    const run = await runJob(job, { scope, date, schedule });
+                    if (!run || run.status === JobRun.RUN_STATUS.COMPLETED) settledRuns.add(key);
+                }
+            }
+        }
+    } catch (error) {
+        console.error('[Scheduler] Tick failed:', error);
+    } finally {
+        ticking = false;
+    }
+}
+
+/**
+ * Start ticking (no-op when already started)
+ */
+function startScheduler(intervalMs = TICK_INTERVAL_MS) {
+    if (timer) return;
+
+    timer = setInterval(tick, intervalMs);
+    timer.unref(); // Never keep the process alive on its own
+    console.log(`⏰ Job scheduler started (${JOBS.map(job => job.name).join(', ')})`);
+}
+
+/**
+ * Stop ticking
+ */
+function stopScheduler() {
+    if (timer) clearInterval(timer);
+    timer = null;
+}
+
+module.exports = {
+    getJob,
+    runJob,
+    tick,
+    startScheduler,
+    stopScheduler,
+};
@@ -0,0 +1,170 @@
+/**
+ * Auth Middleware - JWT authentication and role-based access control
+ */
+
+const jwt = require('jsonwebtoken');
+const Employee = require('../models/Employee');
+
+const ROLES = Object.freeze({
+    EMPLOYEE: 'EMPLOYEE',
+    BRANCH_MANAGER: 'BRANCH_MANAGER',
+    HR: 'HR',
+    SUPER_ADMIN: 'SUPER_ADMIN',
+});
+
+// Roles allowed to act on other employees' data
+const MANAGER_ROLES = [ROLES.BRANCH_MANAGER, ROLES.HR, ROLES.SUPER_ADMIN];
+
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '12h';
+
+function getJwtSecret() {
+    const secret = process.env.JWT_SECRET;
+    if (!secret) {
+        throw new Error('JWT_SECRET is not configured');
+    }
+    return secret;
+}
+
+/**
+ * Issue a signed token for an employee (or the env-configured super admin)
+ * @param {Object} user - { employeeId, role, branchId, name }
+ * @returns {string} JWT
+ */
+function signToken(user) {
+    return jwt.sign(
+        {
+            role: user.role || ROLES.EMPLOYEE,
+            branchId: user.branchId || null,
+            name: user.name || null,
+        },
+        getJwtSecret(),
+        {
+            subject: user.employeeId,
+            expiresIn: JWT_EXPIRES_IN,
+        }
+    );
+}
+
+/**
+ * The bootstrap super admin configured through env (SUPER_ADMIN_ID), who has no employee record
+ * @returns {Object|null} The super admin when employeeId is theirs
+ */
+function getEnvSuperAdmin(employeeId) {
+    if (!process.env.SUPER_ADMIN_ID || employeeId !== process.env.SUPER_ADMIN_ID) return null;
+    return {
+        employeeId,
+        name: 'Super Admin',
+        role: ROLES.SUPER_ADMIN,
+        branchId: null,
+        status: 'active',
+    };
+}
+
+/**
+ * Require a valid Bearer token and attach req.user
+ */
+function authenticate(req, res, next) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({
+            success: false,
+            message: 'Authentication required',
+        });
+    }
+
+    try {
+        const payload = jwt.verify(token, getJwtSecret());
+        req.user = {
+            employeeId: payload.sub,
+            role: payload.role || ROLES.EMPLOYEE,
+            branchId: payload.branchId || null,
+            name: payload.name || null,
+        };
+        next();
+    } catch (error) {
+        if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired token',
+            });
+        }
+        next(error);
+    }
+}
+
+/**
+ * Check whether a user holds one of the given roles (SUPER_ADMIN always passes)
+ */
+function hasRole(user, roles) {
+    if (!user) return false;
+    return user.role === ROLES.SUPER_ADMIN || roles.includes(user.role);
+}
+
+/**
+ * Restrict a route to the given roles
+ * Usage: router.put('/x', authorize(ROLES.HR), handler)
+ */
+function authorize(...roles) {
+    return (req, res, next) => {
+        if (!hasRole(req.user, roles)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to perform this action',
+            });
+        }
+        next();
+    };
+}
+
+/**
+ * Check whether a user may access data belonging to an employee.
+ * Employees may access their own data, HR/SUPER_ADMIN anyone's,
+ * and branch managers anyone in their own branch.
+ */
+async function canAccessEmployee(user, employeeId) {
+    if (!user || !employeeId) return false;
+    if (user.employeeId === employeeId) return true;
+    if (hasRole(user, [ROLES.HR])) return true;
+
+    if (user.role === ROLES.BRANCH_MANAGER && user.branchId) {
+        const employee = await Employee.getEmployeeById(employeeId);
+        return !!employee && employee.branchId === user.branchId;
+    }
+
+    return false;
+}
+
+/**
+ * Restrict a route to the employee it concerns (or someone managing them)
+ * @param {Function} getEmployeeId - (req) => target employeeId
+ */
+function authorizeEmployeeAccess(getEmployeeId) {
+    return async (req, res, next) => {
+        try {
+            const allowed = await canAccessEmployee(req.user, getEmployeeId(req));
+            if (!allowed) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You do not have permission to access this employee',
+                });
+            }
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+module.exports = {
+    ROLES,
+    MANAGER_ROLES,
+    signToken,
+    getEnvSuperAdmin,
+    authenticate,
+    authorize,
+    hasRole,
+    canAccessEmployee,
+    authorizeEmployeeAccess,
+};
@@ -0,0 +1,125 @@
+/**
+ * Create the global secondary indexes the models query (run after the create_* table scripts)
+ * Existing indexes are skipped, so it is safe to run again. DynamoDB builds one index
+ * per table at a time, backfilling existing items, so each new index is waited for
+ * until it is ACTIVE before the next one on the same table is started.
+ *
+ *   node migrate_dynamodb_indexes.js
+ */
+require('dotenv').config();
+const { DescribeTableCommand, UpdateTableCommand } = require('@aws-sdk/client-dynamodb');
+const { dynamoClient } = require('./config/aws');
+const { TABLES } = require('./storage/schema');
+
+const POLL_INTERVAL_MS = 10 * 1000;
+const MAX_WAIT_MS = 60 * 60 * 1000;
+
+const INDEXES = Object.values(TABLES)
+    .filter(({ indexes }) => indexes.length > 0)
+    .map(({ tableName, indexes }) => ({ tableName, indexes }));
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const describeTable = async (client, tableName) => {
+    const response = await client.send(new DescribeTableCommand({ TableName: tableName }));
+    return response.Table;
+};
+
+const waitForIndex = async (client, tableName, indexName, pollMs) => {
+    const deadline = Date.now() + MAX_WAIT_MS;
+    while (Date.now() < deadline) {
+        const table = await describeTable(client, tableName);
+        const index = (table.GlobalSecondaryIndexes || []).find(i => i.IndexName === indexName);
+        if (!index) throw new Error(`Index ${tableName}/${indexName} was not created`);
+        if (index.IndexStatus === 'ACTIVE') return;
+        await sleep(pollMs);
+    }
+    throw new Error(`Timed out waiting for ${tableName}/${indexName}`);
+};
+
+const createIndex = async (client, table, { indexName, hashKey, rangeKey }) => {
+    const keys = [hashKey, ...(rangeKey ? [rangeKey] : [])];
+    const provisioned = table.BillingModeSummary
+        ? table.BillingModeSummary.BillingMode !== 'PAY_PER_REQUEST'
+        : !!table.ProvisionedThroughput && table.ProvisionedThroughput.ReadCapacityUnits > 0;
+
+    await client.send(new UpdateTableCommand({
+        TableName: table.TableName,
+        AttributeDefinitions: keys.map(name => ({ AttributeName: name, AttributeType: 'S' })),
+        GlobalSecondaryIndexUpdates: [{
+            Create: {
+                IndexName: indexName,
+                KeySchema: [
+                    { AttributeName: hashKey, KeyType: 'HASH' },
+                    ...(rangeKey ? [{ AttributeName: rangeKey, KeyType: 'RANGE' }] : []),
+                ],
+                Projection: { ProjectionType: 'ALL' },
+                ...(provisioned ? { ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 } } : {}),
+            },
+        }],
+    }));
+};
+
+/**
+ * Create the missing indexes of each table
+ * @returns {Array} { tableName, indexName, status } per index
+ */
+const ensureIndexes = async (client = dynamoClient, definitions = INDEXES, { pollMs = POLL_INTERVAL_MS } = {}) => {
+    const results = [];
+
+    for (const { tableName, indexes } of definitions) {
+        let table;
+        try {
+            table = await describeTable(client, tableName);
+        } catch (error) {
+            if (error.name !== 'ResourceNotFoundException') throw error;
+            console.log(`Table ${tableName} does not exist, skipping`);
+            indexes.forEach(({ indexName }) => results.push({ tableName, indexName, status: 'NO_TABLE' }));
+            continue;
+        }
+
+        for (const index of indexes) {
+            const existing = (table.GlobalSecondaryIndexes || []).find(i => i.IndexName === index.indexName);
+            if (existing) {
+                console.log(`Index ${tableName}/${index.indexName} already exists (${existing.IndexStatus})`);
+                results.push({ tableName, indexName: index.indexName, status: 'EXISTS' });
+                continue;
+            }
+
+            // An index still being built blocks the next one on the same table
+            for (const building of (table.GlobalSecondaryIndexes || []).filter(i => i.IndexStatus !== 'ACTIVE')) {
+                await waitForIndex(client, tableName, building.IndexName, pollMs);
+            }
+
+            console.log(`Creating index ${tableName}/${index.indexName}...`);
+            await createIndex(client, table, index);
+            await waitForIndex(client, tableName, index.indexName, pollMs);
+            console.log(`Index ${tableName}/${index.indexName} is active`);
+            results.push({ tableName, indexName: index.indexName, status: 'CREATED' });
+
+            table = await describeTable(client, tableName);
+        }
+    }
+
+    return results;
+};
+
+const main = async () => {
+    console.log('Creating DynamoDB indexes...');
+    try {
+        await ensureIndexes();
+        console.log('Done.');
+    } catch (error) {
+        console.error('Error creating indexes:', error);
+        process.exitCode = 1;
+    }
+};
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    INDEXES,
+    ensureIndexes,
+};
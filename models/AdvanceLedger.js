@@ -0,0 +1,200 @@
+/**
+ * AdvanceLedger Model - DynamoDB operations for salary advance repayments
+ * Each approved ADVANCE gets a DISBURSEMENT entry carrying its repayment plan; payroll
+ * installments, early settlements, write-offs and cancellations are entries against it.
+ * See utils/advanceLedger.js for how balances and installments are worked out.
+ */
+
+const { PutCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient } = require('../storage');
+const { v4: uuidv4 } = require('uuid');
+const Request = require('./Request');
+const {
+    ADVANCE_ENTRY_TYPES,
+    periodKey,
+    buildRepaymentPlan,
+    summariseAdvance,
+    summariseAdvances,
+} = require('../utils/advanceLedger');
+const { queryAll, scanAll } = require('../utils/dynamoQuery');
+const { getBusinessDate, getBusinessMonth } = require('../utils/timezone');
+
+const TABLE_NAME = process.env.DYNAMODB_ADVANCE_LEDGER_TABLE || 'srm-advance-ledger-table';
+
+// Global secondary index (see storage/schema.js)
+const EMPLOYEE_INDEX = 'employeeId-index';
+
+/**
+ * Get all ledger entries
+ */
+async function getAllEntries() {
+    return scanAll({
+        TableName: TABLE_NAME,
+    });
+}
+
+/**
+ * Get all ledger entries for an employee
+ */
+async function getEntriesByEmployee(employeeId) {
+    return queryAll({
+        TableName: TABLE_NAME,
+        IndexName: EMPLOYEE_INDEX,
+        KeyConditionExpression: 'employeeId = :empId',
+        ExpressionAttributeValues: {
+            ':empId': employeeId,
+        },
+    });
+}
+
+/**
+ * Write a ledger entry
+ */
+async function putEntry(entry) {
+    const command = new PutCommand({
+        TableName: TABLE_NAME,
+        Item: entry,
+    });
+
+    await docClient.send(command);
+    return entry;
+}
+
+/**
+ * Record the disbursement of an approved ADVANCE with its repayment plan (idempotent per request)
+ */
+async function disburseForRequest(request, plan, actorId) {
+    return putEntry({
+        entryId: `${request.employeeId}#${ADVANCE_ENTRY_TYPES.DISBURSEMENT}#${request.requestId}`,
+        employeeId: request.employeeId,
+        requestId: request.requestId,
+        entryType: ADVANCE_ENTRY_TYPES.DISBURSEMENT,
+        amount: parseFloat(request.data.amount),
+        plan,
+        date: (request.hrActionAt || new Date().toISOString()).split('T')[0],
+        note: request.data.reason || 'Salary advance',
+        createdBy: actorId || null,
+        createdAt: new Date().toISOString(),
+    });
+}
+
+/**
+ * Write DISBURSEMENT entries for approved advances that have none yet
+ * (advances approved before the ledger existed). Their plan follows the
+ * installments on the request, starting in the month of approval.
+ * @returns {Array} The entries written
+ */
+async function syncDisbursements(approvedAdvances, entries) {
+    const disbursed = new Set(entries
+        .filter(e => e.entryType === ADVANCE_ENTRY_TYPES.DISBURSEMENT)
+        .map(e => e.requestId));
+
+    const written = [];
+    for (const request of approvedAdvances) {
+        if (disbursed.has(request.requestId)) continue;
+
+        const approvedOn = getBusinessMonth(request.hrActionAt || request.createdAt);
+        const { plan } = buildRepaymentPlan({
+            amount: parseFloat(request.data && request.data.amount),
+            installments: (request.data && request.data.installments) || 1,
+            startMonth: approvedOn.month,
+            startYear: approvedOn.year,
+        });
+        if (!plan) continue; // No usable amount on the request
+
+        written.push(await disburseForRequest(request, plan, null));
+    }
+
+    return written;
+}
+
+/**
+ * Get all advances of an employee with outstanding balances and history
+ */
+async function getAdvances(employeeId) {
+    const entries = await getEntriesByEmployee(employeeId);
+    const approvedAdvances = (await Request.getRequestsByEmployee(employeeId))
+        .filter(r => r.type === 'ADVANCE' && r.status === 'APPROVED');
+    const written = await syncDisbursements(approvedAdvances, entries);
+
+    return summariseAdvances([...entries, ...written]);
+}
+
+/**
+ * Get one advance by its request ID
+ */
+async function getAdvance(employeeId, requestId) {
+    const advances = await getAdvances(employeeId);
+    return advances.find(a => a.requestId === requestId) || null;
+}
+
+/**
+ * Record an installment deducted in a locked payroll run (idempotent per advance and month)
+ */
+async function recordInstallment({ employeeId, requestId, month, year, amount, runId, createdBy }) {
+    const period = periodKey(month, year);
+
+    return putEntry({
+        entryId: `${employeeId}#${ADVANCE_ENTRY_TYPES.INSTALLMENT}#${requestId}#${period}`,
+        employeeId,
+        requestId,
+        entryType: ADVANCE_ENTRY_TYPES.INSTALLMENT,
+        amount,
+        period,
+        runId: runId || null,
+        date: getBusinessDate(),
+        note: `Salary deduction for ${period}`,
+        createdBy: createdBy || null,
+        createdAt: new Date().toISOString(),
+    });
+}
+
+/**
+ * Record a recovery outside payroll: early settlement, write-off or cancellation
+ */
+async function createRecovery({ employeeId, requestId, entryType, amount, note, createdBy }) {
+    return putEntry({
+        entryId: `${employeeId}#${entryType}#${requestId}#${uuidv4()}`,
+        employeeId,
+        requestId,
+        entryType,
+        amount,
+        date: getBusinessDate(),
+        note: note || null,
+        createdBy: createdBy || null,
+        createdAt: new Date().toISOString(),
+    });
+}
+
+/**
+ * Close whatever is still outstanding on an ADVANCE that was cancelled after approval
+ */
+async function cancelForRequest(request, actorId) {
+    const entries = await getEntriesByEmployee(request.employeeId);
+    const disbursement = entries.find(e => e.entryType === ADVANCE_ENTRY_TYPES.DISBURSEMENT && e.requestId === request.requestId);
+    if (!disbursement) return null;
+
+    const { outstanding } = summariseAdvance(disbursement, entries);
+    if (outstanding <= 0) return null;
+
+    return createRecovery({
+        employeeId: request.employeeId,
+        requestId: request.requestId,
+        entryType: ADVANCE_ENTRY_TYPES.CANCELLATION,
+        amount: outstanding,
+        note: 'Advance cancelled',
+        createdBy: actorId,
+    });
+}
+
+module.exports = {
+    getAllEntries,
+    getEntriesByEmployee,
+    disburseForRequest,
+    syncDisbursements,
+    getAdvances,
+    getAdvance,
+    recordInstallment,
+    createRecovery,
+    cancelForRequest,
+};
@@ -1,28 +1,72 @@
-const { GetCommand, PutCommand, QueryCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
-const { docClient } = require('../config/aws');
+const { GetCommand, PutCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient } = require('../storage');
 const { v4: uuidv4 } = require('uuid');
 const { getAttendanceSettings } = require('./Settings');
+const { settingsToShift, getShiftWindow, toShiftMinutes } = require('../utils/shiftUtils');
+const { listDates } = require('../utils/leavePolicy');
+const { queryAll, scanAll } = require('../utils/dynamoQuery');
+const { DEFAULT_TIMEZONE, getZonedDateTime, getBusinessDate } = require('../utils/timezone');
 
 const TABLE_NAME = process.env.DYNAMODB_ATTENDANCE_TABLE || 'srm-attendance-table';
 
+// Global secondary indexes (see storage/schema.js)
+const EMPLOYEE_DATE_INDEX = 'employeeId-date-index';
+const DATE_INDEX = 'date-index';
+
+/**
+ * Query an employee's sessions, newest date first
+ * @param {Object} options - { date, filter: { expression, values }, maxItems }
+ */
+function queryEmployeeSessions(employeeId, { date = null, filter = null, maxItems } = {}) {
+    return queryAll({
+        TableName: TABLE_NAME,
+        IndexName: EMPLOYEE_DATE_INDEX,
+        KeyConditionExpression: date ? 'employeeId = :empId AND #date = :date' : 'employeeId = :empId',
+        ...(date ? { ExpressionAttributeNames: { '#date': 'date' } } : {}),
+        ...(filter ? { FilterExpression: filter.expression } : {}),
+        ExpressionAttributeValues: {
+            ':empId': employeeId,
+            ...(date ? { ':date': date } : {}),
+            ...(filter ? filter.values : {}),
+        },
+        ScanIndexForward: false,
+    }, { maxItems });
+}
+
 /**
  * Create attendance record (check-in)
+ * attendanceData.shift is the employee's effective shift (null = global work hours);
+ * attendanceData.timeZone is the branch timezone the business date is taken in;
+ * attendanceData.reading and fraudRisk come from the GPS checks (see utils/locationRisk.js)
  */
 async function createAttendance(attendanceData) {
-    const timestamp = new Date().toISOString();
-    const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
-    const status = await determineStatusAsync(new Date());
+    const now = new Date();
+    const timestamp = now.toISOString();
+    const timeZone = attendanceData.timeZone || DEFAULT_TIMEZONE;
+    const status = await determineStatusAsync(now, attendanceData.shift, timeZone);
 
     const item = {
         attendanceId: uuidv4(),
         employeeId: attendanceData.employeeId,
-        date: today,
+        date: getBusinessDate(now, timeZone), // YYYY-MM-DD
         checkInTime: timestamp,
         checkOutTime: null,
         checkInLat: attendanceData.latitude,
         checkInLng: attendanceData.longitude,
+        type: attendanceData.type === 'TRAVEL' ? 'TRAVEL' : 'OFFICE', // TRAVEL = field duty, no geofence
+        checkInZone: attendanceData.zone || null, // Branch zone checked in from (see utils/geofence.js)
+        checkInReading: attendanceData.reading ? {
+            accuracy: attendanceData.reading.accuracy,
+            altitude: attendanceData.reading.altitude,
+            speed: attendanceData.reading.speed,
+            provider: attendanceData.reading.provider,
+            isMocked: attendanceData.reading.isMocked,
+        } : null,
+        fraudRisk: attendanceData.fraudRisk || null,
         verificationMethod: 'face_recognition',
+        shiftId: attendanceData.shift ? attendanceData.shift.shiftId : null,
         status: status,
+        timezone: timeZone,
         createdAt: timestamp,
     };
 
@@ -38,24 +82,10 @@ async function createAttendance(attendanceData) {
 /**
  * Get today's attendance for employee (latest unchecked-out session)
  */
-async function getTodayAttendance(employeeId) {
-    const today = new Date().toISOString().split('T')[0];
+async function getTodayAttendance(employeeId, timeZone = DEFAULT_TIMEZONE) {
+    const today = getBusinessDate(new Date(), timeZone);
 
-    // Using scan with filter since we may not have GSI
-    const command = new ScanCommand({
-        TableName: TABLE_NAME,
-        FilterExpression: 'employeeId = :empId AND #date = :today',
-        ExpressionAttributeNames: {
-            '#date': 'date',
-        },
-        ExpressionAttributeValues: {
-            ':empId': employeeId,
-            ':today': today,
-        },
-    });
-
-    const response = await docClient.send(command);
-    const items = response.Items || [];
+    const items = await queryEmployeeSessions(employeeId, { date: today });
 
     // Sort by checkInTime descending (latest first)
     items.sort((a, b) => new Date(b.checkInTime) - new Date(a.checkInTime));
@@ -70,75 +100,85 @@ async function getTodayAttendance(employeeId) {
 /**
  * Get all today's attendance records for employee (for multiple sessions)
  */
-async function getAllTodayAttendance(employeeId) {
-    const today = new Date().toISOString().split('T')[0];
-
-    const command = new ScanCommand({
-        TableName: TABLE_NAME,
-        FilterExpression: 'employeeId = :empId AND #date = :today',
-        ExpressionAttributeNames: {
-            '#date': 'date',
-        },
-        ExpressionAttributeValues: {
-            ':empId': employeeId,
-            ':today': today,
-        },
-    });
+async function getAllTodayAttendance(employeeId, timeZone = DEFAULT_TIMEZONE) {
+    const today = getBusinessDate(new Date(), timeZone);
 
-    const response = await docClient.send(command);
-    const items = response.Items || [];
+    const items = await queryEmployeeSessions(employeeId, { date: today });
 
     // Sort by checkInTime descending (latest first)
     return items.sort((a, b) => new Date(b.checkInTime) - new Date(a.checkInTime));
 }
 
+/**
+ * Get an employee's sessions on a date, in check-in order
+ */
+async function getEmployeeAttendanceForDate(employeeId, date) {
+    const items = await queryEmployeeSessions(employeeId, { date });
+    return items.sort((a, b) => new Date(a.checkInTime) - new Date(b.checkInTime));
+}
+
 /**
  * Get any open/incomplete session for employee (no checkout time) - regardless of date
  */
 async function getOpenSession(employeeId) {
-    const command = new ScanCommand({
-        TableName: TABLE_NAME,
-        FilterExpression: 'employeeId = :empId AND attribute_not_exists(checkOutTime)',
-        ExpressionAttributeValues: {
-            ':empId': employeeId,
+    // checkOutTime is missing on new sessions, or null on older ones
+    const openSessions = await queryEmployeeSessions(employeeId, {
+        filter: {
+            expression: 'attribute_not_exists(checkOutTime) OR checkOutTime = :nullVal',
+            values: { ':nullVal': null },
         },
     });
 
-    const response = await docClient.send(command);
-    const items = response.Items || [];
+    // Sort by checkInTime descending (latest first)
+    openSessions.sort((a, b) => new Date(b.checkInTime) - new Date(a.checkInTime));
+
+    console.log(`[Attendance] getOpenSession for ${employeeId}: Found ${openSessions.length} open sessions`);
+
+    return openSessions.length > 0 ? openSessions[0] : null;
+}
 
-    // Also check for null checkOutTime (in case it exists but is null)
-    const commandNull = new ScanCommand({
+/**
+ * Get every open session (no check-out yet) across employees
+ */
+async function getAllOpenSessions() {
+    return scanAll({
         TableName: TABLE_NAME,
-        FilterExpression: 'employeeId = :empId AND checkOutTime = :nullVal',
+        FilterExpression: 'attribute_not_exists(checkOutTime) OR checkOutTime = :nullVal',
         ExpressionAttributeValues: {
-            ':empId': employeeId,
             ':nullVal': null,
         },
     });
+}
 
-    const responseNull = await docClient.send(commandNull);
-    const itemsNull = responseNull.Items || [];
-
-    // Combine and deduplicate
-    const allOpen = [...items, ...itemsNull];
-    const uniqueOpen = allOpen.filter((item, index, self) =>
-        index === self.findIndex((t) => t.attendanceId === item.attendanceId)
-    );
-
-    // Sort by checkInTime descending (latest first)
-    uniqueOpen.sort((a, b) => new Date(b.checkInTime) - new Date(a.checkInTime));
+/**
+ * Close a session the employee never checked out of, flagged as closed by the system
+ * @param {Object} record - Open session
+ * @param {string} checkOutTime - ISO time to close it at (e.g. the shift end)
+ * @param {string} reason - e.g. 'SHIFT_END'
+ */
+async function systemCloseSession(record, checkOutTime, reason) {
+    const updated = {
+        ...record,
+        checkOutTime,
+        systemClosed: true,
+        systemClosedReason: reason || null,
+        systemClosedAt: new Date().toISOString(),
+    };
 
-    console.log(`[Attendance] getOpenSession for ${employeeId}: Found ${uniqueOpen.length} open sessions`);
+    const command = new PutCommand({
+        TableName: TABLE_NAME,
+        Item: updated,
+    });
 
-    return uniqueOpen.length > 0 ? uniqueOpen[0] : null;
+    await docClient.send(command);
+    return updated;
 }
 
 /**
  * Close all active sessions for an employee (checkout without checkout time)
  */
-async function closeAllActiveSessions(employeeId) {
-    const allRecords = await getAllTodayAttendance(employeeId);
+async function closeAllActiveSessions(employeeId, timeZone = DEFAULT_TIMEZONE) {
+    const allRecords = await getAllTodayAttendance(employeeId, timeZone);
     const activeRecords = allRecords.filter(r => !r.checkOutTime);
 
     const timestamp = new Date().toISOString();
@@ -167,20 +207,11 @@ async function checkOut(attendanceId) {
     const timestamp = new Date().toISOString();
 
     // Get existing record first
-    const getCommand = new ScanCommand({
-        TableName: TABLE_NAME,
-        FilterExpression: 'attendanceId = :attId',
-        ExpressionAttributeValues: {
-            ':attId': attendanceId,
-        },
-    });
-
-    const existingResponse = await docClient.send(getCommand);
-    if (!existingResponse.Items || existingResponse.Items.length === 0) {
+    const existing = await getAttendanceById(attendanceId);
+    if (!existing) {
         throw new Error('Attendance record not found');
     }
 
-    const existing = existingResponse.Items[0];
     const updated = {
         ...existing,
         checkOutTime: timestamp,
@@ -199,30 +230,18 @@ async function checkOut(attendanceId) {
  * Get attendance history for employee
  */
 async function getAttendanceHistory(employeeId, limit = 30) {
-    const command = new ScanCommand({
-        TableName: TABLE_NAME,
-        FilterExpression: 'employeeId = :empId',
-        ExpressionAttributeValues: {
-            ':empId': employeeId,
-        },
-    });
-
-    const response = await docClient.send(command);
-    const items = response.Items || [];
-
-    // Sort by date descending and limit
-    return items
-        .sort((a, b) => new Date(b.date) - new Date(a.date))
-        .slice(0, limit);
+    // The index returns the newest dates first
+    return queryEmployeeSessions(employeeId, { maxItems: limit });
 }
 
 /**
  * Get all attendance records for a date
  */
 async function getAttendanceByDate(date) {
-    const command = new ScanCommand({
+    return queryAll({
         TableName: TABLE_NAME,
-        FilterExpression: '#date = :date',
+        IndexName: DATE_INDEX,
+        KeyConditionExpression: '#date = :date',
         ExpressionAttributeNames: {
             '#date': 'date',
         },
@@ -230,51 +249,40 @@ async function getAttendanceByDate(date) {
             ':date': date,
         },
     });
-
-    const response = await docClient.send(command);
-    return response.Items || [];
 }
 
 /**
  * Get all attendance records for a date range (Inclusive)
  */
 async function getAttendanceByDateRange(startDate, endDate) {
-    // Scan and filter by date range
-    // Note: In a large system, this should use a GSI on date or Query if date is part of Key
-    const command = new ScanCommand({
-        TableName: TABLE_NAME,
-        FilterExpression: '#date BETWEEN :start AND :end',
-        ExpressionAttributeNames: {
-            '#date': 'date',
-        },
-        ExpressionAttributeValues: {
-            ':start': startDate,
-            ':end': endDate,
-        },
-    });
-
-    const response = await docClient.send(command);
-    return response.Items || [];
+    // One query per date on the date index
+    const days = await Promise.all(listDates(startDate, endDate).map(getAttendanceByDate));
+    return days.flat();
 }
 
 /**
  * Determine attendance status based on check-in time (async version with configurable thresholds)
+ * Uses the employee's shift when given, otherwise the global attendance settings;
+ * the check-in is read as wall-clock time in the branch timezone
  */
-async function determineStatusAsync(checkInTime) {
-    let lateThreshold = 555;  // Default 9:15 AM
-    let halfDayThreshold = 720;  // Default 12:00 PM
-
-    try {
-        const settings = await getAttendanceSettings();
-        lateThreshold = settings.lateThresholdMinutes || 555;
-        halfDayThreshold = settings.halfDayThresholdMinutes || 720;
-    } catch (err) {
-        console.log('[Attendance] Using default thresholds:', err.message);
+async function determineStatusAsync(checkInTime, shift = null, timeZone = DEFAULT_TIMEZONE) {
+    let effectiveShift = shift;
+
+    if (!effectiveShift) {
+        let settings = {};
+        try {
+            settings = await getAttendanceSettings();
+        } catch (err) {
+            console.log('[Attendance] Using default thresholds:', err.message);
+        }
+        effectiveShift = settingsToShift(settings);
     }
 
-    const hours = checkInTime.getHours();
-    const minutes = checkInTime.getMinutes();
-    const timeInMinutes = hours * 60 + minutes;
+    const window = getShiftWindow(effectiveShift);
+    const lateThreshold = window.lateCutoff;
+    const halfDayThreshold = window.halfDayCutoff;
+
+    const timeInMinutes = toShiftMinutes(getZonedDateTime(checkInTime, timeZone).minutes, window);
 
     if (timeInMinutes <= lateThreshold) {
         return 'present';
@@ -288,10 +296,8 @@ async function determineStatusAsync(checkInTime) {
 /**
  * Determine attendance status based on check-in time (sync fallback)
  */
-function determineStatus(checkInTime) {
-    const hours = checkInTime.getHours();
-    const minutes = checkInTime.getMinutes();
-    const timeInMinutes = hours * 60 + minutes;
+function determineStatus(checkInTime, timeZone = DEFAULT_TIMEZONE) {
+    const timeInMinutes = getZonedDateTime(checkInTime, timeZone).minutes;
 
     // Default thresholds (used as fallback)
     const lateThreshold = 555;  // 9:15 AM
@@ -307,24 +313,34 @@ function determineStatus(checkInTime) {
 }
 
 /**
- * Update attendance record (admin)
+ * Get an employee's attendance records for a date range (inclusive)
  */
-async function updateAttendance(attendanceId, updates) {
-    // First find the record
-    const scanCommand = new ScanCommand({
+async function getEmployeeAttendanceByDateRange(employeeId, startDate, endDate) {
+    return queryAll({
         TableName: TABLE_NAME,
-        FilterExpression: 'attendanceId = :attId',
+        IndexName: EMPLOYEE_DATE_INDEX,
+        KeyConditionExpression: 'employeeId = :empId AND #date BETWEEN :start AND :end',
+        ExpressionAttributeNames: {
+            '#date': 'date',
+        },
         ExpressionAttributeValues: {
-            ':attId': attendanceId,
+            ':empId': employeeId,
+            ':start': startDate,
+            ':end': endDate,
         },
     });
+}
 
-    const response = await docClient.send(scanCommand);
-    if (!response.Items || response.Items.length === 0) {
+/**
+ * Update attendance record (admin)
+ */
+async function updateAttendance(attendanceId, updates) {
+    // First find the record
+    const existing = await getAttendanceById(attendanceId);
+    if (!existing) {
         return null;
     }
 
-    const existing = response.Items[0];
     const updated = {
         ...existing,
         ...updates,
@@ -339,15 +355,142 @@ async function updateAttendance(attendanceId, updates) {
     return updated;
 }
 
+/**
+ * Get attendance record by ID
+ */
+async function getAttendanceById(attendanceId) {
+    const command = new GetCommand({
+        TableName: TABLE_NAME,
+        Key: { attendanceId },
+    });
+
+    const response = await docClient.send(command);
+    return response.Item || null;
+}
+
+/**
+ * Apply an approved REGULARIZATION request
+ * Corrects the session's times (or creates the session when there was none) and keeps
+ * the times as first punched under regularization.original, so reports can show it.
+ */
+async function regularizeAttendance(request, approvedBy, timeZone = DEFAULT_TIMEZONE) {
+    const { data } = request;
+    const timestamp = new Date().toISOString();
+    const regularization = {
+        requestId: request.requestId,
+        reason: data.reason,
+        corrected: { checkInTime: data.checkInTime, checkOutTime: data.checkOutTime },
+        approvedBy: approvedBy || null,
+        approvedAt: timestamp,
+    };
+
+    let item;
+    if (data.attendanceId) {
+        const existing = await getAttendanceById(data.attendanceId);
+        if (!existing) {
+            throw new Error('Attendance record not found');
+        }
+
+        item = {
+            ...existing,
+            checkInTime: data.checkInTime,
+            checkOutTime: data.checkOutTime,
+            regularized: true,
+            regularization: {
+                ...regularization,
+                // Keep the very first punches if the session is regularized again
+                original: existing.regularization
+                    ? existing.regularization.original
+                    : { checkInTime: existing.checkInTime, checkOutTime: existing.checkOutTime || null },
+                previous: existing.regularization || null, // Restored if this regularization is cancelled
+            },
+        };
+    } else {
+        item = {
+            attendanceId: uuidv4(),
+            employeeId: request.employeeId,
+            date: data.date,
+            checkInTime: data.checkInTime,
+            checkOutTime: data.checkOutTime,
+            verificationMethod: 'regularization',
+            shiftId: null,
+            status: await determineStatusAsync(new Date(data.checkInTime), null, timeZone),
+            timezone: timeZone,
+            regularized: true,
+            regularization: { ...regularization, original: null },
+            createdAt: timestamp,
+        };
+    }
+
+    const command = new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item,
+    });
+
+    await docClient.send(command);
+    return item;
+}
+
+/**
+ * Undo the regularization applied by a request that is being cancelled
+ * The session goes back to its times when the request was approved (the punches, or the
+ * previous regularization's times); a session the regularization created is deleted.
+ * Only the latest regularization of a session can be undone.
+ */
+async function revertRegularization(request) {
+    const { data } = request;
+    const record = data.attendanceId
+        ? await getAttendanceById(data.attendanceId)
+        : (await getAttendanceByDate(data.date)).find(r => r.employeeId === request.employeeId
+            && r.regularization && r.regularization.requestId === request.requestId);
+
+    if (!record || !record.regularization || record.regularization.requestId !== request.requestId) {
+        throw new Error('This session has been regularized again since; cancel the later regularization first');
+    }
+
+    if (!data.attendanceId) {
+        await docClient.send(new DeleteCommand({
+            TableName: TABLE_NAME,
+            Key: { attendanceId: record.attendanceId },
+        }));
+        return null;
+    }
+
+    const { regularization, regularized, ...session } = record;
+    const previous = regularization.previous || null;
+    const restored = previous ? previous.corrected : regularization.original;
+    const item = {
+        ...session,
+        checkInTime: restored.checkInTime,
+        checkOutTime: restored.checkOutTime,
+        ...(previous ? { regularized: true, regularization: previous } : {}),
+    };
+
+    const command = new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item,
+    });
+
+    await docClient.send(command);
+    return item;
+}
+
 module.exports = {
     createAttendance,
     getTodayAttendance,
     getAllTodayAttendance,
+    getEmployeeAttendanceForDate,
     getOpenSession,
+    getAllOpenSessions,
+    systemCloseSession,
     closeAllActiveSessions,
     checkOut,
     getAttendanceHistory,
     getAttendanceByDate,
     getAttendanceByDateRange,
+    getEmployeeAttendanceByDateRange,
     updateAttendance,
+    getAttendanceById,
+    regularizeAttendance,
+    revertRegularization,
 };
@@ -2,9 +2,11 @@
  * Branch Model - DynamoDB operations for branch/location management
  */
 
-const { GetCommand, PutCommand, ScanCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
-const { docClient } = require('../config/aws');
+const { GetCommand, PutCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient } = require('../storage');
 const { v4: uuidv4 } = require('uuid');
+const { scanAll } = require('../utils/dynamoQuery');
+const { resolveTimezone } = require('../utils/timezone');
 
 const TABLE_NAME = process.env.DYNAMODB_BRANCHES_TABLE || 'srm-branches-table';
 
@@ -12,12 +14,9 @@ const TABLE_NAME = process.env.DYNAMODB_BRANCHES_TABLE || 'srm-branches-table';
  * Get all branches
  */
 async function getAllBranches() {
-    const command = new ScanCommand({
+    return scanAll({
         TableName: TABLE_NAME,
     });
-
-    const response = await docClient.send(command);
-    return response.Items || [];
 }
 
 /**
@@ -33,20 +32,24 @@ async function getBranchById(branchId) {
     return response.Item;
 }
 
+/**
+ * Timezone of an employee's branch (organization default when unassigned)
+ */
+async function getBranchTimezone(branchId) {
+    return resolveTimezone(branchId ? await getBranchById(branchId) : null);
+}
+
 /**
  * Get all active branches
  */
 async function getActiveBranches() {
-    const command = new ScanCommand({
+    return scanAll({
         TableName: TABLE_NAME,
         FilterExpression: 'isActive = :active',
         ExpressionAttributeValues: {
             ':active': true,
         },
     });
-
-    const response = await docClient.send(command);
-    return response.Items || [];
 }
 
 /**
@@ -62,7 +65,11 @@ async function createBranch(branchData) {
         latitude: branchData.latitude,
         longitude: branchData.longitude,
         radiusMeters: branchData.radiusMeters || 100,
+        zones: branchData.zones || [], // Polygon zones, allowed or denied (see utils/geofence.js); none = the circle above
         branchType: branchData.branchType || 'main', // main, sales, inventory
+        state: branchData.state || null, // Used to match state holidays
+        weeklyOff: branchData.weeklyOff || null, // Weekly off pattern override (see utils/calendar.js)
+        timezone: branchData.timezone || null, // IANA timezone for business dates (null = organization default)
         isActive: branchData.isActive !== false,
         createdAt: timestamp,
         updatedAt: timestamp,
@@ -119,6 +126,7 @@ async function deleteBranch(branchId) {
 module.exports = {
     getAllBranches,
     getBranchById,
+    getBranchTimezone,
     getActiveBranches,
     createBranch,
     updateBranch,
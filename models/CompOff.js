@@ -0,0 +1,111 @@
+/**
+ * CompOff Model - DynamoDB operations for compensatory off credits
+ * One item per worked week off or holiday (creditId = employeeId#date); COMP_OFF
+ * requests are recorded as usages on the credits they consume.
+ * See utils/compOff.js for earning and allocation rules.
+ */
+
+const { GetCommand, PutCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient } = require('../storage');
+const { allocateCredits } = require('../utils/compOff');
+const { getLeaveDays } = require('../utils/leavePolicy');
+const { queryAll } = require('../utils/dynamoQuery');
+
+const TABLE_NAME = process.env.DYNAMODB_COMP_OFF_TABLE || 'srm-comp-off-table';
+
+// Global secondary index (see storage/schema.js)
+const EMPLOYEE_INDEX = 'employeeId-index';
+
+/**
+ * Get all credits for an employee
+ */
+async function getCreditsByEmployee(employeeId) {
+    return queryAll({
+        TableName: TABLE_NAME,
+        IndexName: EMPLOYEE_INDEX,
+        KeyConditionExpression: 'employeeId = :empId',
+        ExpressionAttributeValues: {
+            ':empId': employeeId,
+        },
+    });
+}
+
+/**
+ * Get credit by ID
+ */
+async function getCreditById(creditId) {
+    const command = new GetCommand({
+        TableName: TABLE_NAME,
+        Key: { creditId },
+    });
+
+    const response = await docClient.send(command);
+    return response.Item || null;
+}
+
+/**
+ * Write a credit
+ */
+async function putCredit(credit) {
+    const command = new PutCommand({
+        TableName: TABLE_NAME,
+        Item: credit,
+    });
+
+    await docClient.send(command);
+    return credit;
+}
+
+/**
+ * Consume credits for an approved COMP_OFF request (does nothing if already consumed)
+ * @param {number} days - Days the request uses (defaults to every day of its range)
+ * @throws {Error} When the employee's credits do not cover the request
+ */
+async function consumeForRequest(request, days = getLeaveDays(request)) {
+    const credits = await getCreditsByEmployee(request.employeeId);
+    if (credits.some(c => (c.usages || []).some(u => u.requestId === request.requestId))) {
+        return credits;
+    }
+
+    const allocation = allocateCredits(credits, days, request.data.fromDate);
+    if (!allocation) {
+        throw new Error('Not enough comp-off credits available for these dates');
+    }
+
+    const timestamp = new Date().toISOString();
+    const updated = [];
+    for (const { creditId, days } of allocation) {
+        const credit = credits.find(c => c.creditId === creditId);
+        updated.push(await putCredit({
+            ...credit,
+            usages: [...(credit.usages || []), { requestId: request.requestId, days, date: request.data.fromDate, usedAt: timestamp }],
+            updatedAt: timestamp,
+        }));
+    }
+
+    return updated;
+}
+
+/**
+ * Give back credits consumed by a COMP_OFF request that was cancelled after approval
+ */
+async function restoreForRequest(request) {
+    const credits = await getCreditsByEmployee(request.employeeId);
+    const timestamp = new Date().toISOString();
+
+    for (const credit of credits.filter(c => (c.usages || []).some(u => u.requestId === request.requestId))) {
+        await putCredit({
+            ...credit,
+            usages: credit.usages.filter(u => u.requestId !== request.requestId),
+            updatedAt: timestamp,
+        });
+    }
+}
+
+module.exports = {
+    getCreditsByEmployee,
+    getCreditById,
+    putCredit,
+    consumeForRequest,
+    restoreForRequest,
+};
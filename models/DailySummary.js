@@ -0,0 +1,142 @@
+/**
+ * DailySummary Model - DynamoDB operations for per-employee daily attendance summaries
+ * One row per employee and date, evaluated from the day's sessions, approved requests,
+ * shift and calendar. Rows are rewritten when any of those change, by the end-of-day
+ * job, and by payroll runs for days that have none yet; reads evaluate those days
+ * without storing them (see loadDailySummaries in controllers/payrollController.js).
+ */
+
+const { GetCommand, PutCommand, BatchGetCommand, BatchWriteCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient } = require('../storage');
+const { listDates } = require('../utils/leavePolicy');
+const { queryAll } = require('../utils/dynamoQuery');
+
+const TABLE_NAME = process.env.DYNAMODB_DAILY_SUMMARY_TABLE || 'srm-daily-summary-table';
+
+// Global secondary index (see storage/schema.js)
+const DATE_INDEX = 'date-index';
+
+// DynamoDB accepts at most 25 puts per batch
+const BATCH_SIZE = 25;
+
+// ...and at most 100 keys per batch get
+const BATCH_GET_SIZE = 100;
+
+/**
+ * Summary ID for an employee and date
+ */
+function buildSummaryId(employeeId, date) {
+    return `${employeeId}#${date}`;
+}
+
+/**
+ * Get the summary of an employee's day
+ */
+async function getSummary(employeeId, date) {
+    const command = new GetCommand({
+        TableName: TABLE_NAME,
+        Key: { summaryId: buildSummaryId(employeeId, date) },
+    });
+
+    const response = await docClient.send(command);
+    return response.Item || null;
+}
+
+/**
+ * Get summaries for a date range (inclusive), optionally for one branch
+ */
+async function getSummariesByDateRange(startDate, endDate, branchId = null) {
+    // One query per date on the date index
+    const days = await Promise.all(listDates(startDate, endDate).map(date => queryAll({
+        TableName: TABLE_NAME,
+        IndexName: DATE_INDEX,
+        KeyConditionExpression: '#date = :date',
+        ...(branchId ? { FilterExpression: 'branchId = :branchId' } : {}),
+        ExpressionAttributeNames: {
+            '#date': 'date',
+        },
+        ExpressionAttributeValues: {
+            ':date': date,
+            ...(branchId ? { ':branchId': branchId } : {}),
+        },
+    })));
+
+    return days.flat().sort((a, b) => a.date.localeCompare(b.date) || a.employeeId.localeCompare(b.employeeId));
+}
+
+/**
+ * Get an employee's summaries for a date range (inclusive), by key
+ */
+async function getEmployeeSummaries(employeeId, startDate, endDate) {
+    const keys = listDates(startDate, endDate).map(date => ({ summaryId: buildSummaryId(employeeId, date) }));
+
+    const summaries = [];
+    for (let i = 0; i < keys.length; i += BATCH_GET_SIZE) {
+        let request = { Keys: keys.slice(i, i + BATCH_GET_SIZE) };
+
+        // Retry whatever DynamoDB left unprocessed
+        while (request && request.Keys.length > 0) {
+            const response = await docClient.send(new BatchGetCommand({
+                RequestItems: { [TABLE_NAME]: request },
+            }));
+            summaries.push(...(response.Responses[TABLE_NAME] || []));
+            request = response.UnprocessedKeys && response.UnprocessedKeys[TABLE_NAME];
+        }
+    }
+
+    return summaries.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Save (replace) a summary
+ */
+async function putSummary(summary) {
+    const item = {
+        ...summary,
+        summaryId: buildSummaryId(summary.employeeId, summary.date),
+        updatedAt: new Date().toISOString(),
+    };
+
+    const command = new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item,
+    });
+
+    await docClient.send(command);
+    return item;
+}
+
+/**
+ * Save (replace) many summaries
+ */
+async function putSummaries(summaries) {
+    const timestamp = new Date().toISOString();
+    const items = summaries.map(summary => ({
+        ...summary,
+        summaryId: buildSummaryId(summary.employeeId, summary.date),
+        updatedAt: timestamp,
+    }));
+
+    for (let i = 0; i < items.length; i += BATCH_SIZE) {
+        let requests = items.slice(i, i + BATCH_SIZE).map(Item => ({ PutRequest: { Item } }));
+
+        // Retry whatever DynamoDB throttled
+        while (requests.length > 0) {
+            const response = await docClient.send(new BatchWriteCommand({
+                RequestItems: { [TABLE_NAME]: requests },
+            }));
+            requests = (response.UnprocessedItems && response.UnprocessedItems[TABLE_NAME]) || [];
+        }
+    }
+
+    return items;
+}
+
+module.exports = {
+    buildSummaryId,
+    getSummary,
+    getSummariesByDateRange,
+    getEmployeeSummaries,
+    putSummary,
+    putSummaries,
+};
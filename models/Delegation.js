@@ -0,0 +1,117 @@
+/**
+ * Delegation Model - DynamoDB operations for approval delegations
+ * While a delegation is active (fromDate..toDate, inclusive), the delegate can
+ * decide approval steps in place of the delegator, e.g. while the delegator is on leave.
+ */
+
+const { GetCommand, PutCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient } = require('../storage');
+const { v4: uuidv4 } = require('uuid');
+const { scanAll } = require('../utils/dynamoQuery');
+const { getBusinessDate } = require('../utils/timezone');
+
+const TABLE_NAME = process.env.DYNAMODB_DELEGATIONS_TABLE || 'srm-approval-delegations-table';
+
+/**
+ * Get all delegations
+ */
+async function getAllDelegations() {
+    const items = await scanAll({
+        TableName: TABLE_NAME,
+    });
+    return items.sort((a, b) => b.fromDate.localeCompare(a.fromDate));
+}
+
+/**
+ * Get delegation by ID
+ */
+async function getDelegationById(delegationId) {
+    const command = new GetCommand({
+        TableName: TABLE_NAME,
+        Key: { delegationId },
+    });
+
+    const response = await docClient.send(command);
+    return response.Item || null;
+}
+
+/**
+ * Active delegations to an employee on a date
+ */
+async function getActiveDelegationsTo(delegateId, date = getBusinessDate()) {
+    return scanAll({
+        TableName: TABLE_NAME,
+        FilterExpression: 'delegateId = :delegateId AND #status = :active AND fromDate <= :date AND toDate >= :date',
+        ExpressionAttributeNames: {
+            '#status': 'status',
+        },
+        ExpressionAttributeValues: {
+            ':delegateId': delegateId,
+            ':active': 'ACTIVE',
+            ':date': date,
+        },
+    });
+}
+
+/**
+ * Create a delegation
+ */
+async function createDelegation({ delegatorId, delegateId, fromDate, toDate, reason, createdBy }) {
+    const timestamp = new Date().toISOString();
+
+    const item = {
+        delegationId: uuidv4(),
+        delegatorId,
+        delegateId,
+        fromDate,
+        toDate,
+        reason: reason || null,
+        status: 'ACTIVE', // ACTIVE | REVOKED
+        createdBy: createdBy || null,
+        createdAt: timestamp,
+        updatedAt: timestamp,
+    };
+
+    const command = new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item,
+    });
+
+    await docClient.send(command);
+    return item;
+}
+
+/**
+ * Revoke a delegation
+ */
+async function revokeDelegation(delegationId, revokedBy) {
+    const existing = await getDelegationById(delegationId);
+    if (!existing) {
+        throw new Error('Delegation not found');
+    }
+
+    const timestamp = new Date().toISOString();
+    const updated = {
+        ...existing,
+        status: 'REVOKED',
+        revokedBy: revokedBy || null,
+        revokedAt: timestamp,
+        updatedAt: timestamp,
+    };
+
+    const command = new PutCommand({
+        TableName: TABLE_NAME,
+        Item: updated,
+    });
+
+    await docClient.send(command);
+    return updated;
+}
+
+module.exports = {
+    getAllDelegations,
+    getDelegationById,
+    getActiveDelegationsTo,
+    createDelegation,
+    revokeDelegation,
+};
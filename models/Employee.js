@@ -1,5 +1,6 @@
-const { GetCommand, PutCommand, ScanCommand, UpdateCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
-const { docClient } = require('../config/aws');
+const { GetCommand, PutCommand, UpdateCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient } = require('../storage');
+const { scanAll } = require('../utils/dynamoQuery');
 
 const TABLE_NAME = process.env.DYNAMODB_EMPLOYEE_TABLE || 'srm-employee-table';
 
@@ -34,6 +35,7 @@ async function createEmployee(employeeData) {
         faceId: null,
         status: employeeData.status || 'active',
         workMode: employeeData.workMode || 'OFFICE', // Default to OFFICE
+        role: employeeData.role || 'EMPLOYEE', // EMPLOYEE | BRANCH_MANAGER | HR | SUPER_ADMIN
         fixedSalary: employeeData.fixedSalary ? parseFloat(employeeData.fixedSalary) : 0, // Default to 0
         createdAt: timestamp,
         updatedAt: timestamp,
@@ -96,12 +98,9 @@ async function updateEmployeeFaceId(employeeId, faceId) {
  * Get all employees
  */
 async function getAllEmployees() {
-    const command = new ScanCommand({
+    return scanAll({
         TableName: TABLE_NAME,
     });
-
-    const response = await docClient.send(command);
-    return response.Items || [];
 }
 
 /**
@@ -117,6 +116,15 @@ async function deleteEmployee(employeeId) {
     return { success: true };
 }
 
+/**
+ * Strip credential fields before sending an employee to a client
+ */
+function sanitizeEmployee(employee) {
+    if (!employee) return employee;
+    const { passwordHash, ...rest } = employee;
+    return rest;
+}
+
 module.exports = {
     getEmployeeById,
     employeeExists,
@@ -125,4 +133,5 @@ module.exports = {
     updateEmployeeFaceId,
     getAllEmployees,
     deleteEmployee,
+    sanitizeEmployee,
 };
@@ -0,0 +1,131 @@
+/**
+ * FieldVisit Model - DynamoDB operations for field staff visits
+ * A visit is a stop at a customer or distributor on an employee's day: planned by a
+ * manager ahead of time, or added by the employee when they check in somewhere unplanned.
+ * See utils/fieldVisits.js for the statuses.
+ */
+
+const { GetCommand, PutCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient } = require('../storage');
+const { v4: uuidv4 } = require('uuid');
+const { queryAll } = require('../utils/dynamoQuery');
+
+const TABLE_NAME = process.env.DYNAMODB_FIELD_VISITS_TABLE || 'srm-field-visits-table';
+
+// Global secondary indexes (see storage/schema.js)
+const EMPLOYEE_DATE_INDEX = 'employeeId-date-index';
+const DATE_INDEX = 'date-index';
+
+/**
+ * Create a visit
+ * @param {Object} visitData - { employeeId, date, place, planned, sequence, purpose, plannedBy }
+ */
+async function createVisit(visitData) {
+    const timestamp = new Date().toISOString();
+
+    const item = {
+        visitId: uuidv4(),
+        employeeId: visitData.employeeId,
+        date: visitData.date, // YYYY-MM-DD
+        sequence: visitData.sequence || 0,
+        planned: visitData.planned !== false,
+        place: visitData.place,
+        purpose: visitData.purpose || null,
+        status: 'PLANNED',
+        plannedBy: visitData.plannedBy || null,
+        attendanceId: null,
+        checkInTime: null,
+        checkInLat: null,
+        checkInLng: null,
+        checkInDistance: null,
+        photoUrl: null,
+        checkOutTime: null,
+        outcome: null,
+        notes: null,
+        createdAt: timestamp,
+        updatedAt: timestamp,
+    };
+
+    const command = new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item,
+    });
+
+    await docClient.send(command);
+    return item;
+}
+
+/**
+ * Get visit by ID
+ */
+async function getVisitById(visitId) {
+    const command = new GetCommand({
+        TableName: TABLE_NAME,
+        Key: { visitId },
+    });
+
+    const response = await docClient.send(command);
+    return response.Item || null;
+}
+
+/**
+ * An employee's visits on a date, in route order
+ */
+async function getVisitsForDate(employeeId, date) {
+    const visits = await queryAll({
+        TableName: TABLE_NAME,
+        IndexName: EMPLOYEE_DATE_INDEX,
+        KeyConditionExpression: 'employeeId = :empId AND #date = :date',
+        ExpressionAttributeNames: { '#date': 'date' },
+        ExpressionAttributeValues: {
+            ':empId': employeeId,
+            ':date': date,
+        },
+    });
+    return visits.sort((a, b) => a.sequence - b.sequence || a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Everyone's visits on a date
+ */
+async function getVisitsByDate(date) {
+    return queryAll({
+        TableName: TABLE_NAME,
+        IndexName: DATE_INDEX,
+        KeyConditionExpression: '#date = :date',
+        ExpressionAttributeNames: { '#date': 'date' },
+        ExpressionAttributeValues: { ':date': date },
+    });
+}
+
+/**
+ * Update a visit
+ */
+async function updateVisit(visitId, updates) {
+    const existing = await getVisitById(visitId);
+    if (!existing) {
+        return null;
+    }
+
+    const updated = {
+        ...existing,
+        ...updates,
+        updatedAt: new Date().toISOString(),
+    };
+
+    const command = new PutCommand({
+        TableName: TABLE_NAME,
+        Item: updated,
+    });
+
+    await docClient.send(command);
+    return updated;
+}
+
+module.exports = {
+    createVisit,
+    getVisitById,
+    getVisitsForDate,
+    getVisitsByDate,
+    updateVisit,
+};
@@ -0,0 +1,126 @@
+/**
+ * Holiday Model - DynamoDB operations for the holiday calendar
+ * scope: NATIONAL (everyone), STATE (branches in `state`), BRANCH (listed `branchIds`)
+ */
+
+const { GetCommand, PutCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient } = require('../storage');
+const { v4: uuidv4 } = require('uuid');
+const { scanAll } = require('../utils/dynamoQuery');
+
+const TABLE_NAME = process.env.DYNAMODB_HOLIDAYS_TABLE || 'srm-holidays-table';
+
+/**
+ * Get all holidays
+ */
+async function getAllHolidays() {
+    const items = await scanAll({
+        TableName: TABLE_NAME,
+    });
+    return items.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Get holidays for a date range (Inclusive)
+ */
+async function getHolidaysByDateRange(startDate, endDate) {
+    const items = await scanAll({
+        TableName: TABLE_NAME,
+        FilterExpression: '#date BETWEEN :start AND :end',
+        ExpressionAttributeNames: {
+            '#date': 'date',
+        },
+        ExpressionAttributeValues: {
+            ':start': startDate,
+            ':end': endDate,
+        },
+    });
+    return items.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Get holiday by ID
+ */
+async function getHolidayById(holidayId) {
+    const command = new GetCommand({
+        TableName: TABLE_NAME,
+        Key: { holidayId },
+    });
+
+    const response = await docClient.send(command);
+    return response.Item;
+}
+
+/**
+ * Create new holiday
+ */
+async function createHoliday(holidayData) {
+    const timestamp = new Date().toISOString();
+
+    const item = {
+        holidayId: uuidv4(),
+        name: holidayData.name, // e.g. Diwali, Pongal
+        date: holidayData.date, // YYYY-MM-DD
+        scope: holidayData.scope || 'NATIONAL', // NATIONAL | STATE | BRANCH
+        state: holidayData.scope === 'STATE' ? holidayData.state : null,
+        branchIds: holidayData.scope === 'BRANCH' ? holidayData.branchIds : null,
+        createdBy: holidayData.createdBy || null,
+        createdAt: timestamp,
+        updatedAt: timestamp,
+    };
+
+    const command = new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item,
+    });
+
+    await docClient.send(command);
+    return item;
+}
+
+/**
+ * Update holiday
+ */
+async function updateHoliday(holidayId, updates) {
+    const existing = await getHolidayById(holidayId);
+    if (!existing) {
+        throw new Error('Holiday not found');
+    }
+
+    const updated = {
+        ...existing,
+        ...updates,
+        holidayId, // Ensure ID doesn't change
+        updatedAt: new Date().toISOString(),
+    };
+
+    const command = new PutCommand({
+        TableName: TABLE_NAME,
+        Item: updated,
+    });
+
+    await docClient.send(command);
+    return updated;
+}
+
+/**
+ * Delete holiday
+ */
+async function deleteHoliday(holidayId) {
+    const command = new DeleteCommand({
+        TableName: TABLE_NAME,
+        Key: { holidayId },
+    });
+
+    await docClient.send(command);
+    return { success: true };
+}
+
+module.exports = {
+    getAllHolidays,
+    getHolidaysByDateRange,
+    getHolidayById,
+    createHoliday,
+    updateHoliday,
+    deleteHoliday,
+};
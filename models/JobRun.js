@@ -0,0 +1,111 @@
+/**
+ * JobRun Model - DynamoDB operations for scheduled job runs
+ * One item per job, scope (e.g. a branch) and business date. Claiming the item
+ * before running keeps a job from running twice for the same day, across
+ * restarts and server instances; a FAILED run can be claimed again.
+ */
+
+const { PutCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient } = require('../storage');
+const { scanAll } = require('../utils/dynamoQuery');
+
+const TABLE_NAME = process.env.DYNAMODB_JOB_RUNS_TABLE || 'srm-job-runs-table';
+
+const RUN_STATUS = Object.freeze({
+    RUNNING: 'RUNNING',
+    COMPLETED: 'COMPLETED',
+    FAILED: 'FAILED',
+});
+
+/**
+ * Get job runs, newest first (optionally for one job and/or date)
+ */
+async function getRuns({ jobName, date } = {}) {
+    const filters = [];
+    const names = {};
+    const values = {};
+
+    if (jobName) {
+        filters.push('#jobName = :jobName');
+        names['#jobName'] = 'jobName';
+        values[':jobName'] = jobName;
+    }
+    if (date) {
+        filters.push('#date = :date');
+        names['#date'] = 'date';
+        values[':date'] = date;
+    }
+
+    const items = await scanAll({
+        TableName: TABLE_NAME,
+        ...(filters.length > 0 ? {
+            FilterExpression: filters.join(' AND '),
+            ExpressionAttributeNames: names,
+            ExpressionAttributeValues: values,
+        } : {}),
+    });
+    return items.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+/**
+ * Claim a run for a job, scope and date
+ * @param {boolean} force - Claim even if the run already completed (manual re-runs)
+ * @returns {Object|null} The run, or null when it is already running or done
+ */
+async function claimRun(jobName, scopeId, date, { force = false, triggeredBy = null } = {}) {
+    const item = {
+        runId: `${jobName}#${scopeId}#${date}`,
+        jobName,
+        scopeId,
+        date,
+        status: RUN_STATUS.RUNNING,
+        triggeredBy: triggeredBy || 'scheduler',
+        startedAt: new Date().toISOString(),
+    };
+
+    const command = new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item,
+        ...(force ? {} : {
+            ConditionExpression: 'attribute_not_exists(runId) OR #status = :failed',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: { ':failed': RUN_STATUS.FAILED },
+        }),
+    });
+
+    try {
+        await docClient.send(command);
+        return item;
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') return null;
+        throw error;
+    }
+}
+
+/**
+ * Record the outcome of a claimed run
+ */
+async function finishRun(run, { result = null, error = null } = {}) {
+    const item = {
+        ...run,
+        status: error ? RUN_STATUS.FAILED : RUN_STATUS.COMPLETED,
+        result,
+        error: error ? error.message || String(error) : null,
+        finishedAt: new Date().toISOString(),
+    };
+
+    const command = new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item,
+    });
+
+    await docClient.send(command);
+    return item;
+}
+
+module.exports = {
+    RUN_STATUS,
+    getRuns,
+    claimRun,
+    finishRun,
+};
@@ -0,0 +1,219 @@
+/**
+ * LeaveLedger Model - DynamoDB operations for per-employee leave balances
+ * Every credit or debit is an entry; balances are the sum of entries per leave type and year.
+ * Scheduled entries (grants, accruals, carry-forward) use deterministic IDs and are
+ * written lazily whenever a balance is read.
+ */
+
+const { PutCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient } = require('../storage');
+const { v4: uuidv4 } = require('uuid');
+const Request = require('./Request');
+const Branch = require('./Branch');
+const Holiday = require('./Holiday');
+const { getLeavePolicy, getWeeklyOffSettings } = require('./Settings');
+const {
+    LEAVE_ENTRY_TYPES,
+    buildEntryId,
+    buildScheduledEntries,
+    summariseBalances,
+    getRequestDateRange,
+    getLeaveDaysByYear,
+} = require('../utils/leavePolicy');
+const { resolveWeeklyOff, buildWorkingDayCheck } = require('../utils/calendar');
+const { queryAll } = require('../utils/dynamoQuery');
+const { getBusinessDate } = require('../utils/timezone');
+
+const TABLE_NAME = process.env.DYNAMODB_LEAVE_LEDGER_TABLE || 'srm-leave-ledger-table';
+
+// Global secondary index (see storage/schema.js)
+const EMPLOYEE_INDEX = 'employeeId-index';
+
+/**
+ * Get all ledger entries for an employee (oldest first)
+ */
+async function getEntriesByEmployee(employeeId) {
+    const items = await queryAll({
+        TableName: TABLE_NAME,
+        IndexName: EMPLOYEE_INDEX,
+        KeyConditionExpression: 'employeeId = :empId',
+        ExpressionAttributeValues: {
+            ':empId': employeeId,
+        },
+    });
+    return items.sort((a, b) => (a.date || '').localeCompare(b.date || '') || a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Write a ledger entry
+ */
+async function putEntry(entry) {
+    const command = new PutCommand({
+        TableName: TABLE_NAME,
+        Item: entry,
+    });
+
+    await docClient.send(command);
+    return entry;
+}
+
+/**
+ * Work out the grants/accruals/carry-forwards up to a date and return all entries
+ * Only entries already due are written: those for a later date (a balance asked for
+ * future leave) are projections, since a year-end lapse or carry-forward depends on
+ * leave still to be taken that year.
+ */
+async function syncLedger(employee, policy, asOfDate) {
+    const entries = await getEntriesByEmployee(employee.employeeId);
+    const missing = buildScheduledEntries({ employee, policy, entries, asOfDate });
+
+    const today = getBusinessDate();
+    const isDue = (entry) => ([LEAVE_ENTRY_TYPES.LAPSE, LEAVE_ENTRY_TYPES.ENCASHMENT].includes(entry.entryType)
+        ? entry.year < parseInt(today.slice(0, 4))
+        : entry.date <= today);
+
+    for (const entry of missing.filter(isDue)) {
+        await putEntry(entry);
+    }
+
+    return [...entries, ...missing];
+}
+
+/**
+ * Working-day check for an employee over a date range (their weekly offs and holidays are not working days)
+ * @returns {Function} (date) => boolean
+ */
+async function getWorkingDayCheck(employee, startDate, endDate) {
+    const [branch, weeklyOffSettings, holidays] = await Promise.all([
+        employee.branchId ? Branch.getBranchById(employee.branchId) : null,
+        getWeeklyOffSettings(),
+        Holiday.getHolidaysByDateRange(startDate, endDate),
+    ]);
+    const weeklyOff = resolveWeeklyOff({ employee, branch, defaultPattern: weeklyOffSettings.pattern });
+    return buildWorkingDayCheck({ employee, branch, weeklyOff, holidays });
+}
+
+/**
+ * Leave days a request charges per leave year, leaving out the employee's weekly offs and holidays
+ * @returns {Object} { [year]: days }
+ */
+async function getChargedDaysByYear(employee, request) {
+    const range = getRequestDateRange(request);
+    const isWorkingDay = range ? await getWorkingDayCheck(employee, range.startDate, range.endDate) : null;
+    return getLeaveDaysByYear(request, isWorkingDay);
+}
+
+/**
+ * Get balances per leave type for an employee
+ * @param {Object} employee
+ * @param {string} asOfDate - YYYY-MM-DD (defaults to today)
+ * @param {string} excludeRequestId - Pending request left out of the pending days (the one being edited)
+ */
+async function getBalances(employee, asOfDate = getBusinessDate(), excludeRequestId = null) {
+    const policy = await getLeavePolicy();
+    const entries = await syncLedger(employee, policy, asOfDate);
+    const year = parseInt(asOfDate.slice(0, 4));
+
+    // Days of this year already requested but not yet decided
+    const requests = await Request.getRequestsByEmployee(employee.employeeId);
+    const pendingDays = {};
+    for (const r of requests.filter(r => r.type === 'LEAVE' && r.status === 'PENDING' && r.requestId !== excludeRequestId)) {
+        const days = (await getChargedDaysByYear(employee, r))[year];
+        if (!days) continue;
+        const leaveType = r.data && r.data.leaveType;
+        pendingDays[leaveType] = (pendingDays[leaveType] || 0) + days;
+    }
+
+    return {
+        year,
+        asOfDate,
+        balances: summariseBalances(policy, entries, year, pendingDays),
+    };
+}
+
+/**
+ * Debit the ledger for an approved LEAVE request, one entry per leave year it falls in
+ * (idempotent per request and year)
+ * @returns {Array} The debit entries
+ */
+async function debitForRequest(employee, request, actorId) {
+    const range = getRequestDateRange(request);
+    const daysByYear = await getChargedDaysByYear(employee, request);
+    const timestamp = new Date().toISOString();
+
+    const debits = [];
+    for (const [year, days] of Object.entries(daysByYear)) {
+        const firstDate = range && range.startDate.startsWith(year) ? range.startDate : `${year}-01-01`;
+        debits.push(await putEntry({
+            entryId: buildEntryId(request.employeeId, LEAVE_ENTRY_TYPES.DEBIT, request.requestId, year),
+            employeeId: request.employeeId,
+            leaveType: request.data.leaveType,
+            entryType: LEAVE_ENTRY_TYPES.DEBIT,
+            days: -days,
+            year: parseInt(year),
+            date: range ? firstDate : (request.data.date || request.createdAt.split('T')[0]),
+            requestId: request.requestId,
+            note: 'Leave approved',
+            createdBy: actorId || null,
+            createdAt: timestamp,
+        }));
+    }
+    return debits;
+}
+
+/**
+ * Credit back the debits of a LEAVE request that was cancelled after approval
+ * (what was debited is credited back, to the same years, even if holidays changed since)
+ */
+async function reverseForRequest(request, actorId) {
+    const debits = (await getEntriesByEmployee(request.employeeId))
+        .filter(e => e.requestId === request.requestId && e.entryType === LEAVE_ENTRY_TYPES.DEBIT);
+    const timestamp = new Date().toISOString();
+
+    const reversals = [];
+    for (const debit of debits) {
+        reversals.push(await putEntry({
+            entryId: buildEntryId(request.employeeId, LEAVE_ENTRY_TYPES.REVERSAL, request.requestId, debit.year),
+            employeeId: request.employeeId,
+            leaveType: debit.leaveType,
+            entryType: LEAVE_ENTRY_TYPES.REVERSAL,
+            days: -debit.days,
+            year: debit.year,
+            date: getBusinessDate(),
+            requestId: request.requestId,
+            note: 'Leave cancelled',
+            createdBy: actorId || null,
+            createdAt: timestamp,
+        }));
+    }
+    return reversals;
+}
+
+/**
+ * Manual adjustment by HR (e.g. opening balances)
+ */
+async function createAdjustment({ employeeId, leaveType, days, year, note, createdBy }) {
+    return putEntry({
+        entryId: buildEntryId(employeeId, LEAVE_ENTRY_TYPES.ADJUSTMENT, uuidv4()),
+        employeeId,
+        leaveType,
+        entryType: LEAVE_ENTRY_TYPES.ADJUSTMENT,
+        days,
+        year,
+        date: getBusinessDate(),
+        note: note || 'Manual adjustment',
+        createdBy: createdBy || null,
+        createdAt: new Date().toISOString(),
+    });
+}
+
+module.exports = {
+    getEntriesByEmployee,
+    syncLedger,
+    getWorkingDayCheck,
+    getChargedDaysByYear,
+    getBalances,
+    debitForRequest,
+    reverseForRequest,
+    createAdjustment,
+};
@@ -3,18 +3,29 @@
  * Stores location pings from employees for real-time tracking
  */
 
-const { GetCommand, PutCommand, ScanCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
-const { docClient } = require('../config/aws');
+const { PutCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient } = require('../storage');
 const { v4: uuidv4 } = require('uuid');
+const { queryAll } = require('../utils/dynamoQuery');
+const { getBusinessDate } = require('../utils/timezone');
 
 const TABLE_NAME = process.env.DYNAMODB_LOCATION_PINGS_TABLE || 'srm-location-pings-table';
 
+// Global secondary indexes (see storage/schema.js)
+const EMPLOYEE_DATE_INDEX = 'employeeId-date-index';
+const DATE_INDEX = 'date-index';
+
 /**
  * Save a location ping from an employee
+ * @param {Object} pingData - { employeeId, branchId, latitude, longitude, isInsideGeofence, distance, zone, reading, riskFlags, mode, timeZone }
+ *   (mode: TRAVEL while the employee is on field duty, else OFFICE)
+ *   (timeZone of the employee's branch decides the ping's business date; reading and riskFlags
+ *   come from the GPS checks, see utils/locationRisk.js)
  */
 async function savePing(pingData) {
-    const timestamp = new Date().toISOString();
-    const date = timestamp.split('T')[0]; // YYYY-MM-DD
+    const now = new Date();
+    const timestamp = now.toISOString();
+    const date = getBusinessDate(now, pingData.timeZone); // YYYY-MM-DD
 
     const item = {
         pingId: uuidv4(),
@@ -24,6 +35,14 @@ async function savePing(pingData) {
         longitude: pingData.longitude,
         isInsideGeofence: pingData.isInsideGeofence,
         distance: pingData.distance || null,
+        zone: pingData.zone || null, // Branch zone the ping fell in (see utils/geofence.js)
+        accuracy: pingData.reading ? pingData.reading.accuracy : null,
+        altitude: pingData.reading ? pingData.reading.altitude : null,
+        speed: pingData.reading ? pingData.reading.speed : null,
+        provider: pingData.reading ? pingData.reading.provider : null,
+        isMocked: pingData.reading ? pingData.reading.isMocked : false,
+        riskFlags: pingData.riskFlags || [],
+        mode: pingData.mode || 'OFFICE',
         timestamp: timestamp,
         date: date,
     };
@@ -40,36 +59,19 @@ async function savePing(pingData) {
 /**
  * Get latest ping for an employee
  */
-async function getLatestPing(employeeId) {
-    const today = new Date().toISOString().split('T')[0];
-
-    const command = new ScanCommand({
-        TableName: TABLE_NAME,
-        FilterExpression: 'employeeId = :empId AND #date = :today',
-        ExpressionAttributeNames: {
-            '#date': 'date',
-        },
-        ExpressionAttributeValues: {
-            ':empId': employeeId,
-            ':today': today,
-        },
-    });
-
-    const response = await docClient.send(command);
-    const pings = response.Items || [];
-
-    // Sort by timestamp descending and return latest
-    pings.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-    return pings[0] || null;
+async function getLatestPing(employeeId, timeZone) {
+    const pings = await getPingsForDate(employeeId, getBusinessDate(new Date(), timeZone));
+    return pings[pings.length - 1] || null;
 }
 
 /**
  * Get all pings for an employee on a specific date
  */
 async function getPingsForDate(employeeId, date) {
-    const command = new ScanCommand({
+    const pings = await queryAll({
         TableName: TABLE_NAME,
-        FilterExpression: 'employeeId = :empId AND #date = :date',
+        IndexName: EMPLOYEE_DATE_INDEX,
+        KeyConditionExpression: 'employeeId = :empId AND #date = :date',
         ExpressionAttributeNames: {
             '#date': 'date',
         },
@@ -79,9 +81,6 @@ async function getPingsForDate(employeeId, date) {
         },
     });
 
-    const response = await docClient.send(command);
-    const pings = response.Items || [];
-
     // Sort by timestamp ascending
     pings.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
     return pings;
@@ -89,23 +88,24 @@ async function getPingsForDate(employeeId, date) {
 
 /**
  * Get all employees' latest pings (for admin map)
+ * @param {Array} dates - Business dates to look in; branches in different timezones
+ *   can be on different dates (defaults to today in the organization's timezone)
  */
-async function getAllLatestPings() {
-    const today = new Date().toISOString().split('T')[0];
-
-    const command = new ScanCommand({
-        TableName: TABLE_NAME,
-        FilterExpression: '#date = :today',
-        ExpressionAttributeNames: {
-            '#date': 'date',
-        },
-        ExpressionAttributeValues: {
-            ':today': today,
-        },
-    });
-
-    const response = await docClient.send(command);
-    const pings = response.Items || [];
+async function getAllLatestPings(dates = [getBusinessDate()]) {
+    const pings = [];
+    for (const date of new Set(dates)) {
+        pings.push(...await queryAll({
+            TableName: TABLE_NAME,
+            IndexName: DATE_INDEX,
+            KeyConditionExpression: '#date = :today',
+            ExpressionAttributeNames: {
+                '#date': 'date',
+            },
+            ExpressionAttributeValues: {
+                ':today': date,
+            },
+        }));
+    }
 
     // Group by employee and get latest for each
     const latestPings = {};
@@ -120,8 +120,14 @@ async function getAllLatestPings() {
 }
 
 /**
- * Calculate work minutes inside geofence for a date
- * Counts consecutive pings where isInsideGeofence is true
+ * Whether a ping counts as work: inside a geofence, or anywhere while on field duty
+ * (mocked field-duty pings do not count)
+ */
+const isWorkPing = (ping) => ping.isInsideGeofence || (ping.mode === 'TRAVEL' && !ping.isMocked);
+
+/**
+ * Calculate work minutes for a date
+ * Counts pings that count as work (see isWorkPing)
  * Each ping represents approximately 1 minute
  */
 async function calculateWorkMinutes(employeeId, date) {
@@ -130,7 +136,7 @@ async function calculateWorkMinutes(employeeId, date) {
     let workMinutes = 0;
 
     for (const ping of pings) {
-        if (ping.isInsideGeofence) {
+        if (isWorkPing(ping)) {
             workMinutes += 1; // Each ping = 1 minute interval
         }
     }
@@ -143,7 +149,7 @@ async function calculateWorkMinutes(employeeId, date) {
  */
 async function getWorkSummary(employeeId, date) {
     const pings = await getPingsForDate(employeeId, date);
-    const workMinutes = pings.filter(p => p.isInsideGeofence).length;
+    const workMinutes = pings.filter(isWorkPing).length;
 
     const hours = Math.floor(workMinutes / 60);
     const minutes = workMinutes % 60;
@@ -0,0 +1,164 @@
+/**
+ * PayrollRun Model - DynamoDB operations for monthly payroll runs
+ * A run covers one month for one branch (or all branches) and moves
+ * DRAFT -> REVIEWED -> LOCKED. Payslips for the run live in the Salary table.
+ */
+
+const { GetCommand, PutCommand, UpdateCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient } = require('../storage');
+const { v4: uuidv4 } = require('uuid');
+const { scanAll } = require('../utils/dynamoQuery');
+
+const TABLE_NAME = process.env.DYNAMODB_PAYROLL_RUNS_TABLE || 'srm-payroll-runs-table';
+
+const RUN_STATUS = Object.freeze({
+    DRAFT: 'DRAFT',
+    REVIEWED: 'REVIEWED',
+    LOCKED: 'LOCKED',
+});
+
+/**
+ * Get all payroll runs (optionally for one month)
+ */
+async function getAllRuns(month = null, year = null) {
+    const items = await scanAll(month && year
+        ? {
+            TableName: TABLE_NAME,
+            FilterExpression: '#month = :month AND #year = :year',
+            ExpressionAttributeNames: {
+                '#month': 'month',
+                '#year': 'year',
+            },
+            ExpressionAttributeValues: {
+                ':month': month,
+                ':year': year,
+            },
+        }
+        : {
+            TableName: TABLE_NAME,
+        });
+
+    return items.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Get payroll run by ID
+ */
+async function getRunById(runId) {
+    const command = new GetCommand({
+        TableName: TABLE_NAME,
+        Key: { runId },
+    });
+
+    const response = await docClient.send(command);
+    return response.Item;
+}
+
+/**
+ * Create new payroll run (DRAFT)
+ */
+async function createRun(runData) {
+    const timestamp = new Date().toISOString();
+
+    const item = {
+        runId: uuidv4(),
+        month: runData.month, // 1-12
+        year: runData.year,
+        branchId: runData.branchId || null, // null = all branches
+        status: RUN_STATUS.DRAFT,
+        totals: runData.totals || null,
+        createdBy: runData.createdBy || null,
+        createdAt: timestamp,
+        updatedAt: timestamp,
+    };
+
+    const command = new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item,
+    });
+
+    await docClient.send(command);
+    return item;
+}
+
+/**
+ * Update payroll run
+ */
+async function updateRun(runId, updates) {
+    const existing = await getRunById(runId);
+    if (!existing) {
+        throw new Error('Payroll run not found');
+    }
+
+    const updated = {
+        ...existing,
+        ...updates,
+        runId, // Ensure ID doesn't change
+        updatedAt: new Date().toISOString(),
+    };
+
+    const command = new PutCommand({
+        TableName: TABLE_NAME,
+        Item: updated,
+    });
+
+    await docClient.send(command);
+    return updated;
+}
+
+/**
+ * Move a run to another status, only if it is still in the status it was read in
+ * @param {Object} updates - Other attributes to set with the status (who and when)
+ * @returns {Object|null} The updated run, or null when its status changed meanwhile
+ */
+async function updateRunStatus(runId, fromStatus, toStatus, updates = {}) {
+    const fields = { ...updates, status: toStatus, updatedAt: new Date().toISOString() };
+    const names = {};
+    const values = { ':fromStatus': fromStatus };
+    const setExpression = Object.keys(fields).map(key => {
+        names[`#${key}`] = key;
+        values[`:${key}`] = fields[key];
+        return `#${key} = :${key}`;
+    });
+
+    const command = new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: { runId },
+        UpdateExpression: `SET ${setExpression.join(', ')}`,
+        ConditionExpression: '#status = :fromStatus',
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values,
+        ReturnValues: 'ALL_NEW',
+    });
+
+    try {
+        const response = await docClient.send(command);
+        return response.Attributes;
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') return null;
+        throw error;
+    }
+}
+
+/**
+ * Delete payroll run
+ */
+async function deleteRun(runId) {
+    const command = new DeleteCommand({
+        TableName: TABLE_NAME,
+        Key: { runId },
+    });
+
+    await docClient.send(command);
+    return { success: true };
+}
+
+module.exports = {
+    RUN_STATUS,
+    getAllRuns,
+    getRunById,
+    createRun,
+    updateRun,
+    updateRunStatus,
+    deleteRun,
+};
@@ -1,9 +1,18 @@
-const { PutCommand, QueryCommand, UpdateCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
-const { docClient } = require('../config/aws');
+const { PutCommand, GetCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient } = require('../storage');
 const { v4: uuidv4 } = require('uuid');
+const { getRequestDateRange } = require('../utils/leavePolicy');
+const { queryAll, scanAll } = require('../utils/dynamoQuery');
 
 const TABLE_NAME = process.env.DYNAMODB_REQUEST_TABLE || 'srm-request-table';
 
+// Global secondary indexes (see storage/schema.js), both sorted by createdAt
+const EMPLOYEE_INDEX = 'employeeId-createdAt-index';
+const STATUS_INDEX = 'status-createdAt-index';
+
+// Statuses a request never leaves (a withdrawn or rejected request is raised again instead)
+const CLOSED_STATUSES = ['REJECTED', 'CANCELLED', 'WITHDRAWN'];
+
 /**
  * Create a new Request
  * @param {Object} requestData { employeeId, type, data, ... }
@@ -13,13 +22,23 @@ async function createRequest(requestData) {
     const item = {
         requestId: uuidv4(),
         employeeId: requestData.employeeId,
-        type: requestData.type, // 'ADVANCE', 'LEAVE', 'PERMISSION'
-        status: 'PENDING', // 'PENDING', 'APPROVED', 'REJECTED'
-        data: requestData.data || {}, // { amount, reason, date, duration, etc. }
+        type: requestData.type, // 'ADVANCE', 'LEAVE', 'PERMISSION', 'OVERTIME', 'COMP_OFF', 'REGULARIZATION'
+        status: 'PENDING', // 'PENDING', 'APPROVED', 'REJECTED', 'CANCELLED', 'WITHDRAWN'
+        data: requestData.data || {}, // { amount, reason, date, fromDate, toDate, session, duration, etc. }
+        approvalChain: requestData.approvalChain || null, // { currentLevel, steps: [{ level, role, status, actedBy, actedAt, comment, delegatedFrom }] }
+        version: 1,
+        versions: [], // Earlier versions of data: [{ version, data, editedBy, editedAt }]
         createdAt: timestamp,
         updatedAt: timestamp,
     };
 
+    // Dates the request covers are kept top-level so they can be filtered on
+    const range = getRequestDateRange(item);
+    if (range) {
+        item.startDate = range.startDate;
+        item.endDate = range.endDate;
+    }
+
     const command = new PutCommand({
         TableName: TABLE_NAME,
         Item: item,
@@ -29,88 +48,264 @@ async function createRequest(requestData) {
     return item;
 }
 
+/**
+ * Get Request by ID
+ */
+async function getRequestById(requestId) {
+    const command = new GetCommand({
+        TableName: TABLE_NAME,
+        Key: { requestId },
+    });
+
+    const response = await docClient.send(command);
+    return response.Item || null;
+}
+
 /**
  * Get Requests by Employee ID
  */
 async function getRequestsByEmployee(employeeId) {
-    const command = new ScanCommand({
+    // Newest first
+    return queryAll({
         TableName: TABLE_NAME,
-        FilterExpression: 'employeeId = :empId',
+        IndexName: EMPLOYEE_INDEX,
+        KeyConditionExpression: 'employeeId = :empId',
         ExpressionAttributeValues: {
             ':empId': employeeId,
         },
+        ScanIndexForward: false,
     });
-
-    const response = await docClient.send(command);
-    // Sort by createdAt desc
-    const items = response.Items || [];
-    return items.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 }
 
 /**
  * Get All Requests (Optional: Filter by Status)
  */
 async function getAllRequests(status = null) {
-    let command;
     if (status) {
-        command = new ScanCommand({
+        // Newest first
+        return queryAll({
             TableName: TABLE_NAME,
-            FilterExpression: '#status = :status',
+            IndexName: STATUS_INDEX,
+            KeyConditionExpression: '#status = :status',
             ExpressionAttributeNames: {
                 '#status': 'status',
             },
             ExpressionAttributeValues: {
                 ':status': status,
             },
-        });
-    } else {
-        command = new ScanCommand({
-            TableName: TABLE_NAME,
+            ScanIndexForward: false,
         });
     }
 
-    const response = await docClient.send(command);
-    const items = response.Items || [];
+    const items = await scanAll({
+        TableName: TABLE_NAME,
+    });
     return items.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 }
 
 /**
- * Update Request Status (Approve/Reject)
+ * Condition that a request is unchanged since it was read: same status, version, approval
+ * chain and cancellation. Decisions are written with it, so of two people acting on a request
+ * at once only the first succeeds.
+ */
+function unchangedSince(existing, names, values) {
+    names['#status'] = 'status';
+    names['#version'] = 'version';
+    names['#approvalChain'] = 'approvalChain';
+    names['#cancellation'] = 'cancellation';
+    values[':expectedStatus'] = existing.status;
+    const conditions = ['#status = :expectedStatus'];
+
+    if (existing.version === undefined) {
+        conditions.push('attribute_not_exists(#version)');
+    } else {
+        values[':expectedVersion'] = existing.version;
+        conditions.push('#version = :expectedVersion');
+    }
+
+    // Requests raised before approval chains have a null chain
+    if (existing.approvalChain) {
+        values[':expectedChain'] = existing.approvalChain;
+        conditions.push('#approvalChain = :expectedChain');
+    } else {
+        names['#currentLevel'] = 'currentLevel';
+        conditions.push('attribute_not_exists(#approvalChain.#currentLevel)');
+    }
+
+    if (existing.cancellation) {
+        values[':expectedCancellation'] = existing.cancellation;
+        conditions.push('#cancellation = :expectedCancellation');
+    } else {
+        conditions.push('attribute_not_exists(#cancellation)');
+    }
+
+    return conditions.join(' AND ');
+}
+
+/**
+ * Set attributes on a request, only if it is unchanged since it was read (see unchangedSince)
+ * @returns {Object|null} The updated request, or null when someone else changed it first
+ */
+async function updateIfUnchanged(existing, updates) {
+    const names = {};
+    const values = {};
+    const condition = unchangedSince(existing, names, values);
+
+    const fields = { ...updates, updatedAt: new Date().toISOString() };
+    const setExpression = Object.keys(fields).map(key => {
+        names[`#${key}`] = key;
+        values[`:${key}`] = fields[key];
+        return `#${key} = :${key}`;
+    });
+
+    const command = new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: { requestId: existing.requestId },
+        UpdateExpression: `SET ${setExpression.join(', ')}`,
+        ConditionExpression: condition,
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values,
+        ReturnValues: 'ALL_NEW',
+    });
+
+    try {
+        const response = await docClient.send(command);
+        return response.Attributes;
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') return null;
+        throw error;
+    }
+}
+
+/**
+ * Update Request Status (Approve/Reject/Cancel/Withdraw)
+ * @param {Object} existing - The request as read
+ * @param {Object} options - { rejectionReason, approvalChain, data, cancellation } written with the status
+ * @returns {Object|null} The updated request, or null when it changed since it was read
  */
-async function updateRequestStatus(requestId, status, hrId, rejectionReason = null) {
+async function updateRequestStatus(existing, status, hrId, { rejectionReason, approvalChain, data, cancellation } = {}) {
     const timestamp = new Date().toISOString();
+    const updates = { status, hrActionBy: hrId, hrActionAt: timestamp };
 
-    const updateExpression = ['#status = :status', '#updatedAt = :updatedAt', '#hrActionBy = :hrId', '#hrActionAt = :now'];
-    const expressionAttributeNames = {
+    if (rejectionReason) updates.rejectionReason = rejectionReason;
+    if (approvalChain) updates.approvalChain = approvalChain;
+    if (data) updates.data = data;
+    if (cancellation) updates.cancellation = cancellation;
+
+    return updateIfUnchanged(existing, updates);
+}
+
+/**
+ * Save a request's approval chain (after a step is decided), and its data when the step changed it
+ * (e.g. overtime minutes trimmed on approval)
+ * @returns {Object|null} The updated request, or null when it changed since it was read
+ */
+async function updateApprovalChain(existing, approvalChain, data = null) {
+    return updateIfUnchanged(existing, data ? { approvalChain, data } : { approvalChain });
+}
+
+/**
+ * Put a request back the way it was, when what followed a decision failed
+ * @param {Object} current - The request as the decision left it
+ * @param {Object} previous - The request before the decision
+ * @returns {boolean} false when it changed again in the meantime
+ */
+async function revertRequest(current, previous) {
+    const names = {};
+    const values = {};
+    const command = new PutCommand({
+        TableName: TABLE_NAME,
+        Item: { ...previous, updatedAt: new Date().toISOString() },
+        ConditionExpression: unchangedSince(current, names, values),
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values,
+    });
+
+    try {
+        await docClient.send(command);
+        return true;
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') return false;
+        throw error;
+    }
+}
+
+/**
+ * Edit a pending request: the current data goes to the version history and the approval chain restarts
+ * @returns {Object|null} The edited request, or null when it was decided in the meantime (no longer PENDING)
+ */
+async function editRequest(existing, data, approvalChain, editedBy) {
+    const timestamp = new Date().toISOString();
+    const version = existing.version || 1;
+    const range = getRequestDateRange({ data });
+
+    const setExpression = [
+        '#data = :data',
+        '#approvalChain = :chain',
+        '#version = :version',
+        '#versions = :versions',
+        '#updatedAt = :updatedAt',
+    ];
+    const names = {
         '#status': 'status',
+        '#data': 'data',
+        '#approvalChain': 'approvalChain',
+        '#version': 'version',
+        '#versions': 'versions',
         '#updatedAt': 'updatedAt',
-        '#hrActionBy': 'hrActionBy',
-        '#hrActionAt': 'hrActionAt'
+        '#startDate': 'startDate',
+        '#endDate': 'endDate',
     };
-    const expressionAttributeValues = {
-        ':status': status,
+    const values = {
+        ':pending': 'PENDING',
+        ':data': data,
+        ':chain': approvalChain,
+        ':version': version + 1,
+        ':versions': [
+            ...(existing.versions || []),
+            { version, data: existing.data, editedBy: editedBy || null, editedAt: timestamp },
+        ],
         ':updatedAt': timestamp,
-        ':hrId': hrId,
-        ':now': timestamp
     };
 
-    if (rejectionReason) {
-        updateExpression.push('#rejectionReason = :reason');
-        expressionAttributeNames['#rejectionReason'] = 'rejectionReason';
-        expressionAttributeValues[':reason'] = rejectionReason;
+    let updateExpression;
+    if (range) {
+        setExpression.push('#startDate = :startDate', '#endDate = :endDate');
+        values[':startDate'] = range.startDate;
+        values[':endDate'] = range.endDate;
+        updateExpression = `SET ${setExpression.join(', ')}`;
+    } else {
+        updateExpression = `SET ${setExpression.join(', ')} REMOVE #startDate, #endDate`;
     }
 
+    // Only a request that is still pending is edited, so an approval that lands meanwhile is never undone
     const command = new UpdateCommand({
         TableName: TABLE_NAME,
-        Key: { requestId },
-        UpdateExpression: `SET ${updateExpression.join(', ')}`,
-        ExpressionAttributeNames: expressionAttributeNames,
-        ExpressionAttributeValues: expressionAttributeValues,
+        Key: { requestId: existing.requestId },
+        UpdateExpression: updateExpression,
+        ConditionExpression: '#status = :pending',
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values,
         ReturnValues: 'ALL_NEW',
     });
 
-    const response = await docClient.send(command);
-    return response.Attributes;
+    try {
+        const response = await docClient.send(command);
+        return response.Attributes;
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') return null;
+        throw error;
+    }
+}
+
+/**
+ * Save the cancellation raised on an approved request
+ * @param {Object} existing - The request as read
+ * @param {Object} cancellation - { status, reason, requestedBy, requestedAt, approvalChain }
+ * @returns {Object|null} The updated request, or null when it changed since it was read
+ */
+async function updateCancellation(existing, cancellation) {
+    return updateIfUnchanged(existing, { cancellation });
 }
 
 /**
@@ -118,15 +313,13 @@ async function updateRequestStatus(requestId, status, hrId, rejectionReason = nu
  * Used for calculating Total Work Duration
  */
 async function getApprovedPermissions(employeeId, date) {
-    // Permission requests usually have a date in `data.date`
-    // Since `data` is a map, we can't easily query index it. 
-    // We'll scan for approvals for this employee and filter in code.
-    // Optimization: In real prod, we'd duplicate the date to a top-level attribute.
-
-    // For now, let's fetch all APPROVED PERMISSIONS for the employee
-    const command = new ScanCommand({
+    // Permission requests have their date in `data.date`, which no index covers,
+    // so the employee's APPROVED PERMISSIONS are fetched and filtered in code
+    const items = await queryAll({
         TableName: TABLE_NAME,
-        FilterExpression: 'employeeId = :empId AND #type = :type AND #status = :status',
+        IndexName: EMPLOYEE_INDEX,
+        KeyConditionExpression: 'employeeId = :empId',
+        FilterExpression: '#type = :type AND #status = :status',
         ExpressionAttributeNames: {
             '#type': 'type',
             '#status': 'status'
@@ -138,9 +331,6 @@ async function getApprovedPermissions(employeeId, date) {
         }
     });
 
-    const response = await docClient.send(command);
-    const items = response.Items || [];
-
     // Filter by date match in data.date (assuming data.date is YYYY-MM-DD or similar standard format)
     return items.filter(item => item.data && item.data.date === date);
 }
@@ -150,59 +340,73 @@ async function getApprovedPermissions(employeeId, date) {
  * Optimized for daily report generation
  */
 async function getApprovedRequestsByDate(date) {
-    const command = new ScanCommand({
+    return getApprovedRequestsByDateRange(date, date);
+}
+
+/**
+ * Get an employee's approved requests, optionally only those that overlap a date range
+ * (matched as in getApprovedRequestsByDateRange)
+ */
+async function getApprovedRequestsByEmployee(employeeId, startDate = null, endDate = null) {
+    const inRange = startDate && endDate;
+    return queryAll({
         TableName: TABLE_NAME,
-        FilterExpression: '#status = :status',
+        IndexName: EMPLOYEE_INDEX,
+        KeyConditionExpression: 'employeeId = :empId',
+        FilterExpression: inRange
+            ? '#status = :status AND ((#startDate <= :end AND #endDate >= :start) OR (#data.#date BETWEEN :start AND :end))'
+            : '#status = :status',
         ExpressionAttributeNames: {
-            '#status': 'status'
+            '#status': 'status',
+            ...(inRange ? { '#startDate': 'startDate', '#endDate': 'endDate', '#data': 'data', '#date': 'date' } : {}),
         },
         ExpressionAttributeValues: {
-            ':status': 'APPROVED'
-        }
-    });
-
-    const response = await docClient.send(command);
-    const items = response.Items || [];
-
-    // Filter by date match in data.date
-    // Also include requests that span a date range if applicable (future enhancement)
-    // For now, assuming single date in data.date
-    return items.filter(item => {
-        if (!item.data || !item.data.date) return false;
-        return item.data.date === date;
+            ':empId': employeeId,
+            ':status': 'APPROVED',
+            ...(inRange ? { ':start': startDate, ':end': endDate } : {}),
+        },
     });
 }
 
 /**
- * Get approved requests for a date range
+ * Get approved requests that overlap a date range
+ * Multi-day requests match on their startDate/endDate; older single-day
+ * requests without them match on data.date
  */
 async function getApprovedRequestsByDateRange(startDate, endDate) {
-    const command = new ScanCommand({
+    return queryAll({
         TableName: TABLE_NAME,
-        FilterExpression: '#status = :status',
+        IndexName: STATUS_INDEX,
+        KeyConditionExpression: '#status = :status',
+        FilterExpression: '(#startDate <= :end AND #endDate >= :start) OR (#data.#date BETWEEN :start AND :end)',
         ExpressionAttributeNames: {
-            '#status': 'status'
+            '#status': 'status',
+            '#startDate': 'startDate',
+            '#endDate': 'endDate',
+            '#data': 'data',
+            '#date': 'date'
         },
         ExpressionAttributeValues: {
-            ':status': 'APPROVED'
+            ':status': 'APPROVED',
+            ':start': startDate,
+            ':end': endDate
         }
     });
-
-    const response = await docClient.send(command);
-    const items = response.Items || [];
-
-    return items.filter(item => {
-        if (!item.data || !item.data.date) return false;
-        return item.data.date >= startDate && item.data.date <= endDate;
-    });
 }
 
 module.exports = {
+    CLOSED_STATUSES,
     createRequest,
+    getRequestById,
     getRequestsByEmployee,
     getAllRequests,
     updateRequestStatus,
+    updateApprovalChain,
+    revertRequest,
+    editRequest,
+    updateCancellation,
     getApprovedPermissions,
     getApprovedRequestsByDate,
+    getApprovedRequestsByEmployee,
     getApprovedRequestsByDateRange
 };
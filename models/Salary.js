@@ -1,6 +1,7 @@
 
-const { PutCommand, QueryCommand, UpdateCommand, DeleteCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
-const { docClient } = require('../config/aws');
+const { GetCommand, PutCommand, QueryCommand, UpdateCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient } = require('../storage');
+const { queryAll, scanAll } = require('../utils/dynamoQuery');
 
 const TABLE_NAME = process.env.DYNAMODB_SALARY_TABLE || 'srm-salary-table';
 
@@ -136,25 +137,20 @@ async function createSalary(data) {
 async function getSalariesByEmployeeId(employeeId) {
     console.log('Fetching salaries for:', employeeId);
     try {
-        const command = new QueryCommand({
+        return await queryAll({
             TableName: TABLE_NAME,
-            IndexName: 'employeeId-index', // Ensure this GSI exists
+            IndexName: 'employeeId-index', // Created by migrate_dynamodb_indexes.js
             KeyConditionExpression: 'employeeId = :eid',
             ExpressionAttributeValues: { ':eid': employeeId }
         });
-
-        const response = await docClient.send(command);
-        return response.Items;
     } catch (err) {
         console.warn('Query failed (GSI might be missing), falling back to Scan:', err.message);
         try {
-            const scanCmd = new ScanCommand({
+            return await scanAll({
                 TableName: TABLE_NAME,
                 FilterExpression: 'employeeId = :eid',
                 ExpressionAttributeValues: { ':eid': employeeId }
             });
-            const res = await docClient.send(scanCmd);
-            return res.Items;
         } catch (scanError) {
             console.error('Scan failed:', scanError);
             throw scanError;
@@ -195,8 +191,63 @@ async function updateSalary(salaryId, updates) {
     return response.Attributes;
 }
 
+async function getSalaryById(salaryId) {
+    const command = new GetCommand({
+        TableName: TABLE_NAME,
+        Key: { salaryId }
+    });
+
+    const response = await docClient.send(command);
+    return response.Item;
+}
+
+/**
+ * Save a payslip generated by a payroll run
+ * The ID is derived from the run and employee, so recomputing a draft run overwrites it
+ */
+async function savePayslip(payslip) {
+    const timestamp = new Date().toISOString();
+
+    const item = {
+        salaryId: `${payslip.runId}#${payslip.employeeId}`,
+        recordType: 'PAYSLIP',
+        ...payslip,
+        createdAt: timestamp
+    };
+
+    const command = new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item
+    });
+
+    await docClient.send(command);
+    return item;
+}
+
+async function getPayslipsByRun(runId) {
+    return scanAll({
+        TableName: TABLE_NAME,
+        FilterExpression: 'runId = :runId',
+        ExpressionAttributeValues: { ':runId': runId }
+    });
+}
+
+async function deleteSalary(salaryId) {
+    const command = new DeleteCommand({
+        TableName: TABLE_NAME,
+        Key: { salaryId }
+    });
+
+    await docClient.send(command);
+    return { success: true };
+}
+
 module.exports = {
     createSalary,
     getSalariesByEmployeeId,
-    updateSalary
+    getSalaryById,
+    updateSalary,
+    savePayslip,
+    getPayslipsByRun,
+    deleteSalary
 };
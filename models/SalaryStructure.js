@@ -0,0 +1,116 @@
+/**
+ * SalaryStructure Model - DynamoDB operations for salary structures
+ * A structure splits an employee's fixedSalary into components (Basic, HRA, allowances).
+ * Employees use their `salaryStructureId`, else the structure marked isDefault.
+ */
+
+const { GetCommand, PutCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient } = require('../storage');
+const { v4: uuidv4 } = require('uuid');
+const { DEFAULT_STRUCTURE } = require('../utils/statutory');
+const { scanAll } = require('../utils/dynamoQuery');
+
+const TABLE_NAME = process.env.DYNAMODB_SALARY_STRUCTURES_TABLE || 'srm-salary-structures-table';
+
+/**
+ * Get all salary structures
+ */
+async function getAllStructures() {
+    return scanAll({
+        TableName: TABLE_NAME,
+    });
+}
+
+/**
+ * Get salary structure by ID
+ */
+async function getStructureById(structureId) {
+    const command = new GetCommand({
+        TableName: TABLE_NAME,
+        Key: { structureId },
+    });
+
+    const response = await docClient.send(command);
+    return response.Item;
+}
+
+/**
+ * Create new salary structure
+ */
+async function createStructure(structureData) {
+    const timestamp = new Date().toISOString();
+
+    const item = {
+        structureId: uuidv4(),
+        name: structureData.name,
+        components: structureData.components, // [{ code, name, type, value, pfWage? }]
+        isDefault: !!structureData.isDefault,
+        createdAt: timestamp,
+        updatedAt: timestamp,
+    };
+
+    const command = new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item,
+    });
+
+    await docClient.send(command);
+    return item;
+}
+
+/**
+ * Update salary structure
+ */
+async function updateStructure(structureId, updates) {
+    const existing = await getStructureById(structureId);
+    if (!existing) {
+        throw new Error('Salary structure not found');
+    }
+
+    const updated = {
+        ...existing,
+        ...updates,
+        structureId, // Ensure ID doesn't change
+        updatedAt: new Date().toISOString(),
+    };
+
+    const command = new PutCommand({
+        TableName: TABLE_NAME,
+        Item: updated,
+    });
+
+    await docClient.send(command);
+    return updated;
+}
+
+/**
+ * Delete salary structure
+ */
+async function deleteStructure(structureId) {
+    const command = new DeleteCommand({
+        TableName: TABLE_NAME,
+        Key: { structureId },
+    });
+
+    await docClient.send(command);
+    return { success: true };
+}
+
+/**
+ * Pick the structure for an employee from preloaded structures
+ * Employee's own structure > organisation default > built-in default
+ */
+function resolveStructure(employee, structures) {
+    return structures.find(s => s.structureId === employee.salaryStructureId)
+        || structures.find(s => s.isDefault)
+        || DEFAULT_STRUCTURE;
+}
+
+module.exports = {
+    getAllStructures,
+    getStructureById,
+    createStructure,
+    updateStructure,
+    deleteStructure,
+    resolveStructure,
+};
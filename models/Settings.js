@@ -1,9 +1,35 @@
 const { GetCommand, PutCommand } = require('@aws-sdk/lib-dynamodb');
-const { docClient } = require('../config/aws');
+const { docClient } = require('../storage');
+const { DEFAULT_STATUTORY_RULES } = require('../utils/statutory');
+const { BUILT_IN_BANK_FORMATS } = require('../utils/bankFile');
+const { DEFAULT_OVERTIME_RULES } = require('../utils/overtime');
+const { DEFAULT_COMP_OFF_RULES } = require('../utils/compOff');
+const { DEFAULT_APPROVAL_CHAINS } = require('../utils/approvalChain');
+const { DEFAULT_JOB_SCHEDULES } = require('../utils/jobSchedule');
+const { DEFAULT_LOCATION_RISK_RULES } = require('../utils/locationRisk');
+const { DEFAULT_TRAVEL_ALLOWANCE_RULES } = require('../utils/tripDistance');
 
 const TABLE_NAME = process.env.DYNAMODB_SETTINGS_TABLE || 'srm-settings-table';
 const GEOFENCE_SETTING_ID = 'geo-fence-config';
 const ATTENDANCE_SETTING_ID = 'attendance-config';
+const WEEKLY_OFF_SETTING_ID = 'weekly-off-config';
+const LEAVE_POLICY_SETTING_ID = 'leave-policy-config';
+const STATUTORY_SETTING_ID = 'statutory-config';
+const BANK_FORMATS_SETTING_ID = 'bank-formats-config';
+const OVERTIME_SETTING_ID = 'overtime-config';
+const COMP_OFF_SETTING_ID = 'comp-off-config';
+const APPROVAL_CHAINS_SETTING_ID = 'approval-chains-config';
+const JOBS_SETTING_ID = 'jobs-config';
+const LOCATION_RISK_SETTING_ID = 'location-risk-config';
+const TRAVEL_ALLOWANCE_SETTING_ID = 'travel-allowance-config';
+
+// Default leave types (see utils/leavePolicy.js for the policy format)
+const DEFAULT_LEAVE_TYPES = {
+    CL: { name: 'Casual Leave', annualQuota: 12, accrual: 'MONTHLY', carryForwardLimit: 0, encashable: false },
+    SL: { name: 'Sick Leave', annualQuota: 12, accrual: 'ANNUAL', carryForwardLimit: 0, encashable: false },
+    EL: { name: 'Earned Leave', annualQuota: 15, accrual: 'MONTHLY', carryForwardLimit: 30, encashable: true },
+    LOP: { name: 'Loss of Pay', unlimited: true },
+};
 
 /**
  * Get geo-fence settings
@@ -116,6 +142,26 @@ module.exports = {
     updateAttendanceSettings,
     getEmployeeRules,
     updateEmployeeRules,
+    getWeeklyOffSettings,
+    updateWeeklyOffSettings,
+    getLeavePolicy,
+    updateLeavePolicy,
+    getStatutorySettings,
+    updateStatutorySettings,
+    getBankFormats,
+    updateBankFormats,
+    getOvertimeSettings,
+    updateOvertimeSettings,
+    getCompOffSettings,
+    updateCompOffSettings,
+    getApprovalChains,
+    updateApprovalChains,
+    getJobSchedules,
+    updateJobSchedules,
+    getLocationRiskSettings,
+    updateLocationRiskSettings,
+    getTravelAllowanceSettings,
+    updateTravelAllowanceSettings,
 };
 
 const RULES_SETTING_ID = 'employee-rules-config';
@@ -162,3 +208,429 @@ async function updateEmployeeRules(rulesText, updatedBy) {
     return item;
 }
 
+/**
+ * Get organisation-wide weekly off pattern (branches and employees can override)
+ * See utils/calendar.js for the pattern format
+ */
+async function getWeeklyOffSettings() {
+    const command = new GetCommand({
+        TableName: TABLE_NAME,
+        Key: { settingId: WEEKLY_OFF_SETTING_ID },
+    });
+
+    const response = await docClient.send(command);
+
+    if (!response.Item) {
+        return {
+            settingId: WEEKLY_OFF_SETTING_ID,
+            pattern: { days: [0] }, // Sunday
+            isConfigured: false,
+        };
+    }
+
+    return { ...response.Item, isConfigured: true };
+}
+
+/**
+ * Update organisation-wide weekly off pattern
+ */
+async function updateWeeklyOffSettings(pattern, updatedBy) {
+    const timestamp = new Date().toISOString();
+    const item = {
+        settingId: WEEKLY_OFF_SETTING_ID,
+        pattern,
+        updatedBy: updatedBy || 'admin',
+        updatedAt: timestamp,
+    };
+
+    const command = new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item,
+    });
+
+    await docClient.send(command);
+    return { ...item, isConfigured: true };
+}
+
+/**
+ * Get leave policy (leave types, quotas, accrual and carry-forward rules)
+ */
+async function getLeavePolicy() {
+    const command = new GetCommand({
+        TableName: TABLE_NAME,
+        Key: { settingId: LEAVE_POLICY_SETTING_ID },
+    });
+
+    const response = await docClient.send(command);
+
+    if (!response.Item) {
+        return {
+            settingId: LEAVE_POLICY_SETTING_ID,
+            types: DEFAULT_LEAVE_TYPES,
+            isConfigured: false,
+        };
+    }
+
+    return { ...response.Item, isConfigured: true };
+}
+
+/**
+ * Update leave policy
+ */
+async function updateLeavePolicy(types, updatedBy) {
+    const timestamp = new Date().toISOString();
+    const item = {
+        settingId: LEAVE_POLICY_SETTING_ID,
+        types,
+        updatedBy: updatedBy || 'admin',
+        updatedAt: timestamp,
+    };
+
+    const command = new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item,
+    });
+
+    await docClient.send(command);
+    return { ...item, isConfigured: true };
+}
+
+/**
+ * Get statutory deduction rules (PF, ESIC, Professional Tax, TDS)
+ * Saved sections override the defaults in utils/statutory.js
+ */
+async function getStatutorySettings() {
+    const command = new GetCommand({
+        TableName: TABLE_NAME,
+        Key: { settingId: STATUTORY_SETTING_ID },
+    });
+
+    const response = await docClient.send(command);
+    const saved = response.Item || {};
+
+    return {
+        settingId: STATUTORY_SETTING_ID,
+        pf: { ...DEFAULT_STATUTORY_RULES.pf, ...saved.pf },
+        esic: { ...DEFAULT_STATUTORY_RULES.esic, ...saved.esic },
+        professionalTax: { ...DEFAULT_STATUTORY_RULES.professionalTax, ...saved.professionalTax },
+        tds: { ...DEFAULT_STATUTORY_RULES.tds, ...saved.tds },
+        isConfigured: !!response.Item,
+    };
+}
+
+/**
+ * Update statutory deduction rules
+ */
+async function updateStatutorySettings(rules, updatedBy) {
+    const timestamp = new Date().toISOString();
+    const item = {
+        settingId: STATUTORY_SETTING_ID,
+        pf: rules.pf,
+        esic: rules.esic,
+        professionalTax: rules.professionalTax,
+        tds: rules.tds,
+        updatedBy: updatedBy || 'admin',
+        updatedAt: timestamp,
+    };
+
+    const command = new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item,
+    });
+
+    await docClient.send(command);
+    return getStatutorySettings();
+}
+
+/**
+ * Get bank disbursement file formats
+ * Custom formats are saved alongside (and can override) the built-in ones
+ */
+async function getBankFormats() {
+    const command = new GetCommand({
+        TableName: TABLE_NAME,
+        Key: { settingId: BANK_FORMATS_SETTING_ID },
+    });
+
+    const response = await docClient.send(command);
+    const custom = (response.Item && response.Item.formats) || {};
+
+    return {
+        settingId: BANK_FORMATS_SETTING_ID,
+        formats: { ...BUILT_IN_BANK_FORMATS, ...custom },
+        customFormats: custom,
+        isConfigured: !!response.Item,
+    };
+}
+
+/**
+ * Update custom bank disbursement file formats
+ */
+async function updateBankFormats(formats, updatedBy) {
+    const timestamp = new Date().toISOString();
+    const item = {
+        settingId: BANK_FORMATS_SETTING_ID,
+        formats,
+        updatedBy: updatedBy || 'admin',
+        updatedAt: timestamp,
+    };
+
+    const command = new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item,
+    });
+
+    await docClient.send(command);
+    return getBankFormats();
+}
+
+/**
+ * Get overtime rules with per-branch and per-shift overrides
+ * (see utils/overtime.js for how they are resolved)
+ */
+async function getOvertimeSettings() {
+    const command = new GetCommand({
+        TableName: TABLE_NAME,
+        Key: { settingId: OVERTIME_SETTING_ID },
+    });
+
+    const response = await docClient.send(command);
+    const saved = response.Item || {};
+
+    return {
+        settingId: OVERTIME_SETTING_ID,
+        rules: {
+            ...DEFAULT_OVERTIME_RULES,
+            ...saved.rules,
+            multipliers: { ...DEFAULT_OVERTIME_RULES.multipliers, ...((saved.rules && saved.rules.multipliers) || {}) },
+        },
+        branchRules: saved.branchRules || {},
+        shiftRules: saved.shiftRules || {},
+        isConfigured: !!response.Item,
+    };
+}
+
+/**
+ * Update overtime rules
+ */
+async function updateOvertimeSettings({ rules, branchRules, shiftRules }, updatedBy) {
+    const timestamp = new Date().toISOString();
+    const item = {
+        settingId: OVERTIME_SETTING_ID,
+        rules: rules || {},
+        branchRules: branchRules || {},
+        shiftRules: shiftRules || {},
+        updatedBy: updatedBy || 'admin',
+        updatedAt: timestamp,
+    };
+
+    const command = new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item,
+    });
+
+    await docClient.send(command);
+    return getOvertimeSettings();
+}
+
+/**
+ * Get comp-off rules (see utils/compOff.js)
+ */
+async function getCompOffSettings() {
+    const command = new GetCommand({
+        TableName: TABLE_NAME,
+        Key: { settingId: COMP_OFF_SETTING_ID },
+    });
+
+    const response = await docClient.send(command);
+
+    return {
+        settingId: COMP_OFF_SETTING_ID,
+        rules: { ...DEFAULT_COMP_OFF_RULES, ...((response.Item && response.Item.rules) || {}) },
+        isConfigured: !!response.Item,
+    };
+}
+
+/**
+ * Update comp-off rules
+ */
+async function updateCompOffSettings(rules, updatedBy) {
+    const timestamp = new Date().toISOString();
+    const item = {
+        settingId: COMP_OFF_SETTING_ID,
+        rules,
+        updatedBy: updatedBy || 'admin',
+        updatedAt: timestamp,
+    };
+
+    const command = new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item,
+    });
+
+    await docClient.send(command);
+    return getCompOffSettings();
+}
+
+/**
+ * Get approval chains per request type (see utils/approvalChain.js)
+ * Saved chains replace the default chain of the types they define.
+ */
+async function getApprovalChains() {
+    const command = new GetCommand({
+        TableName: TABLE_NAME,
+        Key: { settingId: APPROVAL_CHAINS_SETTING_ID },
+    });
+
+    const response = await docClient.send(command);
+
+    return {
+        settingId: APPROVAL_CHAINS_SETTING_ID,
+        chains: { ...DEFAULT_APPROVAL_CHAINS, ...((response.Item && response.Item.chains) || {}) },
+        isConfigured: !!response.Item,
+    };
+}
+
+/**
+ * Update approval chains
+ */
+async function updateApprovalChains(chains, updatedBy) {
+    const timestamp = new Date().toISOString();
+    const item = {
+        settingId: APPROVAL_CHAINS_SETTING_ID,
+        chains,
+        updatedBy: updatedBy || 'admin',
+        updatedAt: timestamp,
+    };
+
+    const command = new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item,
+    });
+
+    await docClient.send(command);
+    return getApprovalChains();
+}
+
+/**
+ * Get scheduled job settings (see utils/jobSchedule.js)
+ */
+async function getJobSchedules() {
+    const command = new GetCommand({
+        TableName: TABLE_NAME,
+        Key: { settingId: JOBS_SETTING_ID },
+    });
+
+    const response = await docClient.send(command);
+    const saved = (response.Item && response.Item.schedules) || {};
+
+    const schedules = {};
+    Object.entries(DEFAULT_JOB_SCHEDULES).forEach(([job, defaults]) => {
+        schedules[job] = { ...defaults, ...(saved[job] || {}) };
+    });
+
+    return {
+        settingId: JOBS_SETTING_ID,
+        schedules,
+        isConfigured: !!response.Item,
+    };
+}
+
+/**
+ * Update scheduled job settings
+ */
+async function updateJobSchedules(schedules, updatedBy) {
+    const timestamp = new Date().toISOString();
+    const item = {
+        settingId: JOBS_SETTING_ID,
+        schedules,
+        updatedBy: updatedBy || 'admin',
+        updatedAt: timestamp,
+    };
+
+    const command = new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item,
+    });
+
+    await docClient.send(command);
+    return getJobSchedules();
+}
+
+/**
+ * Get GPS spoofing checks (see utils/locationRisk.js)
+ */
+async function getLocationRiskSettings() {
+    const command = new GetCommand({
+        TableName: TABLE_NAME,
+        Key: { settingId: LOCATION_RISK_SETTING_ID },
+    });
+
+    const response = await docClient.send(command);
+
+    return {
+        settingId: LOCATION_RISK_SETTING_ID,
+        rules: { ...DEFAULT_LOCATION_RISK_RULES, ...((response.Item && response.Item.rules) || {}) },
+        isConfigured: !!response.Item,
+    };
+}
+
+/**
+ * Update GPS spoofing checks
+ */
+async function updateLocationRiskSettings(rules, updatedBy) {
+    const timestamp = new Date().toISOString();
+    const item = {
+        settingId: LOCATION_RISK_SETTING_ID,
+        rules,
+        updatedBy: updatedBy || 'admin',
+        updatedAt: timestamp,
+    };
+
+    const command = new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item,
+    });
+
+    await docClient.send(command);
+    return getLocationRiskSettings();
+}
+
+/**
+ * Get travel allowance rules (see utils/tripDistance.js)
+ */
+async function getTravelAllowanceSettings() {
+    const command = new GetCommand({
+        TableName: TABLE_NAME,
+        Key: { settingId: TRAVEL_ALLOWANCE_SETTING_ID },
+    });
+
+    const response = await docClient.send(command);
+
+    return {
+        settingId: TRAVEL_ALLOWANCE_SETTING_ID,
+        rules: { ...DEFAULT_TRAVEL_ALLOWANCE_RULES, ...((response.Item && response.Item.rules) || {}) },
+        isConfigured: !!response.Item,
+    };
+}
+
+/**
+ * Update travel allowance rules
+ */
+async function updateTravelAllowanceSettings(rules, updatedBy) {
+    const timestamp = new Date().toISOString();
+    const item = {
+        settingId: TRAVEL_ALLOWANCE_SETTING_ID,
+        rules,
+        updatedBy: updatedBy || 'admin',
+        updatedAt: timestamp,
+    };
+
+    const command = new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item,
+    });
+
+    await docClient.send(command);
+    return getTravelAllowanceSettings();
+}
@@ -0,0 +1,108 @@
+/**
+ * Shift Model - DynamoDB operations for shift definitions
+ * A shift has one or more segments (split shifts have several), a grace period,
+ * unpaid break minutes and half-day rules. Overnight shifts end before they start.
+ */
+
+const { GetCommand, PutCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient } = require('../storage');
+const { v4: uuidv4 } = require('uuid');
+const { scanAll } = require('../utils/dynamoQuery');
+
+const TABLE_NAME = process.env.DYNAMODB_SHIFTS_TABLE || 'srm-shifts-table';
+
+/**
+ * Get all shifts
+ */
+async function getAllShifts() {
+    return scanAll({
+        TableName: TABLE_NAME,
+    });
+}
+
+/**
+ * Get shift by ID
+ */
+async function getShiftById(shiftId) {
+    const command = new GetCommand({
+        TableName: TABLE_NAME,
+        Key: { shiftId },
+    });
+
+    const response = await docClient.send(command);
+    return response.Item;
+}
+
+/**
+ * Create new shift
+ */
+async function createShift(shiftData) {
+    const timestamp = new Date().toISOString();
+
+    const item = {
+        shiftId: uuidv4(),
+        name: shiftData.name,
+        segments: shiftData.segments, // [{ startTime: 'HH:mm', endTime: 'HH:mm' }]
+        graceMinutes: shiftData.graceMinutes !== undefined ? shiftData.graceMinutes : 15,
+        halfDayAfterMinutes: shiftData.halfDayAfterMinutes, // Late by this much from start = half day (default: half the shift)
+        breakMinutes: shiftData.breakMinutes || 0, // Unpaid break deducted from worked time
+        minFullDayMinutes: shiftData.minFullDayMinutes || 240, // Worked less than this = half day out
+        isActive: shiftData.isActive !== false,
+        createdAt: timestamp,
+        updatedAt: timestamp,
+    };
+
+    const command = new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item,
+    });
+
+    await docClient.send(command);
+    return item;
+}
+
+/**
+ * Update shift
+ */
+async function updateShift(shiftId, updates) {
+    const existing = await getShiftById(shiftId);
+    if (!existing) {
+        throw new Error('Shift not found');
+    }
+
+    const updated = {
+        ...existing,
+        ...updates,
+        shiftId, // Ensure ID doesn't change
+        updatedAt: new Date().toISOString(),
+    };
+
+    const command = new PutCommand({
+        TableName: TABLE_NAME,
+        Item: updated,
+    });
+
+    await docClient.send(command);
+    return updated;
+}
+
+/**
+ * Delete shift
+ */
+async function deleteShift(shiftId) {
+    const command = new DeleteCommand({
+        TableName: TABLE_NAME,
+        Key: { shiftId },
+    });
+
+    await docClient.send(command);
+    return { success: true };
+}
+
+module.exports = {
+    getAllShifts,
+    getShiftById,
+    createShift,
+    updateShift,
+    deleteShift,
+};
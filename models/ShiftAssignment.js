@@ -0,0 +1,99 @@
+/**
+ * ShiftAssignment Model - DynamoDB operations for shift rosters
+ * Assigns a shift to a branch or an employee for a date range,
+ * optionally on specific weekdays only (rotating rosters)
+ */
+
+const { PutCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient } = require('../storage');
+const { v4: uuidv4 } = require('uuid');
+const Shift = require('./Shift');
+const { resolveShift } = require('../utils/shiftUtils');
+const { scanAll } = require('../utils/dynamoQuery');
+
+const TABLE_NAME = process.env.DYNAMODB_SHIFT_ASSIGNMENTS_TABLE || 'srm-shift-assignments-table';
+
+/**
+ * Get all assignments
+ */
+async function getAllAssignments() {
+    return scanAll({
+        TableName: TABLE_NAME,
+    });
+}
+
+/**
+ * Get assignments for a branch or employee
+ * @param {string} targetType - 'BRANCH' | 'EMPLOYEE'
+ * @param {string} targetId - branchId or employeeId
+ */
+async function getAssignmentsForTarget(targetType, targetId) {
+    const items = await scanAll({
+        TableName: TABLE_NAME,
+        FilterExpression: 'targetType = :type AND targetId = :id',
+        ExpressionAttributeValues: {
+            ':type': targetType,
+            ':id': targetId,
+        },
+    });
+    return items.sort((a, b) => (b.effectiveFrom || '').localeCompare(a.effectiveFrom || ''));
+}
+
+/**
+ * Create assignment
+ */
+async function createAssignment(assignmentData) {
+    const timestamp = new Date().toISOString();
+
+    const item = {
+        assignmentId: uuidv4(),
+        targetType: assignmentData.targetType, // BRANCH | EMPLOYEE
+        targetId: assignmentData.targetId,
+        shiftId: assignmentData.shiftId,
+        effectiveFrom: assignmentData.effectiveFrom, // YYYY-MM-DD
+        effectiveTo: assignmentData.effectiveTo || null, // YYYY-MM-DD, null = open-ended
+        daysOfWeek: assignmentData.daysOfWeek || null, // [0-6], null = every day
+        createdBy: assignmentData.createdBy || null,
+        createdAt: timestamp,
+    };
+
+    const command = new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item,
+    });
+
+    await docClient.send(command);
+    return item;
+}
+
+/**
+ * Delete assignment
+ */
+async function deleteAssignment(assignmentId) {
+    const command = new DeleteCommand({
+        TableName: TABLE_NAME,
+        Key: { assignmentId },
+    });
+
+    await docClient.send(command);
+    return { success: true };
+}
+
+/**
+ * Get the effective shift for an employee on a date (null = use global settings)
+ */
+async function getShiftForEmployee(employee, date) {
+    const [shifts, assignments] = await Promise.all([
+        Shift.getAllShifts(),
+        getAllAssignments(),
+    ]);
+    return resolveShift({ employee, date, shifts, assignments });
+}
+
+module.exports = {
+    getAllAssignments,
+    getAssignmentsForTarget,
+    createAssignment,
+    deleteAssignment,
+    getShiftForEmployee,
+};
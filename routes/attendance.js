@@ -5,12 +5,21 @@ const Attendance = require('../models/Attendance');
 const Employee = require('../models/Employee');
 const Request = require('../models/Request');
 const Branch = require('../models/Branch');
+const ShiftAssignment = require('../models/ShiftAssignment');
 const { searchFace } = require('../utils/rekognition');
-const { getGeofenceSettings, getAttendanceSettings } = require('../models/Settings');
-const { isWithinGeofence } = require('../utils/geofence');
-const { calculateDailyStatus } = require('../utils/attendanceCalculator');
+const { getGeofenceSettings, getLocationRiskSettings } = require('../models/Settings');
+const { checkGeofence, hasGeofence, describeGeofenceFailure } = require('../utils/geofence');
+const { REVIEW_STATUSES, parseReading, assessReading, mergeRisk } = require('../utils/locationRisk');
+const { isFieldWorker } = require('../utils/fieldVisits');
+const { listDates } = require('../utils/leavePolicy');
+const { addToStats } = require('../utils/dailySummary');
+const { getBusinessDate, formatClockTime } = require('../utils/timezone');
+const { loadDailySummaries } = require('../controllers/payrollController');
+const { refreshEmployeeSummaries, getSummaries, rebuildSummaries } = require('../controllers/dailySummaryController');
+const { ROLES, MANAGER_ROLES, authorize, authorizeEmployeeAccess, hasRole } = require('../middleware/auth');
 
 const upload = multer({ storage: multer.memoryStorage() });
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
 
 /**
  * Mark attendance (check-in) with face verification
@@ -53,8 +62,9 @@ router.post('/check-in', upload.single('image'), async (req, res) => {
         const employeeId = faceResult.employeeId;
         console.log(`[Check-in] Face recognized for employeeId: "${employeeId}"`);
 
-        // Validate that recognized face matches expected employee (if provided)
-        const expectedEmployeeId = req.body.expectedEmployeeId;
+        // Validate that recognized face matches the logged-in employee
+        // (managers running a shared device may pass expectedEmployeeId instead)
+        const expectedEmployeeId = hasRole(req.user, MANAGER_ROLES) ? req.body.expectedEmployeeId : req.user.employeeId;
         if (expectedEmployeeId && employeeId !== expectedEmployeeId) {
             console.log(`[Check-in] Face mismatch! Expected: "${expectedEmployeeId}", Got: "${employeeId}"`);
             return res.status(403).json({
@@ -73,86 +83,99 @@ router.post('/check-in', upload.single('image'), async (req, res) => {
             });
         }
 
+        // Zone of the branch the employee checked in from (branches with polygon zones)
+        let checkInZone = null;
+        let locationCheck = null;
+
         // PERMISSION CHECK FOR TRAVEL MODE
         if (type === 'TRAVEL') {
-            const allowedModes = ['FIELD_SALES', 'REMOTE'];
-            const employeeMode = employee.workMode || 'OFFICE';
-            if (!allowedModes.includes(employeeMode)) {
+            if (!isFieldWorker(employee)) {
                 return res.status(403).json({
                     success: false,
                     message: 'Restricted: You are not authorized for "On Duty" check-in.',
                 });
             }
-            // If authorized, we SKIP geofence check
+            // If authorized, we SKIP geofence check (and pings skip geofence auto-checkout, see routes/location.js)
         } else {
             // OFFICE MODE - Enforce Geofence
 
-            // Determine Target Location (Branch vs Global)
-            let targetLat, targetLng, targetRadius;
-            let isConfigured = false;
+            // Determine Target Geofence (Branch circle or zones vs Global)
+            let target = null;
             let checkSource = 'GLOBAL';
 
             // 1. Check Employee's Assigned Branch (TOP PRIORITY)
             if (employee.branchId) {
                 const branch = await Branch.getBranchById(employee.branchId);
-                if (branch && branch.latitude && branch.longitude) {
-                    targetLat = branch.latitude;
-                    targetLng = branch.longitude;
-                    targetRadius = branch.radiusMeters || 100;
-                    isConfigured = true;
+                if (hasGeofence(branch)) {
+                    target = branch;
                     checkSource = `ASSIGNED_BRANCH: ${branch.name}`;
                 }
             }
 
             // 2. Fallback to Request Body Branch (User selected in App)
-            if (!isConfigured) {
+            if (!target) {
                 const requestBranchId = req.body.branchId;
                 if (requestBranchId) {
                     const branch = await Branch.getBranchById(requestBranchId);
-                    if (branch && branch.latitude && branch.longitude) {
-                        targetLat = branch.latitude;
-                        targetLng = branch.longitude;
-                        targetRadius = branch.radiusMeters || 100;
-                        isConfigured = true;
+                    if (hasGeofence(branch)) {
+                        target = branch;
                         checkSource = `Selected_BRANCH: ${branch.name}`;
                     }
                 }
             }
 
             // 3. Fallback to Global Settings
-            if (!isConfigured) {
+            if (!target) {
                 const globalSettings = await getGeofenceSettings();
                 if (globalSettings.isConfigured) {
-                    targetLat = globalSettings.officeLat;
-                    targetLng = globalSettings.officeLng;
-                    targetRadius = globalSettings.radiusMeters;
-                    isConfigured = true;
+                    target = {
+                        latitude: globalSettings.officeLat,
+                        longitude: globalSettings.officeLng,
+                        radiusMeters: globalSettings.radiusMeters,
+                    };
                     checkSource = 'GLOBAL_OFFICE';
                 }
             }
 
             console.log(`[Check-in] Validating Location against: ${checkSource}`);
 
-            if (isConfigured) {
-                const locationCheck = isWithinGeofence(
-                    parseFloat(latitude),
-                    parseFloat(longitude),
-                    targetLat,
-                    targetLng,
-                    targetRadius
-                );
-
-                if (!locationCheck.isWithin) {
-                    return res.status(403).json({
-                        success: false,
-                        message: `You are too far from the office! Distance: ${locationCheck.distance}m (Allowed: ${locationCheck.allowedRadius}m)`,
-                        withinRange: false,
-                        distance: locationCheck.distance
-                    });
-                }
+            if (target) {
+                locationCheck = checkGeofence(parseFloat(latitude), parseFloat(longitude), target);
+                checkInZone = locationCheck.zone;
             }
         }
 
+        // GPS reading checks: mock location, accuracy against the geofence, travel since the last reading
+        const reading = parseReading(req.body);
+        const { rules: riskRules } = await getLocationRiskSettings();
+        const assessment = assessReading(reading, {
+            geofence: locationCheck,
+            previous: employee.lastPingTime
+                ? { latitude: employee.lastLatitude, longitude: employee.lastLongitude, accuracy: employee.lastAccuracy, timestamp: employee.lastPingTime }
+                : null,
+            rules: riskRules,
+        });
+
+        if (assessment.rejectReason) {
+            console.log(`[Check-in] Rejected reading for ${employeeId}: ${assessment.flags.join(', ')}`);
+            return res.status(403).json({
+                success: false,
+                message: assessment.rejectReason,
+                riskFlags: assessment.flags,
+            });
+        }
+
+        if (locationCheck && !assessment.withinGeofence) {
+            return res.status(403).json({
+                success: false,
+                message: describeGeofenceFailure(locationCheck),
+                withinRange: false,
+                distance: locationCheck.distance,
+                deniedZone: locationCheck.deniedZone,
+                riskFlags: assessment.flags,
+            });
+        }
+
 
 
         // Face verification handled above
@@ -163,20 +186,23 @@ router.post('/check-in', upload.single('image'), async (req, res) => {
         // Check if currently tracking (already checked in but not checked out)
         // Employee fetched above for permission check
 
+        // Business dates and lateness follow the employee's branch clock
+        const timeZone = await Branch.getBranchTimezone(employee.branchId);
+        const today = getBusinessDate(new Date(), timeZone);
+
         if (employee.isTracking) {
             // Verify if there is ACTUALLY an open session (ghost tracking check)
             const openSession = await Attendance.getOpenSession(employeeId);
 
             if (openSession) {
                 // Check if the open session is from TODAY or STALE (previous day)
-                const today = new Date().toISOString().split('T')[0];
                 const sessionDate = openSession.date; // YYYY-MM-DD
 
                 if (sessionDate === today) {
                     // Real open session exists TODAY
                     return res.status(400).json({
                         success: false,
-                        message: `Already checked in today at ${new Date(openSession.checkInTime).toLocaleTimeString()}. Please check out first.`,
+                        message: `Already checked in today at ${formatClockTime(openSession.checkInTime, timeZone)}. Please check out first.`,
                     });
                 } else {
                     // STALE SESSION (e.g. forgot to checkout yesterday)
@@ -184,6 +210,7 @@ router.post('/check-in', upload.single('image'), async (req, res) => {
 
                     // Auto-close the stale session
                     await Attendance.checkOut(openSession.attendanceId);
+                    await refreshEmployeeSummaries(employeeId, sessionDate);
 
                     // Proceed with new check-in (isTracking will be updated next)
                 }
@@ -203,12 +230,20 @@ router.post('/check-in', upload.single('image'), async (req, res) => {
             });
         }
 
+        // Resolve the shift this check-in is evaluated against
+        const shift = await ShiftAssignment.getShiftForEmployee(employee, today);
+
         // Create attendance record
         const attendance = await Attendance.createAttendance({
             employeeId,
             latitude: parseFloat(latitude),
             longitude: parseFloat(longitude),
             type, // Store OFFICE or TRAVEL
+            shift,
+            timeZone,
+            zone: checkInZone,
+            reading,
+            fraudRisk: mergeRisk(null, assessment.flags, riskRules),
         });
 
         // Start GPS tracking for this employee
@@ -216,12 +251,16 @@ router.post('/check-in', upload.single('image'), async (req, res) => {
             isTracking: true,
             lastLatitude: parseFloat(latitude),
             lastLongitude: parseFloat(longitude),
+            lastAccuracy: reading.accuracy,
             lastPingTime: new Date().toISOString(),
             trackingStartTime: new Date().toISOString(),
+            trackingType: type === 'TRAVEL' ? 'TRAVEL' : 'OFFICE',
             isInsideGeofence: true, // Employee is inside geofence (passed check)
             outsideGeofenceCount: 0, // Reset counter on fresh check-in
         });
 
+        await refreshEmployeeSummaries(employeeId, attendance.date);
+
         res.json({
             success: true,
             message: `Good morning, ${employee.name}! Check-in successful.`,
@@ -275,8 +314,9 @@ router.post('/check-out', upload.single('image'), async (req, res) => {
 
         const employeeId = faceResult.employeeId;
 
-        // Validate that recognized face matches expected employee (if provided)
-        const expectedEmployeeId = req.body.expectedEmployeeId;
+        // Validate that recognized face matches the logged-in employee
+        // (managers running a shared device may pass expectedEmployeeId instead)
+        const expectedEmployeeId = hasRole(req.user, MANAGER_ROLES) ? req.body.expectedEmployeeId : req.user.employeeId;
         if (expectedEmployeeId && employeeId !== expectedEmployeeId) {
             console.log(`[Check-out] Face mismatch! Expected: "${expectedEmployeeId}", Got: "${employeeId}"`);
             return res.status(403).json({
@@ -305,6 +345,7 @@ router.post('/check-out', upload.single('image'), async (req, res) => {
         // Update with checkout
         const updated = await Attendance.checkOut(attendance.attendanceId);
         const employee = await Employee.getEmployeeById(employeeId);
+        await refreshEmployeeSummaries(employeeId, attendance.date);
 
         // Stop GPS tracking for this employee
         await Employee.updateEmployee(employeeId, {
@@ -331,9 +372,11 @@ router.post('/check-out', upload.single('image'), async (req, res) => {
  * Get Detailed Daily Attendance Report
  * GET /api/attendance/report?date=YYYY-MM-DD[&branchId=...]
  */
-router.get('/report', async (req, res) => {
+router.get('/report', authorize(...MANAGER_ROLES), async (req, res) => {
     try {
-        const { date, startDate, endDate, branchId } = req.query;
+        const { date, startDate, endDate } = req.query;
+        // Branch managers can only report on their own branch
+        const branchId = req.user.role === ROLES.BRANCH_MANAGER ? req.user.branchId : req.query.branchId;
 
         // Determine mode: Range vs Single Date
         const isRange = startDate && endDate;
@@ -348,26 +391,15 @@ router.get('/report', async (req, res) => {
             employees = employees.filter(e => e.branchId === branchId);
         }
 
-        // 2. Fetch Global Settings
-        const settings = await getAttendanceSettings();
+        // 2. Stored daily summaries (days without one are evaluated now, not stored)
+        const summaries = await loadDailySummaries(employees, isRange ? startDate : date, isRange ? endDate : date);
 
         // --- RANGE MODE ---
         if (isRange) {
-            // Fetch Data for Range
-            const attendanceRecords = await Attendance.getAttendanceByDateRange(startDate, endDate);
-            const allRequests = await Request.getApprovedRequestsByDateRange(startDate, endDate);
-
-            // Generate Date Array
-            const dateArray = [];
-            let currentDate = new Date(startDate);
-            const end = new Date(endDate);
-            while (currentDate <= end) {
-                dateArray.push(currentDate.toISOString().split('T')[0]);
-                currentDate.setDate(currentDate.getDate() + 1);
-            }
+            const dateArray = listDates(startDate, endDate);
 
             // Aggregate Stats per Employee
-            const report = await Promise.all(employees.map(async (employee) => {
+            const report = employees.map((employee) => {
                 const stats = {
                     present: 0,
                     absent: 0,
@@ -375,62 +407,35 @@ router.get('/report', async (req, res) => {
                     earlyOut: 0,
                     halfDay: 0,
                     weekOff: 0,
+                    weekOffWorked: 0,
+                    holiday: 0,
+                    holidayWorked: 0,
                     leave: 0,
                     permission: 0,
+                    regularized: 0,
+                    systemClosed: 0,
                     totalDays: dateArray.length
                 };
 
                 const dailyBreakdown = []; // Optional: For detailed CSV if needed later
 
-                // Iterate through each day
+                // Iterate through each day (future days have no summary yet)
                 for (const d of dateArray) {
-                    // Filter for this day
-                    const empAttendance = attendanceRecords.filter(r => r.employeeId === employee.employeeId && r.date === d);
-
-                    // Day Summary Construction (reuse logic)
-                    let effectiveAttendance = null;
-                    if (empAttendance.length > 0) {
-                        empAttendance.sort((a, b) => new Date(a.checkInTime) - new Date(b.checkInTime));
-                        const lastRecord = empAttendance[empAttendance.length - 1];
-                        effectiveAttendance = {
-                            checkInTime: empAttendance[0].checkInTime,
-                            checkOutTime: lastRecord.checkOutTime || null
-                        };
-                    }
+                    const summary = summaries[employee.employeeId][d];
+                    if (!summary) continue;
 
-                    const empRequests = allRequests.filter(r => r.employeeId === employee.employeeId && r.data && r.data.date === d);
-                    const leaveRequest = empRequests.find(r => r.type === 'LEAVE');
-                    const permissionRequest = empRequests.find(r => r.type === 'PERMISSION');
-
-                    const statusResult = calculateDailyStatus({
-                        employee,
-                        attendance: effectiveAttendance,
-                        leave: leaveRequest,
-                        permission: permissionRequest,
-                        settings,
-                        date: d
-                    });
-
-                    // Aggregate
-                    // Note: 'Present' is usually added even if 'Late In'.
-                    // We need to count specific tags.
-                    const s = statusResult.status;
-                    if (s.includes('Present') || s.includes('Present (On Leave)')) stats.present++;
-                    if (s.includes('Absent') && !s.includes('Week off')) stats.absent++; // Absent usually excludes WeekOff/Leave if marked differently
-                    if (s.includes('Late in')) stats.lateIn++;
-                    if (s.includes('Early out')) stats.earlyOut++;
-                    if (s.includes('Half day in') || s.includes('Half day out')) stats.halfDay++;
-                    if (s.includes('Leave')) stats.leave++;
-                    if (s.includes('Permission in')) stats.permission++;
-                    if (s.includes('Week off')) stats.weekOff++;
+                    addToStats(stats, summary);
 
                     // Store daily breakdown mainly for CSV
                     dailyBreakdown.push({
                         date: d,
-                        status: statusResult.status,
-                        remarks: statusResult.remarks,
-                        in: statusResult.times?.in || '-',
-                        out: statusResult.times?.out || '-'
+                        status: summary.status,
+                        remarks: summary.remarks,
+                        shift: summary.shift,
+                        in: summary.times?.in || '-',
+                        out: summary.times?.out || '-',
+                        regularized: !!summary.regularized,
+                        systemClosed: !!summary.systemClosed
                     });
                 }
 
@@ -442,7 +447,7 @@ router.get('/report', async (req, res) => {
                     stats,
                     dailyBreakdown
                 };
-            }));
+            });
 
             res.json({
                 success: true,
@@ -454,43 +459,24 @@ router.get('/report', async (req, res) => {
             });
 
         } else {
-            // --- SINGLE DATE MODE (Existing Logic) ---
-            const attendanceRecords = await Attendance.getAttendanceByDate(date);
-            const allRequests = await Request.getApprovedRequestsByDate(date);
-
-            const report = await Promise.all(employees.map(async (employee) => {
-                const empAttendance = attendanceRecords.filter(r => r.employeeId === employee.employeeId);
-                let effectiveAttendance = null;
-                if (empAttendance.length > 0) {
-                    empAttendance.sort((a, b) => new Date(a.checkInTime) - new Date(b.checkInTime));
-                    const lastRecord = empAttendance[empAttendance.length - 1];
-                    effectiveAttendance = {
-                        checkInTime: empAttendance[0].checkInTime,
-                        checkOutTime: lastRecord.checkOutTime || null
-                    };
-                }
-
-                const empRequests = allRequests.filter(r => r.employeeId === employee.employeeId);
-                const leaveRequest = empRequests.find(r => r.type === 'LEAVE');
-                const permissionRequest = empRequests.find(r => r.type === 'PERMISSION');
-
-                const statusResult = calculateDailyStatus({
-                    employee,
-                    attendance: effectiveAttendance,
-                    leave: leaveRequest,
-                    permission: permissionRequest,
-                    settings,
-                    date
-                });
+            // --- SINGLE DATE MODE ---
+            const report = employees.map((employee) => {
+                const summary = summaries[employee.employeeId][date];
 
                 return {
                     employeeId: employee.employeeId,
                     name: employee.name,
                     department: employee.department,
                     designation: employee.designation,
-                    ...statusResult
+                    status: summary ? summary.status : [],
+                    remarks: summary ? summary.remarks : '',
+                    color: summary ? summary.color : null,
+                    shift: summary ? summary.shift : null,
+                    regularized: !!(summary && summary.regularized),
+                    systemClosed: !!(summary && summary.systemClosed),
+                    times: summary ? summary.times : null
                 };
-            }));
+            });
 
             res.json({
                 success: true,
@@ -500,8 +486,7 @@ router.get('/report', async (req, res) => {
                 debug: {
                     employeeCountBeforeFilter: employees.length,
                     branchIdParam: branchId,
-                    requestsFound: allRequests.length,
-                    attendanceRecordsFound: attendanceRecords.length
+                    summariesFound: report.filter(r => r.status.length > 0).length
                 },
                 report
             });
@@ -513,11 +498,77 @@ router.get('/report', async (req, res) => {
     }
 });
 
+/**
+ * Stored daily summaries with totals (dashboards)
+ * GET /api/attendance/summaries?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD[&branchId=...][&employeeId=...]
+ */
+router.get('/summaries', authorize(...MANAGER_ROLES), getSummaries);
+
+/**
+ * Rebuild stored daily summaries
+ * POST /api/attendance/summaries/rebuild
+ */
+router.post('/summaries/rebuild', authorize(ROLES.HR), rebuildSummaries);
+
+/**
+ * Sessions with a location fraud-risk review (HR queue)
+ * GET /api/attendance/fraud-review?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD[&branchId=...][&status=PENDING|CLEARED|CONFIRMED]
+ */
+router.get('/fraud-review', authorize(...MANAGER_ROLES), async (req, res) => {
+    try {
+        const { startDate, endDate, status } = req.query;
+        // Branch managers only see their own branch
+        const branchId = req.user.role === ROLES.BRANCH_MANAGER ? req.user.branchId : req.query.branchId;
+
+        if (!DATE_REGEX.test(startDate || '') || !DATE_REGEX.test(endDate || '') || endDate < startDate) {
+            return res.status(400).json({ success: false, message: 'startDate and endDate (YYYY-MM-DD) are required' });
+        }
+        if (status && !REVIEW_STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, message: `status must be one of ${REVIEW_STATUSES.join(', ')}` });
+        }
+
+        const [records, employees] = await Promise.all([
+            Attendance.getAttendanceByDateRange(startDate, endDate),
+            Employee.getAllEmployees(),
+        ]);
+        const employeeMap = {};
+        employees.forEach(e => { employeeMap[e.employeeId] = e; });
+
+        const sessions = records
+            .filter(r => r.fraudRisk && r.fraudRisk.reviewStatus)
+            .filter(r => !status || r.fraudRisk.reviewStatus === status)
+            .filter(r => !branchId || (employeeMap[r.employeeId] && employeeMap[r.employeeId].branchId === branchId))
+            .sort((a, b) => b.fraudRisk.score - a.fraudRisk.score || b.checkInTime.localeCompare(a.checkInTime))
+            .map(r => ({
+                attendanceId: r.attendanceId,
+                employeeId: r.employeeId,
+                name: employeeMap[r.employeeId] ? employeeMap[r.employeeId].name : null,
+                branchId: employeeMap[r.employeeId] ? employeeMap[r.employeeId].branchId : null,
+                date: r.date,
+                checkInTime: r.checkInTime,
+                checkOutTime: r.checkOutTime,
+                checkInReading: r.checkInReading || null,
+                fraudRisk: r.fraudRisk,
+            }));
+
+        res.json({
+            success: true,
+            startDate,
+            endDate,
+            total: sessions.length,
+            sessions,
+        });
+    } catch (error) {
+        console.error('Error fetching fraud reviews:', error);
+        res.status(500).json({ success: false, message: 'Error fetching fraud reviews' });
+    }
+});
+
 /**
  * Get attendance history for employee
  * GET /api/attendance/:employeeId
  */
-router.get('/:employeeId', async (req, res) => {
+router.get('/:employeeId', authorizeEmployeeAccess(req => req.params.employeeId), async (req, res) => {
     try {
         const { employeeId } = req.params;
         const { limit } = req.query;
@@ -544,7 +595,7 @@ router.get('/:employeeId', async (req, res) => {
  * Get all attendance for a date (admin)
  * GET /api/attendance/date/:date
  */
-router.get('/date/:date', async (req, res) => {
+router.get('/date/:date', authorize(...MANAGER_ROLES), async (req, res) => {
     try {
         const { date } = req.params;
         const records = await Attendance.getAttendanceByDate(date);
@@ -563,11 +614,54 @@ router.get('/date/:date', async (req, res) => {
     }
 });
 
+/**
+ * Review a session's location fraud risk
+ * PUT /api/attendance/:attendanceId/fraud-review
+ * Body: { status: 'CLEARED' | 'CONFIRMED', note }
+ */
+router.put('/:attendanceId/fraud-review', authorize(ROLES.HR), async (req, res) => {
+    try {
+        const { attendanceId } = req.params;
+        const { status, note } = req.body;
+
+        if (!['CLEARED', 'CONFIRMED'].includes(status)) {
+            return res.status(400).json({ success: false, message: 'status must be CLEARED or CONFIRMED' });
+        }
+
+        const record = await Attendance.getAttendanceById(attendanceId);
+        if (!record) {
+            return res.status(404).json({ success: false, message: 'Attendance record not found' });
+        }
+        if (!record.fraudRisk || !record.fraudRisk.reviewStatus) {
+            return res.status(400).json({ success: false, message: 'This session has no fraud risk to review' });
+        }
+
+        const attendance = await Attendance.updateAttendance(attendanceId, {
+            fraudRisk: {
+                ...record.fraudRisk,
+                reviewStatus: status,
+                reviewedBy: req.user.employeeId,
+                reviewedAt: new Date().toISOString(),
+                reviewNote: note || null,
+            },
+        });
+
+        res.json({
+            success: true,
+            message: `Fraud risk ${status.toLowerCase()}`,
+            attendance,
+        });
+    } catch (error) {
+        console.error('Error reviewing fraud risk:', error);
+        res.status(500).json({ success: false, message: 'Error reviewing fraud risk' });
+    }
+});
+
 /**
  * Update attendance record (admin)
  * PUT /api/attendance/:attendanceId
  */
-router.put('/:attendanceId', async (req, res) => {
+router.put('/:attendanceId', authorize(ROLES.HR), async (req, res) => {
     try {
         const { attendanceId } = req.params;
         const { checkInTime, checkOutTime, status } = req.body;
@@ -586,6 +680,8 @@ router.put('/:attendanceId', async (req, res) => {
             });
         }
 
+        await refreshEmployeeSummaries(attendance.employeeId, attendance.date);
+
         res.json({
             success: true,
             message: 'Attendance updated successfully',
@@ -604,7 +700,7 @@ router.put('/:attendanceId', async (req, res) => {
  * Reset tracking status (for fixing stuck state)
  * POST /api/attendance/reset-tracking/:employeeId
  */
-router.post('/reset-tracking/:employeeId', async (req, res) => {
+router.post('/reset-tracking/:employeeId', authorizeEmployeeAccess(req => req.params.employeeId), async (req, res) => {
     try {
         const { employeeId } = req.params;
 
@@ -631,7 +727,7 @@ router.post('/reset-tracking/:employeeId', async (req, res) => {
  * Get current attendance status for an employee
  * GET /api/attendance/status/:employeeId
  */
-router.get('/status/:employeeId', async (req, res) => {
+router.get('/status/:employeeId', authorizeEmployeeAccess(req => req.params.employeeId), async (req, res) => {
     try {
         const { employeeId } = req.params;
 
@@ -643,8 +739,9 @@ router.get('/status/:employeeId', async (req, res) => {
             });
         }
 
-        const todayAttendance = await Attendance.getTodayAttendance(employeeId);
-        const allTodaySessions = await Attendance.getAllTodayAttendance(employeeId); // NEW: Get all sessions
+        const timeZone = await Branch.getBranchTimezone(employee.branchId);
+        const todayAttendance = await Attendance.getTodayAttendance(employeeId, timeZone);
+        const allTodaySessions = await Attendance.getAllTodayAttendance(employeeId, timeZone); // NEW: Get all sessions
         const openSession = await Attendance.getOpenSession(employeeId); // Any open session regardless of date
         const now = new Date();
         let isTracking = employee.isTracking || false;
@@ -689,7 +786,7 @@ router.get('/status/:employeeId', async (req, res) => {
         }
 
         // --- DURATION CALCULATION (Attendance + Permissions) ---
-        const todayDateStr = now.toISOString().split('T')[0];
+        const todayDateStr = getBusinessDate(now, timeZone);
 
         // 1. Calculate Attendance Duration (from all sessions today)
         let attendanceDurationMinutes = 0;
@@ -792,7 +889,7 @@ router.get('/status/:employeeId', async (req, res) => {
  * Resume Session (Rejoin)
  * POST /api/attendance/resume-session
  */
-router.post('/resume-session', async (req, res) => {
+router.post('/resume-session', authorizeEmployeeAccess(req => req.body.employeeId), async (req, res) => {
     try {
         const { employeeId } = req.body;
 
@@ -864,12 +961,17 @@ router.post('/verify-view-access', upload.single('image'), async (req, res) => {
  * Close all active sessions and reset tracking (complete cleanup)
  * POST /api/attendance/close-all-sessions/:employeeId
  */
-router.post('/close-all-sessions/:employeeId', async (req, res) => {
+router.post('/close-all-sessions/:employeeId', authorizeEmployeeAccess(req => req.params.employeeId), async (req, res) => {
     try {
         const { employeeId } = req.params;
 
         // Close all attendance sessions without checkout
-        const closedCount = await Attendance.closeAllActiveSessions(employeeId);
+        const employee = await Employee.getEmployeeById(employeeId);
+        const timeZone = await Branch.getBranchTimezone(employee?.branchId);
+        const closedCount = await Attendance.closeAllActiveSessions(employeeId, timeZone);
+        if (closedCount > 0) {
+            await refreshEmployeeSummaries(employeeId, getBusinessDate(new Date(), timeZone));
+        }
 
         // Reset tracking status
         await Employee.updateEmployee(employeeId, {
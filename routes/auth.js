@@ -0,0 +1,275 @@
+/**
+ * Auth Routes - login and credential management
+ */
+
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const bcrypt = require('bcryptjs');
+const Employee = require('../models/Employee');
+const { searchFace } = require('../utils/rekognition');
+const { ROLES, signToken, getEnvSuperAdmin, authenticate, authorize } = require('../middleware/auth');
+
+const upload = multer({ storage: multer.memoryStorage() });
+
+const BCRYPT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 6;
+
+// Roles that cannot log in with a face: a face match alone is too weak for org-wide access
+const PASSWORD_ONLY_ROLES = [ROLES.HR, ROLES.SUPER_ADMIN];
+
+/**
+ * Build the login response for a user
+ */
+function buildSession(user) {
+    return {
+        success: true,
+        token: signToken(user),
+        user: {
+            employeeId: user.employeeId,
+            name: user.name || null,
+            role: user.role || ROLES.EMPLOYEE,
+            branchId: user.branchId || null,
+        },
+    };
+}
+
+/**
+ * Login with employee ID and password
+ * POST /api/auth/login
+ */
+router.post('/login', async (req, res) => {
+    try {
+        const { employeeId, password } = req.body;
+
+        if (!employeeId || !password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Employee ID and password are required',
+            });
+        }
+
+        // Bootstrap super admin configured through env (SUPER_ADMIN_PASSWORD_HASH is a bcrypt hash)
+        const superAdmin = getEnvSuperAdmin(employeeId);
+        if (superAdmin) {
+            const hash = process.env.SUPER_ADMIN_PASSWORD_HASH;
+            if (hash && await bcrypt.compare(password, hash)) {
+                return res.json(buildSession(superAdmin));
+            }
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid employee ID or password',
+            });
+        }
+
+        const employee = await Employee.getEmployeeById(employeeId);
+        if (!employee || !employee.passwordHash || !(await bcrypt.compare(password, employee.passwordHash))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid employee ID or password',
+            });
+        }
+
+        if (employee.status !== 'active') {
+            return res.status(403).json({
+                success: false,
+                message: 'Employee account is inactive.',
+            });
+        }
+
+        res.json(buildSession(employee));
+    } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error logging in',
+        });
+    }
+});
+
+/**
+ * Login with a registered face (mobile app; not for HR or super admins)
+ * POST /api/auth/face-login
+ */
+router.post('/face-login', upload.single('image'), async (req, res) => {
+    try {
+        const { imageBase64 } = req.body;
+
+        let imageBuffer;
+        if (req.file) {
+            imageBuffer = req.file.buffer;
+        } else if (imageBase64) {
+            const base64Data = imageBase64.replace(/^data:image\/\w+;base64,/, '');
+            imageBuffer = Buffer.from(base64Data, 'base64');
+        } else {
+            return res.status(400).json({
+                success: false,
+                message: 'Image is required',
+            });
+        }
+
+        const faceResult = await searchFace(imageBuffer);
+        if (!faceResult.success) {
+            return res.status(401).json({
+                success: false,
+                message: 'Face not recognized. Please register first.',
+            });
+        }
+
+        const employee = await Employee.getEmployeeById(faceResult.employeeId);
+        if (!employee) {
+            return res.status(404).json({
+                success: false,
+                message: 'Employee not found for this face',
+            });
+        }
+
+        if (employee.status !== 'active') {
+            return res.status(403).json({
+                success: false,
+                message: 'Employee account is inactive.',
+            });
+        }
+
+        if (PASSWORD_ONLY_ROLES.includes(employee.role)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Please log in with your employee ID and password.',
+            });
+        }
+
+        res.json(buildSession(employee));
+    } catch (error) {
+        console.error('Error logging in with face:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error logging in',
+        });
+    }
+});
+
+/**
+ * Get the current user
+ * GET /api/auth/me
+ */
+router.get('/me', authenticate, (req, res) => {
+    res.json({
+        success: true,
+        user: req.user,
+    });
+});
+
+/**
+ * Change own password
+ * PUT /api/auth/password
+ */
+router.put('/password', authenticate, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        if (!newPassword || newPassword.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+            });
+        }
+
+        const employee = await Employee.getEmployeeById(req.user.employeeId);
+        if (!employee) {
+            return res.status(404).json({
+                success: false,
+                message: 'Employee not found',
+            });
+        }
+
+        if (employee.passwordHash && !(await bcrypt.compare(currentPassword || '', employee.passwordHash))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Current password is incorrect',
+            });
+        }
+
+        await Employee.updateEmployee(employee.employeeId, {
+            passwordHash: await bcrypt.hash(newPassword, BCRYPT_ROUNDS),
+        });
+
+        res.json({
+            success: true,
+            message: 'Password updated successfully',
+        });
+    } catch (error) {
+        console.error('Error changing password:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error changing password',
+        });
+    }
+});
+
+/**
+ * Set an employee's password and/or role (HR)
+ * PUT /api/auth/credentials/:employeeId
+ * Only SUPER_ADMIN may grant HR or SUPER_ADMIN roles
+ */
+router.put('/credentials/:employeeId', authenticate, authorize(ROLES.HR), async (req, res) => {
+    try {
+        const { employeeId } = req.params;
+        const { password, role } = req.body;
+
+        if (!password && !role) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password or role is required',
+            });
+        }
+
+        if (role && !Object.values(ROLES).includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid role',
+            });
+        }
+
+        if (role && [ROLES.HR, ROLES.SUPER_ADMIN].includes(role) && req.user.role !== ROLES.SUPER_ADMIN) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only a super admin can grant this role',
+            });
+        }
+
+        if (password && password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+            });
+        }
+
+        const existing = await Employee.getEmployeeById(employeeId);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Employee not found',
+            });
+        }
+
+        const updates = {};
+        if (password) updates.passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+        if (role) updates.role = role;
+
+        const employee = await Employee.updateEmployee(employeeId, updates);
+
+        res.json({
+            success: true,
+            message: 'Credentials updated successfully',
+            employee: Employee.sanitizeEmployee(employee),
+        });
+    } catch (error) {
+        console.error('Error updating credentials:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating credentials',
+        });
+    }
+});
+
+module.exports = router;
@@ -5,6 +5,11 @@
 const express = require('express');
 const router = express.Router();
 const Branch = require('../models/Branch');
+const { ROLES, authorize } = require('../middleware/auth');
+const { validateWeeklyOffPattern } = require('../utils/calendar');
+const { isValidTimezone } = require('../utils/timezone');
+const { validateZones, normalizeZones } = require('../utils/geofence');
+const { refreshRecentSummaries } = require('../controllers/dailySummaryController');
 
 /**
  * Get all branches
@@ -79,9 +84,9 @@ router.get('/:branchId', async (req, res) => {
  * Create new branch
  * POST /api/branches
  */
-router.post('/', async (req, res) => {
+router.post('/', authorize(ROLES.HR), async (req, res) => {
     try {
-        const { name, address, latitude, longitude, radiusMeters, isActive, branchType } = req.body;
+        const { name, address, latitude, longitude, radiusMeters, zones, isActive, branchType, state, weeklyOff, timezone } = req.body;
 
         if (!name) {
             return res.status(400).json({
@@ -104,14 +109,45 @@ router.post('/', async (req, res) => {
             });
         }
 
+        if (zones) {
+            const zonesError = validateZones(zones);
+            if (zonesError) {
+                return res.status(400).json({
+                    success: false,
+                    message: zonesError,
+                });
+            }
+        }
+
+        if (weeklyOff) {
+            const weeklyOffError = validateWeeklyOffPattern(weeklyOff);
+            if (weeklyOffError) {
+                return res.status(400).json({
+                    success: false,
+                    message: weeklyOffError,
+                });
+            }
+        }
+
+        if (timezone && !isValidTimezone(timezone)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid timezone (use an IANA name such as Asia/Kolkata)',
+            });
+        }
+
         const branch = await Branch.createBranch({
             name,
             address,
             latitude: parseFloat(latitude),
             longitude: parseFloat(longitude),
             radiusMeters: parseInt(radiusMeters) || 100,
+            zones: zones ? normalizeZones(zones) : [],
             isActive,
             branchType,
+            state,
+            weeklyOff,
+            timezone,
         });
 
         res.status(201).json({
@@ -132,7 +168,7 @@ router.post('/', async (req, res) => {
  * Update branch
  * PUT /api/branches/:branchId
  */
-router.put('/:branchId', async (req, res) => {
+router.put('/:branchId', authorize(ROLES.HR), async (req, res) => {
     try {
         const { branchId } = req.params;
         const updates = req.body;
@@ -144,12 +180,45 @@ router.put('/:branchId', async (req, res) => {
             });
         }
 
+        if (updates.zones) {
+            const zonesError = validateZones(updates.zones);
+            if (zonesError) {
+                return res.status(400).json({
+                    success: false,
+                    message: zonesError,
+                });
+            }
+            updates.zones = normalizeZones(updates.zones);
+        }
+
+        if (updates.weeklyOff) {
+            const weeklyOffError = validateWeeklyOffPattern(updates.weeklyOff);
+            if (weeklyOffError) {
+                return res.status(400).json({
+                    success: false,
+                    message: weeklyOffError,
+                });
+            }
+        }
+
+        if (updates.timezone && !isValidTimezone(updates.timezone)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid timezone (use an IANA name such as Asia/Kolkata)',
+            });
+        }
+
         if (updates.latitude) updates.latitude = parseFloat(updates.latitude);
         if (updates.longitude) updates.longitude = parseFloat(updates.longitude);
         if (updates.radiusMeters) updates.radiusMeters = parseInt(updates.radiusMeters);
 
         const branch = await Branch.updateBranch(branchId, updates);
 
+        // Weekly offs and state holidays follow the branch
+        if (updates.weeklyOff || updates.state) {
+            await refreshRecentSummaries('BRANCH', branchId);
+        }
+
         res.json({
             success: true,
             message: 'Branch updated successfully',
@@ -174,7 +243,7 @@ router.put('/:branchId', async (req, res) => {
  * Delete branch
  * DELETE /api/branches/:branchId
  */
-router.delete('/:branchId', async (req, res) => {
+router.delete('/:branchId', authorize(ROLES.HR), async (req, res) => {
     try {
         const { branchId } = req.params;
 
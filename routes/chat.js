@@ -1,6 +1,30 @@
 const express = require('express');
 const router = express.Router();
 const Chat = require('../models/Chat');
+const { ROLES, authorize, authorizeEmployeeAccess, hasRole } = require('../middleware/auth');
+
+/**
+ * Only members of the group (and HR) may read or post its messages
+ * Sets req.group
+ */
+async function authorizeGroupMember(req, res, next) {
+    try {
+        const group = await Chat.getGroupById(req.params.groupId);
+        if (!group) {
+            return res.status(404).json({ success: false, message: 'Group not found' });
+        }
+
+        if (!(group.members || []).includes(req.user.employeeId) && !hasRole(req.user, [ROLES.HR])) {
+            return res.status(403).json({ success: false, message: 'You are not a member of this group' });
+        }
+
+        req.group = group;
+        next();
+    } catch (error) {
+        console.error('Error checking group membership:', error);
+        res.status(500).json({ success: false, message: 'Error checking group membership' });
+    }
+}
 
 /**
  * Create a new group
@@ -24,7 +48,7 @@ router.post('/groups', async (req, res) => {
 /**
  * Get user groups
  */
-router.get('/groups/:userId', async (req, res) => {
+router.get('/groups/:userId', authorizeEmployeeAccess(req => req.params.userId), async (req, res) => {
     try {
         const { userId } = req.params;
         const groups = await Chat.getUserGroups(userId);
@@ -44,7 +68,7 @@ router.get('/groups/:userId', async (req, res) => {
 /**
  * Delete a group
  */
-router.delete('/groups/:groupId', async (req, res) => {
+router.delete('/groups/:groupId', authorize(ROLES.HR), async (req, res) => {
     try {
         const { groupId } = req.params;
         await Chat.deleteGroup(groupId);
@@ -62,12 +86,17 @@ router.delete('/groups/:groupId', async (req, res) => {
 });
 
 /**
- * Send a message
+ * Send a message as the logged-in user
  */
-router.post('/groups/:groupId/messages', async (req, res) => {
+router.post('/groups/:groupId/messages', authorizeGroupMember, async (req, res) => {
     try {
         const { groupId } = req.params;
-        const message = await Chat.sendMessage(groupId, req.body);
+        // The sender is whoever is logged in, never what the body claims
+        const message = await Chat.sendMessage(groupId, {
+            content: req.body.content,
+            senderId: req.user.employeeId,
+            senderName: req.user.name,
+        });
         res.status(201).json({
             success: true,
             data: message
@@ -84,7 +113,7 @@ router.post('/groups/:groupId/messages', async (req, res) => {
 /**
  * Get messages for a group
  */
-router.get('/groups/:groupId/messages', async (req, res) => {
+router.get('/groups/:groupId/messages', authorizeGroupMember, async (req, res) => {
     try {
         const { groupId } = req.params;
         const messages = await Chat.getMessages(groupId);
@@ -104,7 +133,7 @@ router.get('/groups/:groupId/messages', async (req, res) => {
 /**
  * Mark messages as read
  */
-router.post('/groups/:groupId/read', async (req, res) => {
+router.post('/groups/:groupId/read', authorizeEmployeeAccess(req => req.body.userId), async (req, res) => {
     try {
         const { groupId } = req.params;
         const { userId } = req.body;
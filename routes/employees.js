@@ -7,6 +7,12 @@ const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
 const { GetObjectCommand } = require('@aws-sdk/client-s3');
 const Employee = require('../models/Employee');
 const { s3Client, S3_EMPLOYEE_PHOTOS_BUCKET } = require('../config/aws');
+const { ROLES, MANAGER_ROLES, authenticate, authorize, authorizeEmployeeAccess } = require('../middleware/auth');
+const { validateWeeklyOffPattern } = require('../utils/calendar');
+const { refreshRecentEmployeeSummaries } = require('../controllers/dailySummaryController');
+
+// Fields that decide which days an employee is expected to work, so stored summaries follow them
+const CALENDAR_FIELDS = ['weeklyOff', 'branchId', 'joinedDate', 'status'];
 
 // Configure multer for memory storage
 const upload = multer({
@@ -96,13 +102,19 @@ router.post('/verify-id', async (req, res) => {
     }
 });
 
-// Get all employees
-router.get('/', async (req, res) => {
+// Everything below requires a logged-in user
+router.use(authenticate);
+
+// Get all employees (branch managers only see their own branch)
+router.get('/', authorize(...MANAGER_ROLES), async (req, res) => {
     try {
-        const employees = await Employee.getAllEmployees();
+        let employees = await Employee.getAllEmployees();
+        if (req.user.role === ROLES.BRANCH_MANAGER) {
+            employees = employees.filter(e => e.branchId === req.user.branchId);
+        }
         res.json({
             success: true,
-            employees,
+            employees: employees.map(Employee.sanitizeEmployee),
         });
     } catch (error) {
         console.error('Error fetching employees:', error);
@@ -114,7 +126,7 @@ router.get('/', async (req, res) => {
 });
 
 // Get employee by ID
-router.get('/:employeeId', async (req, res) => {
+router.get('/:employeeId', authorizeEmployeeAccess(req => req.params.employeeId), async (req, res) => {
     try {
         const { employeeId } = req.params;
         const employee = await Employee.getEmployeeById(employeeId);
@@ -128,7 +140,7 @@ router.get('/:employeeId', async (req, res) => {
 
         res.json({
             success: true,
-            employee,
+            employee: Employee.sanitizeEmployee(employee),
         });
     } catch (error) {
         console.error('Error fetching employee:', error);
@@ -140,9 +152,9 @@ router.get('/:employeeId', async (req, res) => {
 });
 
 // Create new employee (admin only) - with photo upload
-router.post('/', upload.single('photo'), async (req, res) => {
+router.post('/', authorize(ROLES.HR), upload.single('photo'), async (req, res) => {
     try {
-        const { employeeId, name, email, phone, department, designation, branchId, workMode, panNumber, aadharNumber, joinedDate, bankAccount, ifscCode, uan, fixedSalary } = req.body;
+        const { employeeId, name, email, phone, department, designation, branchId, workMode, panNumber, aadharNumber, joinedDate, bankAccount, ifscCode, paymentMode, uan, esicIP, salaryStructureId, fixedSalary } = req.body;
 
         if (!employeeId || !name) {
             return res.status(400).json({
@@ -206,7 +218,10 @@ router.post('/', upload.single('photo'), async (req, res) => {
             joinedDate: joinedDate || null,
             bankAccount: bankAccount || null,
             ifscCode: ifscCode || null,
+            paymentMode: paymentMode || 'BANK', // BANK | CASH
             uan: uan || null,
+            esicIP: esicIP || null,
+            salaryStructureId: salaryStructureId || null,
             fixedSalary: fixedSalary || 0,
             photoUrl,
         });
@@ -220,7 +235,7 @@ router.post('/', upload.single('photo'), async (req, res) => {
         res.status(201).json({
             success: true,
             message: 'Employee created successfully',
-            employee,
+            employee: Employee.sanitizeEmployee(employee),
         });
     } catch (error) {
         console.error('Error creating employee:', error);
@@ -232,11 +247,31 @@ router.post('/', upload.single('photo'), async (req, res) => {
 });
 
 // Update employee - with photo upload
-router.put('/:employeeId', upload.single('photo'), async (req, res) => {
+router.put('/:employeeId', authorize(ROLES.HR), upload.single('photo'), async (req, res) => {
     try {
         const { employeeId } = req.params;
         const updates = { ...req.body };
 
+        // Credentials and roles are managed through /api/auth/credentials
+        delete updates.passwordHash;
+        delete updates.role;
+
+        // Per-employee weekly off override (multipart forms send it as a JSON string)
+        if (updates.weeklyOff) {
+            try {
+                if (typeof updates.weeklyOff === 'string') updates.weeklyOff = JSON.parse(updates.weeklyOff);
+            } catch (e) {
+                updates.weeklyOff = null;
+            }
+            const weeklyOffError = validateWeeklyOffPattern(updates.weeklyOff);
+            if (weeklyOffError) {
+                return res.status(400).json({
+                    success: false,
+                    message: weeklyOffError,
+                });
+            }
+        }
+
         const existing = await Employee.getEmployeeById(employeeId);
         if (!existing) {
             return res.status(404).json({
@@ -261,10 +296,15 @@ router.put('/:employeeId', upload.single('photo'), async (req, res) => {
         }
 
         const employee = await Employee.updateEmployee(employeeId, updates);
+
+        if (CALENDAR_FIELDS.some(field => field in updates && JSON.stringify(updates[field]) !== JSON.stringify(existing[field]))) {
+            await refreshRecentEmployeeSummaries(employeeId);
+        }
+
         res.json({
             success: true,
             message: 'Employee updated successfully',
-            employee,
+            employee: Employee.sanitizeEmployee(employee),
         });
     } catch (error) {
         console.error('Error updating employee:', error);
@@ -276,7 +316,7 @@ router.put('/:employeeId', upload.single('photo'), async (req, res) => {
 });
 
 // Delete employee
-router.delete('/:employeeId', async (req, res) => {
+router.delete('/:employeeId', authorize(ROLES.HR), async (req, res) => {
     try {
         const { employeeId } = req.params;
 
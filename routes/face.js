@@ -5,7 +5,8 @@ const Employee = require('../models/Employee');
 const Branch = require('../models/Branch');
 const { indexFace, searchFace } = require('../utils/rekognition');
 const { getGeofenceSettings } = require('../models/Settings');
-const { isWithinGeofence } = require('../utils/geofence');
+const { checkGeofence, hasGeofence, describeGeofenceFailure } = require('../utils/geofence');
+const { ROLES, authenticate, authorize, hasRole } = require('../middleware/auth');
 
 // Configure multer for handling image uploads
 const upload = multer({
@@ -16,19 +17,41 @@ const upload = multer({
 });
 
 /**
- * Register face for employee
+ * Geofence to check an employee against: their branch (circle or zones), else the global office
+ * @returns {Object|null} null when neither is configured
+ */
+async function getGeofenceTarget(employee) {
+    if (employee.branchId) {
+        const branch = await Branch.getBranchById(employee.branchId);
+        if (hasGeofence(branch)) return branch;
+    }
+
+    const globalSettings = await getGeofenceSettings();
+    if (globalSettings.isConfigured) {
+        return {
+            latitude: globalSettings.officeLat,
+            longitude: globalSettings.officeLng,
+            radiusMeters: globalSettings.radiusMeters,
+        };
+    }
+    return null;
+}
+
+/**
+ * Register face for employee (the employee themself, or HR)
  * POST /api/face/register
  * Body: employeeId, latitude, longitude, image (base64 or file)
  */
-router.post('/register', upload.single('image'), async (req, res) => {
+router.post('/register', authenticate, upload.single('image'), async (req, res) => {
     try {
-        const { employeeId, latitude, longitude, imageBase64 } = req.body;
+        const { latitude, longitude, imageBase64 } = req.body;
+        const employeeId = req.body.employeeId || req.user.employeeId;
 
-        // Validate required fields
-        if (!employeeId) {
-            return res.status(400).json({
+        // A registered face logs in as its employee, so only they or HR may enrol it
+        if (employeeId !== req.user.employeeId && !hasRole(req.user, [ROLES.HR])) {
+            return res.status(403).json({
                 success: false,
-                message: 'Employee ID is required',
+                message: 'You do not have permission to perform this action',
             });
         }
 
@@ -56,45 +79,14 @@ router.post('/register', upload.single('image'), async (req, res) => {
         }
 
         // Check geo-fence
-        let targetLat, targetLng, targetRadius;
-        let isConfigured = false;
-
-        // 1. Try to get Employee's Branch
-        if (employee.branchId) {
-            const branch = await Branch.getBranchById(employee.branchId);
-            if (branch && branch.latitude && branch.longitude) {
-                targetLat = branch.latitude;
-                targetLng = branch.longitude;
-                targetRadius = branch.radiusMeters || 100;
-                isConfigured = true;
-                console.log(`[Face Register] Validating against Branch: ${branch.name}`);
-            }
-        }
-
-        // 2. Fallback to Global Settings
-        if (!isConfigured) {
-            const globalSettings = await getGeofenceSettings();
-            if (globalSettings.isConfigured) {
-                targetLat = globalSettings.officeLat;
-                targetLng = globalSettings.officeLng;
-                targetRadius = globalSettings.radiusMeters;
-                isConfigured = true;
-                console.log('[Face Register] Validating against Global Office');
-            }
-        }
+        const target = await getGeofenceTarget(employee);
 
         console.log('--- Geofence Debug (Register) ---');
         console.log('User Location:', { latitude, longitude });
-        console.log('Target:', { targetLat, targetLng, targetRadius });
+        console.log('Target:', target ? target.name || 'Global Office' : null);
 
-        if (isConfigured) {
-            const locationCheck = isWithinGeofence(
-                parseFloat(latitude),
-                parseFloat(longitude),
-                targetLat,
-                targetLng,
-                targetRadius
-            );
+        if (target) {
+            const locationCheck = checkGeofence(parseFloat(latitude), parseFloat(longitude), target);
 
             console.log('Check Result:', locationCheck);
 
@@ -102,9 +94,10 @@ router.post('/register', upload.single('image'), async (req, res) => {
                 console.log('❌ Geofence Failed');
                 return res.status(403).json({
                     success: false,
-                    message: `Unable to register: You are too far from the office! Distance: ${locationCheck.distance}m (Allowed: ${locationCheck.allowedRadius}m)`,
+                    message: `Unable to register: ${describeGeofenceFailure(locationCheck)}`,
                     distance: locationCheck.distance,
                     allowedRadius: locationCheck.allowedRadius,
+                    deniedZone: locationCheck.deniedZone,
                     withinRange: false,
                 });
             }
@@ -185,47 +178,19 @@ router.post('/verify', upload.single('image'), async (req, res) => {
         }
 
         // --- Geofence Check (Post-Identity) ---
-        let targetLat, targetLng, targetRadius;
-        let isConfigured = false;
-
-        // 1. Try Employee Branch
-        if (employee.branchId) {
-            const branch = await Branch.getBranchById(employee.branchId);
-            if (branch && branch.latitude && branch.longitude) {
-                targetLat = branch.latitude;
-                targetLng = branch.longitude;
-                targetRadius = branch.radiusMeters || 100;
-                isConfigured = true;
-            }
-        }
-
-        // 2. Fallback
-        if (!isConfigured) {
-            const globalSettings = await getGeofenceSettings();
-            if (globalSettings.isConfigured) {
-                targetLat = globalSettings.officeLat;
-                targetLng = globalSettings.officeLng;
-                targetRadius = globalSettings.radiusMeters;
-                isConfigured = true;
-            }
-        }
+        const target = await getGeofenceTarget(employee);
 
-        if (isConfigured) {
-            const locationCheck = isWithinGeofence(
-                parseFloat(latitude),
-                parseFloat(longitude),
-                targetLat,
-                targetLng,
-                targetRadius
-            );
+        if (target) {
+            const locationCheck = checkGeofence(parseFloat(latitude), parseFloat(longitude), target);
 
             if (!locationCheck.isWithin) {
                 console.log(`[Face Verify] Geofence Failed for ${employee.name}`);
                 return res.status(403).json({
                     success: false,
-                    message: `You are too far from the office! Distance: ${locationCheck.distance}m (Allowed: ${locationCheck.allowedRadius}m)`,
+                    message: describeGeofenceFailure(locationCheck),
                     distance: locationCheck.distance,
                     allowedRadius: locationCheck.allowedRadius,
+                    deniedZone: locationCheck.deniedZone,
                     withinRange: false,
                 });
             }
@@ -258,7 +223,7 @@ router.post('/verify', upload.single('image'), async (req, res) => {
  * Delete face registration (Reset face)
  * DELETE /api/face/:employeeId
  */
-router.delete('/:employeeId', async (req, res) => {
+router.delete('/:employeeId', authenticate, authorize(ROLES.HR), async (req, res) => {
     try {
         const { employeeId } = req.params;
 
@@ -0,0 +1,484 @@
+/**
+ * Field Routes - visit plans, customer/distributor check-ins and trip logs for field staff
+ * Field staff start their day with a TRAVEL check-in (POST /api/attendance/check-in),
+ * then check in at each place on their visit list with a photo.
+ */
+
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { PutObjectCommand } = require('@aws-sdk/client-s3');
+const FieldVisit = require('../models/FieldVisit');
+const Employee = require('../models/Employee');
+const Attendance = require('../models/Attendance');
+const LocationPing = require('../models/LocationPing');
+const Branch = require('../models/Branch');
+const { getLocationRiskSettings } = require('../models/Settings');
+const { s3Client, S3_EMPLOYEE_PHOTOS_BUCKET } = require('../config/aws');
+const { checkGeofence } = require('../utils/geofence');
+const { parseReading, assessReading, mergeRisk } = require('../utils/locationRisk');
+const { computeTripDistance, calculateTravelAllowance } = require('../utils/tripDistance');
+const { getBusinessDate } = require('../utils/timezone');
+const {
+    VISIT_KINDS,
+    MAX_VISITS_PER_DAY,
+    isFieldWorker,
+    validateVisitPlan,
+    toPlace,
+    effectiveStatus,
+    summarizeVisits,
+} = require('../utils/fieldVisits');
+const { loadTripRules, getDistanceSummary } = require('../controllers/travelController');
+const { ROLES, MANAGER_ROLES, authorize, authorizeEmployeeAccess, canAccessEmployee } = require('../middleware/auth');
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+    fileFilter: (req, file, cb) => {
+        if (file.mimetype.startsWith('image/')) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only image files are allowed'), false);
+        }
+    },
+});
+
+/**
+ * Visit photo from a multipart upload (photo) or photoBase64
+ * @returns {Object|null} { buffer, contentType, extension }
+ */
+function readPhoto(req) {
+    if (req.file) {
+        return {
+            buffer: req.file.buffer,
+            contentType: req.file.mimetype,
+            extension: req.file.originalname.split('.').pop() || 'jpg',
+        };
+    }
+    if (req.body.photoBase64) {
+        const match = req.body.photoBase64.match(/^data:(image\/(\w+));base64,/);
+        return {
+            buffer: Buffer.from(req.body.photoBase64.replace(/^data:image\/\w+;base64,/, ''), 'base64'),
+            contentType: match ? match[1] : 'image/jpeg',
+            extension: match ? match[2] : 'jpg',
+        };
+    }
+    return null;
+}
+
+const withStatus = (visits, today) => visits.map(v => ({ ...v, status: effectiveStatus(v, today) }));
+
+/**
+ * Plan visits for an employee's day (appended to any already planned)
+ * POST /api/field/visits
+ * Body: { employeeId, date, visits: [{ name, kind, address, latitude, longitude, radiusMeters, purpose }] }
+ */
+router.post('/visits', authorize(...MANAGER_ROLES), async (req, res) => {
+    try {
+        const { employeeId, date, visits } = req.body;
+
+        if (!employeeId || !DATE_REGEX.test(date || '')) {
+            return res.status(400).json({ success: false, message: 'employeeId and date (YYYY-MM-DD) are required' });
+        }
+        if (!Array.isArray(visits) || visits.length === 0) {
+            return res.status(400).json({ success: false, message: 'visits must be a non-empty array' });
+        }
+        for (const visit of visits) {
+            const error = validateVisitPlan(visit);
+            if (error) {
+                return res.status(400).json({ success: false, message: error });
+            }
+        }
+
+        const employee = await Employee.getEmployeeById(employeeId);
+        if (!employee) {
+            return res.status(404).json({ success: false, message: 'Employee not found' });
+        }
+        if (!await canAccessEmployee(req.user, employeeId)) {
+            return res.status(403).json({ success: false, message: 'You do not have permission to access this employee' });
+        }
+        if (!isFieldWorker(employee)) {
+            return res.status(400).json({ success: false, message: `${employee.name} is not a field employee (work mode ${employee.workMode || 'OFFICE'})` });
+        }
+
+        const today = getBusinessDate(new Date(), await Branch.getBranchTimezone(employee.branchId));
+        if (date < today) {
+            return res.status(400).json({ success: false, message: 'Visits cannot be planned for a past date' });
+        }
+
+        const existing = await FieldVisit.getVisitsForDate(employeeId, date);
+        if (existing.length + visits.length > MAX_VISITS_PER_DAY) {
+            return res.status(400).json({ success: false, message: `At most ${MAX_VISITS_PER_DAY} visits can be planned for a day` });
+        }
+
+        const lastSequence = existing.reduce((max, v) => Math.max(max, v.sequence), 0);
+        const created = [];
+        for (const [index, visit] of visits.entries()) {
+            created.push(await FieldVisit.createVisit({
+                employeeId,
+                date,
+                sequence: lastSequence + index + 1,
+                planned: true,
+                place: toPlace(visit),
+                purpose: visit.purpose,
+                plannedBy: req.user.employeeId,
+            }));
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `${created.length} visit(s) planned for ${date}`,
+            visits: created,
+        });
+    } catch (error) {
+        console.error('Error planning visits:', error);
+        res.status(500).json({ success: false, message: 'Error planning visits' });
+    }
+});
+
+/**
+ * Everyone's visits on a date (managers)
+ * GET /api/field/visits?date=YYYY-MM-DD[&branchId=...]
+ */
+router.get('/visits', authorize(...MANAGER_ROLES), async (req, res) => {
+    try {
+        const date = req.query.date || getBusinessDate();
+        // Branch managers only see their own branch
+        const branchId = req.user.role === ROLES.BRANCH_MANAGER ? req.user.branchId : req.query.branchId;
+
+        if (!DATE_REGEX.test(date)) {
+            return res.status(400).json({ success: false, message: 'date must be YYYY-MM-DD' });
+        }
+
+        const [visits, employees] = await Promise.all([FieldVisit.getVisitsByDate(date), Employee.getAllEmployees()]);
+        const employeeMap = {};
+        employees.forEach(e => { employeeMap[e.employeeId] = e; });
+
+        const byEmployee = {};
+        visits
+            .filter(v => employeeMap[v.employeeId] && (!branchId || employeeMap[v.employeeId].branchId === branchId))
+            .forEach(v => { (byEmployee[v.employeeId] = byEmployee[v.employeeId] || []).push(v); });
+
+        const today = getBusinessDate();
+        const routes = Object.entries(byEmployee).map(([employeeId, employeeVisits]) => {
+            employeeVisits.sort((a, b) => a.sequence - b.sequence);
+            return {
+                employeeId,
+                name: employeeMap[employeeId].name,
+                branchId: employeeMap[employeeId].branchId || null,
+                summary: summarizeVisits(employeeVisits, today),
+                visits: withStatus(employeeVisits, today),
+            };
+        });
+
+        res.json({
+            success: true,
+            date,
+            total: routes.length,
+            routes,
+        });
+    } catch (error) {
+        console.error('Error fetching visits:', error);
+        res.status(500).json({ success: false, message: 'Error fetching visits' });
+    }
+});
+
+/**
+ * An employee's visit list
+ * GET /api/field/visits/:employeeId[?date=YYYY-MM-DD] (defaults to today)
+ */
+router.get('/visits/:employeeId', authorizeEmployeeAccess(req => req.params.employeeId), async (req, res) => {
+    try {
+        const { employeeId } = req.params;
+        const employee = await Employee.getEmployeeById(employeeId);
+        if (!employee) {
+            return res.status(404).json({ success: false, message: 'Employee not found' });
+        }
+
+        const today = getBusinessDate(new Date(), await Branch.getBranchTimezone(employee.branchId));
+        const date = req.query.date || today;
+        if (!DATE_REGEX.test(date)) {
+            return res.status(400).json({ success: false, message: 'date must be YYYY-MM-DD' });
+        }
+
+        const visits = await FieldVisit.getVisitsForDate(employeeId, date);
+
+        res.json({
+            success: true,
+            date,
+            summary: summarizeVisits(visits, today),
+            visits: withStatus(visits, today),
+        });
+    } catch (error) {
+        console.error('Error fetching visit list:', error);
+        res.status(500).json({ success: false, message: 'Error fetching visit list' });
+    }
+});
+
+/**
+ * Check in at a customer or distributor with a photo
+ * POST /api/field/visits/check-in (multipart 'photo', or photoBase64)
+ * Body: { latitude, longitude, accuracy, ..., visitId } for a planned visit,
+ *       { latitude, longitude, accuracy, ..., name, kind, address } for an unplanned one
+ */
+router.post('/visits/check-in', upload.single('photo'), async (req, res) => {
+    try {
+        const { visitId, name, kind, address } = req.body;
+        const employeeId = req.user.employeeId;
+        const reading = parseReading(req.body);
+
+        if (reading.latitude === null || reading.longitude === null) {
+            return res.status(400).json({ success: false, message: 'Location is required' });
+        }
+        const photo = readPhoto(req);
+        if (!photo) {
+            return res.status(400).json({ success: false, message: 'A photo of the visit is required' });
+        }
+        if (!visitId && !name) {
+            return res.status(400).json({ success: false, message: 'visitId, or a name for an unplanned visit, is required' });
+        }
+        if (!visitId && kind && !VISIT_KINDS.includes(kind)) {
+            return res.status(400).json({ success: false, message: `kind must be one of ${VISIT_KINDS.join(', ')}` });
+        }
+
+        const employee = await Employee.getEmployeeById(employeeId);
+        if (!employee) {
+            return res.status(404).json({ success: false, message: 'Employee not found' });
+        }
+
+        const session = await Attendance.getOpenSession(employeeId);
+        if (!session || session.type !== 'TRAVEL') {
+            return res.status(400).json({ success: false, message: 'Check in for field duty before checking in at a visit' });
+        }
+
+        const today = getBusinessDate(new Date(), await Branch.getBranchTimezone(employee.branchId));
+        const todaysVisits = await FieldVisit.getVisitsForDate(employeeId, today);
+        const ongoing = todaysVisits.find(v => v.status === 'CHECKED_IN');
+        if (ongoing) {
+            return res.status(409).json({ success: false, message: `Check out of ${ongoing.place.name} first` });
+        }
+
+        let visit = null;
+        let geofence = null;
+        if (visitId) {
+            visit = await FieldVisit.getVisitById(visitId);
+            if (!visit || visit.employeeId !== employeeId) {
+                return res.status(404).json({ success: false, message: 'Visit not found' });
+            }
+            if (visit.status !== 'PLANNED') {
+                return res.status(400).json({ success: false, message: `This visit is already ${visit.status.toLowerCase().replace('_', ' ')}` });
+            }
+            if (visit.date !== today) {
+                return res.status(400).json({ success: false, message: `This visit is planned for ${visit.date}` });
+            }
+            geofence = checkGeofence(reading.latitude, reading.longitude, visit.place);
+        }
+
+        const { rules: riskRules } = await getLocationRiskSettings();
+        const assessment = assessReading(reading, {
+            geofence,
+            previous: employee.lastPingTime
+                ? { latitude: employee.lastLatitude, longitude: employee.lastLongitude, accuracy: employee.lastAccuracy, timestamp: employee.lastPingTime }
+                : null,
+            rules: riskRules,
+        });
+        if (assessment.rejectReason) {
+            return res.status(403).json({ success: false, message: assessment.rejectReason, riskFlags: assessment.flags });
+        }
+        if (geofence && !assessment.withinGeofence) {
+            return res.status(403).json({
+                success: false,
+                message: `You are ${geofence.distance}m from ${visit.place.name} (Allowed: ${visit.place.radiusMeters}m)`,
+                distance: geofence.distance,
+                riskFlags: assessment.flags,
+            });
+        }
+
+        // A missing accuracy was already flagged at the duty check-in
+        const riskFlags = assessment.flags.filter(code => code !== 'NO_ACCURACY');
+        if (riskFlags.length > 0) {
+            await Attendance.updateAttendance(session.attendanceId, {
+                fraudRisk: mergeRisk(session.fraudRisk, riskFlags, riskRules),
+            });
+        }
+
+        if (!visit) {
+            // Unplanned stops are placed where the employee checked in
+            visit = await FieldVisit.createVisit({
+                employeeId,
+                date: today,
+                sequence: todaysVisits.reduce((max, v) => Math.max(max, v.sequence), 0) + 1,
+                planned: false,
+                place: toPlace({ name: String(name), kind, address, latitude: reading.latitude, longitude: reading.longitude }),
+            });
+        }
+
+        const photoKey = `field-visits/${employeeId}/${visit.visitId}.${photo.extension}`;
+        await s3Client.send(new PutObjectCommand({
+            Bucket: S3_EMPLOYEE_PHOTOS_BUCKET,
+            Key: photoKey,
+            Body: photo.buffer,
+            ContentType: photo.contentType,
+        }));
+
+        const checkInTime = new Date().toISOString();
+        const updated = await FieldVisit.updateVisit(visit.visitId, {
+            status: 'CHECKED_IN',
+            attendanceId: session.attendanceId,
+            checkInTime,
+            checkInLat: reading.latitude,
+            checkInLng: reading.longitude,
+            checkInDistance: geofence ? geofence.distance : 0,
+            checkInAccuracy: reading.accuracy,
+            photoUrl: `https://${S3_EMPLOYEE_PHOTOS_BUCKET}.s3.${process.env.AWS_REGION}.amazonaws.com/${photoKey}`,
+            riskFlags,
+        });
+
+        await Employee.updateEmployee(employeeId, {
+            lastLatitude: reading.latitude,
+            lastLongitude: reading.longitude,
+            lastAccuracy: reading.accuracy,
+            lastPingTime: checkInTime,
+        });
+
+        res.json({
+            success: true,
+            message: `Checked in at ${updated.place.name}`,
+            visit: updated,
+        });
+    } catch (error) {
+        console.error('Error checking in at visit:', error);
+        res.status(500).json({ success: false, message: 'Error checking in at visit' });
+    }
+});
+
+/**
+ * Check out of a visit
+ * POST /api/field/visits/:visitId/check-out
+ * Body: { outcome, notes }
+ */
+router.post('/visits/:visitId/check-out', async (req, res) => {
+    try {
+        const { outcome, notes } = req.body;
+        const visit = await FieldVisit.getVisitById(req.params.visitId);
+
+        if (!visit || visit.employeeId !== req.user.employeeId) {
+            return res.status(404).json({ success: false, message: 'Visit not found' });
+        }
+        if (visit.status !== 'CHECKED_IN') {
+            return res.status(400).json({ success: false, message: 'You are not checked in at this visit' });
+        }
+
+        const checkOutTime = new Date();
+        const updated = await FieldVisit.updateVisit(visit.visitId, {
+            status: 'COMPLETED',
+            checkOutTime: checkOutTime.toISOString(),
+            durationMinutes: Math.round((checkOutTime - new Date(visit.checkInTime)) / 60000),
+            outcome: outcome || null,
+            notes: notes || null,
+        });
+
+        res.json({
+            success: true,
+            message: `Checked out of ${updated.place.name}`,
+            visit: updated,
+        });
+    } catch (error) {
+        console.error('Error checking out of visit:', error);
+        res.status(500).json({ success: false, message: 'Error checking out of visit' });
+    }
+});
+
+/**
+ * Cancel a planned visit
+ * DELETE /api/field/visits/:visitId
+ */
+router.delete('/visits/:visitId', authorize(...MANAGER_ROLES), async (req, res) => {
+    try {
+        const visit = await FieldVisit.getVisitById(req.params.visitId);
+
+        if (!visit || !await canAccessEmployee(req.user, visit.employeeId)) {
+            return res.status(404).json({ success: false, message: 'Visit not found' });
+        }
+        if (visit.status !== 'PLANNED') {
+            return res.status(400).json({ success: false, message: 'Only planned visits can be cancelled' });
+        }
+
+        const updated = await FieldVisit.updateVisit(visit.visitId, {
+            status: 'CANCELLED',
+            cancelledBy: req.user.employeeId,
+            cancelledAt: new Date().toISOString(),
+        });
+
+        res.json({
+            success: true,
+            message: 'Visit cancelled',
+            visit: updated,
+        });
+    } catch (error) {
+        console.error('Error cancelling visit:', error);
+        res.status(500).json({ success: false, message: 'Error cancelling visit' });
+    }
+});
+
+/**
+ * Distance travelled per day on field duty, and the travel allowance it earns
+ * GET /api/field/distance/:employeeId?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD
+ */
+router.get('/distance/:employeeId', authorizeEmployeeAccess(req => req.params.employeeId), getDistanceSummary);
+
+/**
+ * Trip log for a day: field duty sessions, the ping trail and its length, and visits
+ * GET /api/field/trips/:employeeId[?date=YYYY-MM-DD] (defaults to today)
+ */
+router.get('/trips/:employeeId', authorizeEmployeeAccess(req => req.params.employeeId), async (req, res) => {
+    try {
+        const { employeeId } = req.params;
+        const employee = await Employee.getEmployeeById(employeeId);
+        if (!employee) {
+            return res.status(404).json({ success: false, message: 'Employee not found' });
+        }
+
+        const today = getBusinessDate(new Date(), await Branch.getBranchTimezone(employee.branchId));
+        const date = req.query.date || today;
+        if (!DATE_REGEX.test(date)) {
+            return res.status(400).json({ success: false, message: 'date must be YYYY-MM-DD' });
+        }
+
+        const [sessions, pings, visits, tripRules] = await Promise.all([
+            Attendance.getEmployeeAttendanceForDate(employeeId, date),
+            LocationPing.getPingsForDate(employeeId, date),
+            FieldVisit.getVisitsForDate(employeeId, date),
+            loadTripRules(),
+        ]);
+
+        const travelSessions = sessions.filter(s => s.type === 'TRAVEL');
+        const trip = computeTripDistance(pings, { sessions: travelSessions, ...tripRules });
+
+        // Only the trail walked on field duty, without mocked positions
+        const path = pings
+            .filter(p => p.mode === 'TRAVEL' && !p.isMocked)
+            .map(p => ({ latitude: p.latitude, longitude: p.longitude, accuracy: p.accuracy, timestamp: p.timestamp }));
+
+        res.json({
+            success: true,
+            employeeId,
+            date,
+            sessions: travelSessions
+                .map(s => ({ attendanceId: s.attendanceId, checkInTime: s.checkInTime, checkOutTime: s.checkOutTime || null })),
+            ...trip,
+            allowance: calculateTravelAllowance(trip.distanceKm, tripRules.rules),
+            pingCount: path.length,
+            path,
+            summary: summarizeVisits(visits, today),
+            visits: withStatus(visits, today),
+        });
+    } catch (error) {
+        console.error('Error fetching trip log:', error);
+        res.status(500).json({ success: false, message: 'Error fetching trip log' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,193 @@
+/**
+ * Holiday Routes - CRUD endpoints for national, state and branch holidays
+ */
+
+const express = require('express');
+const router = express.Router();
+const Holiday = require('../models/Holiday');
+const Branch = require('../models/Branch');
+const { ROLES, authorize } = require('../middleware/auth');
+const { holidayAppliesTo } = require('../utils/calendar');
+const { refreshAllSummaries } = require('../controllers/dailySummaryController');
+
+const SCOPES = ['NATIONAL', 'STATE', 'BRANCH'];
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate holiday fields
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateHoliday({ name, date, scope, state, branchIds }) {
+    if (!name) return 'Holiday name is required';
+    if (!DATE_REGEX.test(date || '')) return 'Date must be YYYY-MM-DD';
+    if (!SCOPES.includes(scope)) return 'Scope must be NATIONAL, STATE or BRANCH';
+    if (scope === 'STATE' && !state) return 'State is required for state holidays';
+    if (scope === 'BRANCH' && (!Array.isArray(branchIds) || branchIds.length === 0)) {
+        return 'branchIds are required for branch holidays';
+    }
+    return null;
+}
+
+/**
+ * Get holidays
+ * GET /api/holidays?year=YYYY | startDate&endDate [&branchId=...]
+ * With branchId, only holidays that apply to that branch are returned
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { year, startDate, endDate, branchId } = req.query;
+
+        let holidays;
+        if (startDate && endDate) {
+            holidays = await Holiday.getHolidaysByDateRange(startDate, endDate);
+        } else if (year) {
+            holidays = await Holiday.getHolidaysByDateRange(`${year}-01-01`, `${year}-12-31`);
+        } else {
+            holidays = await Holiday.getAllHolidays();
+        }
+
+        if (branchId) {
+            const branch = await Branch.getBranchById(branchId);
+            holidays = holidays.filter(h => holidayAppliesTo(h, branchId, branch));
+        }
+
+        res.json({
+            success: true,
+            holidays,
+        });
+    } catch (error) {
+        console.error('Error fetching holidays:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching holidays',
+        });
+    }
+});
+
+/**
+ * Create new holiday
+ * POST /api/holidays
+ * Body: name, date, scope, state? (STATE), branchIds? (BRANCH)
+ */
+router.post('/', authorize(ROLES.HR), async (req, res) => {
+    try {
+        const { name, date, scope = 'NATIONAL', state, branchIds } = req.body;
+
+        const error = validateHoliday({ name, date, scope, state, branchIds });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error,
+            });
+        }
+
+        const holiday = await Holiday.createHoliday({
+            name,
+            date,
+            scope,
+            state,
+            branchIds,
+            createdBy: req.user.employeeId,
+        });
+
+        await refreshAllSummaries(date, date, 'HOLIDAY');
+
+        res.status(201).json({
+            success: true,
+            message: 'Holiday created successfully',
+            holiday,
+        });
+    } catch (error) {
+        console.error('Error creating holiday:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error creating holiday',
+        });
+    }
+});
+
+/**
+ * Update holiday
+ * PUT /api/holidays/:holidayId
+ */
+router.put('/:holidayId', authorize(ROLES.HR), async (req, res) => {
+    try {
+        const { holidayId } = req.params;
+
+        const existing = await Holiday.getHolidayById(holidayId);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Holiday not found',
+            });
+        }
+
+        const { name, date, scope, state, branchIds } = { ...existing, ...req.body };
+        const error = validateHoliday({ name, date, scope, state, branchIds });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error,
+            });
+        }
+
+        const holiday = await Holiday.updateHoliday(holidayId, {
+            name,
+            date,
+            scope,
+            state: scope === 'STATE' ? state : null,
+            branchIds: scope === 'BRANCH' ? branchIds : null,
+        });
+
+        await refreshAllSummaries(existing.date, existing.date, 'HOLIDAY');
+        if (date !== existing.date) {
+            await refreshAllSummaries(date, date, 'HOLIDAY');
+        }
+
+        res.json({
+            success: true,
+            message: 'Holiday updated successfully',
+            holiday,
+        });
+    } catch (error) {
+        console.error('Error updating holiday:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating holiday',
+        });
+    }
+});
+
+/**
+ * Delete holiday
+ * DELETE /api/holidays/:holidayId
+ */
+router.delete('/:holidayId', authorize(ROLES.HR), async (req, res) => {
+    try {
+        const { holidayId } = req.params;
+
+        const existing = await Holiday.getHolidayById(holidayId);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Holiday not found',
+            });
+        }
+
+        await Holiday.deleteHoliday(holidayId);
+        await refreshAllSummaries(existing.date, existing.date, 'HOLIDAY');
+
+        res.json({
+            success: true,
+            message: 'Holiday deleted successfully',
+        });
+    } catch (error) {
+        console.error('Error deleting holiday:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting holiday',
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const jobController = require('../controllers/jobController');
+const { ROLES, authorize } = require('../middleware/auth');
+
+// Job run history - supports ?jobName=&date=
+router.get('/runs', authorize(ROLES.HR), jobController.getJobRuns);
+
+// Run a job now, e.g. POST /api/jobs/end-of-day/run { date, branchId }
+router.post('/:jobName/run', authorize(ROLES.HR), jobController.triggerJob);
+
+module.exports = router;
@@ -0,0 +1,202 @@
+/**
+ * Leave Routes - leave policy, balances, ledger and comp-off credits
+ */
+
+const express = require('express');
+const router = express.Router();
+const LeaveLedger = require('../models/LeaveLedger');
+const Employee = require('../models/Employee');
+const compOffController = require('../controllers/compOffController');
+const { getLeavePolicy, updateLeavePolicy } = require('../models/Settings');
+const { ROLES, authorize, authorizeEmployeeAccess } = require('../middleware/auth');
+const { validateLeavePolicy } = require('../utils/leavePolicy');
+const { getBusinessMonth } = require('../utils/timezone');
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Get leave policy (leave types, quotas, accrual and carry-forward rules)
+ * GET /api/leave/policy
+ */
+router.get('/policy', async (req, res) => {
+    try {
+        const policy = await getLeavePolicy();
+        res.json({
+            success: true,
+            policy,
+        });
+    } catch (error) {
+        console.error('Error fetching leave policy:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching leave policy',
+        });
+    }
+});
+
+/**
+ * Update leave policy
+ * PUT /api/leave/policy
+ * Body: { types: { CL: { name, annualQuota, accrual, carryForwardLimit, encashable, unlimited }, ... } }
+ */
+router.put('/policy', authorize(ROLES.HR), async (req, res) => {
+    try {
+        const error = validateLeavePolicy(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error,
+            });
+        }
+
+        const policy = await updateLeavePolicy(req.body.types, req.user.employeeId);
+
+        res.json({
+            success: true,
+            message: 'Leave policy updated successfully',
+            policy,
+        });
+    } catch (error) {
+        console.error('Error updating leave policy:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating leave policy',
+        });
+    }
+});
+
+/**
+ * Get leave balances for an employee
+ * GET /api/leave/balance/:employeeId?asOf=YYYY-MM-DD
+ */
+router.get('/balance/:employeeId', authorizeEmployeeAccess(req => req.params.employeeId), async (req, res) => {
+    try {
+        const { employeeId } = req.params;
+        const { asOf } = req.query;
+
+        if (asOf && !DATE_REGEX.test(asOf)) {
+            return res.status(400).json({
+                success: false,
+                message: 'asOf must be YYYY-MM-DD',
+            });
+        }
+
+        const employee = await Employee.getEmployeeById(employeeId);
+        if (!employee) {
+            return res.status(404).json({
+                success: false,
+                message: 'Employee not found',
+            });
+        }
+
+        const result = await LeaveLedger.getBalances(employee, asOf || undefined);
+
+        res.json({
+            success: true,
+            employeeId,
+            ...result,
+        });
+    } catch (error) {
+        console.error('Error fetching leave balance:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching leave balance',
+        });
+    }
+});
+
+/**
+ * Get ledger entries for an employee
+ * GET /api/leave/ledger/:employeeId?year=YYYY&leaveType=CL
+ */
+router.get('/ledger/:employeeId', authorizeEmployeeAccess(req => req.params.employeeId), async (req, res) => {
+    try {
+        const { employeeId } = req.params;
+        const { year, leaveType } = req.query;
+
+        let entries = await LeaveLedger.getEntriesByEmployee(employeeId);
+        if (year) {
+            entries = entries.filter(e => e.year === parseInt(year));
+        }
+        if (leaveType) {
+            entries = entries.filter(e => e.leaveType === leaveType);
+        }
+
+        res.json({
+            success: true,
+            entries,
+        });
+    } catch (error) {
+        console.error('Error fetching leave ledger:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching leave ledger',
+        });
+    }
+});
+
+/**
+ * Manually credit or debit leave (opening balances, corrections)
+ * POST /api/leave/adjustments
+ * Body: employeeId, leaveType, days (negative to debit), year?, note?
+ */
+router.post('/adjustments', authorize(ROLES.HR), async (req, res) => {
+    try {
+        const { employeeId, leaveType, note } = req.body;
+        const days = parseFloat(req.body.days);
+        const year = req.body.year ? parseInt(req.body.year) : getBusinessMonth().year;
+
+        if (!employeeId || !leaveType || !days) {
+            return res.status(400).json({
+                success: false,
+                message: 'employeeId, leaveType and a non-zero days value are required',
+            });
+        }
+
+        const policy = await getLeavePolicy();
+        if (!policy.types[leaveType]) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown leave type: ${leaveType}`,
+            });
+        }
+
+        const employee = await Employee.getEmployeeById(employeeId);
+        if (!employee) {
+            return res.status(404).json({
+                success: false,
+                message: 'Employee not found',
+            });
+        }
+
+        const entry = await LeaveLedger.createAdjustment({
+            employeeId,
+            leaveType,
+            days,
+            year,
+            note,
+            createdBy: req.user.employeeId,
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Leave adjustment recorded successfully',
+            entry,
+        });
+    } catch (error) {
+        console.error('Error recording leave adjustment:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error recording leave adjustment',
+        });
+    }
+});
+
+/**
+ * Get comp-off credits: available, expired and used (credits for worked week offs
+ * and holidays are generated on read)
+ * GET /api/leave/comp-off/:employeeId?asOf=YYYY-MM-DD
+ */
+router.get('/comp-off/:employeeId', authorizeEmployeeAccess(req => req.params.employeeId), compOffController.getEmployeeCompOffs);
+
+module.exports = router;
@@ -1,11 +1,15 @@
 const express = require('express');
 const router = express.Router();
-const { getGeofenceSettings } = require('../models/Settings');
+const { getGeofenceSettings, getLocationRiskSettings } = require('../models/Settings');
 const Branch = require('../models/Branch');
 const LocationPing = require('../models/LocationPing');
 const Employee = require('../models/Employee');
 const Attendance = require('../models/Attendance');
-const { isWithinGeofence } = require('../utils/geofence');
+const { checkGeofence, isWithinGeofence, describeGeofenceFailure } = require('../utils/geofence');
+const { resolveTimezone, getBusinessDate } = require('../utils/timezone');
+const { parseReading, assessReading, mergeRisk } = require('../utils/locationRisk');
+const { refreshEmployeeSummaries } = require('../controllers/dailySummaryController');
+const { MANAGER_ROLES, authorize, authorizeEmployeeAccess } = require('../middleware/auth');
 
 // Auto-checkout threshold: 5 consecutive pings outside geofence (5 minutes)
 const OUTSIDE_GEOFENCE_CHECKOUT_THRESHOLD = 5;
@@ -14,7 +18,7 @@ const OUTSIDE_GEOFENCE_CHECKOUT_THRESHOLD = 5;
  * POST /ping - Receive location ping from mobile app
  * Called every minute by background service
  */
-router.post('/ping', async (req, res) => {
+router.post('/ping', authorizeEmployeeAccess(req => req.body.employeeId), async (req, res) => {
     try {
         const { employeeId, latitude, longitude } = req.body;
 
@@ -49,17 +53,12 @@ router.post('/ping', async (req, res) => {
         // Get all active branches and find closest
         const branches = await Branch.getActiveBranches();
         let closestBranch = null;
-        let isInsideAnyBranch = false;
         let minDistance = Infinity;
+        let insideResult = null;
+        let nearestResult = null; // Closest to its edge, for the accuracy check
 
         for (const branch of branches) {
-            const result = isWithinGeofence(
-                userLat,
-                userLng,
-                branch.latitude,
-                branch.longitude,
-                branch.radiusMeters
-            );
+            const result = checkGeofence(userLat, userLng, branch);
 
             if (result.distance < minDistance) {
                 minDistance = result.distance;
@@ -70,17 +69,57 @@ router.post('/ping', async (req, res) => {
                 };
             }
 
-            if (result.isWithin) {
-                isInsideAnyBranch = true;
+            if (result.isWithin && !insideResult) {
+                insideResult = result;
+            }
+            if (!nearestResult || result.outsideBy < nearestResult.outsideBy) {
+                nearestResult = result;
             }
         }
+        const zone = insideResult ? insideResult.zone : null;
+
+        // Field staff (TRAVEL check-in) work away from the branches
+        const onFieldDuty = employee.trackingType === 'TRAVEL';
+
+        // GPS reading checks. Unreliable readings (mocked, poor accuracy) neither count
+        // as inside nor move the outside-geofence counter.
+        const reading = parseReading(req.body);
+        const { rules: riskRules } = await getLocationRiskSettings();
+        const geofenceResult = insideResult || nearestResult;
+        const assessment = assessReading(reading, {
+            geofence: onFieldDuty ? null : geofenceResult,
+            previous: employee.lastPingTime
+                ? { latitude: employee.lastLatitude, longitude: employee.lastLongitude, accuracy: employee.lastAccuracy, timestamp: employee.lastPingTime }
+                : null,
+            rules: riskRules,
+        });
+        const isInsideAnyBranch = !!geofenceResult && assessment.reliable && assessment.withinGeofence;
+
+        // Flags go on the open session's fraud risk (a missing accuracy was already flagged at check-in)
+        const riskFlags = assessment.flags.filter(code => code !== 'NO_ACCURACY');
+        if (riskFlags.length > 0) {
+            const openSession = await Attendance.getOpenSession(employeeId);
+            if (openSession) {
+                await Attendance.updateAttendance(openSession.attendanceId, {
+                    fraudRisk: mergeRisk(openSession.fraudRisk, riskFlags, riskRules),
+                });
+            }
+        }
+
+        // The ping's business date follows the employee's branch clock
+        const timeZone = resolveTimezone(branches.find(b => b.branchId === employee.branchId));
 
         // Track consecutive pings outside geofence for auto-checkout
         let outsideGeofenceCount = employee.outsideGeofenceCount || 0;
         let autoCheckedOut = false;
         let shouldContinueTracking = true;
 
-        if (!isInsideAnyBranch) {
+        if (onFieldDuty) {
+            // No geofence auto-checkout on field duty; they stay on duty until they check out
+            outsideGeofenceCount = 0;
+        } else if (!assessment.reliable) {
+            console.log(`[Location] ${employeeId} unreliable reading (${assessment.flags.join(', ')}). Count unchanged: ${outsideGeofenceCount}`);
+        } else if (!isInsideAnyBranch) {
             // Increment outside counter
             outsideGeofenceCount += 1;
             console.log(`[Location] ${employeeId} outside geofence. Count: ${outsideGeofenceCount}/${OUTSIDE_GEOFENCE_CHECKOUT_THRESHOLD}`);
@@ -93,6 +132,7 @@ router.post('/ping', async (req, res) => {
                 const openSession = await Attendance.getOpenSession(employeeId);
                 if (openSession) {
                     await Attendance.checkOut(openSession.attendanceId);
+                    await refreshEmployeeSummaries(employeeId, openSession.date);
                     console.log(`[Auto-Checkout] Closed attendance session ${openSession.attendanceId}`);
                 }
 
@@ -123,6 +163,11 @@ router.post('/ping', async (req, res) => {
             longitude: userLng,
             isInsideGeofence: isInsideAnyBranch,
             distance: minDistance,
+            zone,
+            reading,
+            riskFlags,
+            mode: onFieldDuty ? 'TRAVEL' : 'OFFICE',
+            timeZone,
         });
 
         // Update employee's tracking status (if not auto-checked out)
@@ -130,6 +175,7 @@ router.post('/ping', async (req, res) => {
             await Employee.updateEmployee(employeeId, {
                 lastLatitude: userLat,
                 lastLongitude: userLng,
+                lastAccuracy: reading.accuracy,
                 lastPingTime: new Date().toISOString(),
                 isInsideGeofence: isInsideAnyBranch,
                 outsideGeofenceCount: outsideGeofenceCount,
@@ -137,8 +183,7 @@ router.post('/ping', async (req, res) => {
         }
 
         // Get today's work summary
-        const today = new Date().toISOString().split('T')[0];
-        const workSummary = await LocationPing.getWorkSummary(employeeId, today);
+        const workSummary = await LocationPing.getWorkSummary(employeeId, ping.date);
 
         res.json({
             success: true,
@@ -147,7 +192,10 @@ router.post('/ping', async (req, res) => {
                 isInsideGeofence: isInsideAnyBranch,
                 distance: minDistance,
                 closestBranch: closestBranch?.name,
+                zone,
+                riskFlags,
             },
+            fieldDuty: onFieldDuty,
             workMinutes: workSummary.workMinutes,
             formattedDuration: workSummary.formattedDuration,
             autoCheckedOut: autoCheckedOut,
@@ -167,15 +215,23 @@ router.post('/ping', async (req, res) => {
 /**
  * GET /employees - Get all employees' latest locations for admin map
  */
-router.get('/employees', async (req, res) => {
+router.get('/employees', authorize(...MANAGER_ROLES), async (req, res) => {
     try {
         // Get all employees
         const employees = await Employee.getAllEmployees();
 
-        // Try to get latest pings (may fail if table doesn't exist)
+        // Get all branches for reference
+        const branches = await Branch.getAllBranches();
+        const branchMap = {};
+        branches.forEach(b => {
+            branchMap[b.branchId] = b;
+        });
+
+        // Try to get latest pings (may fail if table doesn't exist), from today in every branch's timezone
         let latestPings = [];
         try {
-            latestPings = await LocationPing.getAllLatestPings();
+            const now = new Date();
+            latestPings = await LocationPing.getAllLatestPings([getBusinessDate(now), ...branches.map(b => getBusinessDate(now, resolveTimezone(b)))]);
         } catch (pingError) {
             console.log('LocationPings table may not exist yet, returning employees without ping data');
         }
@@ -186,13 +242,6 @@ router.get('/employees', async (req, res) => {
             pingMap[ping.employeeId] = ping;
         });
 
-        // Get all branches for reference
-        const branches = await Branch.getAllBranches();
-        const branchMap = {};
-        branches.forEach(b => {
-            branchMap[b.branchId] = b;
-        });
-
         // Combine employee data with location data
         const employeeLocations = employees.map(emp => {
             const ping = pingMap[emp.employeeId];
@@ -258,12 +307,13 @@ router.get('/employees', async (req, res) => {
 /**
  * GET /work-summary/:employeeId - Get work summary for an employee
  */
-router.get('/work-summary/:employeeId', async (req, res) => {
+router.get('/work-summary/:employeeId', authorizeEmployeeAccess(req => req.params.employeeId), async (req, res) => {
     try {
         const { employeeId } = req.params;
         const { date } = req.query;
 
-        const targetDate = date || new Date().toISOString().split('T')[0];
+        const employee = await Employee.getEmployeeById(employeeId);
+        const targetDate = date || getBusinessDate(new Date(), await Branch.getBranchTimezone(employee?.branchId));
         const summary = await LocationPing.getWorkSummary(employeeId, targetDate);
 
         res.json({
@@ -303,40 +353,46 @@ router.post('/validate', async (req, res) => {
             let minDistance = Infinity;
             let withinAnyBranch = false;
 
+            let insideBranch = null;
+
             for (const branch of branches) {
-                const result = isWithinGeofence(
-                    userLat,
-                    userLng,
-                    branch.latitude,
-                    branch.longitude,
-                    branch.radiusMeters
-                );
+                const result = checkGeofence(userLat, userLng, branch);
+                const summary = {
+                    name: branch.name,
+                    distance: result.distance,
+                    allowedRadius: result.allowedRadius,
+                    isWithin: result.isWithin,
+                    zone: result.zone,
+                    deniedZone: result.deniedZone,
+                };
 
                 if (result.distance < minDistance) {
                     minDistance = result.distance;
-                    closestBranch = {
-                        name: branch.name,
-                        distance: result.distance,
-                        allowedRadius: result.allowedRadius,
-                        isWithin: result.isWithin,
-                    };
+                    closestBranch = summary;
                 }
 
                 if (result.isWithin) {
                     withinAnyBranch = true;
+                    insideBranch = insideBranch || summary;
                 }
             }
 
+            // Report the branch the user is inside, else the nearest one
+            const reported = insideBranch || closestBranch;
+
             return res.json({
                 success: true,
                 withinRange: withinAnyBranch,
-                closestBranch,
-                distance: closestBranch?.distance,
-                allowedRadius: closestBranch?.allowedRadius,
+                closestBranch: reported,
+                distance: reported?.distance,
+                allowedRadius: reported?.allowedRadius,
+                zone: reported?.zone || null,
                 isConfigured: true,
                 message: withinAnyBranch
-                    ? `You are within ${closestBranch.name}`
-                    : `You are too far! Nearest: ${closestBranch.name} (${closestBranch.distance}m away)`,
+                    ? `You are within ${reported.name}${reported.zone ? ` (${reported.zone})` : ''}`
+                    : reported.deniedZone
+                        ? `${describeGeofenceFailure(reported)} at ${reported.name}`
+                        : `You are too far! Nearest: ${reported.name} (${reported.distance}m away)`,
             });
         }
 
@@ -3,6 +3,10 @@ const router = express.Router();
 const { generateOTP, storeOTP, verifyOTP, isEmailVerified, getOTPInfo } = require('../utils/otpService');
 const { sendOTPEmail } = require('../utils/emailService');
 const { sendOTPSMS } = require('../utils/smsService');
+const { ROLES, authorize } = require('../middleware/auth');
+
+// OTPs verify contact details while HR creates employees
+router.use(authorize(ROLES.HR));
 
 // Email validation regex
 const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
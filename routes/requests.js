@@ -1,17 +1,43 @@
 const express = require('express');
 const router = express.Router();
 const requestController = require('../controllers/requestController');
+const approvalController = require('../controllers/approvalController');
+const { MANAGER_ROLES, authorize, authorizeEmployeeAccess } = require('../middleware/auth');
 
 // Create a new request
 router.post('/', requestController.createRequest);
 
+// Requests waiting for my decision (including ones delegated to me)
+router.get('/pending-approval', approvalController.getPendingApprovals);
+
+// Approval delegations (e.g. while an approver is on leave)
+router.get('/delegations', approvalController.getDelegations);
+router.post('/delegations', approvalController.createDelegation);
+router.delete('/delegations/:delegationId', approvalController.revokeDelegation);
+
 // Get requests by employee ID
-router.get('/employee/:employeeId', requestController.getRequestsByEmployee);
+router.get('/employee/:employeeId', authorizeEmployeeAccess(req => req.params.employeeId), requestController.getRequestsByEmployee);
 
 // Get all requests (admin/hr) - supports ?status=QUERY_PARAM
-router.get('/', requestController.getAllRequests);
+router.get('/', authorize(...MANAGER_ROLES), requestController.getAllRequests);
+
+// Get a request with its version history
+router.get('/:requestId', requestController.getRequest);
+
+// Edit a pending request (owner; keeps the previous versions)
+router.put('/:requestId', requestController.editRequest);
+
+// Withdraw a pending request or a pending cancellation (owner)
+router.post('/:requestId/withdraw', requestController.withdrawRequest);
+
+// Ask to cancel approved leave before it starts (owner; goes through the approval chain again)
+router.post('/:requestId/cancel', requestController.cancelRequest);
+
+// Decide a pending cancellation (approvers on the chain)
+router.put('/:requestId/cancellation', requestController.decideCancellation);
 
-// Update request status (HR approve/reject)
+// Update request status (decides the current approval step; the controller checks who can act on it,
+// which includes delegates who are not approvers themselves)
 router.put('/:requestId/status', requestController.updateRequestStatus);
 
 module.exports = router;
@@ -2,10 +2,18 @@ const express = require('express');
 const router = express.Router();
 const Salary = require('../models/Salary');
 const Employee = require('../models/Employee');
-const Request = require('../models/Request');
+const SalaryStructure = require('../models/SalaryStructure');
+const payrollController = require('../controllers/payrollController');
+const advanceController = require('../controllers/advanceController');
+const { getStatutorySettings, updateStatutorySettings, getBankFormats, updateBankFormats } = require('../models/Settings');
+const { validateSalaryStructure } = require('../utils/statutory');
+const { validateBankFormat } = require('../utils/bankFile');
+const { lineAmount } = require('../utils/payrollCalculator');
+const { getBusinessMonth } = require('../utils/timezone');
+const { ROLES, MANAGER_ROLES, authorize, authorizeEmployeeAccess, hasRole } = require('../middleware/auth');
 
 // Create a new salary record
-router.post('/', async (req, res) => {
+router.post('/', authorize(ROLES.HR), async (req, res) => {
     try {
         const salaryData = req.body;
 
@@ -26,19 +34,25 @@ router.post('/', async (req, res) => {
 });
 
 // Get salaries by employee ID
-router.get('/employee/:employeeId', async (req, res) => {
+router.get('/employee/:employeeId', authorizeEmployeeAccess(req => req.params.employeeId), async (req, res) => {
     try {
         const { employeeId } = req.params;
         const salaries = await Salary.getSalariesByEmployeeId(employeeId);
-        res.json(salaries);
+
+        // Payslips are only visible to the employee once their payroll run is locked
+        const visible = hasRole(req.user, MANAGER_ROLES)
+            ? salaries
+            : salaries.filter(s => s.recordType !== 'PAYSLIP' || s.status === 'LOCKED');
+        res.json(visible);
     } catch (error) {
         console.error('Error fetching salaries:', error);
         res.status(500).json({ error: 'Failed to fetch salaries' });
     }
 });
 
-// Calculate Payable Salary (Fixed - Approved Advances)
-router.get('/calculate/:employeeId', async (req, res) => {
+// Calculate Payable Salary for a month (preview, not saved):
+// earnings from attendance and overtime, statutory deductions, advance installments and employer contributions
+router.get('/calculate/:employeeId', authorizeEmployeeAccess(req => req.params.employeeId), async (req, res) => {
     try {
         const { employeeId } = req.params;
         const { month, year } = req.query; // Optional filters, default to current month
@@ -48,39 +62,24 @@ router.get('/calculate/:employeeId', async (req, res) => {
             return res.status(404).json({ success: false, message: 'Employee not found' });
         }
 
-        const fixedSalary = employee.fixedSalary || 0;
-
-        // Get all APPROVED ADVANCE requests
-        // Optimization: In prod, filter by date range in DB query. Here filtering in memory.
-        const allRequests = await Request.getRequestsByEmployee(employeeId);
-
-        const now = new Date();
-        const currentMonth = month ? parsInt(month) : now.getMonth() + 1; // 1-12
-        const currentYear = year ? parseInt(year) : now.getFullYear();
-
-        const approvedAdvances = allRequests.filter(req => {
-            if (req.type !== 'ADVANCE' || req.status !== 'APPROVED') return false;
-            // Check date (req.createdAt or req.data.date)
-            // Assuming advance is deduced in the month it was requested/approved
-            const reqDate = new Date(req.createdAt);
-            return reqDate.getMonth() + 1 === currentMonth && reqDate.getFullYear() === currentYear;
-        });
-
-        const totalAdvance = approvedAdvances.reduce((sum, req) => {
-            return sum + (parseFloat(req.data.amount) || 0);
-        }, 0);
+        const now = getBusinessMonth();
+        const currentMonth = month ? parseInt(month) : now.month; // 1-12
+        const currentYear = year ? parseInt(year) : now.year;
 
-        const payableSalary = Math.max(0, fixedSalary - totalAdvance);
+        const payslip = await payrollController.calculateEmployeePayslip(employee, currentMonth, currentYear);
 
         res.json({
             success: true,
             employeeId,
             month: currentMonth,
             year: currentYear,
-            fixedSalary,
-            totalAdvance,
-            payableSalary,
-            advanceRequests: approvedAdvances
+            fixedSalary: payslip.fixedSalary,
+            totalAdvance: lineAmount(payslip.deductions, 'ADVANCE'),
+            payableSalary: payslip.netPay,
+            earnings: payslip.earnings,
+            deductions: payslip.deductions,
+            employerContributions: payslip.employerContributions,
+            payslip
         });
 
     } catch (error) {
@@ -89,11 +88,211 @@ router.get('/calculate/:employeeId', async (req, res) => {
     }
 });
 
+// Only one structure can be the organisation default
+async function clearDefaultStructure() {
+    const structures = await SalaryStructure.getAllStructures();
+    for (const s of structures.filter(st => st.isDefault)) {
+        await SalaryStructure.updateStructure(s.structureId, { isDefault: false });
+    }
+}
+
+/**
+ * Salary structures
+ * GET    /api/salary/structures
+ * POST   /api/salary/structures              { name, components[], isDefault? }
+ * PUT    /api/salary/structures/:structureId
+ * DELETE /api/salary/structures/:structureId
+ */
+router.get('/structures', authorize(...MANAGER_ROLES), async (req, res) => {
+    try {
+        const structures = await SalaryStructure.getAllStructures();
+        res.json({ success: true, structures });
+    } catch (error) {
+        console.error('Error fetching salary structures:', error);
+        res.status(500).json({ success: false, message: 'Error fetching salary structures' });
+    }
+});
+
+router.post('/structures', authorize(ROLES.HR), async (req, res) => {
+    try {
+        const { name, components, isDefault } = req.body;
+
+        const error = validateSalaryStructure({ name, components });
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        if (isDefault) {
+            await clearDefaultStructure();
+        }
+
+        const structure = await SalaryStructure.createStructure({ name, components, isDefault });
+        res.status(201).json({ success: true, structure });
+    } catch (error) {
+        console.error('Error creating salary structure:', error);
+        res.status(500).json({ success: false, message: 'Error creating salary structure' });
+    }
+});
+
+router.put('/structures/:structureId', authorize(ROLES.HR), async (req, res) => {
+    try {
+        const { structureId } = req.params;
+        const existing = await SalaryStructure.getStructureById(structureId);
+        if (!existing) {
+            return res.status(404).json({ success: false, message: 'Salary structure not found' });
+        }
+
+        const { name, components, isDefault } = { ...existing, ...req.body };
+        const error = validateSalaryStructure({ name, components });
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        if (isDefault && !existing.isDefault) {
+            await clearDefaultStructure();
+        }
+
+        const structure = await SalaryStructure.updateStructure(structureId, { name, components, isDefault: !!isDefault });
+        res.json({ success: true, structure });
+    } catch (error) {
+        console.error('Error updating salary structure:', error);
+        res.status(500).json({ success: false, message: 'Error updating salary structure' });
+    }
+});
+
+router.delete('/structures/:structureId', authorize(ROLES.HR), async (req, res) => {
+    try {
+        await SalaryStructure.deleteStructure(req.params.structureId);
+        res.json({ success: true, message: 'Salary structure deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting salary structure:', error);
+        res.status(500).json({ success: false, message: 'Error deleting salary structure' });
+    }
+});
+
+/**
+ * Statutory deduction rules (EPF, ESIC, Professional Tax slabs by state, TDS)
+ * GET /api/salary/statutory
+ * PUT /api/salary/statutory   { pf?, esic?, professionalTax?, tds? }
+ */
+router.get('/statutory', authorize(...MANAGER_ROLES), async (req, res) => {
+    try {
+        const rules = await getStatutorySettings();
+        res.json({ success: true, rules });
+    } catch (error) {
+        console.error('Error fetching statutory rules:', error);
+        res.status(500).json({ success: false, message: 'Error fetching statutory rules' });
+    }
+});
+
+router.put('/statutory', authorize(ROLES.HR), async (req, res) => {
+    try {
+        const current = await getStatutorySettings();
+        const rules = {};
+        for (const section of ['pf', 'esic', 'professionalTax', 'tds']) {
+            const value = req.body[section] === undefined ? current[section] : req.body[section];
+            if (!value || typeof value !== 'object') {
+                return res.status(400).json({ success: false, message: `${section} must be an object` });
+            }
+            rules[section] = value;
+        }
+
+        const updated = await updateStatutorySettings(rules, req.user.employeeId);
+        res.json({ success: true, rules: updated });
+    } catch (error) {
+        console.error('Error updating statutory rules:', error);
+        res.status(500).json({ success: false, message: 'Error updating statutory rules' });
+    }
+});
+
+/**
+ * Payroll runs
+ * POST   /api/salary/runs                   { month, year, branchId? } -> DRAFT run with payslips
+ * GET    /api/salary/runs?month=&year=
+ * GET    /api/salary/runs/:runId
+ * POST   /api/salary/runs/:runId/recompute  (DRAFT only)
+ * POST   /api/salary/runs/:runId/review     DRAFT -> REVIEWED
+ * POST   /api/salary/runs/:runId/reopen     REVIEWED -> DRAFT
+ * POST   /api/salary/runs/:runId/lock       REVIEWED -> LOCKED
+ * DELETE /api/salary/runs/:runId            (DRAFT only)
+ * POST   /api/salary/runs/:runId/email      { employeeIds? } email payslip PDFs (LOCKED only)
+ */
+router.post('/runs', authorize(ROLES.HR), payrollController.createRun);
+router.get('/runs', authorize(...MANAGER_ROLES), payrollController.getRuns);
+router.get('/runs/:runId', authorize(...MANAGER_ROLES), payrollController.getRun);
+router.post('/runs/:runId/recompute', authorize(ROLES.HR), payrollController.recomputeRun);
+router.post('/runs/:runId/:action(review|reopen|lock)', authorize(ROLES.HR), payrollController.transitionRun);
+router.delete('/runs/:runId', authorize(ROLES.HR), payrollController.deleteRun);
+router.post('/runs/:runId/email', authorize(ROLES.HR), payrollController.emailRunPayslips);
+
+// Overtime per day for a month, with any OVERTIME request raised for it
+router.get('/overtime/:employeeId', authorizeEmployeeAccess(req => req.params.employeeId), payrollController.getOvertimeSummary);
+
+/**
+ * Salary advances (repayment plans are set when the ADVANCE request is approved)
+ * GET  /api/salary/advances/:employeeId
+ * POST /api/salary/advances/:employeeId/:requestId/settle      { amount?, note? }
+ * POST /api/salary/advances/:employeeId/:requestId/write-off   { amount?, note? }
+ */
+router.get('/advances/:employeeId', authorizeEmployeeAccess(req => req.params.employeeId), advanceController.getEmployeeAdvances);
+router.post('/advances/:employeeId/:requestId/:action(settle|write-off)', authorize(ROLES.HR), advanceController.recoverAdvance);
+
+/**
+ * Bank disbursement
+ * GET /api/salary/disbursement?month=&year=&branchId=&format=NEFT_CSV&paymentDate=YYYY-MM-DD[&download=bank|cash]
+ * GET /api/salary/bank-formats
+ * PUT /api/salary/bank-formats   { formats: { CODE: { name, type: 'CSV'|'FIXED_WIDTH', ... } } }
+ */
+router.get('/disbursement', authorize(ROLES.HR), payrollController.getDisbursement);
+
+router.get('/bank-formats', authorize(ROLES.HR), async (req, res) => {
+    try {
+        const { formats, customFormats } = await getBankFormats();
+        res.json({ success: true, formats, customFormats });
+    } catch (error) {
+        console.error('Error fetching bank formats:', error);
+        res.status(500).json({ success: false, message: 'Error fetching bank formats' });
+    }
+});
+
+router.put('/bank-formats', authorize(ROLES.HR), async (req, res) => {
+    try {
+        const { formats } = req.body;
+        if (!formats || typeof formats !== 'object') {
+            return res.status(400).json({ success: false, message: 'formats must be an object keyed by format code' });
+        }
+
+        for (const [code, format] of Object.entries(formats)) {
+            const error = validateBankFormat(format);
+            if (error) {
+                return res.status(400).json({ success: false, message: `${code}: ${error}` });
+            }
+        }
+
+        const updated = await updateBankFormats(formats, req.user.employeeId);
+        res.json({ success: true, formats: updated.formats, customFormats: updated.customFormats });
+    } catch (error) {
+        console.error('Error updating bank formats:', error);
+        res.status(500).json({ success: false, message: 'Error updating bank formats' });
+    }
+});
+
+// Payslip PDF (salaryId is `<runId>#<employeeId>`, URL-encoded)
+// GET /api/salary/:salaryId/payslip.pdf
+router.get('/:salaryId/payslip.pdf', payrollController.getPayslipPdf);
+
 // Update salary record
-router.put('/:salaryId', async (req, res) => {
+router.put('/:salaryId', authorize(ROLES.HR), async (req, res) => {
     try {
         const { salaryId } = req.params;
         const updates = req.body;
+
+        // Payslips are generated by payroll runs and never edited by hand
+        const existing = await Salary.getSalaryById(salaryId);
+        if (existing && existing.recordType === 'PAYSLIP') {
+            return res.status(409).json({ error: 'Payslips cannot be edited; recompute the draft payroll run instead' });
+        }
+
         const updatedSalary = await Salary.updateSalary(salaryId, updates);
         res.json(updatedSalary);
     } catch (error) {
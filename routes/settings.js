@@ -1,6 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const Settings = require('../models/Settings');
+const { ROLES, authorize } = require('../middleware/auth');
+const { validateWeeklyOffPattern } = require('../utils/calendar');
+const { validateOvertimeRules } = require('../utils/overtime');
+const { validateCompOffRules } = require('../utils/compOff');
+const { validateApprovalChains } = require('../utils/approvalChain');
+const { validateJobSchedules } = require('../utils/jobSchedule');
+const { validateLocationRiskRules } = require('../utils/locationRisk');
+const { validateTravelAllowanceRules } = require('../utils/tripDistance');
+const { refreshRecentSummaries } = require('../controllers/dailySummaryController');
 
 // Get geo-fence settings
 router.get('/geofence', async (req, res) => {
@@ -20,9 +29,9 @@ router.get('/geofence', async (req, res) => {
 });
 
 // Update geo-fence settings (admin only)
-router.put('/geofence', async (req, res) => {
+router.put('/geofence', authorize(ROLES.HR), async (req, res) => {
     try {
-        const { officeLat, officeLng, radiusMeters, officeAddress, updatedBy } = req.body;
+        const { officeLat, officeLng, radiusMeters, officeAddress } = req.body;
 
         if (officeLat === undefined || officeLng === undefined || radiusMeters === undefined) {
             return res.status(400).json({
@@ -43,7 +52,7 @@ router.put('/geofence', async (req, res) => {
             officeLng: parseFloat(officeLng),
             radiusMeters: parseInt(radiusMeters),
             officeAddress,
-            updatedBy,
+            updatedBy: req.user.employeeId,
         });
 
         res.json({
@@ -78,18 +87,21 @@ router.get('/attendance', async (req, res) => {
 });
 
 // Update attendance settings (admin only)
-router.put('/attendance', async (req, res) => {
+router.put('/attendance', authorize(ROLES.HR), async (req, res) => {
     try {
-        const { lateThresholdMinutes, halfDayThresholdMinutes, workStartTime, workEndTime, updatedBy } = req.body;
+        const { lateThresholdMinutes, halfDayThresholdMinutes, workStartTime, workEndTime } = req.body;
 
         const settings = await Settings.updateAttendanceSettings({
             lateThresholdMinutes: lateThresholdMinutes ? parseInt(lateThresholdMinutes) : 555,
             halfDayThresholdMinutes: halfDayThresholdMinutes ? parseInt(halfDayThresholdMinutes) : 720,
             workStartTime: workStartTime || '09:00',
             workEndTime: workEndTime || '18:00',
-            updatedBy,
+            updatedBy: req.user.employeeId,
         });
 
+        // Open payroll months are re-evaluated with the new settings
+        await refreshRecentSummaries();
+
         res.json({
             success: true,
             message: 'Attendance settings updated successfully',
@@ -104,6 +116,346 @@ router.put('/attendance', async (req, res) => {
     }
 });
 
+// Get weekly off pattern
+router.get('/weekly-off', async (req, res) => {
+    try {
+        const settings = await Settings.getWeeklyOffSettings();
+        res.json({
+            success: true,
+            settings,
+        });
+    } catch (error) {
+        console.error('Error fetching weekly off settings:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching weekly off settings',
+        });
+    }
+});
+
+// Update weekly off pattern (admin only)
+router.put('/weekly-off', authorize(ROLES.HR), async (req, res) => {
+    try {
+        const { pattern } = req.body;
+
+        const error = validateWeeklyOffPattern(pattern);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error,
+            });
+        }
+
+        const settings = await Settings.updateWeeklyOffSettings(pattern, req.user.employeeId);
+
+        await refreshRecentSummaries();
+
+        res.json({
+            success: true,
+            message: 'Weekly off settings updated successfully',
+            settings,
+        });
+    } catch (error) {
+        console.error('Error updating weekly off settings:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating weekly off settings',
+        });
+    }
+});
+
+// Get overtime rules
+router.get('/overtime', async (req, res) => {
+    try {
+        const settings = await Settings.getOvertimeSettings();
+        res.json({
+            success: true,
+            settings,
+        });
+    } catch (error) {
+        console.error('Error fetching overtime settings:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching overtime settings',
+        });
+    }
+});
+
+// Update overtime rules (admin only)
+// Body: { rules, branchRules: { [branchId]: rules }, shiftRules: { [shiftId]: rules } }
+router.put('/overtime', authorize(ROLES.HR), async (req, res) => {
+    try {
+        const { rules, branchRules = {}, shiftRules = {} } = req.body;
+
+        const scoped = [
+            ['rules', rules || {}],
+            ...Object.entries(branchRules).map(([id, r]) => [`branchRules.${id}`, r]),
+            ...Object.entries(shiftRules).map(([id, r]) => [`shiftRules.${id}`, r]),
+        ];
+        for (const [label, scopeRules] of scoped) {
+            const error = validateOvertimeRules(scopeRules);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${label}: ${error}`,
+                });
+            }
+        }
+
+        const settings = await Settings.updateOvertimeSettings({ rules, branchRules, shiftRules }, req.user.employeeId);
+
+        await refreshRecentSummaries();
+
+        res.json({
+            success: true,
+            message: 'Overtime settings updated successfully',
+            settings,
+        });
+    } catch (error) {
+        console.error('Error updating overtime settings:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating overtime settings',
+        });
+    }
+});
+
+// Get comp-off rules
+router.get('/comp-off', async (req, res) => {
+    try {
+        const settings = await Settings.getCompOffSettings();
+        res.json({
+            success: true,
+            settings,
+        });
+    } catch (error) {
+        console.error('Error fetching comp-off settings:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching comp-off settings',
+        });
+    }
+});
+
+// Update comp-off rules (admin only)
+router.put('/comp-off', authorize(ROLES.HR), async (req, res) => {
+    try {
+        const { rules } = req.body;
+
+        const error = validateCompOffRules(rules);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error,
+            });
+        }
+
+        const settings = await Settings.updateCompOffSettings(rules, req.user.employeeId);
+
+        await refreshRecentSummaries();
+
+        res.json({
+            success: true,
+            message: 'Comp-off settings updated successfully',
+            settings,
+        });
+    } catch (error) {
+        console.error('Error updating comp-off settings:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating comp-off settings',
+        });
+    }
+});
+
+// Get approval chains per request type
+router.get('/approval-chains', async (req, res) => {
+    try {
+        const settings = await Settings.getApprovalChains();
+        res.json({
+            success: true,
+            settings,
+        });
+    } catch (error) {
+        console.error('Error fetching approval chains:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching approval chains',
+        });
+    }
+});
+
+// Update approval chains (admin only)
+// Body: { chains: { LEAVE: [{ minAmount: 0, steps: ['BRANCH_MANAGER', 'HR'] }], ADVANCE: [...] } }
+router.put('/approval-chains', authorize(ROLES.HR), async (req, res) => {
+    try {
+        const { chains } = req.body;
+
+        const error = validateApprovalChains(chains);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error,
+            });
+        }
+
+        const settings = await Settings.updateApprovalChains(chains, req.user.employeeId);
+
+        res.json({
+            success: true,
+            message: 'Approval chains updated successfully',
+            settings,
+        });
+    } catch (error) {
+        console.error('Error updating approval chains:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating approval chains',
+        });
+    }
+});
+
+// Get scheduled job settings
+router.get('/jobs', async (req, res) => {
+    try {
+        const settings = await Settings.getJobSchedules();
+        res.json({
+            success: true,
+            settings,
+        });
+    } catch (error) {
+        console.error('Error fetching job settings:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching job settings',
+        });
+    }
+});
+
+// Update scheduled job settings (admin only)
+// Body: { schedules: { endOfDay: { enabled: true, runAt: '23:30', autoCloseAfterMinutes: 120 } } }
+router.put('/jobs', authorize(ROLES.HR), async (req, res) => {
+    try {
+        const { schedules } = req.body;
+
+        const error = validateJobSchedules(schedules);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error,
+            });
+        }
+
+        const settings = await Settings.updateJobSchedules(schedules, req.user.employeeId);
+
+        res.json({
+            success: true,
+            message: 'Job settings updated successfully',
+            settings,
+        });
+    } catch (error) {
+        console.error('Error updating job settings:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating job settings',
+        });
+    }
+});
+
+// Get GPS spoofing checks
+router.get('/location-risk', async (req, res) => {
+    try {
+        const settings = await Settings.getLocationRiskSettings();
+        res.json({
+            success: true,
+            settings,
+        });
+    } catch (error) {
+        console.error('Error fetching location risk settings:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching location risk settings',
+        });
+    }
+});
+
+// Update GPS spoofing checks (admin only)
+// Body: { rules: { maxAccuracyMeters: 100, maxSpeedKmh: 150, rejectMocked: true, reviewScore: 40 } }
+router.put('/location-risk', authorize(ROLES.HR), async (req, res) => {
+    try {
+        const { rules } = req.body;
+
+        const error = validateLocationRiskRules(rules);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error,
+            });
+        }
+
+        const settings = await Settings.updateLocationRiskSettings(rules, req.user.employeeId);
+
+        res.json({
+            success: true,
+            message: 'Location risk settings updated successfully',
+            settings,
+        });
+    } catch (error) {
+        console.error('Error updating location risk settings:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating location risk settings',
+        });
+    }
+});
+
+// Get travel allowance (per-km rate and trip distance rules)
+router.get('/travel-allowance', async (req, res) => {
+    try {
+        const settings = await Settings.getTravelAllowanceSettings();
+        res.json({
+            success: true,
+            settings,
+        });
+    } catch (error) {
+        console.error('Error fetching travel allowance settings:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching travel allowance settings',
+        });
+    }
+});
+
+// Update travel allowance (admin only)
+// Body: { rules: { ratePerKm: 3.5, maxKmPerDay: 250, jitterMeters: 25, maxGapMinutes: 15, countGaps: true } }
+router.put('/travel-allowance', authorize(ROLES.HR), async (req, res) => {
+    try {
+        const { rules } = req.body;
+
+        const error = validateTravelAllowanceRules(rules);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error,
+            });
+        }
+
+        const settings = await Settings.updateTravelAllowanceSettings(rules, req.user.employeeId);
+
+        res.json({
+            success: true,
+            message: 'Travel allowance settings updated successfully',
+            settings,
+        });
+    } catch (error) {
+        console.error('Error updating travel allowance settings:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating travel allowance settings',
+        });
+    }
+});
+
 // Get employee rules
 router.get('/rules', async (req, res) => {
     try {
@@ -122,9 +474,9 @@ router.get('/rules', async (req, res) => {
 });
 
 // Update employee rules (admin only)
-router.put('/rules', async (req, res) => {
+router.put('/rules', authorize(ROLES.HR), async (req, res) => {
     try {
-        const { rules, updatedBy } = req.body;
+        const { rules } = req.body;
 
         if (!rules) {
             return res.status(400).json({
@@ -133,7 +485,7 @@ router.put('/rules', async (req, res) => {
             });
         }
 
-        const updatedRules = await Settings.updateEmployeeRules(rules, updatedBy);
+        const updatedRules = await Settings.updateEmployeeRules(rules, req.user.employeeId);
 
         res.json({
             success: true,
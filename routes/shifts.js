@@ -0,0 +1,377 @@
+/**
+ * Shift Routes - shift definitions and branch/employee rosters
+ */
+
+const express = require('express');
+const router = express.Router();
+const Shift = require('../models/Shift');
+const ShiftAssignment = require('../models/ShiftAssignment');
+const Employee = require('../models/Employee');
+const Branch = require('../models/Branch');
+const { refreshRecentSummaries } = require('../controllers/dailySummaryController');
+const { getBusinessDate } = require('../utils/timezone');
+const { ROLES, MANAGER_ROLES, authorize, authorizeEmployeeAccess } = require('../middleware/auth');
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Normalize shift input into segments.
+ * Accepts either `segments` (split shifts) or a single startTime/endTime pair.
+ * Returns an error message string when invalid.
+ */
+function parseSegments(body) {
+    const segments = Array.isArray(body.segments) && body.segments.length > 0
+        ? body.segments
+        : (body.startTime && body.endTime ? [{ startTime: body.startTime, endTime: body.endTime }] : null);
+
+    if (!segments) {
+        return { error: 'Shift start and end times are required' };
+    }
+
+    for (const seg of segments) {
+        if (!TIME_REGEX.test(seg.startTime || '') || !TIME_REGEX.test(seg.endTime || '')) {
+            return { error: 'Shift times must be in HH:mm format' };
+        }
+    }
+
+    return { segments: segments.map(seg => ({ startTime: seg.startTime, endTime: seg.endTime })) };
+}
+
+/**
+ * Get all shifts
+ * GET /api/shifts
+ */
+router.get('/', async (req, res) => {
+    try {
+        const shifts = await Shift.getAllShifts();
+        res.json({
+            success: true,
+            shifts,
+        });
+    } catch (error) {
+        console.error('Error fetching shifts:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching shifts',
+        });
+    }
+});
+
+/**
+ * Get shift assignments for a branch or employee
+ * GET /api/shifts/assignments?targetType=BRANCH|EMPLOYEE&targetId=...
+ */
+router.get('/assignments', authorize(...MANAGER_ROLES), async (req, res) => {
+    try {
+        const { targetType, targetId } = req.query;
+
+        const assignments = targetType && targetId
+            ? await ShiftAssignment.getAssignmentsForTarget(targetType, targetId)
+            : await ShiftAssignment.getAllAssignments();
+
+        res.json({
+            success: true,
+            assignments,
+        });
+    } catch (error) {
+        console.error('Error fetching shift assignments:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching shift assignments',
+        });
+    }
+});
+
+/**
+ * Assign a shift to a branch or employee
+ * POST /api/shifts/assignments
+ * Body: targetType, targetId, shiftId, effectiveFrom, effectiveTo?, daysOfWeek?
+ */
+router.post('/assignments', authorize(ROLES.HR), async (req, res) => {
+    try {
+        const { targetType, targetId, shiftId, effectiveFrom, effectiveTo, daysOfWeek } = req.body;
+
+        if (!['BRANCH', 'EMPLOYEE'].includes(targetType) || !targetId || !shiftId) {
+            return res.status(400).json({
+                success: false,
+                message: 'targetType (BRANCH or EMPLOYEE), targetId and shiftId are required',
+            });
+        }
+
+        if (!DATE_REGEX.test(effectiveFrom || '') || (effectiveTo && !DATE_REGEX.test(effectiveTo))) {
+            return res.status(400).json({
+                success: false,
+                message: 'effectiveFrom (and effectiveTo, if given) must be YYYY-MM-DD',
+            });
+        }
+
+        if (effectiveTo && effectiveTo < effectiveFrom) {
+            return res.status(400).json({
+                success: false,
+                message: 'effectiveTo cannot be before effectiveFrom',
+            });
+        }
+
+        if (daysOfWeek && (!Array.isArray(daysOfWeek) || daysOfWeek.some(d => !Number.isInteger(d) || d < 0 || d > 6))) {
+            return res.status(400).json({
+                success: false,
+                message: 'daysOfWeek must be an array of numbers 0 (Sunday) to 6 (Saturday)',
+            });
+        }
+
+        const shift = await Shift.getShiftById(shiftId);
+        if (!shift) {
+            return res.status(404).json({
+                success: false,
+                message: 'Shift not found',
+            });
+        }
+
+        const target = targetType === 'BRANCH'
+            ? await Branch.getBranchById(targetId)
+            : await Employee.getEmployeeById(targetId);
+        if (!target) {
+            return res.status(404).json({
+                success: false,
+                message: targetType === 'BRANCH' ? 'Branch not found' : 'Employee not found',
+            });
+        }
+
+        const assignment = await ShiftAssignment.createAssignment({
+            targetType,
+            targetId,
+            shiftId,
+            effectiveFrom,
+            effectiveTo,
+            daysOfWeek,
+            createdBy: req.user.employeeId,
+        });
+
+        await refreshRecentSummaries('SHIFT');
+
+        res.status(201).json({
+            success: true,
+            message: 'Shift assigned successfully',
+            assignment,
+        });
+    } catch (error) {
+        console.error('Error assigning shift:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error assigning shift',
+        });
+    }
+});
+
+/**
+ * Remove a shift assignment
+ * DELETE /api/shifts/assignments/:assignmentId
+ */
+router.delete('/assignments/:assignmentId', authorize(ROLES.HR), async (req, res) => {
+    try {
+        await ShiftAssignment.deleteAssignment(req.params.assignmentId);
+        await refreshRecentSummaries('SHIFT');
+        res.json({
+            success: true,
+            message: 'Shift assignment removed successfully',
+        });
+    } catch (error) {
+        console.error('Error removing shift assignment:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error removing shift assignment',
+        });
+    }
+});
+
+/**
+ * Get the effective shift for an employee on a date
+ * GET /api/shifts/employee/:employeeId?date=YYYY-MM-DD
+ */
+router.get('/employee/:employeeId', authorizeEmployeeAccess(req => req.params.employeeId), async (req, res) => {
+    try {
+        const { employeeId } = req.params;
+        const employee = await Employee.getEmployeeById(employeeId);
+        if (!employee) {
+            return res.status(404).json({
+                success: false,
+                message: 'Employee not found',
+            });
+        }
+
+        const date = req.query.date || getBusinessDate(new Date(), await Branch.getBranchTimezone(employee.branchId));
+
+        const shift = await ShiftAssignment.getShiftForEmployee(employee, date);
+
+        res.json({
+            success: true,
+            date,
+            shift, // null = global attendance settings apply
+        });
+    } catch (error) {
+        console.error('Error resolving employee shift:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error resolving employee shift',
+        });
+    }
+});
+
+/**
+ * Get shift by ID
+ * GET /api/shifts/:shiftId
+ */
+router.get('/:shiftId', async (req, res) => {
+    try {
+        const shift = await Shift.getShiftById(req.params.shiftId);
+
+        if (!shift) {
+            return res.status(404).json({
+                success: false,
+                message: 'Shift not found',
+            });
+        }
+
+        res.json({
+            success: true,
+            shift,
+        });
+    } catch (error) {
+        console.error('Error fetching shift:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching shift',
+        });
+    }
+});
+
+/**
+ * Create new shift
+ * POST /api/shifts
+ * Body: name, startTime/endTime or segments[], graceMinutes?, halfDayAfterMinutes?, breakMinutes?, minFullDayMinutes?
+ */
+router.post('/', authorize(ROLES.HR), async (req, res) => {
+    try {
+        const { name, graceMinutes, halfDayAfterMinutes, breakMinutes, minFullDayMinutes, isActive } = req.body;
+
+        if (!name) {
+            return res.status(400).json({
+                success: false,
+                message: 'Shift name is required',
+            });
+        }
+
+        const { segments, error } = parseSegments(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error,
+            });
+        }
+
+        const shift = await Shift.createShift({
+            name,
+            segments,
+            graceMinutes: graceMinutes !== undefined ? parseInt(graceMinutes) : undefined,
+            halfDayAfterMinutes: halfDayAfterMinutes !== undefined ? parseInt(halfDayAfterMinutes) : undefined,
+            breakMinutes: breakMinutes !== undefined ? parseInt(breakMinutes) : 0,
+            minFullDayMinutes: minFullDayMinutes !== undefined ? parseInt(minFullDayMinutes) : undefined,
+            isActive,
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Shift created successfully',
+            shift,
+        });
+    } catch (error) {
+        console.error('Error creating shift:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error creating shift',
+        });
+    }
+});
+
+/**
+ * Update shift
+ * PUT /api/shifts/:shiftId
+ */
+router.put('/:shiftId', authorize(ROLES.HR), async (req, res) => {
+    try {
+        const { shiftId } = req.params;
+        const updates = {};
+
+        if (req.body.segments || req.body.startTime || req.body.endTime) {
+            const { segments, error } = parseSegments(req.body);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error,
+                });
+            }
+            updates.segments = segments;
+        }
+
+        if (req.body.name) updates.name = req.body.name;
+        if (req.body.isActive !== undefined) updates.isActive = req.body.isActive;
+        ['graceMinutes', 'halfDayAfterMinutes', 'breakMinutes', 'minFullDayMinutes'].forEach(key => {
+            if (req.body[key] !== undefined) updates[key] = parseInt(req.body[key]);
+        });
+
+        const shift = await Shift.updateShift(shiftId, updates);
+        await refreshRecentSummaries('SHIFT');
+
+        res.json({
+            success: true,
+            message: 'Shift updated successfully',
+            shift,
+        });
+    } catch (error) {
+        console.error('Error updating shift:', error);
+        if (error.message === 'Shift not found') {
+            return res.status(404).json({
+                success: false,
+                message: 'Shift not found',
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error updating shift',
+        });
+    }
+});
+
+/**
+ * Delete shift
+ * DELETE /api/shifts/:shiftId
+ */
+router.delete('/:shiftId', authorize(ROLES.HR), async (req, res) => {
+    try {
+        const { shiftId } = req.params;
+
+        const existing = await Shift.getShiftById(shiftId);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Shift not found',
+            });
+        }
+
+        await Shift.deleteShift(shiftId);
+
+        res.json({
+            success: true,
+            message: 'Shift deleted successfully',
+        });
+    } catch (error) {
+        console.error('Error deleting shift:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting shift',
+        });
+    }
+});
+
+module.exports = router;
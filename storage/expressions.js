@@ -0,0 +1,440 @@
+/**
+ * DynamoDB expression evaluator for the in-memory backend
+ * Parses condition, key condition, filter and update expressions (SET / REMOVE / ADD)
+ * with their #name and :value placeholders and applies them to plain items.
+ */
+
+const KEYWORDS = ['AND', 'OR', 'NOT', 'BETWEEN', 'IN', 'SET', 'REMOVE', 'ADD', 'DELETE'];
+const COMPARATORS = ['=', '<>', '<', '<=', '>', '>='];
+
+const validationError = (message) => {
+    const error = new Error(message);
+    error.name = 'ValidationException';
+    return error;
+};
+
+// ==================== PARSING ====================
+
+function tokenize(expression) {
+    const tokens = [];
+    const pattern = /\s*(<>|<=|>=|[=<>(),.[\]+-]|[#:]?[A-Za-z0-9_]+)/y;
+    let match;
+
+    pattern.lastIndex = 0;
+    while (pattern.lastIndex < expression.length) {
+        if (/^\s*$/.test(expression.slice(pattern.lastIndex))) break;
+        match = pattern.exec(expression);
+        if (!match) {
+            throw validationError(`Invalid expression: unexpected character at ${pattern.lastIndex} in "${expression}"`);
+        }
+        const text = match[1];
+        const upper = text.toUpperCase();
+        tokens.push(KEYWORDS.includes(upper) ? { type: 'keyword', value: upper } : { type: 'symbol', value: text });
+    }
+
+    return tokens;
+}
+
+class Parser {
+    constructor(expression) {
+        this.expression = expression;
+        this.tokens = tokenize(expression);
+        this.pos = 0;
+    }
+
+    peek(offset = 0) {
+        return this.tokens[this.pos + offset];
+    }
+
+    isNext(value, offset = 0) {
+        const token = this.peek(offset);
+        return !!token && token.value === value;
+    }
+
+    next() {
+        const token = this.tokens[this.pos++];
+        if (!token) throw validationError(`Invalid expression: unexpected end of "${this.expression}"`);
+        return token;
+    }
+
+    expect(value) {
+        const token = this.next();
+        if (token.value !== value) {
+            throw validationError(`Invalid expression: expected "${value}" but found "${token.value}" in "${this.expression}"`);
+        }
+    }
+
+    done() {
+        if (this.pos < this.tokens.length) {
+            throw validationError(`Invalid expression: unexpected "${this.peek().value}" in "${this.expression}"`);
+        }
+    }
+
+    // condition := and (OR and)*
+    parseCondition() {
+        let node = this.parseAnd();
+        while (this.isNext('OR')) {
+            this.next();
+            node = { type: 'or', left: node, right: this.parseAnd() };
+        }
+        return node;
+    }
+
+    parseAnd() {
+        let node = this.parseNot();
+        while (this.isNext('AND')) {
+            this.next();
+            node = { type: 'and', left: node, right: this.parseNot() };
+        }
+        return node;
+    }
+
+    parseNot() {
+        if (this.isNext('NOT')) {
+            this.next();
+            return { type: 'not', operand: this.parseNot() };
+        }
+        return this.parsePredicate();
+    }
+
+    parsePredicate() {
+        if (this.isNext('(')) {
+            this.next();
+            const node = this.parseCondition();
+            this.expect(')');
+            return node;
+        }
+
+        const token = this.peek();
+        if (token && this.isNext('(', 1) && token.value !== 'size') {
+            return this.parseFunction();
+        }
+
+        const left = this.parseOperand();
+        const next = this.peek();
+
+        if (next && COMPARATORS.includes(next.value)) {
+            this.next();
+            return { type: 'compare', op: next.value, left, right: this.parseOperand() };
+        }
+        if (this.isNext('BETWEEN')) {
+            this.next();
+            const low = this.parseOperand();
+            this.expect('AND');
+            return { type: 'between', value: left, low, high: this.parseOperand() };
+        }
+        if (this.isNext('IN')) {
+            this.next();
+            this.expect('(');
+            const list = [this.parseOperand()];
+            while (this.isNext(',')) {
+                this.next();
+                list.push(this.parseOperand());
+            }
+            this.expect(')');
+            return { type: 'in', value: left, list };
+        }
+
+        throw validationError(`Invalid expression: expected a comparison in "${this.expression}"`);
+    }
+
+    parseFunction() {
+        const name = this.next().value;
+        this.expect('(');
+        const args = [this.parseOperand()];
+        while (this.isNext(',')) {
+            this.next();
+            args.push(this.parseOperand());
+        }
+        this.expect(')');
+        return { type: 'function', name, args };
+    }
+
+    // operand := :value | path | size(path) | if_not_exists(path, operand) | list_append(operand, operand)
+    parseOperand() {
+        const token = this.peek();
+        if (!token) throw validationError(`Invalid expression: unexpected end of "${this.expression}"`);
+
+        if (token.value.startsWith(':')) {
+            this.next();
+            return { type: 'value', name: token.value };
+        }
+        if (this.isNext('(', 1)) {
+            return this.parseFunction();
+        }
+        return this.parsePath();
+    }
+
+    parsePath() {
+        const segments = [this.parseName()];
+        for (;;) {
+            if (this.isNext('.')) {
+                this.next();
+                segments.push(this.parseName());
+            } else if (this.isNext('[')) {
+                this.next();
+                const index = this.next().value;
+                if (!/^\d+$/.test(index)) throw validationError(`Invalid list index "${index}" in "${this.expression}"`);
+                this.expect(']');
+                segments.push({ index: Number(index) });
+            } else {
+                return { type: 'path', segments };
+            }
+        }
+    }
+
+    parseName() {
+        const token = this.next();
+        if (token.type !== 'symbol' || !/^#?[A-Za-z_][A-Za-z0-9_]*$/.test(token.value)) {
+            throw validationError(`Invalid attribute name "${token.value}" in "${this.expression}"`);
+        }
+        return token.value.startsWith('#') ? { placeholder: token.value } : { name: token.value };
+    }
+
+    // value := operand (('+' | '-') operand)?
+    parseUpdateValue() {
+        const left = this.parseOperand();
+        if (this.isNext('+') || this.isNext('-')) {
+            const op = this.next().value;
+            return { type: 'arithmetic', op, left, right: this.parseOperand() };
+        }
+        return left;
+    }
+
+    // update := (SET a = v, ... | REMOVE a, ... | ADD a :v, ...)+
+    parseUpdate() {
+        const actions = [];
+        while (this.peek()) {
+            const clause = this.next().value;
+            if (!['SET', 'REMOVE', 'ADD'].includes(clause)) {
+                throw validationError(`Unsupported update clause "${clause}" in "${this.expression}"`);
+            }
+            for (;;) {
+                const path = this.parsePath();
+                if (clause === 'SET') {
+                    this.expect('=');
+                    actions.push({ clause, path, value: this.parseUpdateValue() });
+                } else if (clause === 'ADD') {
+                    actions.push({ clause, path, value: this.parseOperand() });
+                } else {
+                    actions.push({ clause, path });
+                }
+                if (!this.isNext(',')) break;
+                this.next();
+            }
+        }
+        if (!actions.length) throw validationError('Update expression is empty');
+        return actions;
+    }
+}
+
+const cache = new Map();
+
+function parse(expression, kind) {
+    const cacheKey = `${kind}:${expression}`;
+    if (!cache.has(cacheKey)) {
+        const parser = new Parser(expression);
+        const ast = kind === 'update' ? parser.parseUpdate() : parser.parseCondition();
+        parser.done();
+        cache.set(cacheKey, ast);
+    }
+    return cache.get(cacheKey);
+}
+
+// ==================== EVALUATION ====================
+
+function resolveSegments(segments, names) {
+    return segments.map(segment => {
+        if (segment.placeholder) {
+            if (!names || !(segment.placeholder in names)) {
+                throw validationError(`An expression attribute name used in the document path is not defined: ${segment.placeholder}`);
+            }
+            return names[segment.placeholder];
+        }
+        return segment.name !== undefined ? segment.name : segment.index;
+    });
+}
+
+function getPath(item, keys) {
+    let current = item;
+    for (const key of keys) {
+        if (current === null || typeof current !== 'object' || !(key in current)) return undefined;
+        current = current[key];
+    }
+    return current;
+}
+
+function evaluateOperand(node, item, context) {
+    switch (node.type) {
+        case 'value': {
+            const { values } = context;
+            if (!values || !(node.name in values)) {
+                throw validationError(`An expression attribute value used in expression is not defined: ${node.name}`);
+            }
+            return values[node.name];
+        }
+        case 'path':
+            return getPath(item, resolveSegments(node.segments, context.names));
+        case 'function':
+            return evaluateFunctionOperand(node, item, context);
+        case 'arithmetic': {
+            const left = evaluateOperand(node.left, item, context);
+            const right = evaluateOperand(node.right, item, context);
+            if (typeof left !== 'number' || typeof right !== 'number') {
+                throw validationError('An operand in the update expression has an incorrect data type');
+            }
+            return node.op === '+' ? left + right : left - right;
+        }
+        default:
+            throw validationError(`Unexpected operand ${node.type}`);
+    }
+}
+
+function evaluateFunctionOperand(node, item, context) {
+    const [first, second] = node.args;
+    switch (node.name) {
+        case 'size': {
+            const value = evaluateOperand(first, item, context);
+            if (typeof value === 'string' || Array.isArray(value)) return value.length;
+            if (value && typeof value === 'object') return Object.keys(value).length;
+            return undefined;
+        }
+        case 'if_not_exists': {
+            const value = evaluateOperand(first, item, context);
+            return value === undefined ? evaluateOperand(second, item, context) : value;
+        }
+        case 'list_append': {
+            const left = evaluateOperand(first, item, context);
+            const right = evaluateOperand(second, item, context);
+            if (!Array.isArray(left) || !Array.isArray(right)) {
+                throw validationError('list_append expects two lists');
+            }
+            return [...left, ...right];
+        }
+        default:
+            throw validationError(`Invalid function name in an operand: ${node.name}`);
+    }
+}
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Ordering only applies between two numbers or two strings; anything else is false
+function compare(op, left, right) {
+    if (op === '=') return left !== undefined && right !== undefined && sameValue(left, right);
+    if (op === '<>') return !(left !== undefined && right !== undefined && sameValue(left, right));
+
+    const comparable = (typeof left === 'number' && typeof right === 'number')
+        || (typeof left === 'string' && typeof right === 'string');
+    if (!comparable) return false;
+
+    switch (op) {
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        default: return false;
+    }
+}
+
+function evaluateCondition(node, item, context) {
+    switch (node.type) {
+        case 'or':
+            return evaluateCondition(node.left, item, context) || evaluateCondition(node.right, item, context);
+        case 'and':
+            return evaluateCondition(node.left, item, context) && evaluateCondition(node.right, item, context);
+        case 'not':
+            return !evaluateCondition(node.operand, item, context);
+        case 'compare':
+            return compare(node.op, evaluateOperand(node.left, item, context), evaluateOperand(node.right, item, context));
+        case 'between': {
+            const value = evaluateOperand(node.value, item, context);
+            return compare('>=', value, evaluateOperand(node.low, item, context))
+                && compare('<=', value, evaluateOperand(node.high, item, context));
+        }
+        case 'in': {
+            const value = evaluateOperand(node.value, item, context);
+            return node.list.some(candidate => compare('=', value, evaluateOperand(candidate, item, context)));
+        }
+        case 'function':
+            return evaluateConditionFunction(node, item, context);
+        default:
+            throw validationError(`A condition was expected but found ${node.type}`);
+    }
+}
+
+function evaluateConditionFunction(node, item, context) {
+    const [first, second] = node.args;
+    switch (node.name) {
+        case 'attribute_exists':
+            return evaluateOperand(first, item, context) !== undefined;
+        case 'attribute_not_exists':
+            return evaluateOperand(first, item, context) === undefined;
+        case 'begins_with': {
+            const value = evaluateOperand(first, item, context);
+            const prefix = evaluateOperand(second, item, context);
+            return typeof value === 'string' && typeof prefix === 'string' && value.startsWith(prefix);
+        }
+        case 'contains': {
+            const value = evaluateOperand(first, item, context);
+            const operand = evaluateOperand(second, item, context);
+            if (typeof value === 'string') return typeof operand === 'string' && value.includes(operand);
+            if (Array.isArray(value)) return value.some(entry => sameValue(entry, operand));
+            return false;
+        }
+        default:
+            throw validationError(`Invalid function name in a condition: ${node.name}`);
+    }
+}
+
+/**
+ * Test an item against a condition, key condition or filter expression
+ * @param {string} expression - e.g. 'employeeId = :empId AND #date BETWEEN :start AND :end'
+ * @param {Object} item - Plain item (an empty object when the item does not exist)
+ * @param {Object} context - { names, values } from ExpressionAttributeNames / Values
+ */
+function matches(expression, item, context = {}) {
+    return evaluateCondition(parse(expression, 'condition'), item, context);
+}
+
+/**
+ * Apply an update expression to an item in place
+ * @returns {Object} The updated item
+ */
+function applyUpdate(expression, item, context = {}) {
+    const actions = parse(expression, 'update');
+
+    // Every value is read from the item as it was before the update
+    const resolved = actions.map(action => ({
+        ...action,
+        keys: resolveSegments(action.path.segments, context.names),
+        result: action.value ? evaluateOperand(action.value, item, context) : undefined,
+    }));
+
+    for (const { clause, keys, result } of resolved) {
+        const parent = keys.length > 1 ? getPath(item, keys.slice(0, -1)) : item;
+        const last = keys[keys.length - 1];
+        if (parent === null || typeof parent !== 'object') {
+            throw validationError('The document path provided in the update expression is invalid for update');
+        }
+
+        if (clause === 'SET') {
+            if (result === undefined) throw validationError('An operand in the update expression resolved to nothing');
+            parent[last] = result;
+        } else if (clause === 'REMOVE') {
+            if (Array.isArray(parent)) parent.splice(last, 1);
+            else delete parent[last];
+        } else {
+            const current = parent[last];
+            if (current === undefined) parent[last] = result;
+            else if (typeof current === 'number' && typeof result === 'number') parent[last] = current + result;
+            else throw validationError('ADD is only supported for numbers');
+        }
+    }
+
+    return item;
+}
+
+module.exports = {
+    matches,
+    applyUpdate,
+};
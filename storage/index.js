@@ -0,0 +1,27 @@
+/**
+ * Storage backend for the models, selected with STORAGE_BACKEND
+ *   dynamodb (default) - DynamoDB document client from config/aws
+ *   memory             - in-process tables (storage/memoryStore.js), kept in MEMORY_STORE_FILE
+ *                        when set, so the API runs without AWS credentials
+ * Both expose the document client's send(command), so the models build the same commands.
+ */
+
+const BACKENDS = ['dynamodb', 'memory'];
+const BACKEND = (process.env.STORAGE_BACKEND || 'dynamodb').toLowerCase();
+
+if (!BACKENDS.includes(BACKEND)) {
+    throw new Error(`Unknown STORAGE_BACKEND "${process.env.STORAGE_BACKEND}" (expected ${BACKENDS.join(' or ')})`);
+}
+
+let docClient;
+if (BACKEND === 'memory') {
+    const { createMemoryStore } = require('./memoryStore');
+    docClient = createMemoryStore({ file: process.env.MEMORY_STORE_FILE || null });
+} else {
+    docClient = require('../config/aws').docClient;
+}
+
+module.exports = {
+    BACKEND,
+    docClient,
+};
@@ -0,0 +1,340 @@
+/**
+ * In-memory DynamoDB document client
+ * Implements send() for the lib-dynamodb commands the models use (Get, Put, Update, Delete,
+ * Query, Scan, BatchGet, BatchWrite), including condition/filter/update expressions, index
+ * queries and Limit / ExclusiveStartKey paging. Items are plain objects, copied on the way
+ * in and out. With a file, every table is loaded from and written back to JSON.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    GetCommand,
+    PutCommand,
+    UpdateCommand,
+    DeleteCommand,
+    QueryCommand,
+    ScanCommand,
+    BatchGetCommand,
+    BatchWriteCommand,
+} = require('@aws-sdk/lib-dynamodb');
+const { TABLES } = require('./schema');
+const { matches, applyUpdate } = require('./expressions');
+
+const awsError = (name, message) => {
+    const error = new Error(message);
+    error.name = name;
+    error.$metadata = { httpStatusCode: 400 };
+    return error;
+};
+
+// JSON round trip: detaches the copy and drops undefined values like removeUndefinedValues
+const copy = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const isKeyValue = (value) => typeof value === 'string' || typeof value === 'number';
+
+const compareKeyValues = (a, b) => {
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+};
+
+/**
+ * Create an in-memory store
+ * @param {Object} options - { tables: schema definitions, file: JSON file to persist to }
+ */
+function createMemoryStore({ tables = Object.values(TABLES), file = null } = {}) {
+    const definitions = new Map(tables.map(t => [t.tableName, t]));
+    const data = new Map(tables.map(t => [t.tableName, new Map()]));
+
+    // ==================== TABLES ====================
+
+    const getTable = (tableName) => {
+        const definition = definitions.get(tableName);
+        if (!definition) throw awsError('ResourceNotFoundException', `Requested resource not found: Table: ${tableName} not found`);
+        return { definition, items: data.get(tableName) };
+    };
+
+    const keyOf = (definition, key) => {
+        const value = key ? key[definition.key] : undefined;
+        if (!isKeyValue(value)) {
+            throw awsError('ValidationException', `The provided key element does not match the schema (${definition.tableName}.${definition.key})`);
+        }
+        return String(value);
+    };
+
+    const save = () => {
+        if (!file) return;
+        const snapshot = {};
+        data.forEach((items, tableName) => {
+            snapshot[tableName] = Array.from(items.values());
+        });
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(snapshot, null, 2));
+    };
+
+    /**
+     * Replace the contents of the given tables
+     * @param {Object} snapshot - { [tableName]: [items] }
+     */
+    const load = (snapshot) => {
+        Object.entries(snapshot).forEach(([tableName, items]) => {
+            const { definition } = getTable(tableName);
+            const table = new Map();
+            items.forEach(item => table.set(keyOf(definition, item), copy(item)));
+            data.set(tableName, table);
+        });
+    };
+
+    /**
+     * Remove every item from every table
+     */
+    const reset = () => {
+        data.forEach(items => items.clear());
+        save();
+    };
+
+    /**
+     * Copy of every table's items
+     */
+    const dump = () => {
+        const snapshot = {};
+        data.forEach((items, tableName) => {
+            snapshot[tableName] = copy(Array.from(items.values()));
+        });
+        return snapshot;
+    };
+
+    if (file && fs.existsSync(file)) {
+        load(JSON.parse(fs.readFileSync(file, 'utf8')));
+    }
+
+    // ==================== HELPERS ====================
+
+    const context = (input) => ({
+        names: input.ExpressionAttributeNames,
+        values: input.ExpressionAttributeValues,
+    });
+
+    const checkCondition = (input, existing) => {
+        if (input.ConditionExpression && !matches(input.ConditionExpression, existing || {}, context(input))) {
+            throw awsError('ConditionalCheckFailedException', 'The conditional request failed');
+        }
+    };
+
+    const project = (item, input) => {
+        if (!input.ProjectionExpression) return copy(item);
+        const names = input.ExpressionAttributeNames || {};
+        const projected = {};
+        input.ProjectionExpression.split(',').map(p => p.trim()).forEach(attribute => {
+            const name = names[attribute] || attribute;
+            if (item[name] !== undefined) projected[name] = copy(item[name]);
+        });
+        return projected;
+    };
+
+    const keyAttributes = (definition, index, item) => {
+        const key = { [definition.key]: item[definition.key] };
+        if (index) {
+            key[index.hashKey] = item[index.hashKey];
+            if (index.rangeKey) key[index.rangeKey] = item[index.rangeKey];
+        }
+        return key;
+    };
+
+    /**
+     * Read one page from an ordered list of candidates
+     */
+    const readPage = (definition, index, candidates, input) => {
+        let start = 0;
+        if (input.ExclusiveStartKey) {
+            const startKey = keyOf(definition, input.ExclusiveStartKey);
+            const position = candidates.findIndex(item => String(item[definition.key]) === startKey);
+            if (position >= 0) {
+                start = position + 1;
+            } else if (index && index.rangeKey) {
+                // The start item is gone; resume after its sort key
+                const startRange = input.ExclusiveStartKey[index.rangeKey];
+                const descending = input.ScanIndexForward === false;
+                start = candidates.findIndex(item => {
+                    const order = compareKeyValues(item[index.rangeKey], startRange);
+                    return descending ? order < 0 : order > 0;
+                });
+                if (start < 0) start = candidates.length;
+            }
+        }
+
+        const end = input.Limit ? Math.min(start + input.Limit, candidates.length) : candidates.length;
+        const evaluated = candidates.slice(start, end);
+        const items = input.FilterExpression
+            ? evaluated.filter(item => matches(input.FilterExpression, item, context(input)))
+            : evaluated;
+
+        const response = {
+            Count: items.length,
+            ScannedCount: evaluated.length,
+        };
+        if (input.Select !== 'COUNT') {
+            response.Items = items.map(item => project(item, input));
+        }
+        if (end < candidates.length) {
+            response.LastEvaluatedKey = copy(keyAttributes(definition, index, evaluated[evaluated.length - 1]));
+        }
+        return response;
+    };
+
+    const getIndex = (definition, indexName) => {
+        if (!indexName) return null;
+        const index = definition.indexes.find(i => i.indexName === indexName);
+        if (!index) {
+            throw awsError('ValidationException', `The table does not have the specified index: ${indexName}`);
+        }
+        return index;
+    };
+
+    // Items without the index key attributes are not in the index
+    const inIndex = (index, item) => !index
+        || (isKeyValue(item[index.hashKey]) && (!index.rangeKey || isKeyValue(item[index.rangeKey])));
+
+    // ==================== COMMANDS ====================
+
+    const get = (input) => {
+        const { definition, items } = getTable(input.TableName);
+        const item = items.get(keyOf(definition, input.Key));
+        return { Item: item ? project(item, input) : undefined };
+    };
+
+    const put = (input) => {
+        const { definition, items } = getTable(input.TableName);
+        const key = keyOf(definition, input.Item);
+        const existing = items.get(key);
+        checkCondition(input, existing);
+
+        items.set(key, copy(input.Item));
+        save();
+        return input.ReturnValues === 'ALL_OLD' && existing ? { Attributes: copy(existing) } : {};
+    };
+
+    const update = (input) => {
+        const { definition, items } = getTable(input.TableName);
+        const key = keyOf(definition, input.Key);
+        const existing = items.get(key);
+        checkCondition(input, existing);
+
+        const updated = applyUpdate(input.UpdateExpression, copy(existing || input.Key), context(input));
+        if (String(updated[definition.key]) !== key) {
+            throw awsError('ValidationException', `Cannot update attribute ${definition.key}. This attribute is part of the key`);
+        }
+
+        items.set(key, copy(updated));
+        save();
+
+        switch (input.ReturnValues) {
+            case 'ALL_NEW':
+            case 'UPDATED_NEW':
+                return { Attributes: copy(updated) };
+            case 'ALL_OLD':
+            case 'UPDATED_OLD':
+                return existing ? { Attributes: copy(existing) } : {};
+            default:
+                return {};
+        }
+    };
+
+    const remove = (input) => {
+        const { definition, items } = getTable(input.TableName);
+        const key = keyOf(definition, input.Key);
+        const existing = items.get(key);
+        checkCondition(input, existing);
+
+        items.delete(key);
+        save();
+        return input.ReturnValues === 'ALL_OLD' && existing ? { Attributes: copy(existing) } : {};
+    };
+
+    const query = (input) => {
+        const { definition, items } = getTable(input.TableName);
+        const index = getIndex(definition, input.IndexName);
+        if (!input.KeyConditionExpression) {
+            throw awsError('ValidationException', 'Either the KeyConditions or KeyConditionExpression parameter must be specified');
+        }
+
+        const candidates = Array.from(items.values())
+            .filter(item => inIndex(index, item) && matches(input.KeyConditionExpression, item, context(input)));
+        if (index && index.rangeKey) {
+            candidates.sort((a, b) => compareKeyValues(a[index.rangeKey], b[index.rangeKey]));
+        }
+        if (input.ScanIndexForward === false) candidates.reverse();
+
+        return readPage(definition, index, candidates, input);
+    };
+
+    const scan = (input) => {
+        const { definition, items } = getTable(input.TableName);
+        const index = getIndex(definition, input.IndexName);
+        const candidates = Array.from(items.values()).filter(item => inIndex(index, item));
+        return readPage(definition, index, candidates, input);
+    };
+
+    const batchGet = (input) => {
+        const Responses = {};
+        Object.entries(input.RequestItems).forEach(([tableName, request]) => {
+            const { definition, items } = getTable(tableName);
+            Responses[tableName] = request.Keys
+                .map(key => items.get(keyOf(definition, key)))
+                .filter(Boolean)
+                .map(item => project(item, request));
+        });
+        return { Responses, UnprocessedKeys: {} };
+    };
+
+    const batchWrite = (input) => {
+        Object.entries(input.RequestItems).forEach(([tableName, requests]) => {
+            const { definition, items } = getTable(tableName);
+            requests.forEach(request => {
+                if (request.PutRequest) {
+                    items.set(keyOf(definition, request.PutRequest.Item), copy(request.PutRequest.Item));
+                } else if (request.DeleteRequest) {
+                    items.delete(keyOf(definition, request.DeleteRequest.Key));
+                }
+            });
+        });
+        save();
+        return { UnprocessedItems: {} };
+    };
+
+    const handlers = [
+        [GetCommand, get],
+        [PutCommand, put],
+        [UpdateCommand, update],
+        [DeleteCommand, remove],
+        [QueryCommand, query],
+        [ScanCommand, scan],
+        [BatchGetCommand, batchGet],
+        [BatchWriteCommand, batchWrite],
+    ];
+
+    /**
+     * Execute a lib-dynamodb command
+     */
+    const send = async (command) => {
+        const handler = handlers.find(([Command]) => command instanceof Command);
+        if (!handler) {
+            throw awsError('ValidationException', `${command.constructor.name} is not supported by the in-memory store`);
+        }
+        return { ...handler[1](command.input), $metadata: {} };
+    };
+
+    return {
+        send,
+        load: (snapshot) => {
+            load(snapshot);
+            save();
+        },
+        reset,
+        dump,
+    };
+}
+
+module.exports = {
+    createMemoryStore,
+};
@@ -0,0 +1,67 @@
+/**
+ * Table registry - the tables the models use, their primary key and global secondary indexes
+ * Table names follow the same DYNAMODB_*_TABLE env vars as the models. The in-memory
+ * backend and migrate_dynamodb_indexes.js both read their key layout from here.
+ */
+
+const table = (envName, defaultName, key, indexes = []) => ({
+    tableName: process.env[envName] || defaultName,
+    key,
+    indexes,
+});
+
+const TABLES = {
+    employees: table('DYNAMODB_EMPLOYEE_TABLE', 'srm-employee-table', 'employeeId'),
+    branches: table('DYNAMODB_BRANCHES_TABLE', 'srm-branches-table', 'branchId'),
+    attendance: table('DYNAMODB_ATTENDANCE_TABLE', 'srm-attendance-table', 'attendanceId', [
+        { indexName: 'employeeId-date-index', hashKey: 'employeeId', rangeKey: 'date' },
+        { indexName: 'date-index', hashKey: 'date' },
+    ]),
+    locationPings: table('DYNAMODB_LOCATION_PINGS_TABLE', 'srm-location-pings-table', 'pingId', [
+        { indexName: 'employeeId-date-index', hashKey: 'employeeId', rangeKey: 'date' },
+        { indexName: 'date-index', hashKey: 'date' },
+    ]),
+    requests: table('DYNAMODB_REQUEST_TABLE', 'srm-request-table', 'requestId', [
+        { indexName: 'employeeId-createdAt-index', hashKey: 'employeeId', rangeKey: 'createdAt' },
+        { indexName: 'status-createdAt-index', hashKey: 'status', rangeKey: 'createdAt' },
+    ]),
+    leaveLedger: table('DYNAMODB_LEAVE_LEDGER_TABLE', 'srm-leave-ledger-table', 'entryId', [
+        { indexName: 'employeeId-index', hashKey: 'employeeId' },
+    ]),
+    compOff: table('DYNAMODB_COMP_OFF_TABLE', 'srm-comp-off-table', 'creditId', [
+        { indexName: 'employeeId-index', hashKey: 'employeeId' },
+    ]),
+    advanceLedger: table('DYNAMODB_ADVANCE_LEDGER_TABLE', 'srm-advance-ledger-table', 'entryId', [
+        { indexName: 'employeeId-index', hashKey: 'employeeId' },
+    ]),
+    dailySummary: table('DYNAMODB_DAILY_SUMMARY_TABLE', 'srm-daily-summary-table', 'summaryId', [
+        { indexName: 'date-index', hashKey: 'date' },
+    ]),
+    salary: table('DYNAMODB_SALARY_TABLE', 'srm-salary-table', 'salaryId', [
+        { indexName: 'employeeId-index', hashKey: 'employeeId' },
+    ]),
+    salaryStructures: table('DYNAMODB_SALARY_STRUCTURES_TABLE', 'srm-salary-structures-table', 'structureId'),
+    payrollRuns: table('DYNAMODB_PAYROLL_RUNS_TABLE', 'srm-payroll-runs-table', 'runId'),
+    settings: table('DYNAMODB_SETTINGS_TABLE', 'srm-settings-table', 'settingId'),
+    shifts: table('DYNAMODB_SHIFTS_TABLE', 'srm-shifts-table', 'shiftId'),
+    shiftAssignments: table('DYNAMODB_SHIFT_ASSIGNMENTS_TABLE', 'srm-shift-assignments-table', 'assignmentId'),
+    holidays: table('DYNAMODB_HOLIDAYS_TABLE', 'srm-holidays-table', 'holidayId'),
+    delegations: table('DYNAMODB_DELEGATIONS_TABLE', 'srm-approval-delegations-table', 'delegationId'),
+    jobRuns: table('DYNAMODB_JOB_RUNS_TABLE', 'srm-job-runs-table', 'runId'),
+    fieldVisits: table('DYNAMODB_FIELD_VISITS_TABLE', 'srm-field-visits-table', 'visitId', [
+        { indexName: 'employeeId-date-index', hashKey: 'employeeId', rangeKey: 'date' },
+        { indexName: 'date-index', hashKey: 'date' },
+    ]),
+};
+
+/**
+ * Find a table definition by its DynamoDB table name
+ */
+function getTableByName(tableName) {
+    return Object.values(TABLES).find(t => t.tableName === tableName) || null;
+}
+
+module.exports = {
+    TABLES,
+    getTableByName,
+};
@@ -0,0 +1,207 @@
+/**
+ * Model queries against DynamoDB Local
+ * Creates throwaway tables with the indexes from migrate_dynamodb_indexes.js, seeds
+ * them and checks that the models read every page of their queries.
+ *
+ *   docker run -p 8000:8000 amazon/dynamodb-local
+ *   DYNAMODB_ENDPOINT=http://localhost:8000 node --test test_dynamodb_local.js
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+if (!process.env.DYNAMODB_ENDPOINT) {
+    // Never run against a real AWS account
+    console.error('Set DYNAMODB_ENDPOINT to a DynamoDB Local endpoint, e.g. http://localhost:8000');
+    process.exit(1);
+}
+
+process.env.AWS_REGION = process.env.AWS_REGION || 'local';
+process.env.AWS_ACCESS_KEY_ID = process.env.AWS_ACCESS_KEY_ID || 'local';
+process.env.AWS_SECRET_ACCESS_KEY = process.env.AWS_SECRET_ACCESS_KEY || 'local';
+
+// Throwaway table names, set before the models read them
+const SUFFIX = `test-${Date.now()}`;
+const TABLES = {
+    DYNAMODB_ATTENDANCE_TABLE: 'attendanceId',
+    DYNAMODB_LOCATION_PINGS_TABLE: 'pingId',
+    DYNAMODB_REQUEST_TABLE: 'requestId',
+    DYNAMODB_LEAVE_LEDGER_TABLE: 'entryId',
+    DYNAMODB_COMP_OFF_TABLE: 'creditId',
+    DYNAMODB_ADVANCE_LEDGER_TABLE: 'entryId',
+    DYNAMODB_DAILY_SUMMARY_TABLE: 'summaryId',
+    DYNAMODB_EMPLOYEE_TABLE: 'employeeId',
+};
+Object.keys(TABLES).forEach(envName => {
+    process.env[envName] = `srm-${envName.replace('DYNAMODB_', '').toLowerCase()}-${SUFFIX}`;
+});
+
+const { CreateTableCommand, DeleteTableCommand } = require('@aws-sdk/client-dynamodb');
+const { PutCommand, BatchWriteCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoClient, docClient } = require('./config/aws');
+const { INDEXES, ensureIndexes } = require('./migrate_dynamodb_indexes');
+const { queryAll } = require('./utils/dynamoQuery');
+const { getBusinessDate } = require('./utils/timezone');
+const Attendance = require('./models/Attendance');
+const LocationPing = require('./models/LocationPing');
+const Request = require('./models/Request');
+const DailySummary = require('./models/DailySummary');
+const CompOff = require('./models/CompOff');
+const Employee = require('./models/Employee');
+
+const tableName = (envName) => process.env[envName];
+
+const putAll = async (envName, items) => {
+    for (let i = 0; i < items.length; i += 25) {
+        await docClient.send(new BatchWriteCommand({
+            RequestItems: { [tableName(envName)]: items.slice(i, i + 25).map(Item => ({ PutRequest: { Item } })) },
+        }));
+    }
+};
+
+before(async () => {
+    for (const [envName, keyName] of Object.entries(TABLES)) {
+        await dynamoClient.send(new CreateTableCommand({
+            TableName: tableName(envName),
+            KeySchema: [{ AttributeName: keyName, KeyType: 'HASH' }],
+            AttributeDefinitions: [{ AttributeName: keyName, AttributeType: 'S' }],
+            ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 },
+        }));
+    }
+
+    const tableNames = Object.keys(TABLES).map(tableName);
+    const results = await ensureIndexes(dynamoClient, INDEXES.filter(d => tableNames.includes(d.tableName)), { pollMs: 200 });
+    assert.ok(results.every(r => r.status === 'CREATED'));
+});
+
+after(async () => {
+    for (const envName of Object.keys(TABLES)) {
+        await dynamoClient.send(new DeleteTableCommand({ TableName: tableName(envName) }));
+    }
+});
+
+test('migration skips indexes that already exist', async () => {
+    const attendance = INDEXES.filter(d => d.tableName === tableName('DYNAMODB_ATTENDANCE_TABLE'));
+    const results = await ensureIndexes(dynamoClient, attendance, { pollMs: 200 });
+    assert.deepStrictEqual(results.map(r => r.status), ['EXISTS', 'EXISTS']);
+});
+
+test('queryAll follows LastEvaluatedKey across pages', async () => {
+    await putAll('DYNAMODB_ATTENDANCE_TABLE', Array.from({ length: 12 }, (_, i) => ({
+        attendanceId: `page-${i}`,
+        employeeId: 'E-PAGES',
+        date: `2026-01-${String(i + 1).padStart(2, '0')}`,
+        checkInTime: `2026-01-${String(i + 1).padStart(2, '0')}T03:30:00.000Z`,
+        checkOutTime: `2026-01-${String(i + 1).padStart(2, '0')}T12:30:00.000Z`,
+    })));
+
+    const items = await queryAll({
+        TableName: tableName('DYNAMODB_ATTENDANCE_TABLE'),
+        IndexName: 'employeeId-date-index',
+        KeyConditionExpression: 'employeeId = :empId',
+        ExpressionAttributeValues: { ':empId': 'E-PAGES' },
+        Limit: 5, // Three pages
+    });
+    assert.strictEqual(items.length, 12);
+
+    const history = await Attendance.getAttendanceHistory('E-PAGES', 4);
+    assert.deepStrictEqual(history.map(r => r.date), ['2026-01-12', '2026-01-11', '2026-01-10', '2026-01-09']);
+});
+
+test('attendance by date, date range and open session', async () => {
+    await putAll('DYNAMODB_ATTENDANCE_TABLE', [
+        { attendanceId: 'a1', employeeId: 'E1', date: '2026-02-02', checkInTime: '2026-02-02T03:30:00.000Z', checkOutTime: '2026-02-02T12:30:00.000Z' },
+        { attendanceId: 'a2', employeeId: 'E2', date: '2026-02-02', checkInTime: '2026-02-02T03:35:00.000Z', checkOutTime: null },
+        { attendanceId: 'a3', employeeId: 'E1', date: '2026-02-03', checkInTime: '2026-02-03T03:30:00.000Z' },
+        { attendanceId: 'a4', employeeId: 'E1', date: '2026-02-05', checkInTime: '2026-02-05T03:30:00.000Z', checkOutTime: '2026-02-05T12:30:00.000Z' },
+    ]);
+
+    const onDate = await Attendance.getAttendanceByDate('2026-02-02');
+    assert.deepStrictEqual(onDate.map(r => r.attendanceId).sort(), ['a1', 'a2']);
+
+    const inRange = await Attendance.getAttendanceByDateRange('2026-02-02', '2026-02-04');
+    assert.deepStrictEqual(inRange.map(r => r.attendanceId).sort(), ['a1', 'a2', 'a3']);
+
+    // Missing and null checkOutTime both count as open
+    assert.strictEqual((await Attendance.getOpenSession('E1')).attendanceId, 'a3');
+    assert.strictEqual((await Attendance.getOpenSession('E2')).attendanceId, 'a2');
+
+    const closed = await Attendance.checkOut('a3');
+    assert.ok(closed.checkOutTime);
+    assert.strictEqual(await Attendance.getOpenSession('E1'), null);
+
+    assert.strictEqual((await Attendance.updateAttendance('missing', { status: 'x' })), null);
+});
+
+test('pings beyond a 1 MB page are all returned', async () => {
+    const date = getBusinessDate();
+    const padding = 'x'.repeat(4000);
+    await putAll('DYNAMODB_LOCATION_PINGS_TABLE', Array.from({ length: 300 }, (_, i) => ({
+        pingId: `p-${i}`,
+        employeeId: 'E-PING',
+        date,
+        timestamp: new Date(Date.parse(`${date}T00:00:00.000Z`) + i * 60000).toISOString(),
+        isInsideGeofence: i % 2 === 0,
+        padding,
+    })));
+
+    const pings = await LocationPing.getPingsForDate('E-PING', date);
+    assert.strictEqual(pings.length, 300);
+    assert.ok(pings.every((p, i) => i === 0 || pings[i - 1].timestamp <= p.timestamp));
+
+    assert.strictEqual((await LocationPing.getLatestPing('E-PING')).pingId, 'p-299');
+    assert.strictEqual((await LocationPing.getWorkSummary('E-PING', date)).pingsInside, 150);
+
+    const latest = await LocationPing.getAllLatestPings();
+    assert.deepStrictEqual(latest.filter(p => p.employeeId === 'E-PING').map(p => p.pingId), ['p-299']);
+});
+
+test('requests by employee, by status and approved in a date range', async () => {
+    const base = { data: {}, version: 1, versions: [] };
+    await putAll('DYNAMODB_REQUEST_TABLE', [
+        { ...base, requestId: 'r1', employeeId: 'E1', type: 'LEAVE', status: 'APPROVED', createdAt: '2026-03-01T00:00:00.000Z', startDate: '2026-03-10', endDate: '2026-03-12' },
+        { ...base, requestId: 'r2', employeeId: 'E1', type: 'PERMISSION', status: 'APPROVED', createdAt: '2026-03-02T00:00:00.000Z', data: { date: '2026-03-11' } },
+        { ...base, requestId: 'r3', employeeId: 'E1', type: 'LEAVE', status: 'PENDING', createdAt: '2026-03-03T00:00:00.000Z', startDate: '2026-03-20', endDate: '2026-03-20' },
+        { ...base, requestId: 'r4', employeeId: 'E2', type: 'LEAVE', status: 'APPROVED', createdAt: '2026-03-04T00:00:00.000Z', startDate: '2026-04-01', endDate: '2026-04-02' },
+    ]);
+
+    const byEmployee = await Request.getRequestsByEmployee('E1');
+    assert.deepStrictEqual(byEmployee.map(r => r.requestId), ['r3', 'r2', 'r1']);
+
+    const pending = await Request.getAllRequests('PENDING');
+    assert.deepStrictEqual(pending.map(r => r.requestId), ['r3']);
+    assert.strictEqual((await Request.getAllRequests()).length, 4);
+
+    const approved = await Request.getApprovedRequestsByDateRange('2026-03-11', '2026-03-31');
+    assert.deepStrictEqual(approved.map(r => r.requestId).sort(), ['r1', 'r2']);
+
+    const permissions = await Request.getApprovedPermissions('E1', '2026-03-11');
+    assert.deepStrictEqual(permissions.map(r => r.requestId), ['r2']);
+});
+
+test('daily summaries by date range and branch', async () => {
+    await DailySummary.putSummaries([
+        { employeeId: 'E1', date: '2026-05-01', branchId: 'B1', status: ['Present'] },
+        { employeeId: 'E2', date: '2026-05-01', branchId: 'B2', status: ['Absent'] },
+        { employeeId: 'E1', date: '2026-05-02', branchId: 'B1', status: ['Present'] },
+        { employeeId: 'E1', date: '2026-05-04', branchId: 'B1', status: ['Present'] },
+    ]);
+
+    const all = await DailySummary.getSummariesByDateRange('2026-05-01', '2026-05-03');
+    assert.deepStrictEqual(all.map(s => s.summaryId), ['E1#2026-05-01', 'E2#2026-05-01', 'E1#2026-05-02']);
+
+    const branch = await DailySummary.getSummariesByDateRange('2026-05-01', '2026-05-03', 'B2');
+    assert.deepStrictEqual(branch.map(s => s.summaryId), ['E2#2026-05-01']);
+});
+
+test('ledgers by employee and full-table scans', async () => {
+    await docClient.send(new PutCommand({
+        TableName: tableName('DYNAMODB_COMP_OFF_TABLE'),
+        Item: { creditId: 'E1#2026-05-03', employeeId: 'E1', workedDate: '2026-05-03' },
+    }));
+    assert.deepStrictEqual((await CompOff.getCreditsByEmployee('E1')).map(c => c.creditId), ['E1#2026-05-03']);
+    assert.deepStrictEqual(await CompOff.getCreditsByEmployee('E2'), []);
+
+    const padding = 'x'.repeat(8000);
+    await putAll('DYNAMODB_EMPLOYEE_TABLE', Array.from({ length: 150 }, (_, i) => ({ employeeId: `EMP${i}`, padding })));
+    assert.strictEqual((await Employee.getAllEmployees()).length, 150);
+});
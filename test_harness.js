@@ -0,0 +1,337 @@
+/**
+ * Integration test harness
+ * Boots the Express app in-process on the in-memory storage backend, with stand-ins for
+ * the AWS SDK clients (Rekognition, S3, SNS), Firestore and nodemailer, so tests need
+ * neither AWS credentials nor a running server. Require it before anything from the app.
+ *
+ *   const harness = require('./test_harness');
+ *   const { request } = await harness.start();
+ */
+process.env.STORAGE_BACKEND = 'memory';
+delete process.env.MEMORY_STORE_FILE;
+process.env.ENABLE_SCHEDULER = 'false';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.AWS_REGION = 'test';
+process.env.AWS_ACCESS_KEY_ID = 'test';
+process.env.AWS_SECRET_ACCESS_KEY = 'test';
+
+const nodemailer = require('nodemailer');
+const bcrypt = require('bcryptjs');
+const { RekognitionClient } = require('@aws-sdk/client-rekognition');
+const { S3Client } = require('@aws-sdk/client-s3');
+const { SNSClient } = require('@aws-sdk/client-sns');
+
+const stubs = {
+    // image bytes (as text) -> { faceId, employeeId } registered through IndexFaces
+    faces: new Map(),
+    s3Objects: new Map(),
+    smsMessages: [],
+    emails: [],
+    firestore: new Map(), // collection -> Map(id -> data)
+    awsCalls: [],
+};
+
+// ==================== AWS SDK ====================
+
+const awsError = (name, message) => Object.assign(new Error(message), { name, $metadata: { httpStatusCode: 400 } });
+
+/**
+ * Route every instance of an AWS SDK client to handlers keyed by command name
+ * (patched on the prototype, so clients created at module load are covered too)
+ */
+function stubClient(ClientClass, service, handlers) {
+    ClientClass.prototype.send = async function send(command) {
+        const name = command.constructor.name;
+        stubs.awsCalls.push({ service, command: name, input: command.input });
+        const handler = handlers[name];
+        if (!handler) throw awsError('UnknownOperationException', `${service} stand-in does not handle ${name}`);
+        return { $metadata: {}, ...(await handler(command.input)) };
+    };
+}
+
+stubClient(RekognitionClient, 'Rekognition', {
+    ListCollectionsCommand: () => ({ CollectionIds: ['stand-in'] }),
+    CreateCollectionCommand: () => ({ StatusCode: 200 }),
+    IndexFacesCommand: (input) => {
+        const faceId = `face-${input.ExternalImageId}`;
+        stubs.faces.set(Buffer.from(input.Image.Bytes).toString(), { faceId, employeeId: input.ExternalImageId });
+        return { FaceRecords: [{ Face: { FaceId: faceId, Confidence: 99.9, BoundingBox: {} } }] };
+    },
+    SearchFacesByImageCommand: (input) => {
+        const face = stubs.faces.get(Buffer.from(input.Image.Bytes).toString());
+        return {
+            FaceMatches: face
+                ? [{ Similarity: 99.5, Face: { FaceId: face.faceId, ExternalImageId: face.employeeId } }]
+                : [],
+        };
+    },
+    DeleteFacesCommand: (input) => {
+        for (const [image, face] of stubs.faces) {
+            if (input.FaceIds.includes(face.faceId)) stubs.faces.delete(image);
+        }
+        return { DeletedFaces: input.FaceIds };
+    },
+});
+
+stubClient(S3Client, 'S3', {
+    PutObjectCommand: (input) => {
+        stubs.s3Objects.set(`${input.Bucket}/${input.Key}`, { body: input.Body, contentType: input.ContentType });
+        return { ETag: '"stand-in"' };
+    },
+    DeleteObjectCommand: (input) => {
+        stubs.s3Objects.delete(`${input.Bucket}/${input.Key}`);
+        return {};
+    },
+});
+
+stubClient(SNSClient, 'SNS', {
+    PublishCommand: (input) => {
+        stubs.smsMessages.push({ phone: input.PhoneNumber, message: input.Message });
+        return { MessageId: `sms-${stubs.smsMessages.length}` };
+    },
+    SetSMSAttributesCommand: () => ({}),
+});
+
+// ==================== NODEMAILER ====================
+
+nodemailer.createTransport = () => ({
+    sendMail: async (mail) => {
+        stubs.emails.push(mail);
+        return { messageId: `mail-${stubs.emails.length}`, accepted: [mail.to] };
+    },
+    verify: async () => true,
+});
+
+// ==================== FIRESTORE ====================
+
+const SERVER_TIMESTAMP = Symbol('serverTimestamp');
+const increment = (by) => ({ [SERVER_TIMESTAMP]: 'increment', by });
+
+const resolveValue = (value, current) => {
+    if (value === SERVER_TIMESTAMP) return new Date();
+    if (value && value[SERVER_TIMESTAMP] === 'increment') return (current || 0) + value.by;
+    return value;
+};
+
+const collectionData = (name) => {
+    if (!stubs.firestore.has(name)) stubs.firestore.set(name, new Map());
+    return stubs.firestore.get(name);
+};
+
+const snapshotOf = (id, data) => ({
+    id,
+    exists: data !== undefined,
+    data: () => (data === undefined ? undefined : { ...data }),
+});
+
+function docRef(collection, id) {
+    const docs = () => collectionData(collection);
+    return {
+        id,
+        set: async (data) => {
+            const stored = {};
+            Object.entries(data).forEach(([key, value]) => { stored[key] = resolveValue(value); });
+            docs().set(id, stored);
+        },
+        get: async () => snapshotOf(id, docs().get(id)),
+        update: async (updates) => {
+            const stored = docs().get(id);
+            if (!stored) throw Object.assign(new Error(`No document to update: ${collection}/${id}`), { code: 5 });
+            Object.entries(updates).forEach(([path, value]) => {
+                const keys = path.split('.');
+                let target = stored;
+                keys.slice(0, -1).forEach(key => { target = target[key] = target[key] || {}; });
+                const last = keys[keys.length - 1];
+                target[last] = resolveValue(value, target[last]);
+            });
+        },
+        delete: async () => { docs().delete(id); },
+    };
+}
+
+function query(collection, filters = [], order = null) {
+    return {
+        where: (field, op, value) => query(collection, [...filters, { field, op, value }], order),
+        orderBy: (field, direction = 'asc') => query(collection, filters, { field, direction }),
+        get: async () => {
+            let docs = Array.from(collectionData(collection).entries()).filter(([, data]) => filters.every(({ field, op, value }) => {
+                if (op === '==') return data[field] === value;
+                if (op === 'array-contains') return Array.isArray(data[field]) && data[field].includes(value);
+                throw new Error(`Firestore stand-in does not support where(${op})`);
+            }));
+            if (order) {
+                const sign = order.direction === 'desc' ? -1 : 1;
+                docs = docs.sort(([, a], [, b]) => (a[order.field] > b[order.field] ? sign : a[order.field] < b[order.field] ? -sign : 0));
+            }
+            const snapshots = docs.map(([id, data]) => snapshotOf(id, data));
+            return { docs: snapshots, size: snapshots.length, empty: snapshots.length === 0, forEach: (fn) => snapshots.forEach(fn) };
+        },
+    };
+}
+
+const db = {
+    collection: (name) => ({ ...query(name), doc: (id) => docRef(name, id) }),
+    batch: () => {
+        const operations = [];
+        return {
+            set: (ref, data) => operations.push(() => ref.set(data)),
+            update: (ref, data) => operations.push(() => ref.update(data)),
+            delete: (ref) => operations.push(() => ref.delete()),
+            commit: async () => {
+                for (const operation of operations) await operation();
+            },
+        };
+    },
+};
+
+const admin = { firestore: { FieldValue: { serverTimestamp: () => SERVER_TIMESTAMP, increment } } };
+
+const firebasePath = require.resolve('./config/firebase');
+require.cache[firebasePath] = { id: firebasePath, filename: firebasePath, loaded: true, exports: { db, admin } };
+
+// ==================== APP ====================
+
+const app = require('./app');
+const storage = require('./storage');
+const { TABLES } = require('./storage/schema');
+const { signToken } = require('./middleware/auth');
+
+let server = null;
+let baseUrl = null;
+
+/**
+ * Call the API
+ * @param {string} method - HTTP method
+ * @param {string} path - e.g. /api/attendance/check-in
+ * @param {Object} options - { token, body, form (FormData) }
+ * @returns {Object} { status, body, headers } - body is parsed JSON, or the text of any other response
+ */
+async function request(method, path, { token, body, form } = {}) {
+    const headers = {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers,
+        body: form || (body !== undefined ? JSON.stringify(body) : undefined),
+    });
+    const text = await response.text();
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (error) {
+        json = text;
+    }
+    return { status: response.status, body: json, headers: response.headers };
+}
+
+/**
+ * Start the app on a free port
+ */
+async function start() {
+    if (!server) {
+        await new Promise(resolve => {
+            server = app.listen(0, '127.0.0.1', resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    }
+    return { baseUrl, request };
+}
+
+/**
+ * Stop the app
+ */
+async function stop() {
+    if (!server) return;
+    server.closeAllConnections(); // fetch keeps connections alive
+    await new Promise(resolve => server.close(resolve));
+    server = null;
+}
+
+/**
+ * Clear every table and stand-in
+ */
+function reset() {
+    storage.docClient.reset();
+    stubs.faces.clear();
+    stubs.s3Objects.clear();
+    stubs.smsMessages.length = 0;
+    stubs.emails.length = 0;
+    stubs.firestore.clear();
+    stubs.awsCalls.length = 0;
+}
+
+/**
+ * Token for a user without going through login
+ */
+function tokenFor(user) {
+    return signToken(user);
+}
+
+/**
+ * Store items directly, e.g. seed('employees', [{ employeeId: 'E1', ... }])
+ * @param {string} table - Key of storage/schema.js TABLES
+ */
+function seed(table, items) {
+    const { tableName } = TABLES[table];
+    const existing = storage.docClient.dump()[tableName] || [];
+    storage.docClient.load({ [tableName]: [...existing, ...items] });
+}
+
+/**
+ * Seed an active employee with a password they can log in with
+ */
+async function seedEmployee(employee, password = 'secret123') {
+    const item = {
+        status: 'active',
+        role: 'EMPLOYEE',
+        isTracking: false,
+        createdAt: new Date().toISOString(),
+        passwordHash: await bcrypt.hash(password, 4),
+        ...employee,
+    };
+    seed('employees', [item]);
+    return item;
+}
+
+/**
+ * An image the Rekognition stand-in recognises as the employee once registered
+ */
+const faceImage = (employeeId) => Buffer.from(`face:${employeeId}`).toString('base64');
+
+// Location of branch B1 seeded by setupEmployee
+const OFFICE = { latitude: 13.0827, longitude: 80.2707 };
+
+// HR user seeded by setupEmployee
+const HR = { employeeId: 'HR1', name: 'Meena', role: 'HR' };
+
+/**
+ * Seed branch B1, HR and an active employee of B1 with a registered face
+ * @param {string} employeeId
+ * @param {Object} overrides - Employee fields, e.g. { fixedSalary, workMode }
+ * @param {Object} branch - Branch B1 fields, e.g. { timezone, state }
+ * @returns {Object} { employee, token }
+ */
+async function setupEmployee(employeeId = 'E100', overrides = {}, branch = {}) {
+    seed('branches', [{ branchId: 'B1', name: 'T Nagar', state: 'Tamil Nadu', ...OFFICE, radiusMeters: 200, isActive: true, ...branch }]);
+    await seedEmployee(HR);
+    const employee = await seedEmployee({ employeeId, name: 'Ravi', branchId: 'B1', department: 'Sales', ...overrides });
+    stubs.faces.set(`face:${employeeId}`, { faceId: `face-${employeeId}`, employeeId });
+    return { employee, token: tokenFor(employee) };
+}
+
+module.exports = {
+    stubs,
+    start,
+    stop,
+    reset,
+    request,
+    tokenFor,
+    seed,
+    seedEmployee,
+    faceImage,
+    OFFICE,
+    HR,
+    setupEmployee,
+};
@@ -0,0 +1,822 @@
+/**
+ * API integration tests - the Express app in-process with AWS, Firestore and nodemailer stand-ins
+ *
+ *   node --test test_integration.js
+ */
+const harness = require('./test_harness');
+const { test, mock, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const Attendance = require('./models/Attendance');
+const Employee = require('./models/Employee');
+const DailySummary = require('./models/DailySummary');
+const scheduler = require('./jobs/scheduler');
+const { getBusinessDate } = require('./utils/timezone');
+const { computeTripDistance } = require('./utils/tripDistance');
+
+const { stubs, request, tokenFor, seed, seedEmployee, faceImage, OFFICE, HR, setupEmployee } = harness;
+
+const NEARBY = { latitude: 13.0830, longitude: 80.2710 }; // ~45 m from the office
+const FAR_AWAY = { latitude: 13.1500, longitude: 80.3500 }; // ~11 km away
+
+const hrToken = tokenFor(HR);
+
+const today = () => getBusinessDate();
+
+const checkIn = (token, location = NEARBY, employeeId = 'E100') => request('POST', '/api/attendance/check-in', {
+    token,
+    body: { ...location, imageBase64: faceImage(employeeId) },
+});
+
+const checkOut = (token, employeeId = 'E100') => request('POST', '/api/attendance/check-out', {
+    token,
+    body: { imageBase64: faceImage(employeeId) },
+});
+
+const ping = (token, location, employeeId = 'E100') => request('POST', '/api/location/ping', {
+    token,
+    body: { employeeId, ...location },
+});
+
+before(() => harness.start());
+after(() => harness.stop());
+beforeEach(() => harness.reset());
+
+test('onboarding: email and SMS OTP, photo upload, login and face registration', async () => {
+    seed('branches', [{ branchId: 'B1', name: 'T Nagar', latitude: OFFICE.latitude, longitude: OFFICE.longitude, radiusMeters: 200, isActive: true }]);
+
+    const sent = await request('POST', '/api/otp/send', { token: hrToken, body: { email: 'ravi@example.com', employeeName: 'Ravi' } });
+    assert.strictEqual(sent.status, 200);
+    assert.strictEqual(stubs.emails.length, 1);
+    assert.strictEqual(stubs.emails[0].to, 'ravi@example.com');
+    const otp = stubs.emails[0].html.match(/class="otp-code">(\d{6})</)[1];
+
+    const wrong = await request('POST', '/api/otp/verify', { token: hrToken, body: { email: 'ravi@example.com', otp: otp === '000000' ? '111111' : '000000' } });
+    assert.strictEqual(wrong.status, 400);
+    const verified = await request('POST', '/api/otp/verify', { token: hrToken, body: { email: 'ravi@example.com', otp } });
+    assert.strictEqual(verified.body.verified, true);
+
+    const sms = await request('POST', '/api/otp/send-sms', { token: hrToken, body: { phone: '9876543210', employeeName: 'Ravi' } });
+    assert.strictEqual(sms.status, 200);
+    assert.strictEqual(stubs.smsMessages[0].phone, '+919876543210');
+
+    const form = new FormData();
+    form.append('employeeId', 'E100');
+    form.append('name', 'Ravi');
+    form.append('email', 'ravi@example.com');
+    form.append('branchId', 'B1');
+    form.append('photo', new Blob([Buffer.from('jpeg-bytes')], { type: 'image/jpeg' }), 'ravi.jpg');
+    const created = await request('POST', '/api/employees', { token: hrToken, form });
+    assert.strictEqual(created.status, 201, JSON.stringify(created.body));
+    assert.strictEqual(stubs.s3Objects.size, 1);
+    assert.match(created.body.employee.photoUrl, /photos\/E100-/);
+
+    const credentials = await request('PUT', '/api/auth/credentials/E100', { token: hrToken, body: { password: 'secret123' } });
+    assert.strictEqual(credentials.status, 200);
+
+    const login = await request('POST', '/api/auth/login', { body: { employeeId: 'E100', password: 'secret123' } });
+    assert.strictEqual(login.status, 200, JSON.stringify(login.body));
+    assert.strictEqual(login.body.user.employeeId, 'E100');
+
+    const faceBody = { employeeId: 'E100', ...NEARBY, imageBase64: faceImage('E100') };
+    assert.strictEqual((await request('POST', '/api/face/register', { body: faceBody })).status, 401);
+    const someoneElse = tokenFor({ employeeId: 'E200', role: 'EMPLOYEE', branchId: 'B1' });
+    assert.strictEqual((await request('POST', '/api/face/register', { token: someoneElse, body: faceBody })).status, 403);
+
+    const registered = await request('POST', '/api/face/register', { token: login.body.token, body: faceBody });
+    assert.strictEqual(registered.status, 200, JSON.stringify(registered.body));
+    assert.strictEqual((await Employee.getEmployeeById('E100')).faceId, 'face-E100');
+
+    const checkedIn = await checkIn(login.body.token);
+    assert.strictEqual(checkedIn.status, 200, JSON.stringify(checkedIn.body));
+
+    const faceLogin = await request('POST', '/api/auth/face-login', { body: { imageBase64: faceImage('E100') } });
+    assert.strictEqual(faceLogin.body.user.employeeId, 'E100');
+    await Employee.updateEmployee('E100', { role: 'HR' });
+    assert.strictEqual((await request('POST', '/api/auth/face-login', { body: { imageBase64: faceImage('E100') } })).status, 403);
+});
+
+test('check-in and check-out with face verification', async () => {
+    const { token } = await setupEmployee();
+
+    const checkedIn = await checkIn(token);
+    assert.strictEqual(checkedIn.status, 200, JSON.stringify(checkedIn.body));
+    assert.strictEqual(checkedIn.body.tracking, true);
+    assert.strictEqual(checkedIn.body.attendance.date, today());
+
+    const again = await checkIn(token);
+    assert.strictEqual(again.status, 400);
+    assert.match(again.body.message, /Already checked in/);
+
+    const checkedOut = await checkOut(token);
+    assert.strictEqual(checkedOut.status, 200, JSON.stringify(checkedOut.body));
+    assert.ok(checkedOut.body.attendance.checkOutTime);
+    assert.strictEqual(checkedOut.body.tracking, false);
+
+    const noSession = await checkOut(token);
+    assert.strictEqual(noSession.status, 400);
+});
+
+test('check-in is rejected for an unknown face or someone else\'s face', async () => {
+    const { token } = await setupEmployee();
+    await setupEmployee('E200');
+
+    const unknown = await request('POST', '/api/attendance/check-in', {
+        token,
+        body: { ...NEARBY, imageBase64: Buffer.from('not a registered face').toString('base64') },
+    });
+    assert.strictEqual(unknown.status, 404);
+
+    const otherFace = await checkIn(token, NEARBY, 'E200');
+    assert.strictEqual(otherFace.status, 403);
+    assert.strictEqual(await Attendance.getOpenSession('E100'), null);
+});
+
+test('check-in outside the branch geofence is rejected', async () => {
+    const { token } = await setupEmployee();
+
+    const rejected = await checkIn(token, FAR_AWAY);
+    assert.strictEqual(rejected.status, 403);
+    assert.strictEqual(rejected.body.withinRange, false);
+    assert.ok(rejected.body.distance > 200);
+
+    assert.strictEqual(await Attendance.getOpenSession('E100'), null);
+    assert.strictEqual((await Employee.getEmployeeById('E100')).isTracking, false);
+});
+
+test('auto-checkout after consecutive pings outside the geofence', async () => {
+    const { token } = await setupEmployee();
+    assert.strictEqual((await checkIn(token)).status, 200);
+
+    // A ping back inside resets the count
+    for (let i = 0; i < 3; i++) await ping(token, FAR_AWAY);
+    const inside = await ping(token, NEARBY);
+    assert.strictEqual(inside.body.outsideGeofenceCount, 0);
+
+    for (let i = 1; i <= 4; i++) {
+        const outside = await ping(token, FAR_AWAY);
+        assert.strictEqual(outside.status, 200);
+        assert.strictEqual(outside.body.outsideGeofenceCount, i);
+        assert.strictEqual(outside.body.autoCheckedOut, false);
+    }
+
+    const fifth = await ping(token, FAR_AWAY);
+    assert.strictEqual(fifth.body.autoCheckedOut, true);
+    assert.strictEqual(fifth.body.tracking, false);
+
+    assert.strictEqual(await Attendance.getOpenSession('E100'), null);
+    const employee = await Employee.getEmployeeById('E100');
+    assert.strictEqual(employee.isTracking, false);
+    assert.strictEqual(employee.autoCheckoutReason, 'outside_geofence');
+
+    const afterCheckout = await ping(token, FAR_AWAY);
+    assert.strictEqual(afterCheckout.body.tracking, false);
+});
+
+test('leave request approval by HR', async () => {
+    const { token } = await setupEmployee();
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+    const created = await request('POST', '/api/requests', {
+        token,
+        body: { type: 'LEAVE', data: { leaveType: 'SL', fromDate: yesterday, toDate: yesterday, reason: 'Fever' } },
+    });
+    assert.strictEqual(created.status, 201, JSON.stringify(created.body));
+    const { requestId } = created.body.request;
+
+    const own = await request('PUT', `/api/requests/${requestId}/status`, { token, body: { status: 'APPROVED' } });
+    assert.strictEqual(own.status, 403);
+
+    const pending = await request('GET', '/api/requests/pending-approval', { token: hrToken });
+    assert.deepStrictEqual(pending.body.requests.map(r => r.requestId), [requestId]);
+
+    const approved = await request('PUT', `/api/requests/${requestId}/status`, { token: hrToken, body: { status: 'APPROVED', comment: 'Get well soon' } });
+    assert.strictEqual(approved.status, 200, JSON.stringify(approved.body));
+    assert.strictEqual(approved.body.request.status, 'APPROVED');
+
+    const mine = await request('GET', '/api/requests/employee/E100', { token });
+    assert.strictEqual(mine.body.requests[0].status, 'APPROVED');
+
+    const report = await request('GET', `/api/attendance/report?date=${yesterday}`, { token: hrToken });
+    const row = report.body.report.find(r => r.employeeId === 'E100');
+    assert.ok(row.status.some(s => /leave/i.test(s)), JSON.stringify(row));
+});
+
+test('daily and range reports', async () => {
+    const { token } = await setupEmployee();
+    await setupEmployee('E200');
+    assert.strictEqual((await checkIn(token)).status, 200);
+    assert.strictEqual((await checkOut(token)).status, 200);
+
+    const employeeOnly = await request('GET', `/api/attendance/report?date=${today()}`, { token });
+    assert.strictEqual(employeeOnly.status, 403);
+
+    const missingDate = await request('GET', '/api/attendance/report', { token: hrToken });
+    assert.strictEqual(missingDate.status, 400);
+
+    const daily = await request('GET', `/api/attendance/report?date=${today()}&branchId=B1`, { token: hrToken });
+    assert.strictEqual(daily.status, 200);
+    assert.strictEqual(daily.body.total, 2);
+    // Statuses depend on the weekday the suite runs on; punch times do not
+    const present = daily.body.report.find(r => r.employeeId === 'E100');
+    assert.notStrictEqual(present.times.in, '-');
+    assert.notStrictEqual(present.times.out, '-');
+    const absent = daily.body.report.find(r => r.employeeId === 'E200');
+    assert.ok(!absent.times || absent.times.in === '-', JSON.stringify(absent));
+
+    const range = await request('GET', `/api/attendance/report?startDate=${today()}&endDate=${today()}`, { token: hrToken });
+    assert.strictEqual(range.body.type, 'range');
+    assert.strictEqual(range.body.report.find(r => r.employeeId === 'E100').dailyBreakdown.length, 1);
+});
+
+test('business dates and punch times follow the branch timezone', async (t) => {
+    // 23:30 UTC on 2 March is 05:00 on 3 March in Chennai and still 2 March in London
+    mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-02T23:30:00.000Z') });
+    t.after(() => mock.timers.reset());
+
+    const { token } = await setupEmployee();
+    seed('branches', [{ branchId: 'B2', name: 'London', timezone: 'Europe/London', latitude: OFFICE.latitude + 1, longitude: OFFICE.longitude, radiusMeters: 200, isActive: true }]);
+    await seedEmployee({ employeeId: 'E200', name: 'Priya', branchId: 'B2' });
+    stubs.faces.set('face:E200', { faceId: 'face-E200', employeeId: 'E200' });
+    const londonToken = tokenFor({ employeeId: 'E200', role: 'EMPLOYEE', branchId: 'B2' });
+
+    const chennai = await checkIn(token);
+    assert.strictEqual(chennai.status, 200, JSON.stringify(chennai.body));
+    assert.strictEqual(chennai.body.attendance.date, '2026-03-03');
+
+    const london = await checkIn(londonToken, { latitude: OFFICE.latitude + 1, longitude: OFFICE.longitude }, 'E200');
+    assert.strictEqual(london.status, 200, JSON.stringify(london.body));
+    assert.strictEqual(london.body.attendance.date, '2026-03-02');
+
+    const pinged = await ping(token, NEARBY);
+    assert.strictEqual(pinged.body.workMinutes, 1);
+
+    const status = await request('GET', '/api/attendance/status/E100', { token });
+    assert.strictEqual(status.body.status.hasCheckedInToday, true);
+
+    const report = await request('GET', '/api/attendance/report?date=2026-03-03&branchId=B1', { token: hrToken });
+    const row = report.body.report.find(r => r.employeeId === 'E100');
+    assert.match(row.times.in, /^05:00/);
+    assert.ok(row.status.includes('Early in'), JSON.stringify(row));
+});
+
+test('branch zones: polygons allow check-in, deny zones block it', async () => {
+    const rectangle = (west, south, east, north) => ({
+        type: 'Polygon',
+        coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]],
+    });
+    const SHOP_FLOOR = rectangle(80.2700, 13.0820, 80.2720, 13.0835);
+    const PARKING = { latitude: 13.0822, longitude: 80.2717 }; // inside the shop floor rectangle
+    const GODOWN = { latitude: 13.0830, longitude: 80.2755 }; // ~500 m east, outside the 200 m circle
+    const zones = [
+        { name: 'Shop floor', geometry: SHOP_FLOOR },
+        { name: 'Godown', allow: true, geometry: { type: 'MultiPolygon', coordinates: [rectangle(80.2750, 13.0827, 80.2760, 13.0833).coordinates] } },
+        { name: 'Parking', allow: false, geometry: rectangle(80.2715, 13.0820, 80.2720, 13.0825) },
+    ];
+
+    const openRing = await request('POST', '/api/branches', {
+        token: hrToken,
+        body: { name: 'Factory', ...OFFICE, zones: [{ name: 'Shop floor', geometry: { type: 'Polygon', coordinates: [SHOP_FLOOR.coordinates[0].slice(0, 4)] } }] },
+    });
+    assert.strictEqual(openRing.status, 400);
+
+    const created = await request('POST', '/api/branches', { token: hrToken, body: { name: 'Factory', ...OFFICE, radiusMeters: 200, zones } });
+    assert.strictEqual(created.status, 201, JSON.stringify(created.body));
+    const { branchId } = created.body.branch;
+    assert.strictEqual(created.body.branch.zones[0].allow, true);
+
+    await seedEmployee({ employeeId: 'E100', name: 'Ravi', branchId });
+    const token = tokenFor({ employeeId: 'E100', role: 'EMPLOYEE', branchId });
+
+    const register = await request('POST', '/api/face/register', { token, body: { employeeId: 'E100', ...PARKING, imageBase64: faceImage('E100') } });
+    assert.strictEqual(register.status, 403);
+    assert.strictEqual(register.body.deniedZone, 'Parking');
+    assert.strictEqual((await request('POST', '/api/face/register', { token, body: { employeeId: 'E100', ...GODOWN, imageBase64: faceImage('E100') } })).status, 200);
+
+    const inGodown = await request('POST', '/api/location/validate', { token, body: GODOWN });
+    assert.strictEqual(inGodown.body.withinRange, true);
+    assert.strictEqual(inGodown.body.zone, 'Godown');
+    const inParking = await request('POST', '/api/location/validate', { token, body: PARKING });
+    assert.strictEqual(inParking.body.withinRange, false);
+    assert.match(inParking.body.message, /restricted area \(Parking\)/);
+
+    const blocked = await checkIn(token, PARKING);
+    assert.strictEqual(blocked.status, 403);
+    assert.strictEqual(blocked.body.deniedZone, 'Parking');
+    const outside = await checkIn(token, FAR_AWAY);
+    assert.strictEqual(outside.status, 403);
+    assert.ok(outside.body.distance > 1000);
+
+    const checkedIn = await checkIn(token, GODOWN);
+    assert.strictEqual(checkedIn.status, 200, JSON.stringify(checkedIn.body));
+    assert.strictEqual(checkedIn.body.attendance.checkInZone, 'Godown');
+
+    const onFloor = await ping(token, NEARBY);
+    assert.strictEqual(onFloor.body.ping.isInsideGeofence, true);
+    assert.strictEqual(onFloor.body.ping.zone, 'Shop floor');
+    assert.strictEqual((await ping(token, PARKING)).body.ping.isInsideGeofence, false);
+});
+
+test('GPS spoofing checks: mock and low-accuracy readings, accuracy edge, impossible travel and HR review', async () => {
+    const { token } = await setupEmployee();
+    const EDGE = { latitude: 13.0846, longitude: 80.2707 }; // ~210 m north, just past the 200 m radius
+
+    const mocked = await checkIn(token, { ...NEARBY, accuracy: 10, isMocked: true });
+    assert.strictEqual(mocked.status, 403);
+    assert.deepStrictEqual(mocked.body.riskFlags, ['MOCK_LOCATION']);
+    const blurry = await checkIn(token, { ...NEARBY, accuracy: 500 });
+    assert.strictEqual(blurry.status, 403);
+    assert.match(blurry.body.message, /accuracy is too low/);
+    assert.strictEqual((await checkIn(token, { ...EDGE, accuracy: 5 })).status, 403);
+
+    const edge = await checkIn(token, { ...EDGE, accuracy: 50, provider: 'GPS', altitude: 12 });
+    assert.strictEqual(edge.status, 200, JSON.stringify(edge.body));
+    const session = await Attendance.getOpenSession('E100');
+    assert.strictEqual(session.checkInReading.provider, 'gps');
+    assert.strictEqual(session.fraudRisk.score, 10);
+    assert.strictEqual(session.fraudRisk.reviewStatus, null);
+
+    // ~11 km within seconds of the check-in
+    const jump = await ping(token, { ...FAR_AWAY, accuracy: 20 });
+    assert.deepStrictEqual(jump.body.ping.riskFlags, ['OUTSIDE_ACCURACY', 'IMPOSSIBLE_TRAVEL']);
+    // A mocked ping is recorded but does not count towards auto-checkout
+    const spoofed = await ping(token, { ...NEARBY, accuracy: 10, isMocked: true });
+    assert.strictEqual(spoofed.body.ping.isInsideGeofence, false);
+    assert.strictEqual(spoofed.body.outsideGeofenceCount, 1);
+
+    const flagged = await Attendance.getOpenSession('E100');
+    assert.strictEqual(flagged.fraudRisk.score, 100);
+    assert.strictEqual(flagged.fraudRisk.reviewStatus, 'PENDING');
+
+    const range = `startDate=${today()}&endDate=${today()}`;
+    const otherManager = tokenFor({ employeeId: 'M2', role: 'BRANCH_MANAGER', branchId: 'B2' });
+    assert.strictEqual((await request('GET', `/api/attendance/fraud-review?${range}`, { token: otherManager })).body.total, 0);
+    const queue = await request('GET', `/api/attendance/fraud-review?${range}&status=PENDING`, { token: hrToken });
+    assert.strictEqual(queue.body.total, 1);
+    assert.strictEqual(queue.body.sessions[0].name, 'Ravi');
+
+    assert.strictEqual((await request('PUT', `/api/attendance/${flagged.attendanceId}/fraud-review`, { token, body: { status: 'CLEARED' } })).status, 403);
+    const cleared = await request('PUT', `/api/attendance/${flagged.attendanceId}/fraud-review`, {
+        token: hrToken,
+        body: { status: 'CLEARED', note: 'Phone GPS glitch, confirmed with manager' },
+    });
+    assert.strictEqual(cleared.status, 200, JSON.stringify(cleared.body));
+    assert.strictEqual(cleared.body.attendance.fraudRisk.reviewedBy, 'HR1');
+
+    // Flags HR already reviewed do not reopen the review
+    await ping(token, { ...FAR_AWAY, accuracy: 20 });
+    assert.strictEqual((await Attendance.getOpenSession('E100')).fraudRisk.reviewStatus, 'CLEARED');
+
+    const badRules = await request('PUT', '/api/settings/location-risk', { token: hrToken, body: { rules: { reviewScore: 0 } } });
+    assert.strictEqual(badRules.status, 400);
+    await request('PUT', '/api/settings/location-risk', { token: hrToken, body: { rules: { rejectMocked: false } } });
+    const settings = await request('GET', '/api/settings/location-risk', { token });
+    assert.strictEqual(settings.body.settings.rules.rejectMocked, false);
+    assert.strictEqual(settings.body.settings.rules.maxAccuracyMeters, 100);
+});
+
+test('field duty: visit plans, photo check-ins at customers, no geofence auto-checkout and a trip log', async (t) => {
+    mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-03T04:00:00.000Z') });
+    t.after(() => mock.timers.reset());
+    const { token } = await setupEmployee('E100', { workMode: 'FIELD_SALES' });
+    await seedEmployee({ employeeId: 'E200', name: 'Priya', branchId: 'B1' });
+
+    // Heading north from FAR_AWAY, ~500 m a minute
+    const stop = (n) => ({ latitude: FAR_AWAY.latitude + n * 0.0045, longitude: FAR_AWAY.longitude });
+    const plan = (employeeId) => request('POST', '/api/field/visits', {
+        token: hrToken,
+        body: {
+            employeeId,
+            date: '2026-03-03',
+            visits: [
+                { name: 'Lakshmi Stores', ...stop(2), radiusMeters: 100 },
+                { name: 'Anna Nagar Distributor', kind: 'DISTRIBUTOR', ...stop(8) },
+            ],
+        },
+    });
+    assert.strictEqual((await plan('E200')).status, 400);
+    const planned = await plan('E100');
+    assert.strictEqual(planned.status, 201, JSON.stringify(planned.body));
+    const [shop, distributor] = planned.body.visits;
+
+    const visitCheckIn = (body) => request('POST', '/api/field/visits/check-in', {
+        token,
+        body: { accuracy: 10, photoBase64: `data:image/png;base64,${faceImage('E100')}`, ...body },
+    });
+    assert.strictEqual((await visitCheckIn({ visitId: shop.visitId, ...stop(2) })).status, 400);
+
+    const onDuty = await checkIn(token, { ...stop(0), type: 'TRAVEL', accuracy: 10 });
+    assert.strictEqual(onDuty.status, 200, JSON.stringify(onDuty.body));
+    assert.strictEqual(onDuty.body.attendance.type, 'TRAVEL');
+
+    for (let n = 1; n <= 6; n++) {
+        mock.timers.tick(60 * 1000);
+        const pinged = await ping(token, { ...stop(n), accuracy: 10 });
+        assert.strictEqual(pinged.body.autoCheckedOut, false);
+        assert.strictEqual(pinged.body.fieldDuty, true);
+        assert.deepStrictEqual(pinged.body.ping.riskFlags, []);
+    }
+    assert.strictEqual((await Employee.getEmployeeById('E100')).isTracking, true);
+
+    const tooFar = await visitCheckIn({ visitId: shop.visitId, ...stop(6) });
+    assert.strictEqual(tooFar.status, 403);
+    const atShop = await visitCheckIn({ visitId: shop.visitId, ...stop(2) });
+    assert.strictEqual(atShop.status, 200, JSON.stringify(atShop.body));
+    assert.ok(stubs.s3Objects.has(`srm-face-liveness-images/field-visits/E100/${shop.visitId}.png`));
+    assert.strictEqual((await visitCheckIn({ visitId: distributor.visitId, ...stop(8) })).status, 409);
+
+    mock.timers.tick(20 * 60 * 1000);
+    const done = await request('POST', `/api/field/visits/${shop.visitId}/check-out`, { token, body: { outcome: 'Order placed' } });
+    assert.strictEqual(done.body.visit.status, 'COMPLETED');
+    assert.strictEqual(done.body.visit.durationMinutes, 20);
+
+    const unplanned = await visitCheckIn({ name: 'Tea stall', kind: 'OTHER', ...stop(2) });
+    assert.strictEqual(unplanned.status, 200, JSON.stringify(unplanned.body));
+    assert.strictEqual(unplanned.body.visit.planned, false);
+
+    const trip = await request('GET', '/api/field/trips/E100?date=2026-03-03', { token });
+    assert.strictEqual(trip.status, 200);
+    assert.strictEqual(trip.body.sessions.length, 1);
+    assert.strictEqual(trip.body.pingCount, 6);
+    assert.ok(trip.body.distanceKm > 2 && trip.body.distanceKm < 3, String(trip.body.distanceKm));
+    assert.deepStrictEqual(trip.body.summary, { planned: 2, completed: 1, inProgress: 1, missed: 0, cancelled: 0, unplanned: 1 });
+
+    assert.strictEqual((await request('DELETE', `/api/field/visits/${distributor.visitId}`, { token })).status, 403);
+    assert.strictEqual((await request('DELETE', `/api/field/visits/${distributor.visitId}`, { token: hrToken })).body.visit.status, 'CANCELLED');
+    const overview = await request('GET', '/api/field/visits?date=2026-03-03', { token: hrToken });
+    assert.strictEqual(overview.body.total, 1);
+    assert.strictEqual(overview.body.routes[0].summary.cancelled, 1);
+
+    // A planned visit nobody checked in at is missed once its day is over (Ravi's token has expired by then)
+    const tomorrow = await request('POST', '/api/field/visits', { token: hrToken, body: { employeeId: 'E100', date: '2026-03-04', visits: [{ name: 'Kumar Traders', ...stop(3) }] } });
+    assert.strictEqual(tomorrow.status, 201, JSON.stringify(tomorrow.body));
+    mock.timers.tick(2 * 24 * 60 * 60 * 1000);
+    const list = await request('GET', '/api/field/visits/E100?date=2026-03-04', { token: hrToken });
+    assert.strictEqual(list.body.visits[0].status, 'MISSED');
+});
+
+test('trip distance filters GPS noise, and a travel claim built from it is paid with the salary', async (t) => {
+    mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-03T03:30:00.000Z') });
+    t.after(() => mock.timers.reset());
+    const { employee, token } = await setupEmployee('E100', { workMode: 'FIELD_SALES', fixedSalary: 31000 });
+    const at = (n, jitter = 0) => ({ latitude: FAR_AWAY.latitude + n * 0.0045 + jitter, longitude: FAR_AWAY.longitude, accuracy: 10 });
+
+    assert.strictEqual((await checkIn(token, { ...at(0), type: 'TRAVEL' })).status, 200);
+    const trail = [
+        ...[1, 2, 3, 4, 5].map(n => at(n)), // ~500 m a minute
+        at(5, 0.00005), at(5, -0.00004), at(5), // standing still, drifting a few meters
+        { ...at(5), latitude: FAR_AWAY.latitude + 0.07 }, // a bad fix ~6 km away
+        at(5),
+    ];
+    for (const point of trail) {
+        mock.timers.tick(60 * 1000);
+        await ping(token, point);
+    }
+    mock.timers.tick(30 * 60 * 1000); // no signal for half an hour
+    await ping(token, at(8));
+    mock.timers.tick(60 * 1000);
+    assert.strictEqual((await checkOut(token)).status, 200);
+
+    const trip = await request('GET', '/api/field/trips/E100?date=2026-03-03', { token });
+    assert.ok(trip.body.distanceKm > 3.4 && trip.body.distanceKm < 3.6, String(trip.body.distanceKm));
+    assert.strictEqual(trip.body.jitterPings, 4);
+    assert.strictEqual(trip.body.spikePings, 1);
+    assert.strictEqual(trip.body.gaps.length, 1);
+    assert.strictEqual(trip.body.gaps[0].minutes, 30);
+
+    assert.strictEqual((await request('PUT', '/api/settings/travel-allowance', { token: hrToken, body: { rules: { ratePerKm: -1 } } })).status, 400);
+    await request('PUT', '/api/settings/travel-allowance', { token: hrToken, body: { rules: { ratePerKm: 5 } } });
+
+    const claim = (body, claimToken) => request('POST', '/api/requests', { token: claimToken, body: { type: 'TRAVEL_CLAIM', data: body } });
+    assert.match((await claim({ fromDate: '2026-03-03', toDate: '2026-03-03' }, token)).body.message, /days that are over/);
+
+    mock.timers.tick(24 * 60 * 60 * 1000);
+    const nextDayToken = tokenFor(employee);
+    const distance = await request('GET', '/api/field/distance/E100?startDate=2026-03-01&endDate=2026-03-04', { token: nextDayToken });
+    assert.strictEqual(distance.body.totals.days, 1);
+    const { claimableKm, amount } = distance.body.days[0];
+    assert.strictEqual(amount, Math.round(claimableKm * 5 * 100) / 100);
+
+    assert.strictEqual((await claim({ fromDate: '2026-03-01', toDate: '2026-03-03', distanceKm: 100 }, nextDayToken)).status, 400);
+    const raised = await claim({ fromDate: '2026-03-01', toDate: '2026-03-03' }, nextDayToken);
+    assert.strictEqual(raised.status, 201, JSON.stringify(raised.body));
+    assert.strictEqual(raised.body.request.data.distanceKm, claimableKm);
+    assert.strictEqual(raised.body.request.data.amount, amount);
+    assert.match((await claim({ fromDate: '2026-03-03', toDate: '2026-03-03' }, nextDayToken)).body.message, /already been claimed/);
+
+    const approved = await request('PUT', `/api/requests/${raised.body.request.requestId}/status`, { token: hrToken, body: { status: 'APPROVED' } });
+    assert.strictEqual(approved.body.request.status, 'APPROVED', JSON.stringify(approved.body));
+
+    const salary = await request('GET', '/api/salary/calculate/E100?month=3&year=2026', { token: hrToken });
+    const { payslip } = salary.body;
+    assert.deepStrictEqual(payslip.reimbursements.map(r => r.amount), [amount]);
+    assert.ok(!payslip.earnings.some(e => e.code === 'TRAVEL'));
+    assert.strictEqual(payslip.netPay, Math.round((payslip.grossPay - payslip.totalDeductions + amount) * 100) / 100);
+});
+
+test('trip distance: speed is measured from the last good fix, and a run of agreeing spikes restarts the trail', () => {
+    const start = Date.parse('2026-03-03T04:00:00.000Z');
+    // meters north of the start, seconds after it
+    const fix = (meters, seconds, accuracy = 10) => ({
+        latitude: 13 + meters / 111195,
+        longitude: 80,
+        accuracy,
+        timestamp: new Date(start + seconds * 1000).toISOString(),
+    });
+
+    // A drifting fix 100 m out is the last good fix; the next one, 200 m on 6 s later, is 120 km/h from it
+    // (though 180 km/h from the anchor, 300 m back)
+    const fromLastFix = computeTripDistance([fix(0, 0, 60), fix(100, 60, 60), fix(300, 66)]);
+    assert.strictEqual(fromLastFix.jitterPings, 1);
+    assert.strictEqual(fromLastFix.spikePings, 0);
+    assert.strictEqual(fromLastFix.distanceMeters, 300);
+
+    // A lone jump of 10 km is dropped
+    const lone = computeTripDistance([fix(0, 0), fix(10000, 60), fix(500, 120)]);
+    assert.strictEqual(lone.spikePings, 1);
+    assert.strictEqual(lone.distanceMeters, 500);
+
+    // Three fixes in a row near 10 km agree with each other: the start was the bad fix, so the trail moves
+    // there without counting the jump, and carries on from it
+    const relocated = computeTripDistance([fix(0, 0), fix(10000, 60), fix(10100, 120), fix(10200, 180), fix(10700, 240)]);
+    assert.strictEqual(relocated.spikePings, 2);
+    assert.strictEqual(relocated.usedPings, 3);
+    assert.strictEqual(relocated.distanceMeters, 500);
+
+    // Spikes scattered in different places never add up to a run
+    const scattered = computeTripDistance([fix(0, 0), fix(10000, 60), fix(-10000, 120), fix(10000, 180), fix(100, 240)]);
+    assert.strictEqual(scattered.spikePings, 3);
+    assert.strictEqual(scattered.distanceMeters, 100);
+});
+
+test('chat messages go through the Firestore stand-in, for group members only', async () => {
+    const { token } = await setupEmployee();
+    const outsider = tokenFor(await seedEmployee({ employeeId: 'E200', name: 'Lakshmi', branchId: 'B1' }));
+
+    const group = await request('POST', '/api/chat/groups', { token: hrToken, body: { name: 'Sales', members: ['E100'], createdBy: 'HR1' } });
+    assert.strictEqual(group.status, 201, JSON.stringify(group.body));
+    const groupId = group.body.data.id;
+
+    // The sender comes from the token, not the body
+    const sent = await request('POST', `/api/chat/groups/${groupId}/messages`, { token, body: { senderId: 'HR1', senderName: 'Meena', content: 'Hello' } });
+    assert.ok(sent.status < 300, JSON.stringify(sent.body));
+    assert.strictEqual(sent.body.data.senderId, 'E100');
+    assert.strictEqual(sent.body.data.senderName, 'Ravi');
+
+    const messages = await request('GET', `/api/chat/groups/${groupId}/messages`, { token });
+    assert.deepStrictEqual(messages.body.data.map(m => m.content), ['Hello']);
+    assert.strictEqual((await request('GET', `/api/chat/groups/${groupId}/messages`, { token: hrToken })).status, 200);
+
+    assert.strictEqual((await request('GET', `/api/chat/groups/${groupId}/messages`, { token: outsider })).status, 403);
+    assert.strictEqual((await request('POST', `/api/chat/groups/${groupId}/messages`, { token: outsider, body: { content: 'Hi' } })).status, 403);
+    assert.strictEqual((await request('GET', '/api/chat/groups/missing/messages', { token })).status, 404);
+
+    const groups = await request('GET', '/api/chat/groups/E100', { token });
+    assert.strictEqual(groups.body.data[0].lastMessage, 'Hello');
+});
+
+test('comp-off: a worked Sunday earns a credit that approval consumes and cancellation restores', async (t) => {
+    mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-01T03:30:00.000Z') }); // Sunday, 09:00 in Chennai
+    t.after(() => mock.timers.reset());
+    const { employee } = await setupEmployee();
+
+    assert.strictEqual((await checkIn(tokenFor(employee))).status, 200);
+    mock.timers.tick(7 * 60 * 60 * 1000);
+    assert.strictEqual((await checkOut(tokenFor(employee))).status, 200);
+
+    // Credits are earned once the day is over
+    mock.timers.setTime(new Date('2026-03-02T04:00:00.000Z').getTime());
+    const token = tokenFor(employee);
+    const compOff = async () => (await request('GET', '/api/leave/comp-off/E100', { token })).body;
+    const earned = await compOff();
+    assert.strictEqual(earned.availableDays, 1, JSON.stringify(earned));
+    assert.strictEqual(earned.available[0].workedDate, '2026-03-01');
+
+    const raised = await request('POST', '/api/requests', { token, body: { type: 'COMP_OFF', data: { fromDate: '2026-03-04', reason: 'Family function' } } });
+    assert.strictEqual(raised.status, 201, JSON.stringify(raised.body));
+    assert.strictEqual((await compOff()).availableAfterPending, 0);
+    assert.match((await request('POST', '/api/requests', { token, body: { type: 'COMP_OFF', data: { fromDate: '2026-03-05' } } })).body.message, /comp-off/i);
+
+    const { requestId } = raised.body.request;
+    assert.strictEqual((await request('PUT', `/api/requests/${requestId}/status`, { token: hrToken, body: { status: 'APPROVED' } })).status, 200);
+    const used = await compOff();
+    assert.strictEqual(used.availableDays, 0);
+    assert.strictEqual(used.used.length, 1);
+
+    assert.strictEqual((await request('PUT', `/api/requests/${requestId}/status`, { token: hrToken, body: { status: 'CANCELLED' } })).status, 200);
+    assert.strictEqual((await compOff()).availableDays, 1);
+});
+
+test('regularization: approval corrects a missed punch-out or adds a missed session, and cancelling restores the punches', async (t) => {
+    mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-02T03:30:00.000Z') }); // Monday, 09:00 in Chennai
+    t.after(() => mock.timers.reset());
+    const { employee } = await setupEmployee();
+    const session = (await checkIn(tokenFor(employee))).body.attendance;
+
+    mock.timers.setTime(new Date('2026-03-03T04:00:00.000Z').getTime());
+    const token = tokenFor(employee);
+    const regularize = (data) => request('POST', '/api/requests', { token, body: { type: 'REGULARIZATION', data } });
+    const decide = (requestId, status) => request('PUT', `/api/requests/${requestId}/status`, { token: hrToken, body: { status } });
+
+    assert.match((await regularize({ date: '2026-03-02', checkOutTime: '2026-03-02T12:30:00.000Z' })).body.message, /reason/);
+    const punchOut = await regularize({ attendanceId: session.attendanceId, date: '2026-03-02', checkOutTime: '2026-03-02T12:30:00.000Z', reason: 'Forgot to punch out' });
+    assert.strictEqual(punchOut.status, 201, JSON.stringify(punchOut.body));
+    assert.strictEqual((await decide(punchOut.body.request.requestId, 'APPROVED')).status, 200);
+    const corrected = await Attendance.getAttendanceById(session.attendanceId);
+    assert.strictEqual(corrected.checkOutTime, '2026-03-02T12:30:00.000Z');
+    assert.strictEqual(corrected.regularized, true);
+    assert.strictEqual(corrected.regularization.original.checkOutTime, null);
+
+    // Friday with no punches at all
+    const missed = await regularize({ date: '2026-02-27', checkInTime: '2026-02-27T03:30:00.000Z', checkOutTime: '2026-02-27T12:30:00.000Z', reason: 'Phone was dead' });
+    assert.strictEqual((await decide(missed.body.request.requestId, 'APPROVED')).status, 200);
+    const [added] = await Attendance.getEmployeeAttendanceForDate('E100', '2026-02-27');
+    assert.strictEqual(added.verificationMethod, 'regularization');
+    const report = await request('GET', '/api/attendance/report?date=2026-02-27&branchId=B1', { token: hrToken });
+    assert.ok(!report.body.report.find(r => r.employeeId === 'E100').status.includes('Absent'));
+
+    assert.strictEqual((await decide(punchOut.body.request.requestId, 'CANCELLED')).status, 200);
+    const reverted = await Attendance.getAttendanceById(session.attendanceId);
+    assert.ok(!reverted.checkOutTime);
+    assert.ok(!reverted.regularized);
+});
+
+test('regularization: cancelling restores the times the session had when it was approved, not when it was raised', async (t) => {
+    mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-02T03:30:00.000Z') }); // Monday, 09:00 in Chennai
+    t.after(() => mock.timers.reset());
+    const { employee } = await setupEmployee();
+    const session = (await checkIn(tokenFor(employee))).body.attendance;
+
+    mock.timers.setTime(new Date('2026-03-02T14:00:00.000Z').getTime());
+    const token = tokenFor(employee);
+    const raised = await request('POST', '/api/requests', {
+        token,
+        body: { type: 'REGULARIZATION', data: { attendanceId: session.attendanceId, date: '2026-03-02', checkOutTime: '2026-03-02T13:30:00.000Z', reason: 'Stayed for stock count' } },
+    });
+    assert.strictEqual(raised.status, 201, JSON.stringify(raised.body));
+    assert.strictEqual(raised.body.request.data.original.checkOutTime, null);
+
+    // The end-of-day job closes the session at the shift end before HR gets to the request
+    await Attendance.systemCloseSession(await Attendance.getAttendanceById(session.attendanceId), '2026-03-02T12:30:00.000Z', 'SHIFT_END');
+    const { requestId } = raised.body.request;
+    const decide = (status) => request('PUT', `/api/requests/${requestId}/status`, { token: hrToken, body: { status } });
+    assert.strictEqual((await decide('APPROVED')).status, 200);
+    const corrected = await Attendance.getAttendanceById(session.attendanceId);
+    assert.strictEqual(corrected.checkOutTime, '2026-03-02T13:30:00.000Z');
+    assert.strictEqual(corrected.regularization.original.checkOutTime, '2026-03-02T12:30:00.000Z');
+
+    assert.strictEqual((await decide('CANCELLED')).status, 200);
+    const reverted = await Attendance.getAttendanceById(session.attendanceId);
+    assert.strictEqual(reverted.checkOutTime, '2026-03-02T12:30:00.000Z');
+    assert.strictEqual(reverted.systemClosed, true);
+    assert.ok(!reverted.regularized);
+});
+
+test('end-of-day job: closes sessions left open at shift end, marks no-shows absent, and runs once per branch and day', async (t) => {
+    mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-02T03:30:00.000Z') }); // Monday, 09:00 in Chennai
+    t.after(() => mock.timers.reset());
+    const { token } = await setupEmployee();
+    await seedEmployee({ employeeId: 'E200', name: 'Priya', branchId: 'B1' });
+    const session = (await checkIn(token)).body.attendance;
+    assert.strictEqual((await Employee.getEmployeeById('E100')).isTracking, true);
+
+    // 23:35 in Chennai, past the 23:30 run time
+    mock.timers.setTime(new Date('2026-03-02T18:05:00.000Z').getTime());
+    await scheduler.tick();
+    await scheduler.tick();
+
+    const closed = await Attendance.getAttendanceById(session.attendanceId);
+    assert.strictEqual(closed.checkOutTime, '2026-03-02T12:30:00.000Z'); // 18:00 shift end
+    assert.strictEqual(closed.systemClosed, true);
+    assert.strictEqual((await Employee.getEmployeeById('E100')).isTracking, false);
+
+    const report = await request('GET', '/api/attendance/report?date=2026-03-02&branchId=B1', { token: hrToken });
+    assert.ok(report.body.report.find(r => r.employeeId === 'E200').status.includes('Absent'));
+    assert.ok(!report.body.report.find(r => r.employeeId === 'E100').status.includes('Absent'));
+
+    const runs = (await request('GET', '/api/jobs/runs?jobName=end-of-day&date=2026-03-02', { token: hrToken })).body.runs;
+    const branchRuns = runs.filter(r => r.scopeId === 'B1');
+    assert.strictEqual(branchRuns.length, 1, JSON.stringify(runs));
+    assert.strictEqual(branchRuns[0].status, 'COMPLETED');
+    assert.strictEqual(branchRuns[0].result.closedSessions, 1);
+    assert.strictEqual(branchRuns[0].result.absent, 1);
+});
+
+test('employee edits that change their calendar rewrite the stored summaries of the open months', async (t) => {
+    mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-12T06:00:00.000Z') }); // Thursday
+    t.after(() => mock.timers.reset());
+    await setupEmployee('E100', { joinedDate: '2025-01-01' });
+    const hr = tokenFor(HR);
+    const statusOn = async (date) => {
+        const rows = await DailySummary.getSummariesByDateRange(date, date);
+        return rows.find(r => r.employeeId === 'E100').status;
+    };
+    const update = (body) => request('PUT', '/api/employees/E100', { token: hr, body });
+
+    const rebuilt = await request('POST', '/api/attendance/summaries/rebuild', { token: hr, body: { startDate: '2026-02-01', endDate: '2026-03-11' } });
+    assert.strictEqual(rebuilt.status, 200, JSON.stringify(rebuilt.body));
+    assert.deepStrictEqual(await statusOn('2026-03-10'), ['Absent']);
+
+    // Tuesdays off from now on
+    assert.strictEqual((await update({ weeklyOff: { days: [2] } })).status, 200);
+    assert.deepStrictEqual(await statusOn('2026-03-10'), ['Week off']);
+    assert.deepStrictEqual(await statusOn('2026-02-03'), ['Week off']);
+
+    // Moving branch restamps the rows
+    seed('branches', [{ branchId: 'B2', name: 'Adyar', state: 'Tamil Nadu', latitude: 13.0012, longitude: 80.2565, radiusMeters: 200, isActive: true }]);
+    assert.strictEqual((await update({ branchId: 'B2' })).status, 200);
+    assert.strictEqual((await DailySummary.getSummariesByDateRange('2026-03-11', '2026-03-11', 'B2')).length, 1);
+
+    const generatedAt = async () => (await DailySummary.getSummariesByDateRange('2026-03-11', '2026-03-11'))[0].generatedAt;
+    const rewrittenBy = async (body) => {
+        const before = await generatedAt();
+        mock.timers.tick(60 * 1000);
+        assert.strictEqual((await update(body)).status, 200);
+        return (await generatedAt()) !== before;
+    };
+    assert.strictEqual(await rewrittenBy({ joinedDate: '2026-03-05' }), true);
+    assert.strictEqual(await rewrittenBy({ status: 'inactive' }), true);
+    // Other edits, or the same values sent again, leave the rows alone
+    assert.strictEqual(await rewrittenBy({ phone: '9876500000' }), false);
+    assert.strictEqual(await rewrittenBy({ weeklyOff: { days: [2] }, branchId: 'B2' }), false);
+});
+
+test('shift rosters: an employee assignment wins over the branch one, and lateness is measured from the shift start', async (t) => {
+    mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-03T00:50:00.000Z') }); // Tuesday, 06:20 in Chennai
+    t.after(() => mock.timers.reset());
+    const { employee } = await setupEmployee('E100');
+    const { employee: colleague } = await setupEmployee('E200');
+    const createShift = async (name, startTime, endTime) => (await request('POST', '/api/shifts', {
+        token: hrToken,
+        body: { name, startTime, endTime, graceMinutes: 10 },
+    })).body.shift;
+    const assign = (body) => request('POST', '/api/shifts/assignments', { token: hrToken, body: { effectiveFrom: '2026-03-01', ...body } });
+    const shiftOf = async (employeeId, date) => (await request('GET', `/api/shifts/employee/${employeeId}?date=${date}`, { token: hrToken })).body.shift;
+
+    const morning = await createShift('Morning', '06:00', '14:00');
+    const evening = await createShift('Evening', '14:00', '22:00');
+    assert.strictEqual((await assign({ targetType: 'BRANCH', targetId: 'B1', shiftId: morning.shiftId })).status, 201);
+    // Ravi works evenings on Tuesdays
+    assert.strictEqual((await assign({ targetType: 'EMPLOYEE', targetId: 'E100', shiftId: evening.shiftId, daysOfWeek: [2] })).status, 201);
+    assert.strictEqual((await assign({ targetType: 'EMPLOYEE', targetId: 'E999', shiftId: evening.shiftId })).status, 404);
+
+    assert.strictEqual((await shiftOf('E100', '2026-03-03')).shiftId, evening.shiftId);
+    assert.strictEqual((await shiftOf('E100', '2026-03-04')).shiftId, morning.shiftId);
+    assert.strictEqual((await shiftOf('E200', '2026-03-03')).shiftId, morning.shiftId);
+    assert.strictEqual(await shiftOf('E200', '2026-02-27'), null); // Before the roster starts
+
+    // 06:20 is past the 06:10 cutoff of the morning shift
+    const late = await checkIn(tokenFor(colleague), NEARBY, 'E200');
+    assert.strictEqual(late.status, 200, JSON.stringify(late.body));
+    assert.strictEqual(late.body.attendance.status, 'late');
+    assert.strictEqual(late.body.attendance.shiftId, morning.shiftId);
+
+    // 14:05 is on time for the evening shift, though hours after the 09:00 office start
+    mock.timers.setTime(new Date('2026-03-03T08:35:00.000Z').getTime());
+    const onTime = await checkIn(tokenFor(employee));
+    assert.strictEqual(onTime.status, 200, JSON.stringify(onTime.body));
+    assert.strictEqual(onTime.body.attendance.status, 'present');
+    assert.strictEqual(onTime.body.attendance.shiftId, evening.shiftId);
+});
+
+test('holiday calendar and weekly offs: alternate Saturdays, branch overrides and state or branch holidays', async (t) => {
+    mock.timers.enable({ apis: ['Date'], now: new Date('2026-04-01T04:00:00.000Z') });
+    t.after(() => mock.timers.reset());
+    await setupEmployee('E100');
+    seed('branches', [{ branchId: 'B2', name: 'Indiranagar', state: 'Karnataka', latitude: 12.9784, longitude: 77.6408, radiusMeters: 200, isActive: true }]);
+    await seedEmployee({ employeeId: 'E200', name: 'Arjun', branchId: 'B2' });
+    const statusOf = async (date, branchId, employeeId) => (await request('GET', `/api/attendance/report?date=${date}&branchId=${branchId}`, { token: hrToken }))
+        .body.report.find(r => r.employeeId === employeeId).status;
+
+    // Sundays plus the second and fourth Saturdays
+    const pattern = { days: [0], nthWeekdays: [{ day: 6, weeks: [2, 4] }] };
+    assert.strictEqual((await request('PUT', '/api/settings/weekly-off', { token: hrToken, body: { pattern: { days: [9] } } })).status, 400);
+    assert.strictEqual((await request('PUT', '/api/settings/weekly-off', { token: hrToken, body: { pattern } })).status, 200);
+    assert.deepStrictEqual(await statusOf('2026-03-14', 'B1', 'E100'), ['Week off']);
+    assert.deepStrictEqual(await statusOf('2026-03-28', 'B1', 'E100'), ['Week off']);
+    assert.ok(!(await statusOf('2026-03-07', 'B1', 'E100')).includes('Week off'));
+    assert.ok(!(await statusOf('2026-03-21', 'B1', 'E100')).includes('Week off'));
+
+    // B2 closes on Mondays instead
+    const branchOff = await request('PUT', '/api/branches/B2', { token: hrToken, body: { weeklyOff: { days: [1] } } });
+    assert.strictEqual(branchOff.status, 200, JSON.stringify(branchOff.body));
+    assert.deepStrictEqual(await statusOf('2026-03-16', 'B2', 'E200'), ['Week off']);
+    assert.ok(!(await statusOf('2026-03-14', 'B2', 'E200')).includes('Week off'));
+    assert.ok(!(await statusOf('2026-03-16', 'B1', 'E100')).includes('Week off'));
+
+    const addHoliday = (body) => request('POST', '/api/holidays', { token: hrToken, body });
+    assert.strictEqual((await addHoliday({ name: 'Pongal', date: '2026-03-20', scope: 'STATE' })).status, 400);
+    assert.strictEqual((await addHoliday({ name: 'Local festival', date: '2026-03-20', scope: 'STATE', state: 'Tamil Nadu' })).status, 201);
+    assert.strictEqual((await addHoliday({ name: 'Store anniversary', date: '2026-03-19', scope: 'BRANCH', branchIds: ['B2'] })).status, 201);
+    assert.strictEqual((await addHoliday({ name: 'Holi', date: '2026-03-04', scope: 'NATIONAL' })).status, 201);
+
+    const calendar = async (branchId) => (await request('GET', `/api/holidays?year=2026&branchId=${branchId}`, { token: hrToken })).body.holidays
+        .map(h => h.name)
+        .sort();
+    assert.deepStrictEqual(await calendar('B1'), ['Holi', 'Local festival']);
+    assert.deepStrictEqual(await calendar('B2'), ['Holi', 'Store anniversary']);
+
+    assert.deepStrictEqual(await statusOf('2026-03-20', 'B1', 'E100'), ['Holiday']);
+    assert.ok(!(await statusOf('2026-03-20', 'B2', 'E200')).includes('Holiday'));
+    assert.deepStrictEqual(await statusOf('2026-03-19', 'B2', 'E200'), ['Holiday']);
+    assert.deepStrictEqual(await statusOf('2026-03-04', 'B2', 'E200'), ['Holiday']);
+});
@@ -0,0 +1,237 @@
+/**
+ * Models against the in-memory storage backend (no AWS needed)
+ *
+ *   node --test test_memory_store.js
+ */
+process.env.STORAGE_BACKEND = 'memory';
+delete process.env.MEMORY_STORE_FILE;
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PutCommand, UpdateCommand, QueryCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient } = require('./storage');
+const { TABLES } = require('./storage/schema');
+const { createMemoryStore } = require('./storage/memoryStore');
+const { queryAll } = require('./utils/dynamoQuery');
+const Attendance = require('./models/Attendance');
+const Employee = require('./models/Employee');
+const Request = require('./models/Request');
+const DailySummary = require('./models/DailySummary');
+const JobRun = require('./models/JobRun');
+const { backfillBusinessDates } = require('./backfill_business_dates');
+
+beforeEach(() => docClient.reset());
+
+test('filter expressions: BETWEEN, OR, parentheses, nested paths, null and missing attributes', async () => {
+    const TableName = TABLES.requests.tableName;
+    docClient.load({
+        [TableName]: [
+            { requestId: 'r1', status: 'APPROVED', startDate: '2026-03-10', endDate: '2026-03-12', data: {} },
+            { requestId: 'r2', status: 'APPROVED', data: { date: '2026-03-11' } },
+            { requestId: 'r3', status: 'PENDING', startDate: '2026-03-11', endDate: '2026-03-11', data: {} },
+            { requestId: 'r4', status: 'APPROVED', startDate: '2026-04-01', endDate: '2026-04-02', data: null },
+        ],
+    });
+
+    const { Items } = await docClient.send(new ScanCommand({
+        TableName,
+        FilterExpression: '#status = :approved AND ((startDate <= :end AND endDate >= :start) OR #data.#date BETWEEN :start AND :end)',
+        ExpressionAttributeNames: { '#status': 'status', '#data': 'data', '#date': 'date' },
+        ExpressionAttributeValues: { ':approved': 'APPROVED', ':start': '2026-03-11', ':end': '2026-03-31' },
+    }));
+    assert.deepStrictEqual(Items.map(r => r.requestId).sort(), ['r1', 'r2']);
+
+    const { Items: nullData } = await docClient.send(new ScanCommand({
+        TableName,
+        FilterExpression: '#data = :null OR attribute_not_exists(startDate)',
+        ExpressionAttributeNames: { '#data': 'data' },
+        ExpressionAttributeValues: { ':null': null },
+    }));
+    assert.deepStrictEqual(nullData.map(r => r.requestId).sort(), ['r2', 'r4']);
+
+    await assert.rejects(docClient.send(new ScanCommand({
+        TableName,
+        FilterExpression: '#status = :missing',
+        ExpressionAttributeNames: { '#status': 'status' },
+    })), { name: 'ValidationException' });
+});
+
+test('update expressions return the new item and keep the key', async () => {
+    const employee = await Employee.createEmployee({ employeeId: 'E1', name: 'Asha', status: 'active' });
+    assert.strictEqual(employee.employeeId, 'E1');
+
+    const updated = await Employee.updateEmployee('E1', { name: 'Asha K', role: 'EMPLOYEE' });
+    assert.strictEqual(updated.name, 'Asha K');
+    assert.strictEqual(updated.role, 'EMPLOYEE');
+    assert.ok(updated.updatedAt);
+
+    const { Attributes } = await docClient.send(new UpdateCommand({
+        TableName: TABLES.employees.tableName,
+        Key: { employeeId: 'E1' },
+        UpdateExpression: 'SET visits = if_not_exists(visits, :zero) + :one, tags = list_append(if_not_exists(tags, :empty), :tags) REMOVE #role',
+        ExpressionAttributeNames: { '#role': 'role' },
+        ExpressionAttributeValues: { ':zero': 0, ':one': 1, ':empty': [], ':tags': ['x'] },
+        ReturnValues: 'ALL_NEW',
+    }));
+    assert.strictEqual(Attributes.visits, 1);
+    assert.deepStrictEqual(Attributes.tags, ['x']);
+    assert.strictEqual(Attributes.role, undefined);
+
+    await assert.rejects(docClient.send(new UpdateCommand({
+        TableName: TABLES.employees.tableName,
+        Key: { employeeId: 'E1' },
+        UpdateExpression: 'SET employeeId = :other',
+        ExpressionAttributeValues: { ':other': 'E2' },
+    })), { name: 'ValidationException' });
+
+    // Returned items are copies
+    Attributes.name = 'changed';
+    assert.strictEqual((await Employee.getEmployeeById('E1')).name, 'Asha K');
+});
+
+test('condition expressions reject the write', async () => {
+    const first = await JobRun.claimRun('end-of-day', 'B1', '2026-05-01');
+    assert.ok(first);
+    assert.strictEqual(await JobRun.claimRun('end-of-day', 'B1', '2026-05-01'), null);
+
+    await JobRun.finishRun(first, { error: new Error('boom') });
+    assert.ok(await JobRun.claimRun('end-of-day', 'B1', '2026-05-01'), 'a failed run can be claimed again');
+
+    await assert.rejects(docClient.send(new PutCommand({
+        TableName: TABLES.employees.tableName,
+        Item: { employeeId: 'E1' },
+        ConditionExpression: 'attribute_exists(employeeId)',
+    })), { name: 'ConditionalCheckFailedException' });
+});
+
+test('index queries sort by range key and page with Limit', async () => {
+    const TableName = TABLES.attendance.tableName;
+    docClient.load({
+        [TableName]: Array.from({ length: 12 }, (_, i) => ({
+            attendanceId: `a-${i}`,
+            employeeId: i % 3 === 0 ? 'E2' : 'E1',
+            date: `2026-01-${String(12 - i).padStart(2, '0')}`,
+            checkInTime: `2026-01-${String(12 - i).padStart(2, '0')}T03:30:00.000Z`,
+            checkOutTime: i === 1 ? null : `2026-01-${String(12 - i).padStart(2, '0')}T12:30:00.000Z`,
+        })),
+    });
+
+    const page = await docClient.send(new QueryCommand({
+        TableName,
+        IndexName: 'employeeId-date-index',
+        KeyConditionExpression: 'employeeId = :empId',
+        ExpressionAttributeValues: { ':empId': 'E1' },
+        Limit: 3,
+    }));
+    assert.deepStrictEqual(page.Items.map(r => r.date), ['2026-01-01', '2026-01-02', '2026-01-04']);
+    assert.ok(page.LastEvaluatedKey);
+
+    const all = await queryAll({
+        TableName,
+        IndexName: 'employeeId-date-index',
+        KeyConditionExpression: 'employeeId = :empId AND #date >= :from',
+        ExpressionAttributeNames: { '#date': 'date' },
+        ExpressionAttributeValues: { ':empId': 'E1', ':from': '2026-01-05' },
+        Limit: 2,
+    });
+    assert.deepStrictEqual(all.map(r => r.date), ['2026-01-05', '2026-01-07', '2026-01-08', '2026-01-10', '2026-01-11']);
+
+    const history = await Attendance.getAttendanceHistory('E1', 3);
+    assert.deepStrictEqual(history.map(r => r.date), ['2026-01-11', '2026-01-10', '2026-01-08']);
+    assert.strictEqual((await Attendance.getOpenSession('E1')).attendanceId, 'a-1');
+    assert.deepStrictEqual((await Attendance.getAttendanceByDateRange('2026-01-02', '2026-01-03')).map(r => r.attendanceId).sort(), ['a-10', 'a-9']);
+
+    await assert.rejects(docClient.send(new QueryCommand({
+        TableName,
+        IndexName: 'branchId-index',
+        KeyConditionExpression: 'branchId = :b',
+        ExpressionAttributeValues: { ':b': 'B1' },
+    })), { name: 'ValidationException', message: /index/ });
+});
+
+test('requests and daily summaries through the models', async () => {
+    const leave = await Request.createRequest({ employeeId: 'E1', type: 'LEAVE', data: { fromDate: '2026-03-10', toDate: '2026-03-12' } });
+    const permission = await Request.createRequest({ employeeId: 'E1', type: 'PERMISSION', data: { date: '2026-03-11' } });
+    await Request.createRequest({ employeeId: 'E2', type: 'LEAVE', data: { fromDate: '2026-04-01', toDate: '2026-04-01' } });
+
+    await Request.updateRequestStatus(leave, 'APPROVED', 'HR1');
+    await Request.updateRequestStatus(permission, 'APPROVED', 'HR1');
+
+    assert.strictEqual((await Request.getRequestsByEmployee('E1')).length, 2);
+    assert.strictEqual((await Request.getAllRequests('PENDING')).length, 1);
+    assert.deepStrictEqual(
+        (await Request.getApprovedRequestsByDateRange('2026-03-11', '2026-03-31')).map(r => r.requestId).sort(),
+        [leave.requestId, permission.requestId].sort(),
+    );
+    assert.deepStrictEqual((await Request.getApprovedPermissions('E1', '2026-03-11')).map(r => r.requestId), [permission.requestId]);
+
+    await DailySummary.putSummaries([
+        { employeeId: 'E1', date: '2026-05-01', branchId: 'B1', status: ['Present'] },
+        { employeeId: 'E2', date: '2026-05-01', branchId: 'B2', status: ['Absent'] },
+        { employeeId: 'E1', date: '2026-05-02', branchId: 'B1', status: ['Present'] },
+    ]);
+    assert.deepStrictEqual(
+        (await DailySummary.getSummariesByDateRange('2026-05-01', '2026-05-02', 'B1')).map(s => s.summaryId),
+        ['E1#2026-05-01', 'E1#2026-05-02'],
+    );
+});
+
+test('a store file is loaded on start and written on every change', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'srm-store-')), 'store.json');
+    const TableName = TABLES.branches.tableName;
+
+    const store = createMemoryStore({ file });
+    await store.send(new PutCommand({ TableName, Item: { branchId: 'B1', name: 'Main' } }));
+
+    const reopened = createMemoryStore({ file });
+    assert.deepStrictEqual(reopened.dump()[TableName], [{ branchId: 'B1', name: 'Main' }]);
+
+    await assert.rejects(reopened.send(new PutCommand({ TableName: 'unknown-table', Item: { id: '1' } })), { name: 'ResourceNotFoundException' });
+    fs.rmSync(path.dirname(file), { recursive: true });
+});
+
+test('backfill re-keys sessions and pings to the business date in the branch timezone', async () => {
+    docClient.load({
+        [TABLES.branches.tableName]: [
+            { branchId: 'B1', name: 'Chennai' },
+            { branchId: 'B2', name: 'London', timezone: 'Europe/London' },
+        ],
+        [TABLES.employees.tableName]: [
+            { employeeId: 'E1', name: 'Asha', branchId: 'B1', status: 'active' },
+            { employeeId: 'E2', name: 'Priya', branchId: 'B2', status: 'active' },
+        ],
+        // Written with the UTC date of the check-in
+        [TABLES.attendance.tableName]: [
+            { attendanceId: 'a-1', employeeId: 'E1', date: '2026-03-02', checkInTime: '2026-03-02T23:30:00.000Z', checkOutTime: '2026-03-03T08:00:00.000Z' },
+            { attendanceId: 'a-2', employeeId: 'E2', date: '2026-03-02', checkInTime: '2026-03-02T23:30:00.000Z', checkOutTime: null },
+            { attendanceId: 'a-3', employeeId: 'E1', date: '2026-02-10', checkInTime: '2026-02-09T20:00:00.000Z', checkOutTime: null },
+        ],
+        [TABLES.locationPings.tableName]: [
+            { pingId: 'p-1', employeeId: 'E1', date: '2026-03-02', timestamp: '2026-03-02T23:31:00.000Z' },
+            { pingId: 'p-2', employeeId: 'E1', date: '2026-03-03', timestamp: '2026-03-03T04:00:00.000Z' },
+        ],
+    });
+
+    const dryRun = await backfillBusinessDates({ from: '2026-03-01' });
+    assert.deepStrictEqual(dryRun.attendance, [{ attendanceId: 'a-1', employeeId: 'E1', from: '2026-03-02', to: '2026-03-03' }]);
+    assert.deepStrictEqual(dryRun.pings.map(p => p.pingId), ['p-1']);
+    assert.strictEqual((await Attendance.getAttendanceById('a-1')).date, '2026-03-02');
+
+    const applied = await backfillBusinessDates({ apply: true });
+    assert.deepStrictEqual(applied.attendance.map(s => s.attendanceId), ['a-1']); // a-3 is already on its IST date
+    const session = await Attendance.getAttendanceById('a-1');
+    assert.strictEqual(session.date, '2026-03-03');
+    assert.strictEqual(session.timezone, 'Asia/Kolkata');
+    assert.strictEqual((await Attendance.getAttendanceById('a-3')).date, '2026-02-10');
+    assert.deepStrictEqual((await Attendance.getAttendanceByDateRange('2026-03-03', '2026-03-03')).map(r => r.attendanceId), ['a-1']);
+
+    // Summaries of the old and the new date are rebuilt
+    const summaries = await DailySummary.getSummariesByDateRange('2026-03-02', '2026-03-03', 'B1');
+    assert.deepStrictEqual(summaries.map(s => [s.date, s.source]), [['2026-03-02', 'BACKFILL'], ['2026-03-03', 'BACKFILL']]);
+    assert.ok(!summaries[0].status.some(st => /present|early in/i.test(st)), JSON.stringify(summaries[0]));
+
+    assert.deepStrictEqual((await backfillBusinessDates()).attendance, [], 'a second run changes nothing');
+});
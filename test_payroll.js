@@ -0,0 +1,341 @@
+/**
+ * Payroll tests - runs, statutory deductions, advances and bank disbursement, through the API
+ * on the in-process harness (see test_harness.js)
+ *
+ *   node --test test_payroll.js
+ */
+const harness = require('./test_harness');
+const { test, mock, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const DailySummary = require('./models/DailySummary');
+const Employee = require('./models/Employee');
+const AdvanceLedger = require('./models/AdvanceLedger');
+const Attendance = require('./models/Attendance');
+const Request = require('./models/Request');
+const PayrollRun = require('./models/PayrollRun');
+const { getMonthRange } = require('./utils/payrollCalculator');
+const { listDates } = require('./utils/leavePolicy');
+
+const { stubs, request, tokenFor, seed, seedEmployee, HR, setupEmployee } = harness;
+
+/**
+ * Freeze the clock; tokens must be signed after this so they have not expired at the mocked time
+ */
+function freezeAt(t, iso) {
+    mock.timers.enable({ apis: ['Date'], now: new Date(iso) });
+    t.after(() => mock.timers.reset());
+}
+
+/**
+ * Store a month of daily summaries with the employee present every day but Sunday
+ */
+async function seedFullMonth(employee, month, year) {
+    const { startDate, endDate } = getMonthRange(month, year);
+    await DailySummary.putSummaries(listDates(startDate, endDate).map(date => ({
+        employeeId: employee.employeeId,
+        date,
+        branchId: employee.branchId,
+        status: new Date(`${date}T00:00:00Z`).getUTCDay() === 0 ? ['Week off'] : ['Present'],
+        source: 'TEST',
+    })));
+}
+
+const amountOf = (items, code) => items.find(i => i.code === code).amount;
+
+const createRun = (token, body) => request('POST', '/api/salary/runs', { token, body });
+const runAction = (token, runId, action) => request('POST', `/api/salary/runs/${runId}/${action}`, { token });
+
+before(() => harness.start());
+after(() => harness.stop());
+beforeEach(() => harness.reset());
+
+test('payroll runs: only a month that is over can be run, reviewed and locked', async (t) => {
+    freezeAt(t, '2026-04-10T04:00:00.000Z');
+    await setupEmployee('E100', { fixedSalary: 30000 });
+    const hr = tokenFor(HR);
+
+    const early = await createRun(hr, { month: 4, year: 2026 });
+    assert.strictEqual(early.status, 400);
+    assert.match(early.body.message, /once the month is over/);
+
+    const created = await createRun(hr, { month: 3, year: 2026 });
+    assert.strictEqual(created.status, 201, JSON.stringify(created.body));
+    const { runId } = created.body.run;
+    assert.strictEqual(created.body.run.status, 'DRAFT');
+    assert.ok(created.body.payslips.some(p => p.employeeId === 'E100'));
+    assert.strictEqual((await createRun(hr, { month: 3, year: 2026, branchId: 'B1' })).status, 409);
+
+    assert.strictEqual((await runAction(hr, runId, 'lock')).status, 400);
+    assert.strictEqual((await runAction(hr, runId, 'review')).body.run.status, 'REVIEWED');
+    assert.strictEqual((await runAction(hr, runId, 'lock')).body.run.status, 'LOCKED');
+    const { payslips } = (await request('GET', `/api/salary/runs/${runId}`, { token: hr })).body;
+    assert.ok(payslips.every(p => p.status === 'LOCKED'));
+});
+
+test('bank export: combines the locked branch runs and refuses while a branch is not locked', async (t) => {
+    freezeAt(t, '2026-04-10T04:00:00.000Z');
+    await setupEmployee('E100', { fixedSalary: 30000, bankAccount: '123456789012', ifscCode: 'SBIN0001234', paymentMode: 'BANK' });
+    seed('branches', [{ branchId: 'B2', name: 'Adyar', state: 'Tamil Nadu', latitude: 13.0012, longitude: 80.2565, radiusMeters: 200, isActive: true }]);
+    await seedEmployee({ employeeId: 'E200', name: 'Lakshmi', branchId: 'B2', fixedSalary: 18000, paymentMode: 'CASH' });
+    const hr = tokenFor(HR);
+    const disbursement = (query) => request('GET', `/api/salary/disbursement?month=3&year=2026${query}`, { token: hr });
+
+    const b1 = (await createRun(hr, { month: 3, year: 2026, branchId: 'B1' })).body.run.runId;
+    const b2 = (await createRun(hr, { month: 3, year: 2026, branchId: 'B2' })).body.run.runId;
+    assert.strictEqual((await disbursement('&branchId=B1')).status, 400);
+    for (const action of ['review', 'lock']) await runAction(hr, b1, action);
+
+    const partial = await disbursement('');
+    assert.strictEqual(partial.status, 400);
+    assert.match(partial.body.message, /Not locked: B2/);
+    const branchOnly = await disbursement('&branchId=B1');
+    assert.strictEqual(branchOnly.status, 200, JSON.stringify(branchOnly.body));
+    assert.deepStrictEqual(branchOnly.body.source.runIds, [b1]);
+    assert.strictEqual(branchOnly.body.bankFile.count, 1);
+
+    for (const action of ['review', 'lock']) await runAction(hr, b2, action);
+    const all = await disbursement('');
+    assert.strictEqual(all.status, 200, JSON.stringify(all.body));
+    assert.deepStrictEqual(all.body.source.runIds.sort(), [b1, b2].sort());
+    assert.strictEqual(all.body.bankFile.count, 1);
+    assert.strictEqual(all.body.cashSheet.count, 1);
+
+    const run = (await request('GET', `/api/salary/runs/${b1}`, { token: hr })).body;
+    const bankFile = await disbursement('&download=bank');
+    assert.match(bankFile.body, /123456789012/);
+    assert.ok(bankFile.body.includes(String(run.payslips.find(p => p.employeeId === 'E100').netPay)));
+});
+
+test('statutory deductions: PF on the capped basic, ESIC under the threshold, PT by state and TDS on high salaries', async (t) => {
+    freezeAt(t, '2026-04-10T04:00:00.000Z');
+    await setupEmployee('E100', { fixedSalary: 20000, branchId: 'B2' });
+    seed('branches', [{ branchId: 'B2', name: 'Indiranagar', state: 'Karnataka', latitude: 12.9784, longitude: 77.6408, radiusMeters: 200, isActive: true }]);
+    const employees = [
+        await Employee.getEmployeeById('E100'),
+        await seedEmployee({ employeeId: 'E200', name: 'Arjun', branchId: 'B2', fixedSalary: 150000 }),
+        await seedEmployee({ employeeId: 'E300', name: 'Lakshmi', branchId: 'B1', fixedSalary: 30000, esicApplicable: false }),
+    ];
+    for (const employee of employees) await seedFullMonth(employee, 3, 2026);
+    const hr = tokenFor(HR);
+    const payslipOf = async (employeeId) => (await request('GET', `/api/salary/calculate/${employeeId}?month=3&year=2026`, { token: hr })).body.payslip;
+
+    // 20000: basic 10000, under the ESIC threshold and the Karnataka PT slab
+    const small = await payslipOf('E100');
+    assert.strictEqual(small.grossPay, 20000);
+    assert.strictEqual(amountOf(small.deductions, 'PF'), 1200);
+    assert.strictEqual(amountOf(small.deductions, 'ESIC'), 150);
+    assert.strictEqual(amountOf(small.deductions, 'PT'), 0);
+    assert.strictEqual(amountOf(small.deductions, 'TDS'), 0);
+    assert.strictEqual(amountOf(small.employerContributions, 'EPS'), 833);
+    assert.strictEqual(amountOf(small.employerContributions, 'PF'), 367);
+    assert.strictEqual(amountOf(small.employerContributions, 'ESIC'), 650);
+
+    // 150000: PF on the 15000 ceiling, no ESIC, Karnataka PT, and tax on 18 lakh less the standard deduction
+    const large = await payslipOf('E200');
+    assert.strictEqual(amountOf(large.deductions, 'PF'), 1800);
+    assert.strictEqual(amountOf(large.deductions, 'ESIC'), 0);
+    assert.strictEqual(amountOf(large.deductions, 'PT'), 200);
+    assert.strictEqual(amountOf(large.deductions, 'TDS'), 12567); // (20000 + 40000 + 60000 + 25000) + 4% cess, over 12 months
+
+    // Tamil Nadu deducts PT half-yearly, in March, on six months' gross; ESIC can be switched off per employee
+    const tamilNadu = await payslipOf('E300');
+    assert.strictEqual(amountOf(tamilNadu.deductions, 'PT'), 1250);
+    assert.strictEqual(amountOf(tamilNadu.deductions, 'ESIC'), 0);
+    assert.strictEqual(tamilNadu.netPay, 30000 - 1800 - 1250);
+});
+
+test('advances: installments are deducted each month and recorded against the advance when the run is locked', async (t) => {
+    freezeAt(t, '2026-03-05T04:00:00.000Z');
+    const { employee, token } = await setupEmployee('E100', { fixedSalary: 30000 });
+    await seedFullMonth(employee, 3, 2026);
+    await seedFullMonth(employee, 4, 2026);
+
+    const raised = await request('POST', '/api/requests', { token, body: { type: 'ADVANCE', data: { amount: 10000, installments: 2, reason: 'School fees' } } });
+    const approved = await request('PUT', `/api/requests/${raised.body.request.requestId}/status`, { token: tokenFor(HR), body: { status: 'APPROVED' } });
+    assert.strictEqual(approved.status, 200, JSON.stringify(approved.body));
+
+    const lockMonth = async (month, now) => {
+        mock.timers.setTime(new Date(now).getTime());
+        const hr = tokenFor(HR);
+        const { run, payslips } = (await createRun(hr, { month, year: 2026 })).body;
+        for (const action of ['review', 'lock']) await runAction(hr, run.runId, action);
+        const advances = (await request('GET', '/api/salary/advances/E100', { token: hr })).body;
+        return { payslip: payslips.find(p => p.employeeId === 'E100'), advances };
+    };
+
+    const march = await lockMonth(3, '2026-04-10T04:00:00.000Z');
+    assert.strictEqual(amountOf(march.payslip.deductions, 'ADVANCE'), 5000);
+    assert.strictEqual(march.advances.totalOutstanding, 5000);
+    assert.strictEqual(march.advances.activeCount, 1);
+
+    const april = await lockMonth(4, '2026-05-10T04:00:00.000Z');
+    assert.strictEqual(amountOf(april.payslip.deductions, 'ADVANCE'), 5000);
+    assert.strictEqual(april.advances.totalOutstanding, 0);
+    assert.strictEqual(april.advances.activeCount, 0);
+});
+
+test('payslip preview: reads only the employee\'s records and stores no daily summaries', async (t) => {
+    freezeAt(t, '2026-03-05T04:00:00.000Z');
+    const { token } = await setupEmployee('E100', { fixedSalary: 30000 });
+    await seedEmployee({ employeeId: 'E200', name: 'Arjun', branchId: 'B1', fixedSalary: 40000 });
+    const raised = await request('POST', '/api/requests', { token, body: { type: 'ADVANCE', data: { amount: 10000, installments: 2, reason: 'School fees' } } });
+    await request('PUT', `/api/requests/${raised.body.request.requestId}/status`, { token: tokenFor(HR), body: { status: 'APPROVED' } });
+
+    mock.timers.setTime(new Date('2026-04-10T04:00:00.000Z').getTime());
+    const hr = tokenFor(HR);
+    const scans = [
+        [Request, 'getAllRequests'], [Request, 'getApprovedRequestsByDateRange'], [AdvanceLedger, 'getAllEntries'],
+        [Attendance, 'getAttendanceByDateRange'], [DailySummary, 'getSummariesByDateRange'], [DailySummary, 'putSummaries'],
+    ].map(([model, name]) => t.mock.method(model, name));
+
+    const preview = await request('GET', '/api/salary/calculate/E100?month=3&year=2026', { token: hr });
+    assert.strictEqual(preview.status, 200, JSON.stringify(preview.body));
+    assert.ok(amountOf(preview.body.payslip.deductions, 'ADVANCE') > 0);
+    scans.forEach(scan => assert.strictEqual(scan.mock.callCount(), 0));
+    scans.forEach(scan => scan.mock.restore());
+    assert.deepStrictEqual(await DailySummary.getSummariesByDateRange('2026-03-01', '2026-03-31'), []);
+
+    // A run pays the same and stores the days it evaluated
+    const { payslips } = (await createRun(hr, { month: 3, year: 2026 })).body;
+    const payslip = payslips.find(p => p.employeeId === 'E100');
+    assert.strictEqual(payslip.netPay, preview.body.payslip.netPay);
+    assert.deepStrictEqual(payslip.deductions, preview.body.payslip.deductions);
+    assert.ok((await DailySummary.getSummariesByDateRange('2026-03-01', '2026-03-31')).length > 0);
+});
+
+test('advances: a run is not locked while it deducts more than is left on an advance, and is locked once', async (t) => {
+    freezeAt(t, '2026-03-05T04:00:00.000Z');
+    const { employee, token } = await setupEmployee('E100', { fixedSalary: 30000 });
+    await seedFullMonth(employee, 3, 2026);
+
+    const raised = await request('POST', '/api/requests', { token, body: { type: 'ADVANCE', data: { amount: 10000, installments: 2, reason: 'Rent deposit' } } });
+    const { requestId } = raised.body.request;
+    assert.strictEqual((await request('PUT', `/api/requests/${requestId}/status`, { token: tokenFor(HR), body: { status: 'APPROVED' } })).status, 200);
+
+    mock.timers.setTime(new Date('2026-04-10T04:00:00.000Z').getTime());
+    const hr = tokenFor(HR);
+    const { run, payslips } = (await createRun(hr, { month: 3, year: 2026 })).body;
+    assert.strictEqual(amountOf(payslips.find(p => p.employeeId === 'E100').deductions, 'ADVANCE'), 5000);
+    assert.strictEqual((await runAction(hr, run.runId, 'review')).status, 200);
+
+    // Most of it is paid back in cash after the run was computed
+    const settled = await request('POST', `/api/salary/advances/E100/${requestId}/settle`, { token: hr, body: { amount: 7000 } });
+    assert.strictEqual(settled.body.advance.outstanding, 3000);
+    const refused = await runAction(hr, run.runId, 'lock');
+    assert.strictEqual(refused.status, 409);
+    assert.match(refused.body.message, new RegExp(`E100/${requestId}.*recompute the run`));
+
+    assert.strictEqual((await runAction(hr, run.runId, 'reopen')).status, 200);
+    const recomputed = await request('POST', `/api/salary/runs/${run.runId}/recompute`, { token: hr });
+    assert.strictEqual(amountOf(recomputed.body.payslips.find(p => p.employeeId === 'E100').deductions, 'ADVANCE'), 3000);
+    assert.strictEqual((await runAction(hr, run.runId, 'review')).status, 200);
+
+    // A second lock that read the run before the first landed is refused
+    const reviewed = await PayrollRun.getRunById(run.runId);
+    assert.strictEqual((await runAction(hr, run.runId, 'lock')).status, 200);
+    t.mock.method(PayrollRun, 'getRunById', async () => reviewed, { times: 1 });
+    assert.strictEqual((await runAction(hr, run.runId, 'lock')).status, 409);
+
+    const advance = (await request('GET', '/api/salary/advances/E100', { token: hr })).body.advances[0];
+    assert.strictEqual(advance.outstanding, 0);
+    assert.strictEqual(advance.history.filter(e => e.entryType === 'INSTALLMENT').length, 1);
+});
+
+test('payslips: emailed with the PDF attached once the run is locked, skipping employees without an email', async (t) => {
+    freezeAt(t, '2026-04-10T04:00:00.000Z');
+    const { employee, token } = await setupEmployee('E100', { fixedSalary: 30000, email: 'ravi@example.com' });
+    const other = await seedEmployee({ employeeId: 'E200', name: 'Lakshmi', branchId: 'B1', fixedSalary: 20000 });
+    await seedFullMonth(employee, 3, 2026);
+    const hr = tokenFor(HR);
+    const email = (runId, body = {}) => request('POST', `/api/salary/runs/${runId}/email`, { token: hr, body });
+
+    const { run, payslips } = (await createRun(hr, { month: 3, year: 2026 })).body;
+    const refused = await email(run.runId);
+    assert.strictEqual(refused.status, 400);
+    assert.match(refused.body.message, /LOCKED/);
+    assert.strictEqual(stubs.emails.length, 0);
+
+    for (const action of ['review', 'lock']) await runAction(hr, run.runId, action);
+    const sent = await email(run.runId);
+    assert.strictEqual(sent.status, 200, JSON.stringify(sent.body));
+    assert.strictEqual(sent.body.sent, 1);
+    assert.strictEqual(sent.body.skipped, payslips.length - 1);
+    assert.strictEqual(sent.body.results.find(r => r.employeeId === 'E200').status, 'SKIPPED');
+
+    assert.strictEqual(stubs.emails.length, 1);
+    const [mail] = stubs.emails;
+    assert.strictEqual(mail.to, 'ravi@example.com');
+    assert.match(mail.subject, /March 2026/);
+    assert.strictEqual(mail.attachments.length, 1);
+    assert.strictEqual(mail.attachments[0].contentType, 'application/pdf');
+    assert.strictEqual(mail.attachments[0].content.subarray(0, 4).toString(), '%PDF');
+
+    // Only the employees asked for
+    const some = await email(run.runId, { employeeIds: ['E200'] });
+    assert.deepStrictEqual([some.body.sent, some.body.skipped], [0, 1]);
+    assert.strictEqual(stubs.emails.length, 1);
+
+    // The employee downloads their own payslip; nobody else's
+    const { salaryId } = payslips.find(p => p.employeeId === 'E100');
+    const pdf = await request('GET', `/api/salary/${encodeURIComponent(salaryId)}/payslip.pdf`, { token });
+    assert.strictEqual(pdf.status, 200);
+    assert.strictEqual(pdf.headers.get('content-type'), 'application/pdf');
+    assert.ok(pdf.body.startsWith('%PDF'));
+    assert.strictEqual((await request('GET', `/api/salary/${encodeURIComponent(salaryId)}/payslip.pdf`, { token: tokenFor(other) })).status, 403);
+});
+
+test('overtime: worked past the shift end under branch and shift rules, trimmed on approval and paid on the payslip', async (t) => {
+    freezeAt(t, '2026-04-10T04:00:00.000Z');
+    const { token } = await setupEmployee('E100', { fixedSalary: 31000 }); // 1000 a day in March
+    const hr = tokenFor(HR);
+    const session = (date, checkInTime, checkOutTime) => ({
+        attendanceId: `A-${date}`, employeeId: 'E100', date, checkInTime, checkOutTime, type: 'OFFICE', status: 'Present',
+    });
+
+    const shift = (await request('POST', '/api/shifts', { token: hr, body: { name: 'Early', startTime: '07:00', endTime: '15:00' } })).body.shift;
+    const assigned = await request('POST', '/api/shifts/assignments', {
+        token: hr,
+        body: { targetType: 'EMPLOYEE', targetId: 'E100', shiftId: shift.shiftId, effectiveFrom: '2026-03-09' },
+    });
+    assert.strictEqual(assigned.status, 201, JSON.stringify(assigned.body));
+    const rules = await request('PUT', '/api/settings/overtime', {
+        token: hr,
+        body: {
+            branchRules: { B1: { minimumBlockMinutes: 60 } },
+            shiftRules: { [shift.shiftId]: { minimumBlockMinutes: 15, multipliers: { WEEKDAY: 2 } } },
+        },
+    });
+    assert.strictEqual(rules.status, 200, JSON.stringify(rules.body));
+
+    seed('attendance', [
+        session('2026-03-03', '2026-03-03T03:30:00.000Z', '2026-03-03T14:40:00.000Z'), // 09:00-20:10 on office hours to 18:00
+        session('2026-03-10', '2026-03-10T01:30:00.000Z', '2026-03-10T11:10:00.000Z'), // 07:00-16:40 on the Early shift to 15:00
+    ]);
+
+    // 130 minutes over in whole hours under the branch rules; 100 minutes over in quarter hours under the shift rules
+    const overtime = (await request('GET', '/api/salary/overtime/E100?month=3&year=2026', { token })).body;
+    assert.deepStrictEqual(overtime.days.map(d => [d.date, d.rawMinutes, d.minutes, d.multiplier]), [
+        ['2026-03-03', 130, 120, 1.5],
+        ['2026-03-10', 100, 90, 2],
+    ]);
+    assert.strictEqual(overtime.totalPayableMinutes, 0); // Nothing is paid until an OVERTIME request is approved
+
+    const raise = (data) => request('POST', '/api/requests', { token, body: { type: 'OVERTIME', data } });
+    assert.match((await raise({ date: '2026-03-03', minutes: 180 })).body.message, /between 1 and the 120 minutes/);
+    assert.match((await raise({ date: '2026-03-04' })).body.message, /No overtime recorded/);
+    const raised = await raise({ date: '2026-03-03', reason: 'Stock count' });
+    assert.strictEqual(raised.status, 201, JSON.stringify(raised.body));
+    assert.strictEqual(raised.body.request.data.minutes, 120);
+
+    const { requestId } = raised.body.request;
+    const decide = (approvedMinutes) => request('PUT', `/api/requests/${requestId}/status`, { token: hr, body: { status: 'APPROVED', approvedMinutes } });
+    assert.strictEqual((await decide(150)).status, 400);
+    const approved = await decide(60);
+    assert.strictEqual(approved.status, 200, JSON.stringify(approved.body));
+    assert.strictEqual(approved.body.request.data.approvedMinutes, 60);
+
+    // An hour at 1.5 times the hourly rate of a nine-hour day
+    const { payslip } = (await request('GET', '/api/salary/calculate/E100?month=3&year=2026', { token: hr })).body;
+    assert.strictEqual(payslip.attendance.overtimeMinutes, 60);
+    assert.strictEqual(amountOf(payslip.earnings, 'OVERTIME'), 166.67);
+});
@@ -0,0 +1,242 @@
+/**
+ * Request workflow tests - leave, comp-off, regularization, advances, approval chains and
+ * delegations, through the API on the in-process harness (see test_harness.js)
+ *
+ *   node --test test_requests.js
+ */
+const harness = require('./test_harness');
+const { test, mock, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const Request = require('./models/Request');
+
+const { request, tokenFor, seed, seedEmployee, HR, setupEmployee } = harness;
+
+const hrToken = tokenFor(HR);
+
+const balanceOf = async (token, leaveType, employeeId = 'E100') => {
+    const { body } = await request('GET', `/api/leave/balance/${employeeId}`, { token });
+    return body.balances.find(b => b.leaveType === leaveType);
+};
+
+const raise = (token, type, data) => request('POST', '/api/requests', { token, body: { type, data } });
+const decide = (token, requestId, body) => request('PUT', `/api/requests/${requestId}/status`, { token, body });
+
+before(() => harness.start());
+after(() => harness.stop());
+beforeEach(() => harness.reset());
+
+test('approval chains: large advances need the owner, and HR cannot delegate the owner step to itself', async () => {
+    const { token } = await setupEmployee();
+    const owner = await seedEmployee({ employeeId: 'OWN1', name: 'Owner', role: 'SUPER_ADMIN' });
+    const manager = await seedEmployee({ employeeId: 'BM1', name: 'Kumar', role: 'BRANCH_MANAGER', branchId: 'B1' });
+
+    const chains = { ADVANCE: [{ minAmount: 0, steps: ['HR'] }, { minAmount: 10000, steps: ['HR', 'SUPER_ADMIN'] }] };
+    assert.strictEqual((await request('PUT', '/api/settings/approval-chains', { token: hrToken, body: { chains } })).status, 200);
+
+    const delegation = (delegationToken, body) => request('POST', '/api/requests/delegations', {
+        token: delegationToken,
+        body: { fromDate: '2020-01-01', toDate: '2099-12-31', ...body },
+    });
+    assert.strictEqual((await delegation(hrToken, { delegatorId: 'OWN1', delegateId: 'HR1' })).status, 400);
+    assert.strictEqual((await delegation(hrToken, { delegatorId: 'OWN1', delegateId: 'BM1' })).status, 403);
+    assert.strictEqual((await delegation(hrToken, { delegatorId: 'BM1', delegateId: 'HR1' })).status, 400);
+
+    const raised = await raise(token, 'ADVANCE', { amount: 20000, installments: 2, reason: 'Wedding' });
+    assert.deepStrictEqual(raised.body.request.approvalChain.steps.map(s => s.role), ['HR', 'SUPER_ADMIN']);
+    const { requestId } = raised.body.request;
+
+    const first = await decide(hrToken, requestId, { status: 'APPROVED' });
+    assert.strictEqual(first.body.request.status, 'PENDING');
+    assert.strictEqual(first.body.nextStep.role, 'SUPER_ADMIN');
+    assert.match((await decide(hrToken, requestId, { status: 'APPROVED' })).body.message, /Waiting for SUPER_ADMIN/);
+
+    // The owner covers their own step while away
+    assert.strictEqual((await delegation(tokenFor(owner), { delegateId: 'BM1' })).status, 201);
+    const second = await decide(tokenFor(manager), requestId, { status: 'APPROVED' });
+    assert.strictEqual(second.body.request.status, 'APPROVED', JSON.stringify(second.body));
+    assert.strictEqual(second.body.request.approvalChain.steps[1].delegatedFrom, 'OWN1');
+
+    const small = await raise(token, 'ADVANCE', { amount: 5000 });
+    assert.deepStrictEqual(small.body.request.approvalChain.steps.map(s => s.role), ['HR']);
+});
+
+test('delegation by the env-configured owner, who has no employee record', async (t) => {
+    process.env.SUPER_ADMIN_ID = 'OWNER';
+    t.after(() => { delete process.env.SUPER_ADMIN_ID; });
+    const { token } = await setupEmployee();
+    const manager = await seedEmployee({ employeeId: 'BM1', name: 'Kumar', role: 'BRANCH_MANAGER', branchId: 'B1' });
+    const owner = tokenFor({ employeeId: 'OWNER', name: 'Super Admin', role: 'SUPER_ADMIN' });
+
+    const chains = { ADVANCE: [{ minAmount: 0, steps: ['HR', 'SUPER_ADMIN'] }] };
+    assert.strictEqual((await request('PUT', '/api/settings/approval-chains', { token: hrToken, body: { chains } })).status, 200);
+
+    const delegation = (delegationToken, body) => request('POST', '/api/requests/delegations', {
+        token: delegationToken,
+        body: { fromDate: '2020-01-01', toDate: '2099-12-31', ...body },
+    });
+    assert.strictEqual((await delegation(hrToken, { delegatorId: 'OWNER', delegateId: 'BM1' })).status, 403);
+    const created = await delegation(owner, { delegateId: 'BM1' });
+    assert.strictEqual(created.status, 201, JSON.stringify(created.body));
+    assert.strictEqual(created.body.delegation.delegatorId, 'OWNER');
+
+    const raised = await raise(token, 'ADVANCE', { amount: 8000, installments: 2, reason: 'Medical' });
+    const { requestId } = raised.body.request;
+    assert.strictEqual((await decide(hrToken, requestId, { status: 'APPROVED' })).body.nextStep.role, 'SUPER_ADMIN');
+    const approved = await decide(tokenFor(manager), requestId, { status: 'APPROVED' });
+    assert.strictEqual(approved.body.request.status, 'APPROVED', JSON.stringify(approved.body));
+    assert.strictEqual(approved.body.request.approvalChain.steps[1].delegatedFrom, 'OWNER');
+});
+
+test('edit, withdraw and cancel: versions are kept, a stale edit cannot reopen an approved request, cancelling credits leave back', async (t) => {
+    mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-02T04:00:00.000Z') }); // Monday
+    t.after(() => mock.timers.reset());
+    const { token } = await setupEmployee();
+
+    const raised = await raise(token, 'LEAVE', { leaveType: 'SL', fromDate: '2026-03-10', reason: 'Surgery' });
+    const { requestId } = raised.body.request;
+    const edited = await request('PUT', `/api/requests/${requestId}`, {
+        token,
+        body: { data: { leaveType: 'SL', fromDate: '2026-03-10', toDate: '2026-03-11', reason: 'Surgery and rest' } },
+    });
+    assert.strictEqual(edited.status, 200, JSON.stringify(edited.body));
+    assert.strictEqual(edited.body.request.version, 2);
+    assert.strictEqual(edited.body.request.endDate, '2026-03-11');
+    assert.strictEqual(edited.body.request.versions[0].data.toDate, '2026-03-10');
+    assert.strictEqual((await request('PUT', `/api/requests/${requestId}`, { token: hrToken, body: { data: {} } })).status, 404);
+
+    const beforeApproval = (await request('GET', `/api/requests/${requestId}`, { token })).body.request;
+    assert.strictEqual((await balanceOf(token, 'SL')).pending, 2);
+    assert.strictEqual((await decide(hrToken, requestId, { status: 'APPROVED' })).body.request.status, 'APPROVED');
+    assert.strictEqual((await balanceOf(token, 'SL')).available, 10);
+
+    // An edit that read the request before the approval landed must not put it back to PENDING
+    const stale = await Request.editRequest(beforeApproval, { ...beforeApproval.data, toDate: '2026-03-12' }, beforeApproval.approvalChain, 'E100');
+    assert.strictEqual(stale, null);
+    const current = (await request('GET', `/api/requests/${requestId}`, { token })).body.request;
+    assert.strictEqual(current.status, 'APPROVED');
+    assert.strictEqual(current.version, 2);
+    assert.match((await request('PUT', `/api/requests/${requestId}`, { token, body: { data: beforeApproval.data } })).body.message, /Only pending/);
+
+    assert.strictEqual((await request('POST', `/api/requests/${requestId}/withdraw`, { token })).status, 400);
+    const cancelling = await request('POST', `/api/requests/${requestId}/cancel`, { token, body: { reason: 'Postponed' } });
+    assert.strictEqual(cancelling.body.request.cancellation.status, 'PENDING');
+    const cancelled = await request('PUT', `/api/requests/${requestId}/cancellation`, { token: hrToken, body: { status: 'APPROVED' } });
+    assert.strictEqual(cancelled.status, 200, JSON.stringify(cancelled.body));
+    assert.strictEqual((await request('GET', `/api/requests/${requestId}`, { token })).body.request.status, 'CANCELLED');
+    assert.strictEqual((await balanceOf(token, 'SL')).available, 12);
+
+    const other = await raise(token, 'PERMISSION', { date: '2026-03-04', fromTime: '16:00', toTime: '17:00', reason: 'Bank' });
+    const withdrawn = await request('POST', `/api/requests/${other.body.request.requestId}/withdraw`, { token });
+    assert.strictEqual(withdrawn.body.request.status, 'WITHDRAWN');
+    assert.strictEqual((await request('POST', `/api/requests/${other.body.request.requestId}/withdraw`, { token })).status, 400);
+});
+
+test('leave skips week offs and holidays, and leave running into a new year is charged to each year', async (t) => {
+    mock.timers.enable({ apis: ['Date'], now: new Date('2026-12-01T04:00:00.000Z') });
+    t.after(() => mock.timers.reset());
+    const { token } = await setupEmployee();
+    const hr = tokenFor(HR); // signed at the mocked time, which is past the expiry of hrToken
+    seed('holidays', [
+        { holidayId: 'H1', name: 'Local festival', date: '2026-12-05', scope: 'NATIONAL' }, // Saturday
+        { holidayId: 'H2', name: 'New Year', date: '2027-01-01', scope: 'NATIONAL' },
+    ]);
+    const ledgerOf = async (requestId) => (await request('GET', '/api/leave/ledger/E100', { token })).body.entries
+        .filter(e => e.requestId === requestId)
+        .map(e => [e.entryType, e.year, e.days]);
+
+    // Friday to Monday: the Saturday holiday and the Sunday week off are not charged
+    const longWeekend = await raise(token, 'LEAVE', { leaveType: 'SL', fromDate: '2026-12-04', toDate: '2026-12-07' });
+    assert.strictEqual(longWeekend.body.request.data.days, 2);
+    await decide(hr, longWeekend.body.request.requestId, { status: 'APPROVED' });
+    assert.deepStrictEqual(await ledgerOf(longWeekend.body.request.requestId), [['DEBIT', 2026, -2]]);
+    assert.strictEqual((await balanceOf(token, 'SL')).available, 10);
+
+    assert.match((await raise(token, 'LEAVE', { leaveType: 'SL', fromDate: '2026-12-13' })).body.message, /week offs or holidays/);
+
+    // Wednesday 30 December to Saturday 2 January, with New Year's Day off
+    const yearEnd = await raise(token, 'LEAVE', { leaveType: 'SL', fromDate: '2026-12-30', toDate: '2027-01-02' });
+    assert.strictEqual(yearEnd.body.request.data.days, 3);
+    const { requestId } = yearEnd.body.request;
+    await decide(hr, requestId, { status: 'APPROVED' });
+    assert.deepStrictEqual(await ledgerOf(requestId), [['DEBIT', 2026, -2], ['DEBIT', 2027, -1]]);
+    assert.strictEqual((await balanceOf(token, 'SL')).available, 8);
+    const nextYear = await request('GET', '/api/leave/balance/E100?asOf=2027-01-04', { token });
+    assert.strictEqual(nextYear.body.balances.find(b => b.leaveType === 'SL').available, 11);
+
+    assert.strictEqual((await decide(hr, requestId, { status: 'CANCELLED' })).body.request.status, 'CANCELLED');
+    assert.deepStrictEqual((await ledgerOf(requestId)).filter(([type]) => type === 'REVERSAL'), [['REVERSAL', 2026, 2], ['REVERSAL', 2027, 1]]);
+    assert.strictEqual((await balanceOf(token, 'SL')).available, 10);
+});
+
+test('leave approval re-checks the balance, so two pending requests cannot both be debited past it', async (t) => {
+    mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-02T04:00:00.000Z') }); // Monday
+    t.after(() => mock.timers.reset());
+    const { token } = await setupEmployee();
+
+    // Monday to Saturday: 6 days
+    const first = await raise(token, 'LEAVE', { leaveType: 'SL', fromDate: '2026-03-09', toDate: '2026-03-14', reason: 'Fever' });
+    assert.strictEqual(first.body.request.data.days, 6);
+    // Raised at the same moment, before the first request was visible: Monday to Monday, 7 days
+    const second = await Request.createRequest({
+        employeeId: 'E100',
+        type: 'LEAVE',
+        data: { leaveType: 'SL', fromDate: '2026-03-16', toDate: '2026-03-23', days: 7, reason: 'Recovery' },
+    });
+
+    assert.strictEqual((await decide(hrToken, first.body.request.requestId, { status: 'APPROVED' })).status, 200);
+    const refused = await decide(hrToken, second.requestId, { status: 'APPROVED' });
+    assert.strictEqual(refused.status, 400);
+    assert.match(refused.body.message, /Insufficient SL balance for 2026: 6 day\(s\) available, 7 requested/);
+    assert.strictEqual((await request('GET', `/api/requests/${second.requestId}`, { token })).body.request.status, 'PENDING');
+    assert.strictEqual((await balanceOf(token, 'SL')).available, 6);
+
+    // Cancelling the first credits its days back, and then the second fits
+    assert.strictEqual((await decide(hrToken, first.body.request.requestId, { status: 'CANCELLED' })).status, 200);
+    const ledger = (await request('GET', '/api/leave/ledger/E100', { token })).body.entries
+        .filter(e => e.requestId === first.body.request.requestId)
+        .map(e => [e.entryType, e.days])
+        .sort();
+    assert.deepStrictEqual(ledger, [['DEBIT', -6], ['REVERSAL', 6]]);
+    assert.strictEqual((await decide(hrToken, second.requestId, { status: 'APPROVED' })).body.request.status, 'APPROVED');
+    assert.strictEqual((await balanceOf(token, 'SL')).available, 5);
+});
+
+test('decisions are written only if the request is unchanged, so a second approver or a stale withdraw cannot apply or undo it twice', async (t) => {
+    mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-02T04:00:00.000Z') }); // Monday
+    t.after(() => mock.timers.reset());
+    const { token } = await setupEmployee();
+    const other = tokenFor(await seedEmployee({ employeeId: 'HR2', name: 'Kavya', role: 'HR' }));
+    const ledgerOf = async (requestId) => (await request('GET', '/api/leave/ledger/E100', { token })).body.entries
+        .filter(e => e.requestId === requestId)
+        .map(e => e.entryType);
+    // The next read of the request returns it as it was, as if the caller read it before the last write landed
+    const readStale = (stale) => t.mock.method(Request, 'getRequestById', async () => stale, { times: 1 });
+
+    const raised = await raise(token, 'LEAVE', { leaveType: 'SL', fromDate: '2026-03-10', reason: 'Fever' });
+    const { requestId } = raised.body.request;
+    const pending = (await request('GET', `/api/requests/${requestId}`, { token })).body.request;
+    assert.strictEqual((await decide(hrToken, requestId, { status: 'APPROVED' })).status, 200);
+
+    readStale(pending);
+    const second = await decide(other, requestId, { status: 'APPROVED' });
+    assert.strictEqual(second.status, 409, JSON.stringify(second.body));
+    readStale(pending);
+    assert.strictEqual((await request('POST', `/api/requests/${requestId}/withdraw`, { token })).status, 409);
+    assert.deepStrictEqual(await ledgerOf(requestId), ['DEBIT']);
+    assert.strictEqual((await balanceOf(token, 'SL')).available, 11);
+
+    const approved = (await request('GET', `/api/requests/${requestId}`, { token })).body.request;
+    assert.strictEqual(approved.status, 'APPROVED');
+    assert.strictEqual((await request('POST', `/api/requests/${requestId}/cancel`, { token, body: { reason: 'Better' } })).status, 200);
+    readStale(approved);
+    assert.strictEqual((await request('POST', `/api/requests/${requestId}/cancel`, { token, body: { reason: 'Again' } })).status, 409);
+
+    const cancelling = (await request('GET', `/api/requests/${requestId}`, { token })).body.request;
+    const decideCancellation = (decider) => request('PUT', `/api/requests/${requestId}/cancellation`, { token: decider, body: { status: 'APPROVED' } });
+    assert.strictEqual((await decideCancellation(hrToken)).status, 200);
+    readStale(cancelling);
+    assert.strictEqual((await decideCancellation(other)).status, 409);
+    assert.deepStrictEqual((await ledgerOf(requestId)).sort(), ['DEBIT', 'REVERSAL']);
+    assert.strictEqual((await balanceOf(token, 'SL')).available, 12);
+    assert.strictEqual((await request('GET', `/api/requests/${requestId}`, { token })).body.request.status, 'CANCELLED');
+});
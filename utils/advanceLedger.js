@@ -0,0 +1,176 @@
+/**
+ * Salary advance ledger utility functions
+ * An approved ADVANCE is a small loan: a DISBURSEMENT entry holds the amount and the
+ * repayment plan, and every payroll deduction, early settlement or write-off is an
+ * entry against it. Outstanding balance = disbursed amount minus all recoveries.
+ *
+ * Plan: { installments, installmentAmount, startMonth, startYear }
+ * Each payroll month from the start month deducts the installment amount (or what is
+ * left, if less). Months where net pay could not cover the installment simply leave
+ * the balance outstanding, so the plan runs on until the advance is repaid.
+ */
+
+const ADVANCE_ENTRY_TYPES = Object.freeze({
+    DISBURSEMENT: 'DISBURSEMENT', // Advance approved and paid out
+    INSTALLMENT: 'INSTALLMENT', // Deducted in a locked payroll run
+    SETTLEMENT: 'SETTLEMENT', // Repaid early by the employee
+    WRITE_OFF: 'WRITE_OFF', // Waived by the organisation
+    CANCELLATION: 'CANCELLATION', // Approved advance cancelled before it was repaid
+});
+
+const ACCOUNT_STATUS = Object.freeze({
+    ACTIVE: 'ACTIVE',
+    REPAID: 'REPAID',
+    SETTLED: 'SETTLED',
+    WRITTEN_OFF: 'WRITTEN_OFF',
+    CANCELLED: 'CANCELLED',
+});
+
+// Advances are repaid from salary over at most this many months
+const MAX_ADVANCE_INSTALLMENTS = 24;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Payroll period key, e.g. '2026-03' (sorts chronologically)
+ */
+function periodKey(month, year) {
+    return `${year}-${String(month).padStart(2, '0')}`;
+}
+
+/**
+ * Build a repayment plan
+ * @param {Object} params
+ * @param {number} params.amount - Advance amount
+ * @param {number} params.installments - Number of monthly installments (1-24)
+ * @param {number} params.startMonth - First payroll month to deduct (1-12)
+ * @param {number} params.startYear
+ * @returns {Object} { plan } or { error }
+ */
+function buildRepaymentPlan({ amount, installments, startMonth, startYear }) {
+    const count = parseInt(installments);
+    const month = parseInt(startMonth);
+    const year = parseInt(startYear);
+
+    if (!(amount > 0)) return { error: 'Advance amount must be positive' };
+    if (!(count >= 1 && count <= MAX_ADVANCE_INSTALLMENTS)) {
+        return { error: `installments must be between 1 and ${MAX_ADVANCE_INSTALLMENTS}` };
+    }
+    if (!(month >= 1 && month <= 12) || !(year >= 2000)) {
+        return { error: 'Valid startMonth (1-12) and startYear are required' };
+    }
+
+    return {
+        plan: {
+            installments: count,
+            installmentAmount: round2(amount / count),
+            startMonth: month,
+            startYear: year,
+        },
+    };
+}
+
+/**
+ * Summarise one advance from its DISBURSEMENT entry and the entries against it
+ * @returns {Object} { requestId, amount, plan, repaid, settled, writtenOff, cancelled, outstanding, status, installmentsPaid, history }
+ */
+function summariseAdvance(disbursement, entries) {
+    const related = entries
+        .filter(e => e.requestId === disbursement.requestId && e.entryType !== ADVANCE_ENTRY_TYPES.DISBURSEMENT)
+        .sort((a, b) => (a.date || '').localeCompare(b.date || '') || a.createdAt.localeCompare(b.createdAt));
+
+    const total = (type) => round2(related.filter(e => e.entryType === type).reduce((sum, e) => sum + e.amount, 0));
+    const repaid = total(ADVANCE_ENTRY_TYPES.INSTALLMENT);
+    const settled = total(ADVANCE_ENTRY_TYPES.SETTLEMENT);
+    const writtenOff = total(ADVANCE_ENTRY_TYPES.WRITE_OFF);
+    const cancelled = total(ADVANCE_ENTRY_TYPES.CANCELLATION);
+    const outstanding = round2(Math.max(0, disbursement.amount - repaid - settled - writtenOff - cancelled));
+
+    let status = ACCOUNT_STATUS.ACTIVE;
+    if (outstanding === 0) {
+        if (cancelled > 0) status = ACCOUNT_STATUS.CANCELLED;
+        else if (writtenOff > 0) status = ACCOUNT_STATUS.WRITTEN_OFF;
+        else if (settled > 0) status = ACCOUNT_STATUS.SETTLED;
+        else status = ACCOUNT_STATUS.REPAID;
+    }
+
+    return {
+        requestId: disbursement.requestId,
+        employeeId: disbursement.employeeId,
+        amount: disbursement.amount,
+        disbursedOn: disbursement.date,
+        plan: disbursement.plan,
+        repaid,
+        settled,
+        writtenOff,
+        cancelled,
+        outstanding,
+        status,
+        installmentsPaid: related.filter(e => e.entryType === ADVANCE_ENTRY_TYPES.INSTALLMENT).length,
+        history: [disbursement, ...related],
+    };
+}
+
+/**
+ * Summarise all advances of an employee (newest first)
+ */
+function summariseAdvances(entries) {
+    return entries
+        .filter(e => e.entryType === ADVANCE_ENTRY_TYPES.DISBURSEMENT)
+        .map(d => summariseAdvance(d, entries))
+        .sort((a, b) => (b.disbursedOn || '').localeCompare(a.disbursedOn || ''));
+}
+
+/**
+ * Installment due from one advance in a payroll month
+ * Ignores installment entries for this month or later, so recomputing a draft
+ * run gives the same figure. Settlements and write-offs count as soon as they are made.
+ * @returns {Object|null} { requestId, installment, installments, due, outstanding } or null when nothing is due
+ */
+function getInstallmentDue(disbursement, entries, month, year) {
+    const plan = disbursement.plan;
+    const period = periodKey(month, year);
+    if (!plan || period < periodKey(plan.startMonth, plan.startYear)) return null;
+
+    const related = entries.filter(e => e.requestId === disbursement.requestId && e.entryType !== ADVANCE_ENTRY_TYPES.DISBURSEMENT);
+    const earlierInstallments = related.filter(e => e.entryType === ADVANCE_ENTRY_TYPES.INSTALLMENT && e.period < period);
+    const recovered = related
+        .filter(e => e.entryType !== ADVANCE_ENTRY_TYPES.INSTALLMENT || e.period < period)
+        .reduce((sum, e) => sum + e.amount, 0);
+    const outstanding = round2(disbursement.amount - recovered);
+    if (outstanding <= 0) return null;
+
+    // The final installment absorbs rounding so the advance clears exactly
+    const due = outstanding - plan.installmentAmount < 1 ? outstanding : plan.installmentAmount;
+
+    return {
+        requestId: disbursement.requestId,
+        installment: earlierInstallments.length + 1,
+        installments: plan.installments,
+        due: round2(due),
+        outstanding,
+    };
+}
+
+/**
+ * Installments due in a payroll month across all advances in a set of entries
+ */
+function getInstallmentsDue(entries, month, year) {
+    return entries
+        .filter(e => e.entryType === ADVANCE_ENTRY_TYPES.DISBURSEMENT)
+        .sort((a, b) => (a.date || '').localeCompare(b.date || ''))
+        .map(d => getInstallmentDue(d, entries, month, year))
+        .filter(Boolean);
+}
+
+module.exports = {
+    ADVANCE_ENTRY_TYPES,
+    ACCOUNT_STATUS,
+    MAX_ADVANCE_INSTALLMENTS,
+    periodKey,
+    buildRepaymentPlan,
+    summariseAdvance,
+    summariseAdvances,
+    getInstallmentDue,
+    getInstallmentsDue,
+};
@@ -0,0 +1,164 @@
+/**
+ * Approval chain utility functions
+ * Each request type has one or more chain rules; the rule with the highest
+ * minAmount not above the request's amount (data.amount) picks the approval steps.
+ * Steps are decided in order; a request is approved when the last step approves
+ * and rejected as soon as any step rejects.
+ *
+ * Config (Settings 'approval-chains-config'):
+ *   { chains: { [requestType]: [{ minAmount, steps: ['BRANCH_MANAGER', 'HR', 'SUPER_ADMIN'] }] } }
+ *
+ * Who can act on a step:
+ *   BRANCH_MANAGER steps: a branch manager of the employee's branch, or HR
+ *   HR steps: HR
+ *   SUPER_ADMIN (owner) steps: the owner only
+ *   SUPER_ADMIN can act on any step, nobody can decide their own request, and an
+ *   approver's active delegation lets the delegate act in their place.
+ */
+
+const APPROVER_ROLES = ['BRANCH_MANAGER', 'HR', 'SUPER_ADMIN'];
+
+const STEP_STATUS = Object.freeze({
+    PENDING: 'PENDING',
+    APPROVED: 'APPROVED',
+    REJECTED: 'REJECTED',
+});
+
+// Same decisions as before chains existed: HR decides, branch managers decide overtime and regularization
+// (and travel claims, which pay for the field days they oversee)
+const DEFAULT_APPROVAL_CHAINS = Object.freeze({
+    LEAVE: [{ minAmount: 0, steps: ['HR'] }],
+    PERMISSION: [{ minAmount: 0, steps: ['HR'] }],
+    ADVANCE: [{ minAmount: 0, steps: ['HR'] }],
+    COMP_OFF: [{ minAmount: 0, steps: ['HR'] }],
+    OVERTIME: [{ minAmount: 0, steps: ['BRANCH_MANAGER'] }],
+    REGULARIZATION: [{ minAmount: 0, steps: ['BRANCH_MANAGER'] }],
+    TRAVEL_CLAIM: [{ minAmount: 0, steps: ['BRANCH_MANAGER'] }],
+});
+
+/**
+ * Validate approval chains config
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateApprovalChains(chains) {
+    if (!chains || typeof chains !== 'object') return 'chains must be an object keyed by request type';
+
+    for (const [type, rules] of Object.entries(chains)) {
+        if (!Array.isArray(rules) || rules.length === 0) return `${type}: at least one chain rule is required`;
+        for (const rule of rules) {
+            if (rule.minAmount !== undefined && (typeof rule.minAmount !== 'number' || rule.minAmount < 0)) {
+                return `${type}: minAmount must be a non-negative number`;
+            }
+            if (!Array.isArray(rule.steps) || rule.steps.length === 0) return `${type}: each rule needs at least one step`;
+            if (rule.steps.some(step => !APPROVER_ROLES.includes(step))) {
+                return `${type}: steps must be ${APPROVER_ROLES.join(', ')}`;
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Approver roles for a request, in order
+ */
+function selectChainSteps(chains, request) {
+    const rules = (chains && chains[request.type]) || DEFAULT_APPROVAL_CHAINS[request.type] || [{ minAmount: 0, steps: ['HR'] }];
+    const amount = parseFloat(request.data && request.data.amount) || 0;
+
+    const rule = [...rules]
+        .sort((a, b) => (b.minAmount || 0) - (a.minAmount || 0))
+        .find(r => (r.minAmount || 0) <= amount) || rules[0];
+
+    return rule.steps;
+}
+
+/**
+ * Fresh approval chain for a list of approver roles
+ */
+function buildApprovalChain(roles) {
+    return {
+        currentLevel: 1,
+        steps: roles.map((role, i) => ({
+            level: i + 1,
+            role,
+            status: STEP_STATUS.PENDING,
+            actedBy: null,
+            actedAt: null,
+            comment: null,
+            delegatedFrom: null,
+        })),
+    };
+}
+
+/**
+ * Step awaiting a decision (null once the chain is decided)
+ */
+function getCurrentStep(chain) {
+    return chain.steps.find(s => s.status === STEP_STATUS.PENDING && s.level === chain.currentLevel) || null;
+}
+
+/**
+ * Whether an approver can act on a step for an employee's request
+ * @param {Object} approver - { employeeId, role, branchId }
+ * @param {Object} step
+ * @param {Object} employee - Employee who raised the request
+ */
+function canActOnStep(approver, step, employee) {
+    if (!approver || !step || approver.employeeId === employee.employeeId) return false;
+    if (approver.role === 'SUPER_ADMIN') return true;
+
+    switch (step.role) {
+        case 'BRANCH_MANAGER':
+            return approver.role === 'HR'
+                || (approver.role === 'BRANCH_MANAGER' && !!approver.branchId && approver.branchId === employee.branchId);
+        case 'HR':
+            return approver.role === 'HR';
+        default:
+            return false;
+    }
+}
+
+/**
+ * Record a decision on the current step
+ * @param {Object} chain
+ * @param {Object} decision - { status: 'APPROVED' | 'REJECTED', actedBy, comment, delegatedFrom }
+ * @returns {Object} { chain, complete } - complete when the request is now fully approved or rejected
+ */
+function recordStepDecision(chain, { status, actedBy, comment, delegatedFrom }) {
+    const current = getCurrentStep(chain);
+    const steps = chain.steps.map(step => (step === current
+        ? {
+            ...step,
+            status,
+            actedBy,
+            actedAt: new Date().toISOString(),
+            comment: comment || null,
+            delegatedFrom: delegatedFrom || null,
+        }
+        : step));
+
+    const isLast = current.level === chain.steps.length;
+    const complete = status === STEP_STATUS.REJECTED || isLast;
+
+    return {
+        chain: {
+            ...chain,
+            steps,
+            currentLevel: complete ? current.level : current.level + 1,
+        },
+        complete,
+    };
+}
+
+module.exports = {
+    APPROVER_ROLES,
+    STEP_STATUS,
+    DEFAULT_APPROVAL_CHAINS,
+    validateApprovalChains,
+    selectChainSteps,
+    buildApprovalChain,
+    getCurrentStep,
+    canActOnStep,
+    recordStepDecision,
+};
@@ -1,45 +1,59 @@
+const { settingsToShift, getShiftWindow, toShiftMinutes } = require('./shiftUtils');
+const { isWeeklyOff } = require('./calendar');
+const { LEAVE_SESSIONS, getLeaveSession } = require('./leavePolicy');
+const { DEFAULT_TIMEZONE, getZonedDateTime, zonedTimeToInstant, formatClockTime } = require('./timezone');
+
 /**
  * Calculate detailed daily attendance status
  * 
  * @param {Object} params
  * @param {Object} params.employee - Employee object
- * @param {Object} params.attendance - Attendance record for the day (can be null)
- * @param {Object} params.leave - Approved leave request (can be null)
+ * @param {Object} params.attendance - Attendance record for the day (can be null; regularized = times corrected by a request,
+ *   systemClosed = no check-out, closed at the shift end by the end-of-day job)
+ * @param {Object} params.leave - Approved leave request covering the date (can be null, may be a half day)
  * @param {Object} params.permission - Approved permission request (can be null)
  * @param {Object} params.settings - Global attendance settings
+ * @param {Object} params.shift - Shift assigned for the day (can be null, falls back to settings)
+ * @param {Object} params.holiday - Holiday that applies to the employee on this date (can be null)
+ * @param {Object} params.weeklyOff - Weekly off pattern for the employee (can be null, defaults to Sunday)
  * @param {string} params.date - Date string YYYY-MM-DD
+ * @param {string} params.timeZone - IANA zone of the employee's branch (times and the shift end are read on its clock)
  * @returns {Object} { status: [], remarks: string, stats: {} }
  */
-function calculateDailyStatus({ employee, attendance, leave, permission, settings, date }) {
+function calculateDailyStatus({ employee, attendance, leave, permission, settings, shift, holiday, weeklyOff, date, timeZone = DEFAULT_TIMEZONE }) {
     const statuses = [];
     const remarks = [];
 
-    // Default Settings
-    const workStartTime = settings.workStartTime || '09:00'; // HH:mm
-    const workEndTime = settings.workEndTime || '18:00';   // HH:mm
-    const lateThresholdMinutes = settings.lateThresholdMinutes || 555; // 9:15 AM
-    const halfDayThresholdMinutes = settings.halfDayThresholdMinutes || 240; // 4 hours duration? or 12:00 PM?
-    // Let's interpret halfDayThreshold as "Minimum minutes worked to be considered Full Day" or "Max minutes late to be Present"
-    // Usually it's duration based or cutoff time based.
-    // Based on previous `Attendance.js`: lateThreshold = 555 (9:15), halfDay = 720 (12:00checkin)
-    // New requirement list implies multiple tags.
-
-    const targetDate = new Date(date);
-    const dayOfWeek = targetDate.getDay(); // 0 = Sunday
-
-    // 1. CHECK FOR WEEK OFF
-    const isSunday = dayOfWeek === 0;
-    if (isSunday) {
-        // If they worked on Sunday, mark as "Overtime" or "Work on Week Off"
+    // Evaluate against the employee's own shift, or the global work hours
+    const effectiveShift = shift || settingsToShift(settings);
+    const window = getShiftWindow(effectiveShift);
+
+    // 1. CHECK FOR HOLIDAY (takes precedence over week off and leave)
+    if (holiday) {
+        if (attendance) {
+            statuses.push('Holiday worked');
+            remarks.push(holiday.name);
+        } else {
+            return { status: ['Holiday'], remarks: holiday.name, color: 'gray' };
+        }
+    }
+
+    // 2. CHECK FOR WEEK OFF
+    const isWeekOff = !holiday && isWeeklyOff(weeklyOff, date);
+    if (isWeekOff) {
+        // If they worked on their week off, mark as "Overtime" or "Work on Week Off"
         if (attendance) {
             statuses.push('Week off worked');
         } else {
-            return { status: ['Week off'], remarks: 'Sunday Holiday', color: 'gray' };
+            return { status: ['Week off'], remarks: 'Weekly Off', color: 'gray' };
         }
     }
 
-    // 2. CHECK FOR LEAVE
-    if (leave) {
+    // 3. CHECK FOR LEAVE
+    const leaveSession = leave && !holiday && !isWeekOff ? getLeaveSession(leave, date) : null;
+    const isHalfDayLeave = !!leaveSession && leaveSession !== LEAVE_SESSIONS.FULL;
+
+    if (leaveSession === LEAVE_SESSIONS.FULL) {
         statuses.push('Leave');
         if (leave.data && leave.data.leaveType) {
             remarks.push(leave.data.leaveType);
@@ -50,14 +64,20 @@ function calculateDailyStatus({ employee, attendance, leave, permission, setting
         } else {
             return { status: statuses, remarks: remarks.join(', '), color: 'orange' };
         }
+    } else if (isHalfDayLeave) {
+        // On leave for one half, expected at work for the other
+        statuses.push('Half day leave');
+        const half = leaveSession === LEAVE_SESSIONS.FIRST_HALF ? 'First half' : 'Second half';
+        remarks.push(leave.data && leave.data.leaveType ? `${leave.data.leaveType} (${half})` : half);
+        if (!attendance) {
+            return { status: [...statuses, 'Absent'], remarks: [...remarks, 'No Check-in'].join(', '), color: 'red' };
+        }
     }
 
-    // 3. CHECK FOR ABSENT
+    // 4. CHECK FOR ABSENT
     if (!attendance) {
-        // If not Sunday and not on Leave -> Absent
-        if (!isSunday && !leave) {
-            return { status: ['Absent'], remarks: 'No Check-in', color: 'red' };
-        }
+        // Not a holiday, week off or leave -> Absent
+        return { status: ['Absent'], remarks: 'No Check-in', color: 'red' };
     }
 
     // --- IF WE ARE HERE, EMPLOYEE HAS ATTENDANCE RECORD ---
@@ -66,21 +86,17 @@ function calculateDailyStatus({ employee, attendance, leave, permission, setting
     const checkIn = new Date(attendance.checkInTime);
     const checkOut = attendance.checkOutTime ? new Date(attendance.checkOutTime) : null;
 
-    // Helper to get minutes from midnight
-    const getMinutes = (d) => d.getHours() * 60 + d.getMinutes();
+    // Helper to get minutes from the shift date's midnight (overnight shifts run past 1440)
+    const getMinutes = (d) => toShiftMinutes(getZonedDateTime(d, timeZone).minutes, window);
 
     const checkInMinutes = getMinutes(checkIn);
 
-    // Parse Work Start/End
-    const [startH, startM] = workStartTime.split(':').map(Number);
-    const startMinutes = startH * 60 + startM;
-
-    const [endH, endM] = workEndTime.split(':').map(Number);
-    const endMinutes = endH * 60 + endM;
-
-    // Grace Period (e.g. 15 mins) - implied from lateThreshold (9:00 -> 9:15 = 15 mins)
-    const graceMinutes = 15;
-    const lateCutoff = startMinutes + graceMinutes;
+    // On half day leave only the working half is checked:
+    // first-half leave moves the start to mid-shift, second-half leave moves the end
+    const midMinutes = Math.round((window.startMinutes + window.endMinutes) / 2);
+    const startMinutes = leaveSession === LEAVE_SESSIONS.FIRST_HALF ? midMinutes : window.startMinutes;
+    const endMinutes = leaveSession === LEAVE_SESSIONS.SECOND_HALF ? midMinutes : window.endMinutes;
+    const lateCutoff = leaveSession === LEAVE_SESSIONS.FIRST_HALF ? midMinutes + window.graceMinutes : window.lateCutoff;
 
     // A. CHECK IN STATUS
     let isLate = false;
@@ -96,9 +112,8 @@ function calculateDailyStatus({ employee, attendance, leave, permission, setting
         }
 
         // Check for Half Day In (if VERY late)
-        // e.g. if checked in after 1:00 PM (13:00 = 780)
-        // using halfDayThresholdMinutes from settings (e.g., 720 = 12:00 PM)
-        if (checkInMinutes > (settings.halfDayThresholdMinutes || 720)) {
+        // e.g. General shift: checked in after 12:00 PM (settings.halfDayThresholdMinutes)
+        if (!isHalfDayLeave && checkInMinutes > window.halfDayCutoff) {
             statuses.push('Half day in');
         }
     } else if (checkInMinutes < startMinutes - 30) {
@@ -109,20 +124,14 @@ function calculateDailyStatus({ employee, attendance, leave, permission, setting
     // B. CHECK OUT STATUS
     if (!checkOut) {
         // No checkout yet
-        // If the date is TODAY, they might still be working.
-        // If the date is PAST, then "Shift out punch not done"
-        const todayStr = new Date().toISOString().split('T')[0];
-        if (date !== todayStr) {
-            statuses.push('Shift out punch not done');
+        // If the shift is still running (or only just ended), they might still be working.
+        // Overnight shifts end on the next calendar day, so compare against the actual end time.
+        const shiftEnd = zonedTimeToInstant(date, endMinutes, timeZone);
+        const now = new Date();
+        if (now - shiftEnd > 60 * 60 * 1000) {
+            statuses.push('Shift out punch not done'); // 1 hour past shift end and still no punch
         } else {
-            // It's today. verify if shift is over.
-            const now = new Date();
-            const nowMinutes = getMinutes(now);
-            if (nowMinutes > endMinutes + 60) {
-                statuses.push('Shift out punch not done'); // 1 hour past shift end and still no punch
-            } else {
-                statuses.push('Working');
-            }
+            statuses.push('Working');
         }
     } else {
         const checkOutMinutes = getMinutes(checkOut);
@@ -140,9 +149,9 @@ function calculateDailyStatus({ employee, attendance, leave, permission, setting
             }
 
             // Check for Half Day Out (if VERY early)
-            // e.g. worked less than 4 hours?
-            const durationMinutes = (checkOut - checkIn) / (1000 * 60);
-            if (durationMinutes < 240) { // Less than 4 hours
+            // e.g. worked less than 4 hours after unpaid breaks?
+            const durationMinutes = (checkOut - checkIn) / (1000 * 60) - window.unpaidBreakMinutes;
+            if (!isHalfDayLeave && durationMinutes < window.minFullDayMinutes) {
                 statuses.push('Half day out');
             }
 
@@ -152,8 +161,8 @@ function calculateDailyStatus({ employee, attendance, leave, permission, setting
         }
     }
 
-    // Default to Present if just Late In or plain
-    if (statuses.length === 0 || (statuses.length === 1 && statuses[0] === 'Early in')) {
+    // Default to Present if just Early In (or on half day leave) or plain
+    if (statuses.every(st => st === 'Early in' || st === 'Half day leave')) {
         statuses.push('Present');
     }
 
@@ -162,14 +171,22 @@ function calculateDailyStatus({ employee, attendance, leave, permission, setting
     if (statuses.includes('Absent') || statuses.includes('Shift out punch not done')) color = 'red';
     if (statuses.includes('Late in') || statuses.includes('Early out') || statuses.includes('Half day in') || statuses.includes('Half day out')) color = 'orange';
     if (statuses.includes('Leave')) color = 'blue';
+    if (statuses.includes('Half day leave') && color === 'green') color = 'blue';
+
+    // Times corrected through an approved REGULARIZATION request
+    if (attendance.regularized) remarks.push('Regularized');
+    if (attendance.systemClosed) remarks.push('Checked out by system');
 
     return {
         status: statuses,
         remarks: remarks.join(', ') || (statuses.includes('Present') ? 'On Time' : ''),
         color,
+        shift: effectiveShift.name,
+        regularized: !!attendance.regularized,
+        systemClosed: !!attendance.systemClosed,
         times: {
-            in: new Date(attendance.checkInTime).toLocaleTimeString('en-IN', { timeZone: 'Asia/Kolkata', hour: '2-digit', minute: '2-digit' }),
-            out: attendance.checkOutTime ? new Date(attendance.checkOutTime).toLocaleTimeString('en-IN', { timeZone: 'Asia/Kolkata', hour: '2-digit', minute: '2-digit' }) : '-'
+            in: formatClockTime(attendance.checkInTime, timeZone),
+            out: attendance.checkOutTime ? formatClockTime(attendance.checkOutTime, timeZone) : '-'
         }
     };
 }
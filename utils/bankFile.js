@@ -0,0 +1,262 @@
+/**
+ * Bank disbursement file utility functions
+ * Splits a month's net pay into bank transfers and a cash sheet, renders
+ * bulk-payment files in configurable layouts and reconciles totals per branch
+ *
+ * Format definitions:
+ *   CSV:         { type: 'CSV', delimiter, header: true|false, columns: [{ title, field }] }
+ *   FIXED_WIDTH: { type: 'FIXED_WIDTH', fields: [{ field, width, align: 'LEFT'|'RIGHT', pad }] }
+ *
+ * Row fields available to a format:
+ *   employeeId, name, accountNumber, ifscCode, amount (2 decimals), amountPaise,
+ *   narration, branchId, email, paymentDate (YYYY-MM-DD), paymentDateCompact (YYYYMMDD),
+ *   debitAccount (from the format), transactionType (from the format, default NEFT)
+ */
+
+const IFSC_REGEX = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const ACCOUNT_REGEX = /^\d{6,18}$/;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const BUILT_IN_BANK_FORMATS = Object.freeze({
+    NEFT_CSV: {
+        name: 'Generic NEFT CSV',
+        type: 'CSV',
+        delimiter: ',',
+        header: true,
+        extension: 'csv',
+        columns: [
+            { title: 'Transaction Type', field: 'transactionType' },
+            { title: 'Beneficiary Name', field: 'name' },
+            { title: 'Beneficiary Account Number', field: 'accountNumber' },
+            { title: 'IFSC Code', field: 'ifscCode' },
+            { title: 'Amount', field: 'amount' },
+            { title: 'Value Date', field: 'paymentDate' },
+            { title: 'Narration', field: 'narration' },
+            { title: 'Employee ID', field: 'employeeId' },
+        ],
+    },
+    FIXED_WIDTH: {
+        name: 'Fixed-width bulk transfer',
+        type: 'FIXED_WIDTH',
+        extension: 'txt',
+        fields: [
+            { field: 'transactionType', width: 4, align: 'LEFT' },
+            { field: 'debitAccount', width: 18, align: 'LEFT' },
+            { field: 'accountNumber', width: 18, align: 'LEFT' },
+            { field: 'ifscCode', width: 11, align: 'LEFT' },
+            { field: 'name', width: 35, align: 'LEFT' },
+            { field: 'amountPaise', width: 15, align: 'RIGHT', pad: '0' },
+            { field: 'paymentDateCompact', width: 8, align: 'LEFT' },
+            { field: 'narration', width: 30, align: 'LEFT' },
+        ],
+    },
+});
+
+/**
+ * Check an IFSC code: 4 letters (bank), a zero, then 6 letters or digits (branch)
+ */
+function isValidIfsc(ifsc) {
+    return IFSC_REGEX.test(String(ifsc || '').trim().toUpperCase());
+}
+
+/**
+ * Validate a bank file format definition
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateBankFormat(format) {
+    if (!format || !format.name) return 'Format name is required';
+
+    if (format.type === 'CSV') {
+        if (!Array.isArray(format.columns) || format.columns.length === 0) return 'CSV formats need columns';
+        if (format.columns.some(c => !c.field)) return 'Each column needs a field';
+        return null;
+    }
+
+    if (format.type === 'FIXED_WIDTH') {
+        if (!Array.isArray(format.fields) || format.fields.length === 0) return 'Fixed-width formats need fields';
+        if (format.fields.some(f => !f.field || !(f.width > 0))) return 'Each field needs a field name and a positive width';
+        return null;
+    }
+
+    return 'Format type must be CSV or FIXED_WIDTH';
+}
+
+/**
+ * Split payslips into bank transfers, cash payments and rejected rows
+ * @param {Object} params
+ * @param {Array} params.payslips - Payslips (or /calculate results) with employeeId and netPay
+ * @param {Object} params.employeeMap - { [employeeId]: employee }
+ * @param {string} params.narration - Narration for each transfer, e.g. 'SALARY MAR 2026'
+ * @returns {Object} { bankRows, cashRows, rejected }
+ */
+function splitDisbursement({ payslips, employeeMap, narration }) {
+    const bankRows = [];
+    const cashRows = [];
+    const rejected = [];
+
+    payslips.forEach(payslip => {
+        const employee = employeeMap[payslip.employeeId] || {};
+        const amount = round2(payslip.netPay || 0);
+        const row = {
+            employeeId: payslip.employeeId,
+            name: employee.name || payslip.employeeName || '',
+            branchId: payslip.branchId || employee.branchId || null,
+            email: employee.email || '',
+            amount,
+            narration,
+        };
+
+        if (amount <= 0) {
+            rejected.push({ ...row, reason: 'Nothing payable' });
+            return;
+        }
+
+        if (String(employee.paymentMode || '').toUpperCase() === 'CASH') {
+            cashRows.push(row);
+            return;
+        }
+
+        const accountNumber = String(employee.bankAccount || '').replace(/\s/g, '');
+        const ifscCode = String(employee.ifscCode || '').trim().toUpperCase();
+
+        if (!ACCOUNT_REGEX.test(accountNumber)) {
+            rejected.push({ ...row, reason: 'Missing or invalid bank account number' });
+        } else if (!isValidIfsc(ifscCode)) {
+            rejected.push({ ...row, reason: `Invalid IFSC code: ${employee.ifscCode || '(blank)'}` });
+        } else {
+            bankRows.push({ ...row, accountNumber, ifscCode });
+        }
+    });
+
+    return { bankRows, cashRows, rejected };
+}
+
+/**
+ * Values a format can use for one row
+ */
+function rowValues(row, format, paymentDate) {
+    return {
+        ...row,
+        amount: row.amount.toFixed(2),
+        amountPaise: String(Math.round(row.amount * 100)),
+        paymentDate,
+        paymentDateCompact: paymentDate.replace(/-/g, ''),
+        debitAccount: format.debitAccount || '',
+        transactionType: format.transactionType || 'NEFT',
+    };
+}
+
+/**
+ * Quote a CSV cell when needed
+ */
+function csvCell(value, delimiter = ',') {
+    const text = value === null || value === undefined ? '' : String(value);
+    return text.includes(delimiter) || text.includes('"') || text.includes('\n')
+        ? `"${text.replace(/"/g, '""')}"`
+        : text;
+}
+
+/**
+ * Render bank rows in a format
+ * @returns {string} File contents (CRLF line endings, as most bank portals expect)
+ */
+function renderBankFile(format, rows, paymentDate) {
+    const lines = [];
+
+    if (format.type === 'CSV') {
+        const delimiter = format.delimiter || ',';
+        if (format.header !== false) {
+            lines.push(format.columns.map(c => csvCell(c.title || c.field, delimiter)).join(delimiter));
+        }
+        rows.forEach(row => {
+            const values = rowValues(row, format, paymentDate);
+            lines.push(format.columns.map(c => csvCell(values[c.field], delimiter)).join(delimiter));
+        });
+    } else {
+        rows.forEach(row => {
+            const values = rowValues(row, format, paymentDate);
+            lines.push(format.fields.map(f => {
+                const text = String(values[f.field] === undefined ? '' : values[f.field])
+                    .replace(/[\r\n]/g, ' ')
+                    .slice(0, f.width);
+                const pad = f.pad || ' ';
+                return f.align === 'RIGHT' ? text.padStart(f.width, pad) : text.padEnd(f.width, pad);
+            }).join(''));
+        });
+    }
+
+    return lines.join('\r\n') + (lines.length > 0 ? '\r\n' : '');
+}
+
+/**
+ * Render the cash sheet (with a signature column for the person receiving cash)
+ */
+function renderCashSheet(rows) {
+    const lines = [['Employee ID', 'Name', 'Branch', 'Amount', 'Signature'].join(',')];
+    rows.forEach(row => {
+        lines.push([row.employeeId, row.name, row.branchId || '', row.amount.toFixed(2), ''].map(v => csvCell(v)).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Totals per branch so the bank file, cash sheet and rejections add up to net pay
+ * @param {Object} params
+ * @param {Object} params.branchMap - { [branchId]: branch }
+ */
+function buildReconciliation({ bankRows, cashRows, rejected, branchMap = {} }) {
+    const branches = {};
+    const entry = (branchId) => {
+        const key = branchId || 'UNASSIGNED';
+        if (!branches[key]) {
+            branches[key] = {
+                branchId: branchId || null,
+                branchName: branchId && branchMap[branchId] ? branchMap[branchId].name : (branchId || 'Unassigned'),
+                employees: 0,
+                netPay: 0,
+                bankCount: 0,
+                bankAmount: 0,
+                cashCount: 0,
+                cashAmount: 0,
+                rejectedCount: 0,
+                rejectedAmount: 0,
+            };
+        }
+        return branches[key];
+    };
+
+    const add = (rows, countKey, amountKey) => rows.forEach(row => {
+        const b = entry(row.branchId);
+        b.employees += 1;
+        b.netPay = round2(b.netPay + row.amount);
+        b[countKey] += 1;
+        b[amountKey] = round2(b[amountKey] + row.amount);
+    });
+
+    add(bankRows, 'bankCount', 'bankAmount');
+    add(cashRows, 'cashCount', 'cashAmount');
+    add(rejected, 'rejectedCount', 'rejectedAmount');
+
+    const perBranch = Object.values(branches).sort((a, b) => a.branchName.localeCompare(b.branchName));
+    const totals = perBranch.reduce((sum, b) => {
+        Object.keys(sum).forEach(key => { sum[key] = round2(sum[key] + b[key]); });
+        return sum;
+    }, { employees: 0, netPay: 0, bankCount: 0, bankAmount: 0, cashCount: 0, cashAmount: 0, rejectedCount: 0, rejectedAmount: 0 });
+
+    return {
+        perBranch,
+        totals,
+        balanced: round2(totals.bankAmount + totals.cashAmount + totals.rejectedAmount) === totals.netPay,
+    };
+}
+
+module.exports = {
+    BUILT_IN_BANK_FORMATS,
+    isValidIfsc,
+    validateBankFormat,
+    splitDisbursement,
+    renderBankFile,
+    renderCashSheet,
+    buildReconciliation,
+};
@@ -0,0 +1,144 @@
+/**
+ * Calendar utility functions
+ * Weekly-off patterns and holiday matching for attendance calculation
+ *
+ * A weekly-off pattern is the union of:
+ *   days:        weekdays that are always off, e.g. [0] = every Sunday
+ *   nthWeekdays: weekdays off only in some weeks of the month,
+ *                e.g. [{ day: 6, weeks: [2, 4] }] = 2nd and 4th Saturday
+ *   rotation:    one rotating weekday off, e.g.
+ *                { days: [1, 2, 3], startDate: '2026-01-05', everyWeeks: 1 }
+ *                = Monday off in the first week, Tuesday the next, and so on
+ */
+
+const DEFAULT_WEEKLY_OFF = Object.freeze({ days: [0] });
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const isWeekday = (d) => Number.isInteger(d) && d >= 0 && d <= 6;
+
+/**
+ * Validate a weekly-off pattern
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateWeeklyOffPattern(pattern) {
+    if (!pattern || typeof pattern !== 'object') {
+        return 'Weekly off pattern must be an object';
+    }
+
+    if (pattern.days && (!Array.isArray(pattern.days) || !pattern.days.every(isWeekday))) {
+        return 'days must be an array of weekdays 0 (Sunday) to 6 (Saturday)';
+    }
+
+    if (pattern.nthWeekdays) {
+        if (!Array.isArray(pattern.nthWeekdays)) {
+            return 'nthWeekdays must be an array';
+        }
+        for (const rule of pattern.nthWeekdays) {
+            if (!isWeekday(rule.day) || !Array.isArray(rule.weeks) || !rule.weeks.every(w => Number.isInteger(w) && w >= 1 && w <= 5)) {
+                return 'Each nthWeekdays rule needs a weekday and weeks between 1 and 5';
+            }
+        }
+    }
+
+    if (pattern.rotation) {
+        const { days, startDate, everyWeeks } = pattern.rotation;
+        if (!Array.isArray(days) || days.length === 0 || !days.every(isWeekday)) {
+            return 'rotation.days must be a non-empty array of weekdays';
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate || '')) {
+            return 'rotation.startDate must be YYYY-MM-DD';
+        }
+        if (everyWeeks !== undefined && (!Number.isInteger(everyWeeks) || everyWeeks < 1)) {
+            return 'rotation.everyWeeks must be a positive whole number';
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Check whether a date is a weekly off under a pattern
+ * @param {Object} pattern - Weekly-off pattern (defaults to Sunday only)
+ * @param {string} date - YYYY-MM-DD
+ */
+function isWeeklyOff(pattern, date) {
+    const rules = pattern || DEFAULT_WEEKLY_OFF;
+    const target = new Date(`${date}T00:00:00Z`);
+    const dayOfWeek = target.getUTCDay(); // 0 = Sunday (read in UTC so the server's zone can't shift the day)
+
+    if ((rules.days || []).includes(dayOfWeek)) return true;
+
+    const weekOfMonth = Math.ceil(target.getUTCDate() / 7);
+    const nthMatch = (rules.nthWeekdays || []).some(rule => rule.day === dayOfWeek && rule.weeks.includes(weekOfMonth));
+    if (nthMatch) return true;
+
+    if (rules.rotation && date >= rules.rotation.startDate) {
+        const { days, startDate, everyWeeks = 1 } = rules.rotation;
+        const weeksElapsed = Math.floor((target - new Date(startDate)) / (7 * MS_PER_DAY));
+        const rotatingDay = days[Math.floor(weeksElapsed / everyWeeks) % days.length];
+        if (rotatingDay === dayOfWeek) return true;
+    }
+
+    return false;
+}
+
+/**
+ * Pick the weekly-off pattern that applies to an employee
+ * Employee override > branch pattern > organisation default
+ */
+function resolveWeeklyOff({ employee, branch, defaultPattern }) {
+    return (employee && employee.weeklyOff) || (branch && branch.weeklyOff) || defaultPattern || DEFAULT_WEEKLY_OFF;
+}
+
+/**
+ * Check whether a holiday applies to a branch
+ * NATIONAL holidays apply to everyone, STATE holidays to branches in that state,
+ * BRANCH holidays to the listed branches only
+ * @param {Object} holiday
+ * @param {string} branchId
+ * @param {Object} branch - Branch record (needed for its state, can be null)
+ */
+function holidayAppliesTo(holiday, branchId, branch) {
+    switch (holiday.scope) {
+        case 'NATIONAL':
+            return true;
+        case 'STATE':
+            return !!branch && !!branch.state && branch.state === holiday.state;
+        case 'BRANCH':
+            return Array.isArray(holiday.branchIds) && holiday.branchIds.includes(branchId);
+        default:
+            return false;
+    }
+}
+
+/**
+ * Find the holiday (if any) that applies to an employee on a date
+ * @param {Array} holidays - Holiday records
+ * @param {Object} employee
+ * @param {Object} branch - Employee's branch (can be null)
+ * @param {string} date - YYYY-MM-DD
+ */
+function findHoliday(holidays, employee, branch, date) {
+    return holidays.find(h => h.date === date && holidayAppliesTo(h, employee.branchId, branch)) || null;
+}
+
+/**
+ * Working-day check for an employee: a date is a working day unless it is a holiday
+ * that applies to them or one of their weekly offs
+ * @param {Object} params - { employee, branch, weeklyOff, holidays } (weeklyOff as resolved by resolveWeeklyOff)
+ * @returns {Function} (date) => boolean
+ */
+function buildWorkingDayCheck({ employee, branch, weeklyOff, holidays }) {
+    return (date) => !findHoliday(holidays, employee, branch, date) && !isWeeklyOff(weeklyOff, date);
+}
+
+module.exports = {
+    DEFAULT_WEEKLY_OFF,
+    validateWeeklyOffPattern,
+    isWeeklyOff,
+    resolveWeeklyOff,
+    holidayAppliesTo,
+    findHoliday,
+    buildWorkingDayCheck,
+};
@@ -0,0 +1,153 @@
+/**
+ * Compensatory off utility functions
+ * Working a week off or holiday earns a comp-off credit (a full or half day, by
+ * minutes worked) that expires after validityDays. COMP_OFF requests consume
+ * credits, soonest-expiring first.
+ *
+ * Rules (Settings 'comp-off-config'):
+ *   { enabled, fullDayMinutes, halfDayMinutes, validityDays, sources: ['WEEKEND', 'HOLIDAY'], replacesOvertime }
+ *   replacesOvertime: a day that earns a credit is not also paid as overtime
+ *
+ * Credit: { creditId, employeeId, workedDate, dayType, workedMinutes, days, expiresOn, usages: [{ requestId, days, date }] }
+ */
+
+const DEFAULT_COMP_OFF_RULES = Object.freeze({
+    enabled: true,
+    fullDayMinutes: 360,
+    halfDayMinutes: 240,
+    validityDays: 60,
+    sources: ['WEEKEND', 'HOLIDAY'],
+    replacesOvertime: true,
+});
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+function addDays(date, days) {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().split('T')[0];
+}
+
+/**
+ * Validate comp-off rules
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateCompOffRules(rules) {
+    if (!rules || typeof rules !== 'object') return 'Rules must be an object';
+
+    for (const key of ['fullDayMinutes', 'halfDayMinutes', 'validityDays']) {
+        if (rules[key] !== undefined && !(Number.isInteger(rules[key]) && rules[key] > 0)) {
+            return `${key} must be a positive whole number`;
+        }
+    }
+
+    const full = rules.fullDayMinutes !== undefined ? rules.fullDayMinutes : DEFAULT_COMP_OFF_RULES.fullDayMinutes;
+    const half = rules.halfDayMinutes !== undefined ? rules.halfDayMinutes : DEFAULT_COMP_OFF_RULES.halfDayMinutes;
+    if (half > full) return 'halfDayMinutes cannot be more than fullDayMinutes';
+
+    if (rules.sources !== undefined && (!Array.isArray(rules.sources) || rules.sources.some(s => !['WEEKEND', 'HOLIDAY'].includes(s)))) {
+        return 'sources must be a list of WEEKEND and/or HOLIDAY';
+    }
+
+    return null;
+}
+
+/**
+ * Comp-off days earned for a day worked
+ * @param {Object} overtime - { dayType, workedMinutes } for the day (see utils/overtime.js)
+ * @returns {number} 1, 0.5 or 0
+ */
+function getCompOffDays(overtime, rules) {
+    if (!rules.enabled || !overtime || !(rules.sources || []).includes(overtime.dayType)) return 0;
+    if (overtime.workedMinutes >= rules.fullDayMinutes) return 1;
+    if (overtime.workedMinutes >= rules.halfDayMinutes) return 0.5;
+    return 0;
+}
+
+/**
+ * Build a credit for a worked week off or holiday (the ID is per employee and date, so it is only earned once)
+ */
+function buildCredit(employeeId, date, overtime, days, rules) {
+    return {
+        creditId: `${employeeId}#${date}`,
+        employeeId,
+        workedDate: date,
+        dayType: overtime.dayType,
+        workedMinutes: overtime.workedMinutes,
+        days,
+        expiresOn: addDays(date, rules.validityDays),
+        usages: [],
+        createdAt: new Date().toISOString(),
+    };
+}
+
+/**
+ * Days of a credit not yet used
+ */
+function getRemainingDays(credit) {
+    return round2(credit.days - (credit.usages || []).reduce((sum, u) => sum + u.days, 0));
+}
+
+/**
+ * Pick credits to cover a comp-off taken on a date, soonest-expiring first
+ * A credit can be used after the day it was earned, up to its expiry date.
+ * @returns {Array|null} [{ creditId, days }], or null when credits do not cover the days
+ */
+function allocateCredits(credits, days, takenOn) {
+    const usable = credits
+        .filter(c => c.workedDate < takenOn && c.expiresOn >= takenOn && getRemainingDays(c) > 0)
+        .sort((a, b) => a.expiresOn.localeCompare(b.expiresOn));
+
+    const allocation = [];
+    let needed = days;
+    for (const credit of usable) {
+        if (needed <= 0) break;
+        const take = Math.min(getRemainingDays(credit), needed);
+        allocation.push({ creditId: credit.creditId, days: take });
+        needed = round2(needed - take);
+    }
+
+    return needed > 0 ? null : allocation;
+}
+
+/**
+ * Summarise credits as of a date
+ * @param {Array} credits
+ * @param {string} asOfDate - YYYY-MM-DD
+ * @param {number} pendingDays - Days on COMP_OFF requests awaiting approval
+ */
+function summariseCredits(credits, asOfDate, pendingDays = 0) {
+    const withRemaining = credits
+        .map(c => ({ ...c, remainingDays: getRemainingDays(c) }))
+        .sort((a, b) => a.expiresOn.localeCompare(b.expiresOn));
+
+    const available = withRemaining.filter(c => c.remainingDays > 0 && c.expiresOn >= asOfDate);
+    const expired = withRemaining.filter(c => c.remainingDays > 0 && c.expiresOn < asOfDate);
+    const used = withRemaining.filter(c => c.remainingDays <= 0);
+    const availableDays = round2(available.reduce((sum, c) => sum + c.remainingDays, 0));
+
+    return {
+        asOfDate,
+        availableDays,
+        pendingDays,
+        availableAfterPending: round2(availableDays - pendingDays),
+        expiredDays: round2(expired.reduce((sum, c) => sum + c.remainingDays, 0)),
+        available,
+        expired,
+        used,
+    };
+}
+
+module.exports = {
+    DEFAULT_COMP_OFF_RULES,
+    addDays,
+    validateCompOffRules,
+    getCompOffDays,
+    buildCredit,
+    getRemainingDays,
+    allocateCredits,
+    summariseCredits,
+};
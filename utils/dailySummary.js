@@ -0,0 +1,90 @@
+/**
+ * Daily attendance summary utility functions
+ * A summary is the stored outcome of one employee's day: the status from
+ * calculateDailyStatus plus the punches, leave and overtime behind it.
+ */
+
+/**
+ * Build a summary row from an evaluated day (see buildEmployeeDays in payrollController)
+ * @param {Object} employee
+ * @param {Object} day
+ * @param {string} source - What produced it, e.g. 'END_OF_DAY'
+ */
+function buildDailySummary(employee, day, source) {
+    const attendance = day.attendance || null;
+
+    return {
+        employeeId: employee.employeeId,
+        date: day.date,
+        branchId: employee.branchId || null,
+        status: day.status,
+        remarks: day.remarks || '',
+        color: day.color || null,
+        shift: day.shift || null,
+        times: day.times || null,
+        checkInTime: attendance ? attendance.checkInTime : null,
+        checkOutTime: attendance ? attendance.checkOutTime : null,
+        sessionCount: day.sessionCount || 0,
+        workedMinutes: day.overtime ? day.overtime.workedMinutes : 0,
+        regularized: !!(attendance && attendance.regularized),
+        systemClosed: !!(attendance && attendance.systemClosed),
+        leaveRequestId: day.leave ? day.leave.requestId : null,
+        leaveType: day.leave && day.leave.data ? day.leave.data.leaveType || null : null,
+        permissionRequestId: day.permission ? day.permission.requestId : null,
+        overtimeRequestId: day.overtimeRequestId || null,
+        overtimeMinutes: day.overtimeMinutes || 0,
+        overtimeMultiplier: day.overtimeMultiplier || 1,
+        scheduledMinutes: day.scheduledMinutes || 0,
+        compOffDays: day.compOffDays || 0,
+        source,
+        generatedAt: new Date().toISOString(),
+    };
+}
+
+/**
+ * Day for payroll (see classifyDay in payrollCalculator) from a stored summary
+ */
+function summaryToDay(summary) {
+    return {
+        date: summary.date,
+        status: summary.status || [],
+        leave: summary.leaveRequestId
+            ? { requestId: summary.leaveRequestId, data: { leaveType: summary.leaveType } }
+            : null,
+        overtimeRequestId: summary.overtimeRequestId || null,
+        overtimeMinutes: summary.overtimeMinutes || 0,
+        overtimeMultiplier: summary.overtimeMultiplier || 1,
+        scheduledMinutes: summary.scheduledMinutes || 0,
+        compOffDays: summary.compOffDays || 0,
+    };
+}
+
+/**
+ * Add a summary's day to range report stats
+ * @returns {Object} stats
+ */
+function addToStats(stats, summary) {
+    const s = summary.status || [];
+    const dayShare = s.includes('Half day leave') ? 0.5 : 1; // The other half is on leave
+    if (s.includes('Present') || s.includes('Present (On Leave)')) stats.present += dayShare;
+    if (s.includes('Absent') && !s.includes('Week off')) stats.absent += dayShare; // Absent usually excludes WeekOff/Leave if marked differently
+    if (s.includes('Late in')) stats.lateIn++;
+    if (s.includes('Early out')) stats.earlyOut++;
+    if (s.includes('Half day in') || s.includes('Half day out')) stats.halfDay++;
+    if (s.includes('Leave')) stats.leave++;
+    if (s.includes('Half day leave')) stats.leave += 0.5;
+    if (s.includes('Permission in')) stats.permission++;
+    if (s.includes('Week off')) stats.weekOff++;
+    if (s.includes('Week off worked')) stats.weekOffWorked++;
+    if (s.includes('Holiday')) stats.holiday++;
+    if (s.includes('Holiday worked')) stats.holidayWorked++;
+    if (summary.regularized) stats.regularized++;
+    if (summary.systemClosed) stats.systemClosed++;
+    return stats;
+}
+
+module.exports = {
+    buildDailySummary,
+    summaryToDay,
+    addToStats,
+};
@@ -0,0 +1,58 @@
+/**
+ * DynamoDB read helpers
+ * A single Query or Scan call returns at most 1 MB of items; these follow
+ * LastEvaluatedKey until every page has been read.
+ */
+
+const { QueryCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient } = require('../storage');
+
+/**
+ * Read every page of a Query or Scan
+ * @param {Function} Command - QueryCommand or ScanCommand
+ * @param {Object} input - Command input (a Limit applies per page)
+ * @param {number} maxItems - Stop once this many items were read (Query order is kept)
+ */
+async function readAllPages(Command, input, maxItems = Infinity) {
+    const items = [];
+    let startKey = null;
+
+    do {
+        let response;
+        try {
+            response = await docClient.send(new Command(startKey ? { ...input, ExclusiveStartKey: startKey } : input));
+        } catch (error) {
+            if (input.IndexName && error.name === 'ValidationException' && /index/i.test(error.message)) {
+                console.error(`Index ${input.IndexName} missing on ${input.TableName}; run node migrate_dynamodb_indexes.js`);
+            }
+            throw error;
+        }
+
+        items.push(...(response.Items || []));
+        startKey = response.LastEvaluatedKey || null;
+    } while (startKey && items.length < maxItems);
+
+    return items.slice(0, maxItems);
+}
+
+/**
+ * Query all matching items
+ * @param {Object} input - QueryCommand input
+ * @param {Object} options - { maxItems }
+ */
+function queryAll(input, { maxItems } = {}) {
+    return readAllPages(QueryCommand, input, maxItems);
+}
+
+/**
+ * Scan all matching items
+ * @param {Object} input - ScanCommand input
+ */
+function scanAll(input) {
+    return readAllPages(ScanCommand, input);
+}
+
+module.exports = {
+    queryAll,
+    scanAll,
+};
@@ -1,13 +1,21 @@
 const nodemailer = require('nodemailer');
 
 // Create reusable transporter object using Gmail SMTP
-const transporter = nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASSWORD,
-    },
-});
+// (SMTP_HOST/SMTP_PORT point it at another server, e.g. a local SMTP stand-in for testing)
+const transporter = nodemailer.createTransport(process.env.SMTP_HOST
+    ? {
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 25,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.EMAIL_PASSWORD ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASSWORD } : undefined,
+    }
+    : {
+        service: 'gmail',
+        auth: {
+            user: process.env.EMAIL_USER,
+            pass: process.env.EMAIL_PASSWORD,
+        },
+    });
 
 /**
  * Send OTP email to the specified email address
@@ -172,6 +180,69 @@ async function sendOTPEmail({ email, otp, employeeName = 'Employee' }) {
     }
 }
 
+/**
+ * Send a payslip PDF to an employee
+ * @param {Object} params
+ * @param {string} params.email - Recipient email address
+ * @param {string} params.employeeName
+ * @param {string} params.payPeriod - e.g. 'March 2026'
+ * @param {string} params.netPay - Formatted net pay
+ * @param {Buffer} params.pdf - Rendered payslip
+ * @param {string} params.filename
+ */
+async function sendPayslipEmail({ email, employeeName = 'Employee', payPeriod, netPay, pdf, filename }) {
+    try {
+        const mailOptions = {
+            from: `"SRM Sweets - Payroll" <${process.env.EMAIL_USER}>`,
+            to: email,
+            subject: `Payslip for ${payPeriod}`,
+            html: `
+                <!DOCTYPE html>
+                <html>
+                <body style="font-family: 'Poppins', 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #000000; margin: 0; padding: 0;">
+                    <div style="max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f5f5f5;">
+                        <div style="background-color: white; padding: 40px 30px; border: 1px solid #E0E0E0;">
+                            <div style="text-align: left; margin-bottom: 15px;">
+                                <img src="https://srm-logo.s3.us-east-1.amazonaws.com/srm-logo.png" alt="SRM Sweets Logo" style="max-width: 80px; height: auto;" />
+                            </div>
+                            <div style="text-align: center; margin-bottom: 30px; border-bottom: 3px solid #EF4136; padding-bottom: 20px;">
+                                <h1 style="color: #EF4136; margin: 0 0 10px 0; font-size: 24px; font-weight: 600;">Payslip for ${payPeriod}</h1>
+                                <p style="color: #666666; margin: 0; font-size: 14px;">SRM Sweets - Employee Management System</p>
+                            </div>
+
+                            <p>Dear <strong>${employeeName}</strong>,</p>
+
+                            <p>Your payslip for <strong>${payPeriod}</strong> is attached to this email. Net pay for the month is <strong>Rs. ${netPay}</strong>.</p>
+
+                            <p style="color: #6b7280; font-size: 14px;">If anything on your payslip looks wrong, please contact your HR administrator.</p>
+
+                            <div style="margin-top: 30px; text-align: center; color: #666666; font-size: 12px;">
+                                <p style="margin: 5px 0;">This is an automated email. Please do not reply to this message.</p>
+                                <p style="margin: 5px 0;">&copy; ${new Date().getFullYear()} SRM Sweets. All rights reserved.</p>
+                            </div>
+                        </div>
+                    </div>
+                </body>
+                </html>
+            `,
+            attachments: [
+                {
+                    filename,
+                    content: pdf,
+                    contentType: 'application/pdf',
+                },
+            ],
+        };
+
+        const info = await transporter.sendMail(mailOptions);
+        console.log('Payslip email sent successfully:', info.messageId);
+        return { success: true, messageId: info.messageId };
+    } catch (error) {
+        console.error('Error sending payslip email:', error);
+        throw new Error('Failed to send payslip email');
+    }
+}
+
 /**
  * Verify email configuration
  */
@@ -188,5 +259,6 @@ async function verifyEmailConfig() {
 
 module.exports = {
     sendOTPEmail,
+    sendPayslipEmail,
     verifyEmailConfig,
 };
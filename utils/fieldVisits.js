@@ -0,0 +1,102 @@
+/**
+ * Field duty (TRAVEL check-in) helpers - visit plans
+ * Field staff check in on duty from wherever they are, then check in at each customer
+ * or distributor on their visit list with a photo. Planned visits not checked in by
+ * the end of their day count as missed.
+ *
+ * Visit place: { name, kind, address, latitude, longitude, radiusMeters }
+ */
+
+// Work modes allowed to check in on field duty (Employee.workMode)
+const FIELD_WORK_MODES = ['FIELD_SALES', 'REMOTE'];
+
+const VISIT_KINDS = ['CUSTOMER', 'DISTRIBUTOR', 'OTHER'];
+
+// Planned visits: PLANNED -> CHECKED_IN -> COMPLETED, or CANCELLED by a manager
+const VISIT_STATUSES = ['PLANNED', 'CHECKED_IN', 'COMPLETED', 'CANCELLED'];
+
+// How close a visit check-in must be to the place, when the plan sets no radius
+const DEFAULT_VISIT_RADIUS_METERS = 150;
+
+const MAX_VISITS_PER_DAY = 50;
+
+/**
+ * Whether an employee may check in on field duty
+ */
+const isFieldWorker = (employee) => FIELD_WORK_MODES.includes((employee && employee.workMode) || 'OFFICE');
+
+/**
+ * Validate a planned visit
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateVisitPlan(visit) {
+    if (!visit || typeof visit !== 'object') return 'Each visit must be an object';
+    if (!visit.name || typeof visit.name !== 'string') return 'Each visit needs a name';
+    if (visit.kind !== undefined && !VISIT_KINDS.includes(visit.kind)) {
+        return `Visit kind must be one of ${VISIT_KINDS.join(', ')}`;
+    }
+
+    const lat = Number(visit.latitude);
+    const lng = Number(visit.longitude);
+    if (visit.latitude === undefined || visit.longitude === undefined || !Number.isFinite(lat) || !Number.isFinite(lng)
+        || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+        return `Visit "${visit.name}" needs a valid latitude and longitude`;
+    }
+    if (visit.radiusMeters !== undefined && !(Number(visit.radiusMeters) > 0)) {
+        return `Visit "${visit.name}" radiusMeters must be a positive number`;
+    }
+
+    return null;
+}
+
+/**
+ * Place of a planned visit, as stored
+ */
+function toPlace(visit) {
+    return {
+        name: visit.name.trim(),
+        kind: visit.kind || 'CUSTOMER',
+        address: visit.address || null,
+        latitude: Number(visit.latitude),
+        longitude: Number(visit.longitude),
+        radiusMeters: visit.radiusMeters !== undefined ? Number(visit.radiusMeters) : DEFAULT_VISIT_RADIUS_METERS,
+    };
+}
+
+/**
+ * Status of a visit as of a business date (planned visits of earlier days are MISSED)
+ */
+function effectiveStatus(visit, today) {
+    return visit.status === 'PLANNED' && visit.date < today ? 'MISSED' : visit.status;
+}
+
+/**
+ * Counts of a day's visits by outcome
+ */
+function summarizeVisits(visits, today) {
+    const summary = { planned: 0, completed: 0, inProgress: 0, missed: 0, cancelled: 0, unplanned: 0 };
+    visits.forEach(visit => {
+        if (visit.planned) summary.planned += 1;
+        else summary.unplanned += 1;
+
+        const status = effectiveStatus(visit, today);
+        if (status === 'COMPLETED') summary.completed += 1;
+        else if (status === 'CHECKED_IN') summary.inProgress += 1;
+        else if (status === 'MISSED') summary.missed += 1;
+        else if (status === 'CANCELLED') summary.cancelled += 1;
+    });
+    return summary;
+}
+
+module.exports = {
+    FIELD_WORK_MODES,
+    VISIT_KINDS,
+    VISIT_STATUSES,
+    DEFAULT_VISIT_RADIUS_METERS,
+    MAX_VISITS_PER_DAY,
+    isFieldWorker,
+    validateVisitPlan,
+    toPlace,
+    effectiveStatus,
+    summarizeVisits,
+};
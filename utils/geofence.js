@@ -1,8 +1,17 @@
 /**
  * Geo-fence utility functions
  * Calculates distance and validates if location is within allowed radius
+ *
+ * A branch can also have zones (branch.zones): GeoJSON Polygon or MultiPolygon
+ * areas such as the shop floor, godown or parking, each allowed or denied:
+ *   { name: 'Godown', allow: true, geometry: { type: 'Polygon', coordinates: [[[lng, lat], ...]] } }
+ * Coordinates are [longitude, latitude] as in GeoJSON; rings are closed.
  */
 
+const EARTH_RADIUS_METERS = 6371e3;
+const MAX_ZONES = 20;
+const MAX_RING_POSITIONS = 500;
+
 /**
  * Calculate distance between two coordinates using Haversine formula
  * @param {number} lat1 - Latitude of first point
@@ -12,7 +21,7 @@
  * @returns {number} Distance in meters
  */
 function calculateDistance(lat1, lng1, lat2, lng2) {
-    const R = 6371e3; // Earth's radius in meters
+    const R = EARTH_RADIUS_METERS;
     const φ1 = (lat1 * Math.PI) / 180;
     const φ2 = (lat2 * Math.PI) / 180;
     const Δφ = ((lat2 - lat1) * Math.PI) / 180;
@@ -46,7 +55,193 @@ function isWithinGeofence(userLat, userLng, officeLat, officeLng, radiusMeters)
     };
 }
 
+/**
+ * Polygons of a GeoJSON Polygon or MultiPolygon, each as [outerRing, ...holes]
+ */
+function getPolygons(geometry) {
+    if (!geometry) return [];
+    if (geometry.type === 'Polygon') return [geometry.coordinates];
+    if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+    return [];
+}
+
+/**
+ * Ray casting: is the point inside a ring of [lng, lat] positions
+ */
+function isPointInRing(lat, lng, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Check if a point is inside a GeoJSON Polygon or MultiPolygon (and not in a hole)
+ */
+function isPointInPolygon(lat, lng, geometry) {
+    return getPolygons(geometry).some(([outer, ...holes]) =>
+        isPointInRing(lat, lng, outer) && !holes.some(hole => isPointInRing(lat, lng, hole)));
+}
+
+/**
+ * Distance in meters from a point to the nearest edge of a polygon (0 inside it).
+ * Edges are measured on a plane around the point, accurate over the few km a branch spans.
+ */
+function distanceToPolygon(lat, lng, geometry) {
+    if (isPointInPolygon(lat, lng, geometry)) return 0;
+
+    const metersPerDegLat = (Math.PI / 180) * EARTH_RADIUS_METERS;
+    const metersPerDegLng = metersPerDegLat * Math.cos((lat * Math.PI) / 180);
+    const toPlane = ([pLng, pLat]) => [(pLng - lng) * metersPerDegLng, (pLat - lat) * metersPerDegLat];
+
+    let min = Infinity;
+    getPolygons(geometry).forEach(rings => rings.forEach(ring => {
+        for (let i = 1; i < ring.length; i++) {
+            const [ax, ay] = toPlane(ring[i - 1]);
+            const [bx, by] = toPlane(ring[i]);
+            const dx = bx - ax;
+            const dy = by - ay;
+            const lengthSq = dx * dx + dy * dy;
+            // Closest point of the edge to the origin (the user's location)
+            const t = lengthSq > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq)) : 0;
+            min = Math.min(min, Math.hypot(ax + t * dx, ay + t * dy));
+        }
+    }));
+    return min;
+}
+
+/**
+ * Check a location against a branch (or office) geofence: its allow zones when it has
+ * any, otherwise its circle. A deny zone wins over both, e.g. a parking lot inside the radius.
+ * @param {number} userLat - User's latitude
+ * @param {number} userLng - User's longitude
+ * @param {Object} geofence - { latitude, longitude, radiusMeters, zones }
+ * @returns {object} { isWithin, distance, outsideBy, allowedRadius (null for zones), zone, deniedZone }
+ *   distance: to the branch center (circle) or the nearest allow zone; outsideBy: meters past the edge (0 inside)
+ */
+function checkGeofence(userLat, userLng, geofence) {
+    const zones = geofence.zones || [];
+    const allowZones = zones.filter(z => z.allow !== false);
+
+    let result;
+    if (allowZones.length > 0) {
+        const nearest = allowZones
+            .map(zone => ({ zone, distance: distanceToPolygon(userLat, userLng, zone.geometry) }))
+            .reduce((best, candidate) => (candidate.distance < best.distance ? candidate : best));
+        result = {
+            isWithin: nearest.distance === 0,
+            distance: Math.round(nearest.distance),
+            outsideBy: Math.round(nearest.distance),
+            allowedRadius: null,
+            zone: nearest.distance === 0 ? nearest.zone.name : null,
+        };
+    } else {
+        const circle = isWithinGeofence(userLat, userLng, geofence.latitude, geofence.longitude, geofence.radiusMeters || 100);
+        result = {
+            ...circle,
+            outsideBy: Math.max(0, circle.distance - circle.allowedRadius),
+            zone: null,
+        };
+    }
+
+    const denied = zones.find(z => z.allow === false && isPointInPolygon(userLat, userLng, z.geometry));
+    if (denied) {
+        return { ...result, isWithin: false, zone: null, deniedZone: denied.name };
+    }
+    return { ...result, deniedZone: null };
+}
+
+/**
+ * Whether a branch has somewhere to check against (a center or allow zones)
+ */
+function hasGeofence(branch) {
+    return !!branch && ((!!branch.latitude && !!branch.longitude) || (branch.zones || []).some(z => z.allow !== false));
+}
+
+/**
+ * Explain a failed geofence check to the user
+ */
+function describeGeofenceFailure(result) {
+    if (result.deniedZone) {
+        return `You are in a restricted area (${result.deniedZone})`;
+    }
+    if (result.allowedRadius) {
+        return `You are too far from the office! Distance: ${result.distance}m (Allowed: ${result.allowedRadius}m)`;
+    }
+    return `You are outside the office premises! Distance: ${result.distance}m`;
+}
+
+const isPosition = (p) => Array.isArray(p) && p.length >= 2
+    && typeof p[0] === 'number' && p[0] >= -180 && p[0] <= 180
+    && typeof p[1] === 'number' && p[1] >= -90 && p[1] <= 90;
+
+const isClosedRing = (ring) => Array.isArray(ring) && ring.length >= 4 && ring.length <= MAX_RING_POSITIONS
+    && ring.every(isPosition)
+    && ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1];
+
+/**
+ * Validate branch zones
+ * @returns {string|null} Error message
+ */
+function validateZones(zones) {
+    if (!Array.isArray(zones)) {
+        return 'zones must be an array';
+    }
+    if (zones.length > MAX_ZONES) {
+        return `A branch can have at most ${MAX_ZONES} zones`;
+    }
+
+    const names = new Set();
+    for (const zone of zones) {
+        if (!zone || typeof zone.name !== 'string' || !zone.name.trim()) {
+            return 'Each zone needs a name';
+        }
+        if (names.has(zone.name.trim())) {
+            return `Duplicate zone name: ${zone.name}`;
+        }
+        names.add(zone.name.trim());
+
+        if (zone.allow !== undefined && typeof zone.allow !== 'boolean') {
+            return `Zone ${zone.name}: allow must be true or false`;
+        }
+
+        const geometry = zone.geometry;
+        if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type) || !Array.isArray(geometry.coordinates)) {
+            return `Zone ${zone.name}: geometry must be a GeoJSON Polygon or MultiPolygon`;
+        }
+        const polygons = getPolygons(geometry);
+        if (polygons.length === 0 || !polygons.every(rings => Array.isArray(rings) && rings.length > 0 && rings.every(isClosedRing))) {
+            return `Zone ${zone.name}: each ring needs 4 to ${MAX_RING_POSITIONS} [longitude, latitude] positions, the last equal to the first`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Zones as stored: trimmed names and allow defaulting to true
+ */
+function normalizeZones(zones) {
+    return zones.map(zone => ({
+        name: zone.name.trim(),
+        allow: zone.allow !== false,
+        geometry: { type: zone.geometry.type, coordinates: zone.geometry.coordinates },
+    }));
+}
+
 module.exports = {
     calculateDistance,
     isWithinGeofence,
+    isPointInPolygon,
+    distanceToPolygon,
+    checkGeofence,
+    hasGeofence,
+    describeGeofenceFailure,
+    validateZones,
+    normalizeZones,
 };
@@ -0,0 +1,54 @@
+/**
+ * Scheduled job utility functions
+ * Jobs run once per scope (a branch) and business date, at a local time in the
+ * scope's timezone (see jobs/scheduler.js).
+ *
+ * Config (Settings 'jobs-config'):
+ *   { endOfDay: { enabled, runAt: 'HH:mm', autoCloseAfterMinutes } }
+ *   autoCloseAfterMinutes: open sessions are closed once this long past their shift end
+ */
+
+const { parseTime } = require('./shiftUtils');
+
+const DEFAULT_JOB_SCHEDULES = Object.freeze({
+    endOfDay: { enabled: true, runAt: '23:30', autoCloseAfterMinutes: 120 },
+});
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Validate job schedules
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateJobSchedules(schedules) {
+    if (!schedules || typeof schedules !== 'object') return 'Schedules must be an object keyed by job';
+
+    for (const [job, schedule] of Object.entries(schedules)) {
+        if (!DEFAULT_JOB_SCHEDULES[job]) return `Unknown job: ${job}`;
+        if (schedule.enabled !== undefined && typeof schedule.enabled !== 'boolean') return `${job}: enabled must be true or false`;
+        if (schedule.runAt !== undefined && !TIME_REGEX.test(schedule.runAt)) return `${job}: runAt must be HH:mm`;
+        if (schedule.autoCloseAfterMinutes !== undefined
+            && !(Number.isInteger(schedule.autoCloseAfterMinutes) && schedule.autoCloseAfterMinutes >= 0)) {
+            return `${job}: autoCloseAfterMinutes must be a non-negative whole number`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Business dates a job should run for now: yesterday (catch-up after downtime)
+ * and today once the local time has passed runAt
+ * @param {Object} schedule - { runAt }
+ * @param {Object} local - { date, minutes } wall clock in the scope's timezone
+ * @param {string} yesterday - YYYY-MM-DD
+ */
+function getDueDates(schedule, local, yesterday) {
+    return local.minutes >= parseTime(schedule.runAt) ? [yesterday, local.date] : [yesterday];
+}
+
+module.exports = {
+    DEFAULT_JOB_SCHEDULES,
+    validateJobSchedules,
+    getDueDates,
+};
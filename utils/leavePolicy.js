@@ -0,0 +1,364 @@
+/**
+ * Leave policy utility functions
+ * Builds the scheduled ledger entries (grants, monthly accruals, carry-forward)
+ * for an employee, summarises ledger entries into balances, and works out
+ * which days (and half days) a LEAVE request covers
+ *
+ * Policy shape (stored in settings, see models/Settings.js):
+ *   types: {
+ *     CL: { name, annualQuota, accrual: 'MONTHLY' | 'ANNUAL' | 'NONE',
+ *           carryForwardLimit, encashable, unlimited }
+ *   }
+ */
+
+const LEAVE_ENTRY_TYPES = Object.freeze({
+    GRANT: 'GRANT', // Full annual quota at the start of the year
+    ACCRUAL: 'ACCRUAL', // Monthly share of the annual quota
+    CARRY_FORWARD: 'CARRY_FORWARD', // Balance brought into a new year
+    LAPSE: 'LAPSE', // Balance above the carry-forward limit that is lost
+    ENCASHMENT: 'ENCASHMENT', // Balance above the carry-forward limit that is paid out
+    DEBIT: 'DEBIT', // Approved leave
+    REVERSAL: 'REVERSAL', // Cancelled leave credited back
+    ADJUSTMENT: 'ADJUSTMENT', // Manual correction by HR
+});
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Validate a leave policy
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateLeavePolicy(policy) {
+    if (!policy || typeof policy.types !== 'object' || Object.keys(policy.types).length === 0) {
+        return 'Leave policy must define at least one leave type';
+    }
+
+    for (const [code, type] of Object.entries(policy.types)) {
+        if (!/^[A-Z]{2,5}$/.test(code)) {
+            return `Invalid leave type code: ${code}`;
+        }
+        if (type.unlimited) continue;
+        if (typeof type.annualQuota !== 'number' || type.annualQuota < 0) {
+            return `${code}: annualQuota must be a non-negative number`;
+        }
+        if (!['MONTHLY', 'ANNUAL', 'NONE'].includes(type.accrual)) {
+            return `${code}: accrual must be MONTHLY, ANNUAL or NONE`;
+        }
+        if (type.carryForwardLimit !== undefined && (typeof type.carryForwardLimit !== 'number' || type.carryForwardLimit < 0)) {
+            return `${code}: carryForwardLimit must be a non-negative number`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Deterministic ledger entry ID, so scheduled entries are only ever written once
+ */
+function buildEntryId(employeeId, ...parts) {
+    return [employeeId, ...parts].join('#');
+}
+
+/**
+ * Work out which scheduled entries (grants, accruals, year-end carry-forward)
+ * should exist for an employee up to a date, given the entries already in the ledger.
+ * Returns only the entries that are missing.
+ *
+ * The ledger starts in the year of the employee's earliest entry (or the current year
+ * for a new ledger); opening balances before that are entered as ADJUSTMENTs.
+ *
+ * @param {Object} params
+ * @param {Object} params.employee
+ * @param {Object} params.policy
+ * @param {Array} params.entries - Existing ledger entries for the employee
+ * @param {string} params.asOfDate - YYYY-MM-DD
+ */
+function buildScheduledEntries({ employee, policy, entries, asOfDate }) {
+    const existingIds = new Set(entries.map(e => e.entryId));
+    const all = [...entries];
+    const missing = [];
+    const timestamp = new Date().toISOString();
+
+    const add = (entry) => {
+        if (existingIds.has(entry.entryId)) return;
+        existingIds.add(entry.entryId);
+        const item = { ...entry, employeeId: employee.employeeId, createdBy: 'system', createdAt: timestamp };
+        all.push(item);
+        missing.push(item);
+    };
+
+    const asOfYear = parseInt(asOfDate.slice(0, 4));
+    const asOfMonth = parseInt(asOfDate.slice(5, 7));
+    const firstYear = entries.length > 0
+        ? Math.min(asOfYear, ...entries.map(e => e.year))
+        : asOfYear;
+
+    const joined = employee.joinedDate ? String(employee.joinedDate).slice(0, 7) : null; // YYYY-MM
+
+    for (let year = firstYear; year <= asOfYear; year++) {
+        const lastMonth = year < asOfYear ? 12 : asOfMonth;
+
+        for (const [leaveType, type] of Object.entries(policy.types)) {
+            if (type.unlimited) continue;
+
+            // Year-end rollover: carry forward up to the limit, lapse or encash the rest
+            if (year > firstYear) {
+                const closing = all
+                    .filter(e => e.leaveType === leaveType && e.year === year - 1)
+                    .reduce((sum, e) => sum + e.days, 0);
+                const carried = Math.max(0, Math.min(closing, type.carryForwardLimit || 0));
+                const excess = round2(Math.max(0, closing - carried));
+
+                if (excess > 0) {
+                    const entryType = type.encashable ? LEAVE_ENTRY_TYPES.ENCASHMENT : LEAVE_ENTRY_TYPES.LAPSE;
+                    add({
+                        entryId: buildEntryId(employee.employeeId, entryType, leaveType, year - 1),
+                        leaveType,
+                        entryType,
+                        days: -excess,
+                        year: year - 1,
+                        date: `${year - 1}-12-31`,
+                        note: `Year-end ${entryType.toLowerCase()} above carry-forward limit`,
+                    });
+                }
+
+                if (carried > 0) {
+                    add({
+                        entryId: buildEntryId(employee.employeeId, LEAVE_ENTRY_TYPES.CARRY_FORWARD, leaveType, year),
+                        leaveType,
+                        entryType: LEAVE_ENTRY_TYPES.CARRY_FORWARD,
+                        days: round2(carried),
+                        year,
+                        date: `${year}-01-01`,
+                        note: `Carried forward from ${year - 1}`,
+                    });
+                }
+            }
+
+            if (type.accrual === 'ANNUAL') {
+                add({
+                    entryId: buildEntryId(employee.employeeId, LEAVE_ENTRY_TYPES.GRANT, leaveType, year),
+                    leaveType,
+                    entryType: LEAVE_ENTRY_TYPES.GRANT,
+                    days: type.annualQuota,
+                    year,
+                    date: `${year}-01-01`,
+                    note: `Annual quota for ${year}`,
+                });
+            } else if (type.accrual === 'MONTHLY') {
+                const perMonth = round2(type.annualQuota / 12);
+                for (let month = 1; month <= lastMonth; month++) {
+                    const period = `${year}-${String(month).padStart(2, '0')}`;
+                    if (joined && period < joined) continue; // No accrual before joining
+                    add({
+                        entryId: buildEntryId(employee.employeeId, LEAVE_ENTRY_TYPES.ACCRUAL, leaveType, period),
+                        leaveType,
+                        entryType: LEAVE_ENTRY_TYPES.ACCRUAL,
+                        days: perMonth,
+                        year,
+                        date: `${period}-01`,
+                        note: `Monthly accrual for ${period}`,
+                    });
+                }
+            }
+        }
+    }
+
+    return missing;
+}
+
+/**
+ * Summarise ledger entries into a balance per leave type for a year
+ * @param {Object} policy
+ * @param {Array} entries - All ledger entries for the employee
+ * @param {number} year
+ * @param {Object} pendingDays - { [leaveType]: days awaiting approval }
+ */
+function summariseBalances(policy, entries, year, pendingDays = {}) {
+    return Object.entries(policy.types).map(([leaveType, type]) => {
+        const yearEntries = entries.filter(e => e.leaveType === leaveType && e.year === year);
+        const sumOf = (...entryTypes) => round2(yearEntries
+            .filter(e => entryTypes.includes(e.entryType))
+            .reduce((sum, e) => sum + e.days, 0));
+
+        const available = round2(yearEntries.reduce((sum, e) => sum + e.days, 0));
+        const pending = round2(pendingDays[leaveType] || 0);
+
+        return {
+            leaveType,
+            name: type.name || leaveType,
+            unlimited: !!type.unlimited,
+            encashable: !!type.encashable,
+            carriedForward: sumOf(LEAVE_ENTRY_TYPES.CARRY_FORWARD),
+            credited: sumOf(LEAVE_ENTRY_TYPES.GRANT, LEAVE_ENTRY_TYPES.ACCRUAL),
+            used: 0 - sumOf(LEAVE_ENTRY_TYPES.DEBIT, LEAVE_ENTRY_TYPES.REVERSAL),
+            adjusted: sumOf(LEAVE_ENTRY_TYPES.ADJUSTMENT),
+            lapsed: 0 - sumOf(LEAVE_ENTRY_TYPES.LAPSE, LEAVE_ENTRY_TYPES.ENCASHMENT),
+            available: type.unlimited ? null : available,
+            pending,
+            availableAfterPending: type.unlimited ? null : round2(available - pending),
+        };
+    });
+}
+
+const LEAVE_SESSIONS = Object.freeze({
+    FULL: 'FULL',
+    FIRST_HALF: 'FIRST_HALF',
+    SECOND_HALF: 'SECOND_HALF',
+});
+
+// Request types that take the employee off work for the dates they cover
+const LEAVE_REQUEST_TYPES = ['LEAVE', 'COMP_OFF'];
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Dates a request covers: top-level startDate/endDate, falling back to the
+ * single `data.date` of requests raised before date ranges existed
+ * @returns {{ startDate: string, endDate: string }|null}
+ */
+function getRequestDateRange(request) {
+    const data = request.data || {};
+    const startDate = request.startDate || data.fromDate || data.date;
+    if (!startDate) return null;
+    return {
+        startDate,
+        endDate: request.endDate || data.toDate || startDate,
+    };
+}
+
+/**
+ * Check whether a request covers a date
+ */
+function requestCoversDate(request, date) {
+    const range = getRequestDateRange(request);
+    return !!range && date >= range.startDate && date <= range.endDate;
+}
+
+/**
+ * Which part of a date a LEAVE request covers
+ * Single-day leave uses `data.session`; multi-day leave can start in the
+ * second half (`fromSession`) and end after the first half (`toSession`)
+ * @returns {string|null} FULL, FIRST_HALF, SECOND_HALF, or null when not on leave
+ */
+function getLeaveSession(request, date) {
+    if (!requestCoversDate(request, date)) return null;
+
+    const data = request.data || {};
+    const { startDate, endDate } = getRequestDateRange(request);
+
+    if (startDate === endDate) return data.session || LEAVE_SESSIONS.FULL;
+    if (date === startDate && data.fromSession === LEAVE_SESSIONS.SECOND_HALF) return LEAVE_SESSIONS.SECOND_HALF;
+    if (date === endDate && data.toSession === LEAVE_SESSIONS.FIRST_HALF) return LEAVE_SESSIONS.FIRST_HALF;
+    return LEAVE_SESSIONS.FULL;
+}
+
+/**
+ * List the dates from startDate to endDate inclusive (YYYY-MM-DD)
+ */
+function listDates(startDate, endDate) {
+    const dates = [];
+    const current = new Date(`${startDate}T00:00:00Z`);
+    const end = new Date(`${endDate}T00:00:00Z`);
+    while (current <= end) {
+        dates.push(current.toISOString().split('T')[0]);
+        current.setUTCDate(current.getUTCDate() + 1);
+    }
+    return dates;
+}
+
+/**
+ * Validate and normalise the date fields of a LEAVE request
+ * Accepts fromDate/toDate (or a single legacy `date`) plus session flags.
+ * @returns {{ data: Object, error: string|null }}
+ */
+function normalizeLeaveData(data = {}) {
+    const fromDate = data.fromDate || data.date;
+    const toDate = data.toDate || fromDate;
+
+    if (!DATE_REGEX.test(fromDate || '') || !DATE_REGEX.test(toDate || '')) {
+        return { data, error: 'fromDate (and toDate, if given) must be YYYY-MM-DD' };
+    }
+    if (toDate < fromDate) {
+        return { data, error: 'toDate cannot be before fromDate' };
+    }
+
+    const normalized = { ...data, fromDate, toDate, date: fromDate };
+    delete normalized.session;
+    delete normalized.fromSession;
+    delete normalized.toSession;
+
+    if (fromDate === toDate) {
+        const session = data.session || LEAVE_SESSIONS.FULL;
+        if (!Object.values(LEAVE_SESSIONS).includes(session)) {
+            return { data, error: 'session must be FULL, FIRST_HALF or SECOND_HALF' };
+        }
+        normalized.session = session;
+    } else {
+        const fromSession = data.fromSession || LEAVE_SESSIONS.FULL;
+        const toSession = data.toSession || LEAVE_SESSIONS.FULL;
+        if (![LEAVE_SESSIONS.FULL, LEAVE_SESSIONS.SECOND_HALF].includes(fromSession)) {
+            return { data, error: 'fromSession must be FULL or SECOND_HALF' };
+        }
+        if (![LEAVE_SESSIONS.FULL, LEAVE_SESSIONS.FIRST_HALF].includes(toSession)) {
+            return { data, error: 'toSession must be FULL or FIRST_HALF' };
+        }
+        normalized.fromSession = fromSession;
+        normalized.toSession = toSession;
+    }
+
+    normalized.days = getLeaveDays({ data: normalized });
+    return { data: normalized, error: null };
+}
+
+/**
+ * Leave days a LEAVE or COMP_OFF request charges, per leave year (half-day sessions count as 0.5)
+ * Week offs and holidays inside the range are not charged when isWorkingDay is given,
+ * and leave that runs into a new year is charged to each year for its own days.
+ * @param {Function} isWorkingDay - (date) => boolean, see buildWorkingDayCheck in utils/calendar.js
+ *   (every date is charged when omitted)
+ * @returns {Object} { [year]: days }
+ */
+function getLeaveDaysByYear(request, isWorkingDay = null) {
+    const data = request.data || {};
+    const range = getRequestDateRange(request);
+
+    // Requests raised before date ranges carry at most a day count
+    if (!range || (!data.fromDate && !request.startDate)) {
+        const days = parseFloat(data.days);
+        const date = data.date || request.createdAt || new Date().toISOString();
+        return { [parseInt(String(date).slice(0, 4))]: days > 0 ? days : 1 };
+    }
+
+    const byYear = {};
+    listDates(range.startDate, range.endDate).forEach(date => {
+        if (isWorkingDay && !isWorkingDay(date)) return;
+        const year = parseInt(date.slice(0, 4));
+        byYear[year] = (byYear[year] || 0) + (getLeaveSession(request, date) === LEAVE_SESSIONS.FULL ? 1 : 0.5);
+    });
+    return byYear;
+}
+
+/**
+ * Number of leave days a request charges (see getLeaveDaysByYear)
+ */
+function getLeaveDays(request, isWorkingDay = null) {
+    return Object.values(getLeaveDaysByYear(request, isWorkingDay)).reduce((sum, days) => sum + days, 0);
+}
+
+module.exports = {
+    LEAVE_ENTRY_TYPES,
+    LEAVE_SESSIONS,
+    LEAVE_REQUEST_TYPES,
+    validateLeavePolicy,
+    buildEntryId,
+    buildScheduledEntries,
+    summariseBalances,
+    getRequestDateRange,
+    requestCoversDate,
+    getLeaveSession,
+    listDates,
+    normalizeLeaveData,
+    getLeaveDaysByYear,
+    getLeaveDays,
+};
@@ -0,0 +1,199 @@
+/**
+ * GPS reading checks against location spoofing
+ * Each reading the app sends (check-in or ping) is checked for a mock location, a poor
+ * accuracy radius, an accuracy circle that misses the geofence and travel faster than
+ * possible since the previous reading. Each check that trips adds a flag; the flags of a
+ * session add up to a fraud-risk score (0-100) on the attendance record for HR to review.
+ *
+ * Reading (request body): { latitude, longitude, accuracy, altitude, speed, provider, isMocked }
+ *   accuracy: radius in meters; altitude in meters; speed in m/s; provider e.g. 'gps', 'fused', 'network'
+ *
+ * Rules (Settings 'location-risk-config'):
+ *   { maxAccuracyMeters, maxSpeedKmh, rejectMocked, reviewScore }
+ *   reviewScore: sessions scoring at least this wait for HR review
+ *
+ * Attendance fraudRisk: { score, flags: [{ code, message, count, firstAt, lastAt }], reviewStatus, reviewedBy, reviewedAt, reviewNote }
+ */
+
+const { calculateDistance } = require('./geofence');
+
+const DEFAULT_LOCATION_RISK_RULES = Object.freeze({
+    maxAccuracyMeters: 100,
+    maxSpeedKmh: 150,
+    rejectMocked: true,
+    reviewScore: 40,
+});
+
+const RISK_FLAGS = Object.freeze({
+    MOCK_LOCATION: { points: 60, message: 'The device reported a mock location' },
+    IMPOSSIBLE_TRAVEL: { points: 50, message: 'Moved faster than possible since the previous reading' },
+    OUTSIDE_ACCURACY: { points: 30, message: 'The accuracy circle does not reach the geofence' },
+    LOW_ACCURACY: { points: 20, message: 'GPS accuracy was too low to trust' },
+    GEOFENCE_EDGE: { points: 10, message: 'Inside the geofence only within the accuracy radius' },
+    NO_ACCURACY: { points: 10, message: 'The app sent no accuracy radius' },
+});
+
+const REVIEW_STATUSES = ['PENDING', 'CLEARED', 'CONFIRMED'];
+
+const toNumber = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const n = parseFloat(value);
+    return Number.isFinite(n) ? n : null;
+};
+
+/**
+ * Read a GPS reading from a request body (multipart bodies send everything as strings)
+ */
+function parseReading(body = {}) {
+    return {
+        latitude: toNumber(body.latitude),
+        longitude: toNumber(body.longitude),
+        accuracy: toNumber(body.accuracy),
+        altitude: toNumber(body.altitude),
+        speed: toNumber(body.speed),
+        provider: body.provider ? String(body.provider).toLowerCase() : null,
+        isMocked: body.isMocked === true || body.isMocked === 'true',
+    };
+}
+
+/**
+ * Validate location risk rules
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateLocationRiskRules(rules) {
+    if (!rules || typeof rules !== 'object') return 'Rules must be an object';
+
+    for (const key of ['maxAccuracyMeters', 'maxSpeedKmh']) {
+        if (rules[key] !== undefined && !(typeof rules[key] === 'number' && rules[key] > 0)) {
+            return `${key} must be a positive number`;
+        }
+    }
+    if (rules.reviewScore !== undefined && !(Number.isInteger(rules.reviewScore) && rules.reviewScore >= 1 && rules.reviewScore <= 100)) {
+        return 'reviewScore must be a whole number from 1 to 100';
+    }
+    if (rules.rejectMocked !== undefined && typeof rules.rejectMocked !== 'boolean') {
+        return 'rejectMocked must be true or false';
+    }
+
+    return null;
+}
+
+/**
+ * Check a reading
+ * @param {Object} reading - See parseReading
+ * @param {Object} context
+ * @param {Object} context.geofence - checkGeofence result for the reading (null when no geofence applies)
+ * @param {Object} context.previous - Previous reading { latitude, longitude, timestamp } (can be null)
+ * @param {Object} context.rules - Location risk rules
+ * @param {Date} context.now - Time of the reading
+ * @returns {Object} { flags: [code], rejectReason, withinGeofence, reliable }
+ *   rejectReason: why a check-in must be refused (null when it may go ahead)
+ *   withinGeofence: inside, or outside by no more than the accuracy radius
+ *   reliable: whether the reading can move geofence state (not mocked, accurate enough)
+ */
+function assessReading(reading, { geofence = null, previous = null, rules = DEFAULT_LOCATION_RISK_RULES, now = new Date() } = {}) {
+    const flags = [];
+    let rejectReason = null;
+    let reliable = true;
+
+    if (reading.isMocked) {
+        flags.push('MOCK_LOCATION');
+        reliable = false;
+        if (rules.rejectMocked) {
+            rejectReason = 'Mock locations are not allowed. Turn off any location spoofing app and try again.';
+        }
+    }
+
+    if (reading.accuracy === null) {
+        flags.push('NO_ACCURACY');
+    } else if (reading.accuracy > rules.maxAccuracyMeters) {
+        flags.push('LOW_ACCURACY');
+        reliable = false;
+        rejectReason = rejectReason || `GPS accuracy is too low (${Math.round(reading.accuracy)}m, needs ${rules.maxAccuracyMeters}m or better). Move to an open area and try again.`;
+    }
+
+    let withinGeofence = true;
+    if (geofence) {
+        withinGeofence = geofence.isWithin;
+        if (!geofence.isWithin && !geofence.deniedZone && reading.accuracy !== null) {
+            if (geofence.outsideBy <= reading.accuracy) {
+                // Only the reported point is outside; the device may well be inside
+                flags.push('GEOFENCE_EDGE');
+                withinGeofence = reliable;
+            } else {
+                flags.push('OUTSIDE_ACCURACY');
+            }
+        }
+    }
+
+    if (previous && previous.latitude != null && previous.longitude != null && previous.timestamp) {
+        const hours = (now - new Date(previous.timestamp)) / (60 * 60 * 1000);
+        // Both fixes may be off by their accuracy; only travel beyond that counts
+        const meters = calculateDistance(previous.latitude, previous.longitude, reading.latitude, reading.longitude)
+            - (reading.accuracy || 0) - (previous.accuracy || 0);
+        if (hours > 0 && meters > 0 && meters / 1000 / hours > rules.maxSpeedKmh) {
+            flags.push('IMPOSSIBLE_TRAVEL');
+        }
+    }
+    if (reading.speed !== null && reading.speed * 3.6 > rules.maxSpeedKmh && !flags.includes('IMPOSSIBLE_TRAVEL')) {
+        flags.push('IMPOSSIBLE_TRAVEL');
+    }
+
+    return { flags, rejectReason, withinGeofence, reliable };
+}
+
+/**
+ * Score of a set of flag codes: each distinct flag counts once, capped at 100
+ */
+function scoreFlags(codes) {
+    const total = [...new Set(codes)].reduce((sum, code) => sum + (RISK_FLAGS[code] ? RISK_FLAGS[code].points : 0), 0);
+    return Math.min(100, total);
+}
+
+/**
+ * Add a reading's flags to a session's fraud risk
+ * A reviewed session goes back to PENDING when a flag it was not reviewed with turns up.
+ * @param {Object} existing - Current fraudRisk (null for a new session)
+ * @param {Array} codes - Flag codes of the reading
+ * @returns {Object} fraudRisk
+ */
+function mergeRisk(existing, codes, rules = DEFAULT_LOCATION_RISK_RULES, at = new Date().toISOString()) {
+    const flags = ((existing && existing.flags) || []).map(f => ({ ...f }));
+    let newCode = false;
+
+    [...new Set(codes)].forEach(code => {
+        const flag = flags.find(f => f.code === code);
+        if (flag) {
+            flag.count += 1;
+            flag.lastAt = at;
+        } else {
+            newCode = true;
+            flags.push({ code, message: RISK_FLAGS[code].message, count: 1, firstAt: at, lastAt: at });
+        }
+    });
+
+    const score = scoreFlags(flags.map(f => f.code));
+    const reviewed = existing && ['CLEARED', 'CONFIRMED'].includes(existing.reviewStatus);
+    let reviewStatus = score >= rules.reviewScore ? 'PENDING' : null;
+    if (reviewed && !newCode) reviewStatus = existing.reviewStatus;
+
+    return {
+        score,
+        flags,
+        reviewStatus,
+        reviewedBy: reviewStatus === 'PENDING' ? null : (existing && existing.reviewedBy) || null,
+        reviewedAt: reviewStatus === 'PENDING' ? null : (existing && existing.reviewedAt) || null,
+        reviewNote: reviewStatus === 'PENDING' ? null : (existing && existing.reviewNote) || null,
+    };
+}
+
+module.exports = {
+    DEFAULT_LOCATION_RISK_RULES,
+    RISK_FLAGS,
+    REVIEW_STATUSES,
+    parseReading,
+    validateLocationRiskRules,
+    assessReading,
+    scoreFlags,
+    mergeRisk,
+};
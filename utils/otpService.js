@@ -3,7 +3,7 @@ const crypto = require('crypto');
 // In-memory storage for OTPs (for production, use Redis or DynamoDB)
 const otpStore = new Map();
 
-// Cleanup interval (run every 5 minutes)
+// Cleanup interval (run every 5 minutes; unref'd so it never keeps the process alive)
 setInterval(() => {
     const now = Date.now();
     for (const [key, data] of otpStore.entries()) {
@@ -12,7 +12,7 @@ setInterval(() => {
             console.log(`Cleaned up expired OTP for: ${key}`);
         }
     }
-}, 5 * 60 * 1000);
+}, 5 * 60 * 1000).unref();
 
 /**
  * Generate a random 6-digit OTP
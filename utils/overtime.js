@@ -0,0 +1,152 @@
+/**
+ * Overtime utility functions
+ * Works out overtime minutes for a day from its attendance sessions and the
+ * overtime rules that apply to the employee's branch or shift
+ *
+ * Rules: { enabled, minimumBlockMinutes, dailyCapMinutes, multipliers: { WEEKDAY, WEEKEND, HOLIDAY }, requireApproval }
+ *   - Weekday overtime is time on the clock beyond the scheduled shift minutes
+ *     (both include the shift's unpaid break, so the break cancels out)
+ *   - On a worked week off or holiday every minute worked is overtime
+ *   - Overtime is counted in whole blocks of minimumBlockMinutes (less than one block is dropped)
+ *     and capped at dailyCapMinutes (0 = no cap)
+ *   - With requireApproval, only minutes approved on an OVERTIME request are paid
+ *
+ * Config (Settings 'overtime-config'): { rules, branchRules: { [branchId]: rules }, shiftRules: { [shiftId]: rules } }
+ * Branch and shift rules override only the keys they set; shift rules win over branch rules.
+ */
+
+const OVERTIME_DAY_TYPES = Object.freeze({
+    WEEKDAY: 'WEEKDAY',
+    WEEKEND: 'WEEKEND', // Worked on the weekly off
+    HOLIDAY: 'HOLIDAY', // Worked on a holiday
+});
+
+const DEFAULT_OVERTIME_RULES = Object.freeze({
+    enabled: true,
+    minimumBlockMinutes: 30,
+    dailyCapMinutes: 240,
+    multipliers: { WEEKDAY: 1.5, WEEKEND: 2, HOLIDAY: 2 },
+    requireApproval: true,
+});
+
+/**
+ * Merge partial rules over a base
+ */
+function mergeRules(base, override) {
+    if (!override) return base;
+    return {
+        ...base,
+        ...override,
+        multipliers: { ...base.multipliers, ...(override.multipliers || {}) },
+    };
+}
+
+/**
+ * Rules that apply to an employee on a day
+ * @param {Object} config - { rules, branchRules, shiftRules }
+ * @param {Object} scope - { branchId, shiftId }
+ */
+function resolveOvertimeRules(config = {}, { branchId, shiftId } = {}) {
+    let rules = mergeRules(DEFAULT_OVERTIME_RULES, config.rules);
+    if (branchId && config.branchRules) rules = mergeRules(rules, config.branchRules[branchId]);
+    if (shiftId && config.shiftRules) rules = mergeRules(rules, config.shiftRules[shiftId]);
+    return rules;
+}
+
+/**
+ * Validate overtime rules (full or partial)
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateOvertimeRules(rules) {
+    if (!rules || typeof rules !== 'object') return 'Rules must be an object';
+
+    for (const key of ['minimumBlockMinutes', 'dailyCapMinutes']) {
+        if (rules[key] !== undefined && !(Number.isInteger(rules[key]) && rules[key] >= 0)) {
+            return `${key} must be a non-negative whole number`;
+        }
+    }
+
+    if (rules.multipliers !== undefined) {
+        for (const [dayType, multiplier] of Object.entries(rules.multipliers)) {
+            if (!OVERTIME_DAY_TYPES[dayType]) return `Unknown day type in multipliers: ${dayType}`;
+            if (typeof multiplier !== 'number' || multiplier < 0) return `${dayType} multiplier must be a non-negative number`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Overtime day type from a day's statuses (from calculateDailyStatus)
+ */
+function getOvertimeDayType(status = []) {
+    if (status.includes('Holiday worked')) return OVERTIME_DAY_TYPES.HOLIDAY;
+    if (status.includes('Week off worked')) return OVERTIME_DAY_TYPES.WEEKEND;
+    return OVERTIME_DAY_TYPES.WEEKDAY;
+}
+
+/**
+ * Minutes on the clock across a day's sessions
+ * Open sessions (no check-out) are not counted.
+ */
+function getWorkedMinutes(sessions) {
+    return sessions
+        .filter(s => s.checkInTime && s.checkOutTime)
+        .reduce((sum, s) => sum + (new Date(s.checkOutTime) - new Date(s.checkInTime)) / 60000, 0);
+}
+
+/**
+ * Overtime for a day
+ * @param {Object} params
+ * @param {Array} params.sessions - Attendance records of the day
+ * @param {Object} params.window - Shift window (from getShiftWindow)
+ * @param {string} params.dayType - OVERTIME_DAY_TYPES
+ * @param {Object} params.rules - Resolved overtime rules
+ * @returns {Object} { dayType, workedMinutes, rawMinutes, minutes, multiplier }
+ */
+function calculateOvertime({ sessions, window, dayType, rules }) {
+    const isWeekday = dayType === OVERTIME_DAY_TYPES.WEEKDAY;
+    const workedMinutes = Math.round(getWorkedMinutes(sessions));
+    const rawMinutes = isWeekday ? Math.max(0, workedMinutes - window.scheduledMinutes) : workedMinutes;
+
+    let minutes = 0;
+    if (rules.enabled) {
+        const block = rules.minimumBlockMinutes || 1;
+        minutes = Math.floor(rawMinutes / block) * block;
+        if (rules.dailyCapMinutes > 0) minutes = Math.min(minutes, rules.dailyCapMinutes);
+    }
+
+    return {
+        dayType,
+        workedMinutes,
+        rawMinutes,
+        minutes,
+        multiplier: (rules.multipliers && rules.multipliers[dayType]) || 1,
+    };
+}
+
+/**
+ * Minutes of overtime to pay for a day
+ * @param {Object} overtime - From calculateOvertime
+ * @param {Object} rules - Resolved overtime rules
+ * @param {Object} request - Approved OVERTIME request for the day (or null)
+ */
+function getPayableOvertimeMinutes(overtime, rules, request) {
+    if (!rules.enabled) return 0;
+    if (!rules.requireApproval) return overtime.minutes;
+    if (!request) return 0;
+
+    const approved = request.data.approvedMinutes !== undefined ? request.data.approvedMinutes : request.data.minutes;
+    return Math.max(0, parseInt(approved) || 0);
+}
+
+module.exports = {
+    OVERTIME_DAY_TYPES,
+    DEFAULT_OVERTIME_RULES,
+    resolveOvertimeRules,
+    validateOvertimeRules,
+    getOvertimeDayType,
+    getWorkedMinutes,
+    calculateOvertime,
+    getPayableOvertimeMinutes,
+};
@@ -0,0 +1,230 @@
+/**
+ * Payroll utility functions
+ * Turns a month of daily attendance statuses (from calculateDailyStatus) into
+ * payable days, overtime and a payslip with earnings, deductions and
+ * employer contributions
+ *
+ * Day rules:
+ *   Holiday / Week off (worked or not)    -> paid
+ *   Leave                                  -> paid leave, or LOP for unlimited (LOP) types
+ *   Half day leave                         -> half leave + half present/absent
+ *   Absent                                 -> LOP
+ *   Half day in / Half day out             -> half present, half LOP
+ *   Anything else with a check-in          -> present
+ *   Days after today                       -> paid (projected)
+ *   Days before the joining date           -> not paid, not LOP
+ *
+ * Overtime minutes and multipliers come with each day (see utils/overtime.js);
+ * they are paid at the day's hourly rate times the multiplier.
+ */
+
+const { DEFAULT_STRUCTURE, splitSalary, calculateStatutory } = require('./statutory');
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Number of days in a month
+ * @param {number} month - 1-12
+ * @param {number} year
+ */
+function getDaysInMonth(month, year) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * First and last date of a month (YYYY-MM-DD)
+ */
+function getMonthRange(month, year) {
+    const mm = String(month).padStart(2, '0');
+    return {
+        startDate: `${year}-${mm}-01`,
+        endDate: `${year}-${mm}-${String(getDaysInMonth(month, year)).padStart(2, '0')}`,
+    };
+}
+
+/**
+ * Classify one day for pay
+ * @param {Object} day - { date, status: [], leave, overtimeMinutes, overtimeMultiplier, scheduledMinutes, projected }
+ * @param {Object} options
+ * @param {Object} options.leaveTypes - Leave policy types, to tell LOP from paid leave
+ * @param {string} options.joinedDate - YYYY-MM-DD (optional)
+ * @returns {Object} { present, paidLeave, lop, off, notJoined, overtimeMinutes }
+ */
+function classifyDay(day, { leaveTypes = {}, joinedDate } = {}) {
+    const result = { present: 0, paidLeave: 0, lop: 0, off: 0, notJoined: 0, projected: 0, overtimeMinutes: 0 };
+    const s = day.status || [];
+
+    if (joinedDate && day.date < joinedDate) {
+        result.notJoined = 1;
+        return result;
+    }
+
+    if (day.projected) {
+        result.projected = 1;
+        return result;
+    }
+
+    const leaveType = day.leave && day.leave.data ? leaveTypes[day.leave.data.leaveType] : null;
+    const isLopLeave = !!leaveType && !!leaveType.unlimited;
+
+    if (s.includes('Holiday') || s.includes('Week off') || s.includes('Holiday worked') || s.includes('Week off worked')) {
+        result.off = 1;
+    } else if (s.includes('Leave')) {
+        if (isLopLeave) result.lop = 1;
+        else result.paidLeave = 1;
+    } else if (s.includes('Half day leave')) {
+        if (isLopLeave) result.lop += 0.5;
+        else result.paidLeave += 0.5;
+        if (s.includes('Absent')) result.lop += 0.5;
+        else result.present += 0.5;
+    } else if (s.includes('Absent')) {
+        result.lop = 1;
+    } else if (s.includes('Half day in') || s.includes('Half day out')) {
+        result.present = 0.5;
+        result.lop = 0.5;
+    } else {
+        result.present = 1;
+    }
+
+    result.overtimeMinutes = day.overtimeMinutes || 0;
+
+    return result;
+}
+
+/**
+ * Amount of a payslip line by code (0 when absent)
+ */
+function lineAmount(lines, code) {
+    const line = (lines || []).find(l => l.code === code);
+    return line ? line.amount : 0;
+}
+
+/**
+ * Calculate a payslip for an employee for a month
+ * @param {Object} params
+ * @param {Object} params.employee
+ * @param {number} params.month - 1-12
+ * @param {number} params.year
+ * @param {Array} params.days - One entry per day of the month, see classifyDay
+ * @param {Array} params.advanceInstallments - Installments due from the advance ledger (see utils/advanceLedger.js)
+ * @param {Array} params.reimbursements - { code, name, amount } paid on top of net pay, outside gross
+ *   pay and statutory deductions (approved travel claims)
+ * @param {Object} params.leaveTypes - Leave policy types
+ * @param {Object} params.structure - Salary structure (see utils/statutory.js)
+ * @param {Object} params.statutoryRules - PF/ESIC/PT/TDS rules (null = no statutory deductions)
+ * @param {string} params.state - Branch state, for Professional Tax
+ */
+function calculatePayslip({ employee, month, year, days, advanceInstallments = [], reimbursements = [], leaveTypes = {}, structure = DEFAULT_STRUCTURE, statutoryRules = null, state = null }) {
+    const fixedSalary = parseFloat(employee.fixedSalary) || 0;
+    const daysInMonth = getDaysInMonth(month, year);
+    const perDay = fixedSalary / daysInMonth;
+    const joinedDate = employee.joinedDate ? String(employee.joinedDate).slice(0, 10) : null;
+
+    const attendance = { present: 0, paidLeave: 0, lop: 0, off: 0, notJoined: 0, projected: 0, overtimeMinutes: 0 };
+    let overtimePay = 0;
+
+    days.forEach(day => {
+        const result = classifyDay(day, { leaveTypes, joinedDate });
+        Object.keys(attendance).forEach(key => { attendance[key] += result[key]; });
+
+        if (result.overtimeMinutes > 0 && day.scheduledMinutes) {
+            const hourlyRate = perDay / (day.scheduledMinutes / 60);
+            overtimePay += (result.overtimeMinutes / 60) * hourlyRate * (day.overtimeMultiplier || 1);
+        }
+    });
+
+    const payableDays = attendance.present + attendance.paidLeave + attendance.off + attendance.projected;
+
+    // Each component is pro-rated for the days paid
+    const earnedComponents = splitSalary(structure, fixedSalary).map(c => ({
+        ...c,
+        amount: round2((c.amount * payableDays) / daysInMonth),
+    }));
+    overtimePay = round2(overtimePay);
+
+    const earnings = earnedComponents.map(({ code, name, amount }) => ({ code, name, amount }));
+    if (overtimePay > 0) {
+        earnings.push({ code: 'OVERTIME', name: 'Overtime', amount: overtimePay });
+    }
+    const grossPay = round2(earnings.reduce((sum, e) => sum + e.amount, 0));
+
+    const statutory = statutoryRules
+        ? calculateStatutory({
+            rules: statutoryRules,
+            employee,
+            earnedComponents,
+            earnedGross: grossPay,
+            monthlySalary: fixedSalary,
+            state,
+            month,
+        })
+        : { deductions: {}, employerContributions: {} };
+
+    const deductions = [
+        { code: 'PF', name: 'Provident Fund', amount: statutory.deductions.pf || 0 },
+        { code: 'ESIC', name: 'ESI', amount: statutory.deductions.esic || 0 },
+        { code: 'PT', name: 'Professional Tax', amount: statutory.deductions.professionalTax || 0 },
+        { code: 'TDS', name: 'Income Tax (TDS)', amount: statutory.deductions.tds || 0 },
+    ];
+    const statutoryTotal = deductions.reduce((sum, d) => sum + d.amount, 0);
+
+    // Advances never take net pay below zero; what cannot be recovered stays outstanding
+    let advanceAvailable = Math.max(0, grossPay - statutoryTotal);
+    const advances = advanceInstallments.map(installment => {
+        const amount = round2(Math.min(installment.due, advanceAvailable));
+        advanceAvailable -= amount;
+        return { ...installment, amount };
+    });
+    const advanceDeduction = round2(advances.reduce((sum, i) => sum + i.amount, 0));
+    deductions.push({ code: 'ADVANCE', name: 'Salary Advance', amount: advanceDeduction });
+
+    const employerContributions = [
+        { code: 'PF', name: 'Employer PF', amount: statutory.employerContributions.pf || 0 },
+        { code: 'EPS', name: 'Employer Pension (EPS)', amount: statutory.employerContributions.pension || 0 },
+        { code: 'ESIC', name: 'Employer ESI', amount: statutory.employerContributions.esic || 0 },
+    ];
+
+    const totalDeductions = round2(deductions.reduce((sum, d) => sum + d.amount, 0));
+    const totalReimbursements = round2(reimbursements.reduce((sum, r) => sum + r.amount, 0));
+    const totalEmployerContributions = round2(employerContributions.reduce((sum, c) => sum + c.amount, 0));
+
+    return {
+        employeeId: employee.employeeId,
+        employeeName: employee.name,
+        branchId: employee.branchId || null,
+        month,
+        year,
+        fixedSalary,
+        structureName: structure.name,
+        daysInMonth,
+        attendance: {
+            presentDays: attendance.present,
+            paidLeaveDays: attendance.paidLeave,
+            offDays: attendance.off,
+            lopDays: attendance.lop,
+            notJoinedDays: attendance.notJoined,
+            projectedDays: attendance.projected,
+            payableDays,
+            overtimeMinutes: Math.round(attendance.overtimeMinutes),
+        },
+        earnings,
+        deductions,
+        employerContributions,
+        advanceInstallments: advances,
+        reimbursements,
+        grossPay,
+        totalDeductions,
+        totalReimbursements,
+        netPay: round2(grossPay - totalDeductions + totalReimbursements),
+        totalEmployerContributions,
+        costToCompany: round2(grossPay + totalEmployerContributions),
+    };
+}
+
+module.exports = {
+    getDaysInMonth,
+    getMonthRange,
+    classifyDay,
+    lineAmount,
+    calculatePayslip,
+};
@@ -0,0 +1,223 @@
+/**
+ * Payslip PDF rendering
+ * Draws an SRM Sweets branded payslip for a payroll-run payslip record
+ * (see utils/payrollCalculator.js for the payslip shape)
+ */
+
+const PDFDocument = require('pdfkit');
+
+const BRAND_COLOR = '#EF4136';
+const MUTED_COLOR = '#666666';
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+    'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+/**
+ * Words for 0-999
+ */
+function hundredsInWords(n) {
+    const words = [];
+    if (n >= 100) {
+        words.push(`${ONES[Math.floor(n / 100)]} Hundred`);
+        n %= 100;
+    }
+    if (n >= 20) {
+        words.push(TENS[Math.floor(n / 10)] + (n % 10 ? ` ${ONES[n % 10]}` : ''));
+    } else if (n > 0) {
+        words.push(ONES[n]);
+    }
+    return words.join(' ');
+}
+
+/**
+ * Rupee amount in words using the Indian system (lakh, crore)
+ * e.g. 125050.5 -> 'Rupees One Lakh Twenty Five Thousand Fifty and Fifty Paise Only'
+ */
+function amountInWords(amount) {
+    const rupees = Math.floor(Math.abs(amount));
+    const paise = Math.round((Math.abs(amount) - rupees) * 100);
+
+    const parts = [];
+    let rest = rupees;
+    const crore = Math.floor(rest / 10000000);
+    rest %= 10000000;
+    const lakh = Math.floor(rest / 100000);
+    rest %= 100000;
+    const thousand = Math.floor(rest / 1000);
+    rest %= 1000;
+
+    if (crore) parts.push(`${amountInWords(crore).replace(/^Rupees | Only$/g, '')} Crore`);
+    if (lakh) parts.push(`${hundredsInWords(lakh)} Lakh`);
+    if (thousand) parts.push(`${hundredsInWords(thousand)} Thousand`);
+    if (rest) parts.push(hundredsInWords(rest));
+
+    const rupeeWords = parts.length > 0 ? parts.join(' ') : 'Zero';
+    const paiseWords = paise ? ` and ${hundredsInWords(paise)} Paise` : '';
+    return `Rupees ${rupeeWords}${paiseWords} Only`;
+}
+
+/**
+ * Format a rupee amount with Indian digit grouping
+ */
+function formatAmount(amount) {
+    return Number(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/**
+ * Month label for a payslip, e.g. 'March 2026'
+ */
+function getPayPeriodLabel(payslip) {
+    return `${MONTH_NAMES[payslip.month - 1]} ${payslip.year}`;
+}
+
+/**
+ * Mask all but the last 4 digits of an account number
+ */
+function maskAccount(account) {
+    if (!account) return '-';
+    const value = String(account);
+    return value.length <= 4 ? value : `${'X'.repeat(value.length - 4)}${value.slice(-4)}`;
+}
+
+/**
+ * Render a payslip to a PDF buffer
+ * @param {Object} payslip - Payslip record from the Salary table
+ * @param {Object} employee - Employee record (for PAN, UAN, bank details)
+ * @param {Object} branch - Branch record (can be null)
+ * @returns {Promise<Buffer>}
+ */
+function renderPayslipPdf(payslip, employee, branch) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 40 });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const left = doc.page.margins.left;
+        const width = doc.page.width - left - doc.page.margins.right;
+        const half = width / 2;
+
+        // Header
+        doc.rect(left, 40, width, 60).fill(BRAND_COLOR);
+        doc.fillColor('#FFFFFF').font('Helvetica-Bold').fontSize(22).text('SRM Sweets', left + 15, 52);
+        doc.font('Helvetica').fontSize(11).text(`Payslip for ${getPayPeriodLabel(payslip)}`, left + 15, 78);
+        if (payslip.status !== 'LOCKED') {
+            doc.font('Helvetica-Bold').fontSize(11).text(`${payslip.status || 'DRAFT'} - NOT FINAL`, left, 78, { width: width - 15, align: 'right' });
+        }
+
+        // Employee details
+        const details = [
+            ['Employee ID', payslip.employeeId],
+            ['Name', payslip.employeeName || employee.name],
+            ['Designation', employee.designation || '-'],
+            ['Department', employee.department || '-'],
+            ['Branch', branch ? branch.name : (payslip.branchId || '-')],
+            ['Date of Joining', employee.joinedDate || '-'],
+            ['PAN', employee.panNumber || '-'],
+            ['UAN', employee.uan || '-'],
+            ['ESIC IP', employee.esicIP || '-'],
+            ['Bank A/C', maskAccount(employee.bankAccount)],
+        ];
+
+        let y = 115;
+        doc.fillColor('#000000').fontSize(9);
+        details.forEach(([label, value], i) => {
+            const x = left + (i % 2) * half;
+            const rowY = y + Math.floor(i / 2) * 16;
+            doc.font('Helvetica-Bold').text(label, x, rowY, { width: 90 });
+            doc.font('Helvetica').text(String(value), x + 95, rowY, { width: half - 100 });
+        });
+        y += Math.ceil(details.length / 2) * 16 + 10;
+
+        // Attendance summary
+        const a = payslip.attendance || {};
+        doc.moveTo(left, y).lineTo(left + width, y).strokeColor('#E0E0E0').stroke();
+        y += 8;
+        doc.font('Helvetica-Bold').fontSize(10).fillColor(BRAND_COLOR).text('Attendance Summary', left, y);
+        y += 16;
+        const attendanceCells = [
+            ['Days in Month', payslip.daysInMonth],
+            ['Payable Days', a.payableDays],
+            ['Present', a.presentDays],
+            ['Paid Leave', a.paidLeaveDays],
+            ['Week Off / Holiday', a.offDays],
+            ['LOP Days', a.lopDays],
+            ['Overtime (hrs)', ((a.overtimeMinutes || 0) / 60).toFixed(1)],
+        ];
+        const cellWidth = width / attendanceCells.length;
+        attendanceCells.forEach(([label, value], i) => {
+            doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR).text(label, left + i * cellWidth, y, { width: cellWidth, align: 'center' });
+            doc.font('Helvetica-Bold').fontSize(11).fillColor('#000000').text(String(value === undefined ? '-' : value), left + i * cellWidth, y + 12, { width: cellWidth, align: 'center' });
+        });
+        y += 36;
+
+        // Earnings and deductions side by side
+        const drawTable = (title, lines, x, startY) => {
+            doc.rect(x, startY, half - 5, 18).fill('#F5F5F5');
+            doc.fillColor('#000000').font('Helvetica-Bold').fontSize(9)
+                .text(title, x + 6, startY + 5)
+                .text('Amount (Rs.)', x, startY + 5, { width: half - 15, align: 'right' });
+            let rowY = startY + 24;
+            lines.filter(l => l.amount > 0 || l.code === 'BASIC').forEach(line => {
+                doc.font('Helvetica').fontSize(9)
+                    .text(line.name, x + 6, rowY, { width: half - 110 })
+                    .text(formatAmount(line.amount), x, rowY, { width: half - 15, align: 'right' });
+                rowY += 15;
+            });
+            return rowY;
+        };
+
+        const earningsEnd = drawTable('Earnings', payslip.earnings || [], left, y);
+        const deductionsEnd = drawTable('Deductions', payslip.deductions || [], left + half + 5, y);
+        y = Math.max(earningsEnd, deductionsEnd) + 4;
+
+        doc.moveTo(left, y).lineTo(left + width, y).strokeColor('#E0E0E0').stroke();
+        y += 6;
+        doc.font('Helvetica-Bold').fontSize(9)
+            .text('Gross Earnings', left + 6, y)
+            .text(formatAmount(payslip.grossPay), left, y, { width: half - 15, align: 'right' })
+            .text('Total Deductions', left + half + 11, y)
+            .text(formatAmount(payslip.totalDeductions), left + half + 5, y, { width: half - 15, align: 'right' });
+        y += 24;
+
+        // Reimbursements (paid with net pay, not part of gross earnings)
+        const reimbursements = (payslip.reimbursements || []).filter(r => r.amount > 0);
+        if (reimbursements.length > 0) {
+            const reimbursementsEnd = drawTable('Reimbursements', reimbursements, left, y);
+            y = reimbursementsEnd + 6;
+        }
+
+        // Net pay
+        doc.rect(left, y, width, 46).lineWidth(1.5).strokeColor(BRAND_COLOR).stroke();
+        doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(13).text(`Net Pay: Rs. ${formatAmount(payslip.netPay)}`, left + 10, y + 8);
+        doc.fillColor('#000000').font('Helvetica-Oblique').fontSize(9).text(amountInWords(payslip.netPay), left + 10, y + 28, { width: width - 20 });
+        y += 60;
+
+        // Employer contributions (not part of take-home pay)
+        const contributions = (payslip.employerContributions || []).filter(c => c.amount > 0);
+        if (contributions.length > 0) {
+            doc.font('Helvetica-Bold').fontSize(9).fillColor(MUTED_COLOR).text('Employer Contributions (not deducted from pay)', left, y);
+            y += 14;
+            contributions.forEach(c => {
+                doc.font('Helvetica').fontSize(9).text(c.name, left + 6, y).text(formatAmount(c.amount), left, y, { width: half - 15, align: 'right' });
+                y += 13;
+            });
+        }
+
+        doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR)
+            .text('This is a computer-generated payslip and does not require a signature.', left, doc.page.height - 70, { width, align: 'center' })
+            .text(`© ${new Date().getFullYear()} SRM Sweets. All rights reserved.`, { width, align: 'center' });
+
+        doc.end();
+    });
+}
+
+module.exports = {
+    amountInWords,
+    formatAmount,
+    getPayPeriodLabel,
+    renderPayslipPdf,
+};
@@ -0,0 +1,86 @@
+/**
+ * Attendance regularization utility functions
+ * A REGULARIZATION request proposes corrected check-in/check-out times for a day,
+ * either for an existing attendance session (e.g. a missed check-out) or as a new
+ * session when the employee never punched in.
+ *
+ * Request data: { date, attendanceId?, checkInTime?, checkOutTime?, reason, original }
+ *   original: the session's times when the request was raised (null for a new session)
+ */
+
+const { DEFAULT_TIMEZONE, getBusinessDate } = require('./timezone');
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// A corrected session cannot be longer than this
+const MAX_SESSION_MINUTES = 24 * 60;
+
+/**
+ * Validate a regularization proposal
+ * @param {Object} data - Request data
+ * @param {Object} record - Attendance session being corrected (null for a new session)
+ * @param {string} today - YYYY-MM-DD
+ * @param {string} timeZone - Employee's branch timezone (checkInTime must fall on data.date there)
+ * @returns {Object} { data } (with original and corrected times filled in) or { error }
+ */
+function validateRegularization(data = {}, record, today, timeZone = DEFAULT_TIMEZONE) {
+    if (!DATE_REGEX.test(data.date || '') || data.date > today) {
+        return { error: 'A past or current date (YYYY-MM-DD) is required' };
+    }
+
+    if (!data.reason || !String(data.reason).trim()) {
+        return { error: 'A reason is required' };
+    }
+
+    if (!data.checkInTime && !data.checkOutTime) {
+        return { error: 'Propose a corrected checkInTime and/or checkOutTime' };
+    }
+
+    for (const key of ['checkInTime', 'checkOutTime']) {
+        if (data[key] && isNaN(new Date(data[key]).getTime())) {
+            return { error: `${key} must be an ISO date-time` };
+        }
+    }
+
+    if (record) {
+        if (record.date !== data.date) {
+            return { error: `Attendance record is for ${record.date}, not ${data.date}` };
+        }
+    } else if (!data.checkInTime || !data.checkOutTime) {
+        return { error: 'Both checkInTime and checkOutTime are required when there is no attendance record to correct' };
+    }
+
+    const checkInTime = data.checkInTime ? new Date(data.checkInTime).toISOString() : record.checkInTime;
+    const checkOutTime = data.checkOutTime ? new Date(data.checkOutTime).toISOString() : record.checkOutTime;
+
+    if (getBusinessDate(checkInTime, timeZone) !== data.date) {
+        return { error: `checkInTime must be on ${data.date}` };
+    }
+
+    if (checkOutTime) {
+        const minutes = (new Date(checkOutTime) - new Date(checkInTime)) / 60000;
+        if (minutes <= 0 || minutes > MAX_SESSION_MINUTES) {
+            return { error: 'checkOutTime must be after checkInTime and within 24 hours of it' };
+        }
+        if (new Date(checkOutTime) > new Date()) {
+            return { error: 'checkOutTime cannot be in the future' };
+        }
+    }
+
+    return {
+        data: {
+            ...data,
+            attendanceId: record ? record.attendanceId : null,
+            checkInTime,
+            checkOutTime: checkOutTime || null,
+            reason: String(data.reason).trim(),
+            original: record
+                ? { checkInTime: record.checkInTime, checkOutTime: record.checkOutTime || null }
+                : null,
+        },
+    };
+}
+
+module.exports = {
+    validateRegularization,
+};
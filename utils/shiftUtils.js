@@ -0,0 +1,147 @@
+/**
+ * Shift utility functions
+ * Resolves which shift applies to an employee on a date and converts
+ * shift definitions into minute-based windows for status calculation
+ */
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Parse 'HH:mm' into minutes from midnight
+ * @param {string} time - e.g. '09:30'
+ * @returns {number}
+ */
+function parseTime(time) {
+    const [h, m] = String(time).split(':').map(Number);
+    return h * 60 + (m || 0);
+}
+
+/**
+ * Build a shift-shaped object from the global attendance settings
+ * Used when no shift is assigned to the employee or their branch
+ */
+function settingsToShift(settings = {}) {
+    const workStartTime = settings.workStartTime || '09:00';
+    const startMinutes = parseTime(workStartTime);
+    const lateThreshold = settings.lateThresholdMinutes || 555;
+    const halfDayThreshold = settings.halfDayThresholdMinutes || 720;
+
+    return {
+        shiftId: null,
+        name: 'General',
+        segments: [{ startTime: workStartTime, endTime: settings.workEndTime || '18:00' }],
+        graceMinutes: Math.max(0, lateThreshold - startMinutes),
+        halfDayAfterMinutes: Math.max(0, halfDayThreshold - startMinutes),
+        breakMinutes: 0,
+        minFullDayMinutes: 240,
+    };
+}
+
+/**
+ * Convert a shift into minute offsets from the shift date's midnight.
+ * Overnight shifts (end before start) get end times past 1440.
+ * For split shifts the gaps between segments count as unpaid break.
+ */
+function getShiftWindow(shift) {
+    const segments = (shift.segments || []).map(seg => {
+        const start = parseTime(seg.startTime);
+        let end = parseTime(seg.endTime);
+        if (end <= start) end += MINUTES_PER_DAY;
+        return { start, end };
+    });
+
+    // Keep later segments after earlier ones (split shift crossing midnight)
+    for (let i = 1; i < segments.length; i++) {
+        while (segments[i].start < segments[i - 1].end) {
+            segments[i].start += MINUTES_PER_DAY;
+            segments[i].end += MINUTES_PER_DAY;
+        }
+    }
+
+    const startMinutes = segments[0].start;
+    const endMinutes = segments[segments.length - 1].end;
+    const splitGapMinutes = segments.slice(1).reduce((sum, seg, i) => sum + (seg.start - segments[i].end), 0);
+    const scheduledMinutes = endMinutes - startMinutes - splitGapMinutes;
+
+    const graceMinutes = shift.graceMinutes !== undefined ? Number(shift.graceMinutes) : 15;
+    const halfDayAfterMinutes = shift.halfDayAfterMinutes !== undefined
+        ? Number(shift.halfDayAfterMinutes)
+        : Math.round(scheduledMinutes / 2);
+
+    return {
+        startMinutes,
+        endMinutes,
+        segments,
+        isOvernight: endMinutes > MINUTES_PER_DAY,
+        graceMinutes,
+        lateCutoff: startMinutes + graceMinutes,
+        halfDayCutoff: startMinutes + halfDayAfterMinutes,
+        unpaidBreakMinutes: (Number(shift.breakMinutes) || 0) + splitGapMinutes,
+        scheduledMinutes,
+        minFullDayMinutes: shift.minFullDayMinutes !== undefined ? Number(shift.minFullDayMinutes) : 240,
+    };
+}
+
+/**
+ * Minutes from the shift date's midnight for a clock time.
+ * For overnight shifts, times in the early morning belong to the previous
+ * day's shift, so they are pushed past 1440. The cut-over is the middle of
+ * the off-duty period.
+ * @param {number} clockMinutes - minutes from midnight on the wall clock
+ * @param {Object} window - result of getShiftWindow
+ */
+function toShiftMinutes(clockMinutes, window) {
+    if (!window.isOvernight) return clockMinutes;
+    const offDutyMidpoint = ((window.endMinutes - MINUTES_PER_DAY) + window.startMinutes) / 2;
+    return clockMinutes < offDutyMidpoint ? clockMinutes + MINUTES_PER_DAY : clockMinutes;
+}
+
+/**
+ * Check whether an assignment covers a date (effective range and optional weekdays)
+ */
+function assignmentCoversDate(assignment, date) {
+    if (assignment.effectiveFrom && date < assignment.effectiveFrom) return false;
+    if (assignment.effectiveTo && date > assignment.effectiveTo) return false;
+    if (Array.isArray(assignment.daysOfWeek) && assignment.daysOfWeek.length > 0) {
+        const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay();
+        if (!assignment.daysOfWeek.includes(dayOfWeek)) return false;
+    }
+    return true;
+}
+
+/**
+ * Pick the shift for an employee on a date from preloaded shifts and assignments.
+ * Employee assignments beat branch assignments; among those, the most recently
+ * effective one wins. Returns null when nothing applies.
+ * @param {Object} params
+ * @param {Object} params.employee
+ * @param {string} params.date - YYYY-MM-DD
+ * @param {Array} params.shifts
+ * @param {Array} params.assignments
+ */
+function resolveShift({ employee, date, shifts, assignments }) {
+    const shiftMap = {};
+    shifts.forEach(s => { shiftMap[s.shiftId] = s; });
+
+    const pick = (targetType, targetId) => {
+        if (!targetId) return null;
+        const matches = assignments
+            .filter(a => a.targetType === targetType && a.targetId === targetId)
+            .filter(a => shiftMap[a.shiftId] && shiftMap[a.shiftId].isActive !== false)
+            .filter(a => assignmentCoversDate(a, date))
+            .sort((a, b) => (b.effectiveFrom || '').localeCompare(a.effectiveFrom || ''));
+        return matches.length > 0 ? shiftMap[matches[0].shiftId] : null;
+    };
+
+    return pick('EMPLOYEE', employee.employeeId) || pick('BRANCH', employee.branchId) || null;
+}
+
+module.exports = {
+    MINUTES_PER_DAY,
+    parseTime,
+    settingsToShift,
+    getShiftWindow,
+    toShiftMinutes,
+    assignmentCoversDate,
+    resolveShift,
+};
@@ -0,0 +1,261 @@
+/**
+ * Salary structure and Indian statutory deduction utility functions
+ * Splits a monthly salary into components and works out EPF, ESIC,
+ * Professional Tax and a simple TDS projection
+ *
+ * Structure component types:
+ *   PERCENT_OF_GROSS: value % of the monthly fixed salary
+ *   PERCENT_OF_BASIC: value % of the BASIC component
+ *   FIXED:            value rupees per month
+ *   BALANCE:          whatever is left of the fixed salary (one component at most)
+ */
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const COMPONENT_TYPES = ['PERCENT_OF_GROSS', 'PERCENT_OF_BASIC', 'FIXED', 'BALANCE'];
+
+// Used when neither the employee nor the organisation has a structure
+const DEFAULT_STRUCTURE = Object.freeze({
+    name: 'Standard',
+    components: [
+        { code: 'BASIC', name: 'Basic', type: 'PERCENT_OF_GROSS', value: 50, pfWage: true },
+        { code: 'HRA', name: 'House Rent Allowance', type: 'PERCENT_OF_BASIC', value: 50 },
+        { code: 'SPECIAL', name: 'Special Allowance', type: 'BALANCE' },
+    ],
+});
+
+const DEFAULT_STATUTORY_RULES = Object.freeze({
+    pf: {
+        enabled: true,
+        employeeRate: 12,
+        employerRate: 12, // Split into EPS (pension) and EPF
+        pensionRate: 8.33,
+        wageCeiling: 15000,
+        applyCeiling: true, // Contribute on the ceiling, not full PF wages
+    },
+    esic: {
+        enabled: true,
+        threshold: 21000, // Monthly gross at or below this is covered
+        employeeRate: 0.75,
+        employerRate: 3.25,
+    },
+    professionalTax: {
+        // Slabs on monthly earned gross; HALF_YEARLY states deduct in deductionMonths on 6 months' gross
+        states: {
+            'Tamil Nadu': {
+                frequency: 'HALF_YEARLY',
+                deductionMonths: [9, 3],
+                slabs: [
+                    { upTo: 21000, amount: 0 },
+                    { upTo: 30000, amount: 180 },
+                    { upTo: 45000, amount: 425 },
+                    { upTo: 60000, amount: 930 },
+                    { upTo: 75000, amount: 1025 },
+                    { upTo: null, amount: 1250 },
+                ],
+            },
+            Karnataka: {
+                frequency: 'MONTHLY',
+                slabs: [
+                    { upTo: 24999, amount: 0 },
+                    { upTo: null, amount: 200 },
+                ],
+            },
+            Maharashtra: {
+                frequency: 'MONTHLY',
+                slabs: [
+                    { upTo: 7500, amount: 0 },
+                    { upTo: 10000, amount: 175 },
+                    { upTo: null, amount: 200, monthOverrides: { 2: 300 } },
+                ],
+            },
+        },
+    },
+    tds: {
+        enabled: true,
+        // New tax regime
+        standardDeduction: 75000,
+        rebateLimit: 1200000, // Section 87A: no tax up to this taxable income
+        cessRate: 4,
+        slabs: [
+            { upTo: 400000, rate: 0 },
+            { upTo: 800000, rate: 5 },
+            { upTo: 1200000, rate: 10 },
+            { upTo: 1600000, rate: 15 },
+            { upTo: 2000000, rate: 20 },
+            { upTo: 2400000, rate: 25 },
+            { upTo: null, rate: 30 },
+        ],
+    },
+});
+
+/**
+ * Validate a salary structure
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateSalaryStructure(structure) {
+    if (!structure || !structure.name) return 'Structure name is required';
+    if (!Array.isArray(structure.components) || structure.components.length === 0) {
+        return 'At least one component is required';
+    }
+
+    const codes = new Set();
+    for (const component of structure.components) {
+        if (!component.code || !component.name) return 'Each component needs a code and name';
+        if (codes.has(component.code)) return `Duplicate component code: ${component.code}`;
+        codes.add(component.code);
+        if (!COMPONENT_TYPES.includes(component.type)) {
+            return `${component.code}: type must be one of ${COMPONENT_TYPES.join(', ')}`;
+        }
+        if (component.type !== 'BALANCE' && (typeof component.value !== 'number' || component.value < 0)) {
+            return `${component.code}: value must be a non-negative number`;
+        }
+    }
+
+    if (!codes.has('BASIC')) return 'A BASIC component is required';
+    if (structure.components.filter(c => c.type === 'BALANCE').length > 1) {
+        return 'Only one BALANCE component is allowed';
+    }
+
+    return null;
+}
+
+/**
+ * Split a monthly fixed salary into structure components
+ * Components are scaled down if they add up to more than the fixed salary.
+ * @returns {Array} [{ code, name, amount, pfWage }]
+ */
+function splitSalary(structure, monthlySalary) {
+    const components = structure.components;
+    const basicDef = components.find(c => c.code === 'BASIC');
+    const basic = basicDef.type === 'FIXED' ? basicDef.value : (monthlySalary * basicDef.value) / 100;
+
+    const amounts = components.map(c => {
+        switch (c.type) {
+            case 'PERCENT_OF_GROSS': return (monthlySalary * c.value) / 100;
+            case 'PERCENT_OF_BASIC': return c.code === 'BASIC' ? basic : (basic * c.value) / 100;
+            case 'FIXED': return c.value;
+            default: return 0; // BALANCE, filled below
+        }
+    });
+
+    const allocated = amounts.reduce((sum, a) => sum + a, 0);
+    const scale = allocated > monthlySalary && allocated > 0 ? monthlySalary / allocated : 1;
+    const balanceIndex = components.findIndex(c => c.type === 'BALANCE');
+
+    const scaled = amounts.map(a => a * scale);
+    if (balanceIndex >= 0) {
+        scaled[balanceIndex] = Math.max(0, monthlySalary - scaled.reduce((sum, a) => sum + a, 0));
+    }
+
+    return components.map((c, i) => ({
+        code: c.code,
+        name: c.name,
+        amount: round2(scaled[i]),
+        pfWage: c.code === 'BASIC' || !!c.pfWage,
+    }));
+}
+
+/**
+ * Find the slab amount for a value
+ */
+function findSlab(slabs, value) {
+    return slabs.find(s => s.upTo === null || s.upTo === undefined || value <= s.upTo) || null;
+}
+
+/**
+ * Professional Tax for a month
+ * @param {Object} rules - professionalTax rules
+ * @param {string} state - Branch state
+ * @param {number} earnedGross - Gross earned this month
+ * @param {number} month - 1-12
+ */
+function calculateProfessionalTax(rules, state, earnedGross, month) {
+    const stateRules = rules && rules.states && rules.states[state];
+    if (!stateRules) return 0;
+
+    if (stateRules.frequency === 'HALF_YEARLY') {
+        if (!(stateRules.deductionMonths || []).includes(month)) return 0;
+        const slab = findSlab(stateRules.slabs, earnedGross * 6);
+        return slab ? slab.amount : 0;
+    }
+
+    const slab = findSlab(stateRules.slabs, earnedGross);
+    if (!slab) return 0;
+    return slab.monthOverrides && slab.monthOverrides[month] !== undefined ? slab.monthOverrides[month] : slab.amount;
+}
+
+/**
+ * Projected monthly TDS: annual tax on 12 x the monthly salary, spread over 12 months
+ */
+function calculateMonthlyTds(rules, monthlySalary) {
+    const taxable = Math.max(0, monthlySalary * 12 - (rules.standardDeduction || 0));
+    if (taxable <= (rules.rebateLimit || 0)) return 0;
+
+    let tax = 0;
+    let lower = 0;
+    for (const slab of rules.slabs) {
+        const upper = slab.upTo === null || slab.upTo === undefined ? Infinity : slab.upTo;
+        if (taxable > lower) {
+            tax += ((Math.min(taxable, upper) - lower) * slab.rate) / 100;
+        }
+        lower = upper;
+    }
+
+    tax += (tax * (rules.cessRate || 0)) / 100;
+    return Math.round(tax / 12);
+}
+
+/**
+ * Statutory deductions and employer contributions for a month
+ * @param {Object} params
+ * @param {Object} params.rules - Statutory rules (see DEFAULT_STATUTORY_RULES)
+ * @param {Object} params.employee - pfApplicable / esicApplicable can switch schemes off per employee
+ * @param {Array} params.earnedComponents - Components pro-rated for payable days
+ * @param {number} params.earnedGross - Gross earned this month (components + overtime)
+ * @param {number} params.monthlySalary - Full monthly fixed salary (for eligibility and TDS)
+ * @param {string} params.state - Branch state, for Professional Tax
+ * @param {number} params.month - 1-12
+ * @returns {Object} { deductions: { pf, esic, professionalTax, tds }, employerContributions: { pf, pension, esic } }
+ */
+function calculateStatutory({ rules, employee, earnedComponents, earnedGross, monthlySalary, state, month }) {
+    const deductions = { pf: 0, esic: 0, professionalTax: 0, tds: 0 };
+    const employerContributions = { pf: 0, pension: 0, esic: 0 };
+
+    const pf = rules.pf || {};
+    if (pf.enabled && employee.pfApplicable !== false) {
+        const pfWages = earnedComponents.filter(c => c.pfWage).reduce((sum, c) => sum + c.amount, 0);
+        const contributoryWages = pf.applyCeiling ? Math.min(pfWages, pf.wageCeiling) : pfWages;
+        const pensionWages = Math.min(pfWages, pf.wageCeiling);
+
+        deductions.pf = Math.round((contributoryWages * pf.employeeRate) / 100);
+        employerContributions.pension = Math.round((pensionWages * pf.pensionRate) / 100);
+        employerContributions.pf = Math.max(0, Math.round((contributoryWages * pf.employerRate) / 100) - employerContributions.pension);
+    }
+
+    const esic = rules.esic || {};
+    if (esic.enabled && employee.esicApplicable !== false && monthlySalary <= esic.threshold) {
+        // ESIC contributions are rounded up to the next rupee
+        deductions.esic = Math.ceil((earnedGross * esic.employeeRate) / 100);
+        employerContributions.esic = Math.ceil((earnedGross * esic.employerRate) / 100);
+    }
+
+    deductions.professionalTax = calculateProfessionalTax(rules.professionalTax, state, earnedGross, month);
+
+    if (rules.tds && rules.tds.enabled) {
+        deductions.tds = calculateMonthlyTds(rules.tds, monthlySalary);
+    }
+
+    return { deductions, employerContributions };
+}
+
+module.exports = {
+    COMPONENT_TYPES,
+    DEFAULT_STRUCTURE,
+    DEFAULT_STATUTORY_RULES,
+    validateSalaryStructure,
+    splitSalary,
+    calculateProfessionalTax,
+    calculateMonthlyTds,
+    calculateStatutory,
+};
@@ -0,0 +1,112 @@
+/**
+ * Timezone utility functions
+ * Business dates and clock times are evaluated in the branch's timezone
+ * (branch.timezone), falling back to the organization's (ORG_TIMEZONE, default Asia/Kolkata).
+ */
+
+const DEFAULT_TIMEZONE = process.env.ORG_TIMEZONE || 'Asia/Kolkata';
+
+/**
+ * Timezone of a branch (null = organization default)
+ */
+function resolveTimezone(branch) {
+    return (branch && branch.timezone) || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Check a timezone name against the runtime's IANA database
+ */
+function isValidTimezone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Wall-clock date and time of an instant in a timezone
+ * @returns {{ date: string, minutes: number }} date YYYY-MM-DD, minutes from local midnight
+ */
+function getZonedDateTime(instant, timeZone = DEFAULT_TIMEZONE) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-CA', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+    }).formatToParts(new Date(instant)).forEach(p => { parts[p.type] = p.value; });
+
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute),
+    };
+}
+
+/**
+ * Business date (YYYY-MM-DD) of an instant in a timezone - "today" when called without an instant
+ */
+function getBusinessDate(instant = new Date(), timeZone = DEFAULT_TIMEZONE) {
+    return getZonedDateTime(instant, timeZone).date;
+}
+
+/**
+ * Month and year of the business date of an instant
+ * @returns {{ month: number, year: number }} month 1-12
+ */
+function getBusinessMonth(instant = new Date(), timeZone = DEFAULT_TIMEZONE) {
+    const [year, month] = getBusinessDate(instant, timeZone).split('-').map(Number);
+    return { month, year };
+}
+
+/**
+ * Clock time of an instant in a timezone for display, e.g. "09:05 am"
+ */
+function formatClockTime(instant, timeZone = DEFAULT_TIMEZONE) {
+    return new Date(instant).toLocaleTimeString('en-IN', { timeZone, hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Instant of a wall-clock time in a timezone
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} minutes - Minutes from local midnight (may pass 1440 for overnight shifts)
+ * @returns {Date}
+ */
+function zonedTimeToInstant(date, minutes, timeZone = DEFAULT_TIMEZONE) {
+    const guess = new Date(`${date}T00:00:00Z`).getTime() + minutes * 60000;
+
+    // Offset of the zone at the guessed instant; one correction covers DST edges
+    const offsetAt = (ms) => {
+        const local = getZonedDateTime(ms, timeZone);
+        const asUtc = new Date(`${local.date}T00:00:00Z`).getTime() + local.minutes * 60000;
+        return asUtc - Math.floor(ms / 60000) * 60000;
+    };
+
+    const first = guess - offsetAt(guess);
+    return new Date(guess - offsetAt(first));
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+function addDays(date, days) {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().split('T')[0];
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    resolveTimezone,
+    isValidTimezone,
+    getZonedDateTime,
+    getBusinessDate,
+    getBusinessMonth,
+    formatClockTime,
+    zonedTimeToInstant,
+    addDays,
+};
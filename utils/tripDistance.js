@@ -0,0 +1,171 @@
+/**
+ * Trip distance from location pings, and the travel allowance it earns
+ * A ping trail over-counts when summed point to point: a phone standing still drifts
+ * by its accuracy radius every minute, and a bad fix jumps hundreds of meters and back.
+ * Distance is therefore only added once the employee has moved beyond the noise of
+ * two fixes (the anchor stays put until then), fixes implying an impossible speed from
+ * the last good fix are dropped, and stretches without pings (gaps) are bridged by the
+ * straight line. When several fixes in a row agree with each other but not with the last
+ * good fix, it is the last good fix that was wrong: the trail restarts from them, without
+ * counting the jump.
+ * Each field duty session is a separate trail; travel between sessions is off duty.
+ *
+ * Rules (Settings 'travel-allowance-config'):
+ *   { ratePerKm, maxKmPerDay, jitterMeters, maxGapMinutes, countGaps }
+ *   maxKmPerDay: claimable kilometres per day (null = no cap)
+ *   countGaps: add the straight line across gaps longer than maxGapMinutes (else skip them)
+ * Accuracy and speed limits come from the location risk rules (see utils/locationRisk.js).
+ */
+
+const { calculateDistance } = require('./geofence');
+const { DEFAULT_LOCATION_RISK_RULES } = require('./locationRisk');
+
+const DEFAULT_TRAVEL_ALLOWANCE_RULES = Object.freeze({
+    ratePerKm: 3.5,
+    maxKmPerDay: 250,
+    jitterMeters: 25,
+    maxGapMinutes: 15,
+    countGaps: true,
+});
+
+// Consecutive, mutually consistent "impossible" fixes after which the trail restarts from them
+const SPIKES_BEFORE_REANCHOR = 3;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Speed implied by moving between two fixes (Infinity when no time passed)
+ * @returns {number} km/h
+ */
+function impliedSpeedKmh(from, to) {
+    const hours = (new Date(to.timestamp) - new Date(from.timestamp)) / 3600000;
+    if (hours <= 0) return Infinity;
+    return calculateDistance(from.latitude, from.longitude, to.latitude, to.longitude) / 1000 / hours;
+}
+
+/**
+ * Validate travel allowance rules
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateTravelAllowanceRules(rules) {
+    if (!rules || typeof rules !== 'object') return 'Rules must be an object';
+
+    if (rules.ratePerKm !== undefined && !(typeof rules.ratePerKm === 'number' && rules.ratePerKm >= 0)) {
+        return 'ratePerKm must be a non-negative number';
+    }
+    if (rules.maxKmPerDay !== undefined && rules.maxKmPerDay !== null && !(typeof rules.maxKmPerDay === 'number' && rules.maxKmPerDay > 0)) {
+        return 'maxKmPerDay must be a positive number, or null for no cap';
+    }
+    for (const key of ['jitterMeters', 'maxGapMinutes']) {
+        if (rules[key] !== undefined && !(typeof rules[key] === 'number' && rules[key] > 0)) {
+            return `${key} must be a positive number`;
+        }
+    }
+    if (rules.countGaps !== undefined && typeof rules.countGaps !== 'boolean') {
+        return 'countGaps must be true or false';
+    }
+
+    return null;
+}
+
+/**
+ * Distance travelled along a day's pings
+ * @param {Array} pings - Location pings (see models/LocationPing.js)
+ * @param {Object} options
+ * @param {Array} options.sessions - Field duty sessions { checkInTime, checkOutTime }; pings outside them
+ *   are left out (null = one trail of all pings)
+ * @param {Object} options.rules - Travel allowance rules
+ * @param {Object} options.riskRules - Location risk rules (maxAccuracyMeters, maxSpeedKmh)
+ * @returns {Object} { distanceMeters, distanceKm, usedPings, droppedPings, jitterPings, spikePings, gaps: [{ from, to, minutes, meters, counted }] }
+ */
+function computeTripDistance(pings, { sessions = null, rules = DEFAULT_TRAVEL_ALLOWANCE_RULES, riskRules = DEFAULT_LOCATION_RISK_RULES } = {}) {
+    const usable = pings
+        .filter(p => !p.isMocked && Number.isFinite(p.latitude) && Number.isFinite(p.longitude)
+            && !(p.accuracy != null && p.accuracy > riskRules.maxAccuracyMeters))
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+    const trails = sessions
+        ? sessions.map(s => usable.filter(p => p.timestamp >= s.checkInTime && (!s.checkOutTime || p.timestamp <= s.checkOutTime)))
+        : [usable];
+
+    const result = { distanceMeters: 0, usedPings: 0, jitterPings: 0, spikePings: 0, gaps: [] };
+    let meters = 0;
+
+    trails.forEach(trail => {
+        let anchor = null;
+        let lastFix = null; // latest good fix, the anchor or a jitter ping around it
+        let spikes = []; // consecutive spikes that agree with each other
+        trail.forEach(point => {
+            if (!anchor) {
+                anchor = lastFix = point;
+                result.usedPings += 1;
+                return;
+            }
+
+            const distance = calculateDistance(anchor.latitude, anchor.longitude, point.latitude, point.longitude);
+            const minutes = (new Date(point.timestamp) - new Date(lastFix.timestamp)) / 60000;
+
+            // Within the noise of the two fixes: still at the anchor
+            if (distance < Math.max(rules.jitterMeters, (anchor.accuracy || 0) + (point.accuracy || 0))) {
+                lastFix = point;
+                spikes = [];
+                result.jitterPings += 1;
+                return;
+            }
+            if (impliedSpeedKmh(lastFix, point) > riskRules.maxSpeedKmh) {
+                const previous = spikes[spikes.length - 1];
+                spikes = previous && impliedSpeedKmh(previous, point) <= riskRules.maxSpeedKmh ? [...spikes, point] : [point];
+                if (spikes.length < SPIKES_BEFORE_REANCHOR) {
+                    result.spikePings += 1;
+                    return;
+                }
+                anchor = lastFix = point;
+                spikes = [];
+                result.usedPings += 1;
+                return;
+            }
+            spikes = [];
+
+            if (minutes > rules.maxGapMinutes) {
+                result.gaps.push({
+                    from: lastFix.timestamp,
+                    to: point.timestamp,
+                    minutes: Math.round(minutes),
+                    meters: Math.round(distance),
+                    counted: rules.countGaps,
+                });
+                if (rules.countGaps) meters += distance;
+            } else {
+                meters += distance;
+            }
+            anchor = lastFix = point;
+            result.usedPings += 1;
+        });
+    });
+
+    result.distanceMeters = Math.round(meters);
+    return {
+        ...result,
+        distanceKm: round2(meters / 1000),
+        droppedPings: pings.length - result.usedPings - result.jitterPings - result.spikePings,
+    };
+}
+
+/**
+ * Allowance for a day's distance
+ * @returns {Object} { claimableKm, amount }
+ */
+function calculateTravelAllowance(distanceKm, rules = DEFAULT_TRAVEL_ALLOWANCE_RULES) {
+    const claimableKm = round2(rules.maxKmPerDay ? Math.min(distanceKm, rules.maxKmPerDay) : distanceKm);
+    return {
+        claimableKm,
+        amount: round2(claimableKm * rules.ratePerKm),
+    };
+}
+
+module.exports = {
+    DEFAULT_TRAVEL_ALLOWANCE_RULES,
+    validateTravelAllowanceRules,
+    computeTripDistance,
+    calculateTravelAllowance,
+};